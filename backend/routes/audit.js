@@ -0,0 +1,90 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const auditLog = require('../services/auditLog');
+const { buildRevertChanges, applyWithAudit } = require('./editor');
+
+// ---------------------------------------------------------------------------
+// GET / - Query the audit log
+// Query: connectionId, processId, witRefName, type, from, to (ISO dates), limit
+// Entries are returned newest first, without their before-snapshot.
+// ---------------------------------------------------------------------------
+router.get('/', async (req, res) => {
+  try {
+    const { connectionId, processId, witRefName, type, from, to } = req.query;
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `Invalid ${name} date: ${value}` });
+      }
+    }
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 200;
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    const { entries, total } = await auditLog.listEntries({ connectionId, processId, witRefName, type, from, to, limit });
+    res.json({
+      entries: entries.map(({ before, ...entry }) => ({ ...entry, hasBefore: !!before })),
+      total,
+    });
+  } catch (err) {
+    console.error('Error reading audit log:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /:entryId - Get a single audit entry, including its before-snapshot
+// ---------------------------------------------------------------------------
+router.get('/:entryId', async (req, res) => {
+  try {
+    const entry = await auditLog.getEntry(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({ error: `Audit entry not found: ${req.params.entryId}` });
+    }
+    res.json(entry);
+  } catch (err) {
+    console.error('Error reading audit entry:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /:entryId/revert - Undo an audited change
+// Body: { dryRun?: boolean, atomic?: boolean }
+// With dryRun the inverse change set is returned for preview; otherwise it is
+// applied to the entry's process and recorded as a 'revert' entry.
+// ---------------------------------------------------------------------------
+router.post('/:entryId/revert', async (req, res) => {
+  try {
+    const { entryId } = req.params;
+    const { dryRun, atomic } = req.body || {};
+    const entry = await auditLog.getEntry(entryId);
+    if (!entry) {
+      return res.status(404).json({ error: `Audit entry not found: ${entryId}` });
+    }
+    if (!entry.processId) {
+      return res.status(400).json({ error: 'Only changes to a process can be reverted' });
+    }
+
+    const { changes, notes } = buildRevertChanges(entry);
+    const target = { connectionId: entry.connectionId, processId: entry.processId };
+    if (dryRun) {
+      return res.json({ entryId, ...target, changes, notes });
+    }
+
+    console.log(`[audit/revert] Reverting ${entry.operation} (${entryId}) on ${entry.processId}`);
+    const result = await applyWithAudit(entry.connectionId, entry.processId, changes, {
+      atomic,
+      operation: 'revert',
+      audit: { revertOf: entryId },
+    });
+    res.json({ entryId, ...target, notes, ...result });
+  } catch (err) {
+    console.error('Error reverting audit entry:', err);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
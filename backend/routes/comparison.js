@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const tempStorage = require('../services/tempStorage');
+const { readProcessArchive } = require('../services/processArchive');
 
 // ---------------------------------------------------------------------------
 // Helpers – comparison logic
@@ -158,6 +159,10 @@ function compareFields(processesData) {
     const layoutPages = [...layoutPagesSet].sort();
 
     // Build byField map and allFieldNames, both keyed by display name
+    const picklistsByProcess = {};
+    for (const proc of processesData) {
+      picklistsByProcess[proc.processId] = proc.data.picklists || {};
+    }
     const byField = {};
     const allFieldNames = Object.keys(fieldMap).map((ref) => {
       const entries = Object.values(fieldMap[ref]);
@@ -183,6 +188,7 @@ function compareFields(processesData) {
           layoutControlType: ctrlInfo ? ctrlInfo.controlType : null,
           layoutLabel: ctrlInfo ? ctrlInfo.label : '',
           layoutPageLabel: ctrlInfo ? ctrlInfo.pageLabel : null,
+          picklist: picklistsByProcess[processId][fieldRef] || null,
         };
       }
 
@@ -336,6 +342,7 @@ function compareStates(processesData) {
           color: state.color || '',
           stateCategory: state.stateCategory || '',
           order: state.order != null ? state.order : null,
+          hidden: state.hidden === true,
           customizationType: state.customizationType || '',
         };
       }
@@ -348,8 +355,9 @@ function compareStates(processesData) {
       const missingFrom = processIds.filter((pid) => procStates[pid] === undefined);
 
       // Compare properties across processes where the state is present.
-      // Skip metadata-only properties that always differ.
-      const IGNORED_STATE_PROPS = new Set(['url', 'customization', 'customizationType', 'id']);
+      // Skip metadata-only properties that always differ. `hidden` is only
+      // returned for hidden states, so it is compared as a boolean below.
+      const IGNORED_STATE_PROPS = new Set(['url', 'customization', 'customizationType', 'id', 'hidden']);
       const propertyDifferences = [];
       if (presentIn.length > 1) {
         const allProps = new Set();
@@ -373,6 +381,14 @@ function compareStates(processesData) {
             propertyDifferences.push({ property: prop, values });
           }
         }
+
+        const hiddenValues = {};
+        for (const pid of presentIn) {
+          hiddenValues[pid] = procStates[pid].hidden === true;
+        }
+        if (!presentIn.every((pid) => hiddenValues[pid] === hiddenValues[presentIn[0]])) {
+          propertyDifferences.push({ property: 'hidden', values: hiddenValues });
+        }
       }
 
       if (missingFrom.length > 0 || propertyDifferences.length > 0) {
@@ -396,6 +412,494 @@ function compareStates(processesData) {
   return { byWorkItemType };
 }
 
+/**
+ * Build a stable, order-independent key for a list of rule conditions or
+ * actions. Only the semantic properties are kept, so rule GUIDs, urls and
+ * list order never affect matching.
+ *
+ * @param {Array<object>} items - rule.conditions or rule.actions
+ * @param {string[]} props - properties to keep on each entry
+ * @returns {string}
+ */
+function canonicalRuleParts(items, props) {
+  return JSON.stringify(
+    (items || [])
+      .map((item) => props.map((prop) => (item[prop] != null ? String(item[prop]) : '')))
+      .sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)))
+  );
+}
+
+const RULE_CONDITION_PROPS = ['conditionType', 'field', 'value'];
+const RULE_ACTION_PROPS = ['actionType', 'targetField', 'value'];
+
+/**
+ * Produce a one-line, human-readable description of a rule, used when the
+ * rule has no name (system rules usually don't).
+ * @param {object} rule
+ * @returns {string}
+ */
+function describeRule(rule) {
+  const conditions = (rule.conditions || [])
+    .map((c) => `${c.conditionType} ${c.field || ''}${c.value ? ` = ${c.value}` : ''}`.trim())
+    .join(' and ');
+  const actions = (rule.actions || [])
+    .map((a) => `${a.actionType} ${a.targetField || ''}${a.value ? ` = ${a.value}` : ''}`.trim())
+    .join(', ');
+  return conditions ? `${conditions}: ${actions}` : `always: ${actions}`;
+}
+
+// Longest name given to a rule created by a sync
+const MAX_RULE_NAME = 64;
+
+/**
+ * Short name for a rule created by a sync when the source rule has none: its
+ * first action, e.g. "makeRequired System.Title (+1)".
+ * @param {Array<object>} actions
+ * @returns {string}
+ */
+function syncedRuleName(actions) {
+  const [first, ...rest] = actions || [];
+  if (!first) return 'Synced rule';
+  const name = `${first.actionType} ${first.targetField || ''}`.trim() + (rest.length > 0 ? ` (+${rest.length})` : '');
+  return name.length > MAX_RULE_NAME ? `${name.slice(0, MAX_RULE_NAME - 1)}…` : name;
+}
+
+/**
+ * Compare rules for each work item type across all processes.
+ *
+ * Rules are matched by their semantic content (conditions + actions) rather
+ * than by GUID, since the same rule has a different id in every process.
+ * Differences are reported relative to the first process:
+ * - missing:   present in the first process, absent from one or more others
+ * - extra:     absent from the first process, present in one or more others
+ * - divergent: same conditions but different actions, or same rule with a
+ *              different enabled/disabled state
+ *
+ * Only processes that contain the work item type take part in the
+ * comparison for it, so a missing WIT is not double-counted as missing rules.
+ *
+ * @param {Array<{ processId: string, data: object }>} processesData
+ * @returns {object} rules comparison section
+ */
+function compareRules(processesData) {
+  // Collect all unique WIT display names that have rule data
+  const allWitRefs = new Set();
+  for (const proc of processesData) {
+    const rulesByWit = proc.data.rules || {};
+    for (const witRef of Object.keys(rulesByWit)) {
+      allWitRefs.add(witRef);
+    }
+  }
+
+  const referenceId = processesData.length > 0 ? processesData[0].processId : null;
+  const byWorkItemType = {};
+
+  for (const witRef of allWitRefs) {
+    // Build witRefNames mapping: WIT display name -> WIT refname per process
+    const witRefNames = {};
+    for (const proc of processesData) {
+      const wit = (proc.data.workItemTypes || []).find(
+        (w) => (w.name || w.referenceName || w.id) === witRef
+      );
+      if (wit) {
+        witRefNames[proc.processId] = wit.referenceName || wit.id;
+      }
+    }
+    const processIds = processesData
+      .map((p) => p.processId)
+      .filter((pid) => witRefNames[pid] !== undefined);
+
+    // ruleMap[fullKey][processId] = first matching rule; copies[fullKey][processId]
+    // = every matching rule, since a process can hold the same rule more than once.
+    // condKeys[fullKey] = condition-only key
+    const ruleMap = {};
+    const copies = {};
+    const condKeys = {};
+    for (const proc of processesData) {
+      if (!processIds.includes(proc.processId)) continue;
+      const rules = (proc.data.rules || {})[witRef] || [];
+      for (const rule of rules) {
+        const condKey = canonicalRuleParts(rule.conditions, RULE_CONDITION_PROPS);
+        const fullKey = `${condKey}=>${canonicalRuleParts(rule.actions, RULE_ACTION_PROPS)}`;
+        if (!ruleMap[fullKey]) {
+          ruleMap[fullKey] = {};
+          copies[fullKey] = {};
+        }
+        if (!ruleMap[fullKey][proc.processId]) {
+          ruleMap[fullKey][proc.processId] = rule;
+          copies[fullKey][proc.processId] = [];
+        }
+        copies[fullKey][proc.processId].push(rule);
+        condKeys[fullKey] = condKey;
+      }
+    }
+
+    // Build byRule map with per-process rule metadata
+    const byRule = {};
+    for (const [fullKey, procRules] of Object.entries(ruleMap)) {
+      byRule[fullKey] = {};
+      for (const [processId, rule] of Object.entries(procRules)) {
+        const procCopies = copies[fullKey][processId];
+        byRule[fullKey][processId] = {
+          present: true,
+          id: rule.id || '',
+          name: rule.name || '',
+          description: describeRule(rule),
+          isDisabled: rule.isDisabled || false,
+          customizationType: rule.customizationType || '',
+          count: procCopies.length,
+          copies: procCopies.map((r) => ({
+            id: r.id || '',
+            isDisabled: r.isDisabled || false,
+            customizationType: r.customizationType || '',
+          })),
+        };
+      }
+    }
+
+    const differences = [];
+    const unmatched = []; // fullKeys not present in every process
+
+    for (const [fullKey, procRules] of Object.entries(ruleMap)) {
+      const presentIn = processIds.filter((pid) => procRules[pid] !== undefined);
+      if (presentIn.length < processIds.length) {
+        unmatched.push(fullKey);
+        continue;
+      }
+
+      // Same rule everywhere — only the enabled state and the number of
+      // copies can still differ
+      const propertyDifferences = [];
+      const values = {};
+      const counts = {};
+      for (const pid of presentIn) {
+        values[pid] = procRules[pid].isDisabled || false;
+        counts[pid] = copies[fullKey][pid].length;
+      }
+      if (!presentIn.every((pid) => values[pid] === values[presentIn[0]])) {
+        propertyDifferences.push({ property: 'isDisabled', values });
+      }
+      if (!presentIn.every((pid) => counts[pid] === counts[presentIn[0]])) {
+        propertyDifferences.push({ property: 'count', values: counts });
+      }
+      if (propertyDifferences.length > 0) {
+        const sample = Object.values(procRules)[0];
+        differences.push({
+          ruleKey: fullKey,
+          ruleName: sample.name || describeRule(sample),
+          kind: 'divergent',
+          presentIn,
+          missingFrom: [],
+          conditions: sample.conditions || [],
+          actions: sample.actions || [],
+          propertyDifferences,
+        });
+      }
+    }
+
+    // Pair up unmatched rules that share the same conditions: same trigger,
+    // different outcome.
+    const byCondition = {};
+    for (const fullKey of unmatched) {
+      const condKey = condKeys[fullKey];
+      if (!byCondition[condKey]) {
+        byCondition[condKey] = [];
+      }
+      byCondition[condKey].push(fullKey);
+    }
+
+    for (const [condKey, fullKeys] of Object.entries(byCondition)) {
+      const actionsByProcess = {};
+      for (const fullKey of fullKeys) {
+        for (const [pid, rule] of Object.entries(ruleMap[fullKey])) {
+          if (!actionsByProcess[pid]) {
+            actionsByProcess[pid] = [];
+          }
+          actionsByProcess[pid].push(...(rule.actions || []));
+        }
+      }
+      const presentIn = processIds.filter((pid) => actionsByProcess[pid] !== undefined);
+      const missingFrom = processIds.filter((pid) => actionsByProcess[pid] === undefined);
+      const sample = Object.values(ruleMap[fullKeys[0]])[0];
+
+      if (fullKeys.length > 1 && presentIn.length > 1) {
+        differences.push({
+          ruleKey: condKey,
+          ruleName: sample.name || describeRule(sample),
+          kind: 'divergent',
+          presentIn,
+          missingFrom,
+          conditions: sample.conditions || [],
+          propertyDifferences: [{ property: 'actions', values: actionsByProcess }],
+        });
+        continue;
+      }
+
+      for (const fullKey of fullKeys) {
+        const procRules = ruleMap[fullKey];
+        const rule = Object.values(procRules)[0];
+        differences.push({
+          ruleKey: fullKey,
+          ruleName: rule.name || describeRule(rule),
+          kind: procRules[referenceId] !== undefined ? 'missing' : 'extra',
+          presentIn: processIds.filter((pid) => procRules[pid] !== undefined),
+          missingFrom: processIds.filter((pid) => procRules[pid] === undefined),
+          conditions: rule.conditions || [],
+          actions: rule.actions || [],
+          propertyDifferences: [],
+        });
+      }
+    }
+
+    byWorkItemType[witRef] = {
+      all: Object.keys(ruleMap),
+      differences,
+      byRule,
+      witRefNames,
+    };
+  }
+
+  return { byWorkItemType };
+}
+
+/**
+ * Flatten a work item type layout into page -> group -> control entries keyed
+ * in a process-independent way: pages and groups by label (a repeated label
+ * gets a running number), controls by id (usually the field reference name). Layout GUIDs differ between processes,
+ * so they can't be used for matching.
+ *
+ * @param {object} layout - Layout from getLayout()
+ * @returns {Array<object>} pages with nested groups and controls
+ */
+function indexLayout(layout) {
+  const pages = [];
+  const keys = new Set();
+  // Labels aren't unique: number repeats in document order, as the template export does
+  const uniqueKey = (key) => {
+    let unique = key;
+    for (let n = 2; keys.has(unique); n++) unique = `${key} (${n})`;
+    keys.add(unique);
+    return unique;
+  };
+  for (const page of (layout && layout.pages) || []) {
+    const pageLabel = page.label || page.id || 'Unknown';
+    const pageKey = uniqueKey(`page:${pageLabel}`);
+    const pageEntry = {
+      key: pageKey,
+      label: pageLabel,
+      id: page.id || null,
+      visible: page.visible !== false,
+      inherited: page.inherited || false,
+      isContribution: page.isContribution || false,
+      groups: [],
+    };
+    for (const section of page.sections || []) {
+      for (const group of section.groups || []) {
+        const groupLabel = group.label || group.id || 'Unknown';
+        const groupEntry = {
+          key: uniqueKey(`group:${pageKey.slice('page:'.length)}/${groupLabel}`),
+          label: groupLabel,
+          id: group.id || null,
+          sectionId: section.id || null,
+          visible: group.visible !== false,
+          inherited: group.inherited || false,
+          controls: [],
+        };
+        for (const ctrl of group.controls || []) {
+          if (!ctrl.id) continue;
+          groupEntry.controls.push({
+            key: `control:${ctrl.id}`,
+            id: ctrl.id,
+            label: ctrl.label || '',
+            visible: ctrl.visible !== false,
+            controlType: ctrl.controlType || null,
+            location: `${pageLabel} / ${groupLabel}`,
+          });
+        }
+        pageEntry.groups.push(groupEntry);
+      }
+    }
+    pages.push(pageEntry);
+  }
+  return pages;
+}
+
+/**
+ * Compare the form layout structure for each work item type across all
+ * processes: pages, groups (with their section) and control placement.
+ *
+ * Returns, per WIT, a merged `rows` tree (page -> group -> control) that the
+ * UI renders side by side, per-process details in `byKey`, and the list of
+ * `differences`. Order is compared only among siblings present in every
+ * process, so adding one control doesn't flag every control after it.
+ *
+ * @param {Array<{ processId: string, data: object }>} processesData
+ * @returns {object} layouts comparison section
+ */
+function compareLayouts(processesData) {
+  const allWitRefs = new Set();
+  for (const proc of processesData) {
+    for (const witRef of Object.keys(proc.data.layouts || {})) {
+      allWitRefs.add(witRef);
+    }
+  }
+
+  const byWorkItemType = {};
+
+  for (const witRef of allWitRefs) {
+    const witRefNames = {};
+    for (const proc of processesData) {
+      const wit = (proc.data.workItemTypes || []).find(
+        (w) => (w.name || w.referenceName || w.id) === witRef
+      );
+      if (wit) {
+        witRefNames[proc.processId] = wit.referenceName || wit.id;
+      }
+    }
+    const processIds = processesData
+      .map((p) => p.processId)
+      .filter((pid) => witRefNames[pid] !== undefined && (processesData.find((p) => p.processId === pid).data.layouts || {})[witRef]);
+
+    // Merge every process' tree into a single ordered union of rows.
+    // byKey[key][processId] = { present, label, visible, ... }
+    const byKey = {};
+    const unionPages = [];
+    const unionPageMap = {};
+    const placedControls = new Set();
+    const siblingLists = {}; // processId -> array of sibling key lists, used for relative order
+
+    for (const pid of processIds) {
+      const layout = processesData.find((p) => p.processId === pid).data.layouts[witRef];
+      const pages = indexLayout(layout);
+      const lists = [pages.map((pg) => pg.key)];
+
+      for (const page of pages) {
+        if (!byKey[page.key]) byKey[page.key] = {};
+        byKey[page.key][pid] = { present: true, id: page.id, label: page.label, visible: page.visible, inherited: page.inherited };
+        if (!unionPageMap[page.key]) {
+          unionPageMap[page.key] = { key: page.key, label: page.label, groups: [], groupMap: {} };
+          unionPages.push(unionPageMap[page.key]);
+        }
+        const unionPage = unionPageMap[page.key];
+        lists.push(page.groups.map((g) => g.key));
+
+        for (const group of page.groups) {
+          if (!byKey[group.key]) byKey[group.key] = {};
+          byKey[group.key][pid] = {
+            present: true,
+            id: group.id,
+            label: group.label,
+            pageId: page.id,
+            section: group.sectionId,
+            visible: group.visible,
+            inherited: group.inherited,
+          };
+          if (!unionPage.groupMap[group.key]) {
+            unionPage.groupMap[group.key] = { key: group.key, label: group.label, controls: [] };
+            unionPage.groups.push(unionPage.groupMap[group.key]);
+          }
+          lists.push(group.controls.map((c) => c.key));
+
+          for (const ctrl of group.controls) {
+            if (!byKey[ctrl.key]) byKey[ctrl.key] = {};
+            byKey[ctrl.key][pid] = {
+              present: true,
+              id: ctrl.id,
+              label: ctrl.label,
+              visible: ctrl.visible,
+              controlType: ctrl.controlType,
+              groupId: group.id,
+              location: ctrl.location,
+            };
+            // A control is listed under the group of the first process that has it
+            if (!placedControls.has(ctrl.key)) {
+              placedControls.add(ctrl.key);
+              unionPage.groupMap[group.key].controls.push({ key: ctrl.key, label: ctrl.label || ctrl.id });
+            }
+          }
+        }
+      }
+      siblingLists[pid] = lists;
+    }
+
+    // Relative order among siblings that every process has in the same parent
+    const inAll = (key) => {
+      const entries = processIds.map((pid) => byKey[key][pid]);
+      if (entries.some((e) => e === undefined)) return false;
+      return entries.every((e) => e.location === entries[0].location && e.section === entries[0].section);
+    };
+    for (const pid of processIds) {
+      for (const list of siblingLists[pid]) {
+        list.filter(inAll).forEach((key, index) => {
+          byKey[key][pid].order = index;
+        });
+      }
+    }
+
+    const rows = [];
+    for (const page of unionPages) {
+      rows.push({ key: page.key, level: 'page', label: page.label, path: page.label });
+      for (const group of page.groups) {
+        rows.push({ key: group.key, level: 'group', label: group.label, path: `${page.label} / ${group.label}` });
+        for (const ctrl of group.controls) {
+          rows.push({ key: ctrl.key, level: 'control', label: ctrl.label, path: `${page.label} / ${group.label} / ${ctrl.label}` });
+        }
+      }
+    }
+
+    const COMPARE_PROPS = {
+      page: ['visible', 'order'],
+      group: ['section', 'visible', 'order'],
+      control: ['location', 'label', 'visible', 'order'],
+    };
+
+    const differences = [];
+    for (const row of rows) {
+      const perProc = byKey[row.key];
+      const presentIn = processIds.filter((pid) => perProc[pid] !== undefined);
+      const missingFrom = processIds.filter((pid) => perProc[pid] === undefined);
+
+      const propertyDifferences = [];
+      if (presentIn.length > 1) {
+        for (const prop of COMPARE_PROPS[row.level]) {
+          const values = {};
+          for (const pid of presentIn) {
+            values[pid] = perProc[pid][prop] !== undefined ? perProc[pid][prop] : null;
+          }
+          const serialized = presentIn.map((pid) => JSON.stringify(values[pid]));
+          if (!serialized.every((v) => v === serialized[0])) {
+            // Order is only meaningful between siblings of the same parent
+            const moved = propertyDifferences.some((pd) => pd.property === 'location' || pd.property === 'section');
+            if (prop === 'order' && moved) continue;
+            propertyDifferences.push({ property: prop, values });
+          }
+        }
+      }
+
+      if (missingFrom.length > 0 || propertyDifferences.length > 0) {
+        differences.push({
+          key: row.key,
+          level: row.level,
+          label: row.label,
+          path: row.path,
+          presentIn,
+          missingFrom,
+          propertyDifferences,
+        });
+      }
+    }
+
+    byWorkItemType[witRef] = {
+      rows,
+      byKey,
+      differences,
+      witRefNames,
+    };
+  }
+
+  return { byWorkItemType };
+}
+
 /**
  * Compare process-level behaviors across all processes.
  *
@@ -522,13 +1026,130 @@ function compareWorkItemTypeBehaviors(processesData) {
 }
 
 /**
- * Normalize pulled process data so that fields, states, and WIT behaviors
+ * Diff a picklist's items against a reference list.
+ *
+ * @param {Array<string|number>} referenceItems
+ * @param {Array<string|number>} items
+ * @returns {{ added: Array, removed: Array, reordered: boolean }} `added` items are
+ *   only in `items`, `removed` only in the reference; `reordered` is true when
+ *   the items both lists share are in a different order
+ */
+function diffPicklistItems(referenceItems, items) {
+  const inReference = new Set(referenceItems);
+  const inItems = new Set(items);
+  const sharedInReference = referenceItems.filter((item) => inItems.has(item));
+  const sharedInItems = items.filter((item) => inReference.has(item));
+  return {
+    added: items.filter((item) => !inReference.has(item)),
+    removed: referenceItems.filter((item) => !inItems.has(item)),
+    reordered: JSON.stringify(sharedInReference) !== JSON.stringify(sharedInItems),
+  };
+}
+
+/**
+ * Compare the allowed values of picklist fields across all processes.
+ *
+ * Picklists belong to the organization, so they are compared per field
+ * reference name rather than per WIT. Each process's list is diffed against
+ * the first process that has one. A process that has the field without a
+ * picklist is listed in `missingFrom`; one that doesn't have the field at
+ * all is left out, since the field comparison already reports that.
+ *
+ * @param {Array<{ processId: string, data: object }>} processesData
+ * @returns {object} picklists comparison section
+ */
+function comparePicklists(processesData) {
+  // fieldRef -> display name, and fieldRef -> processes that have the field on any WIT
+  const fieldNames = {};
+  const fieldIn = {};
+  for (const proc of processesData) {
+    for (const fields of Object.values(proc.data.fields || {})) {
+      for (const field of fields) {
+        const ref = field.referenceName || field.name;
+        fieldNames[ref] = fieldNames[ref] || field.name || ref;
+        if (!fieldIn[ref]) {
+          fieldIn[ref] = new Set();
+        }
+        fieldIn[ref].add(proc.processId);
+      }
+    }
+  }
+
+  const byField = {};
+  for (const proc of processesData) {
+    for (const [fieldRef, picklist] of Object.entries(proc.data.picklists || {})) {
+      if (!byField[fieldRef]) {
+        byField[fieldRef] = {};
+      }
+      byField[fieldRef][proc.processId] = {
+        id: picklist.id,
+        name: picklist.name || '',
+        type: picklist.type || '',
+        isSuggested: !!picklist.isSuggested,
+        items: picklist.items || [],
+      };
+    }
+  }
+
+  const processIds = processesData.map((p) => p.processId);
+  const differences = [];
+
+  for (const [fieldRefName, procLists] of Object.entries(byField)) {
+    const withField = fieldIn[fieldRefName] || new Set(Object.keys(procLists));
+    const presentIn = processIds.filter((pid) => procLists[pid] !== undefined);
+    const missingFrom = processIds.filter((pid) => procLists[pid] === undefined && withField.has(pid));
+    const referenceId = presentIn[0];
+    const reference = procLists[referenceId];
+
+    const itemChanges = {};
+    for (const pid of presentIn.slice(1)) {
+      const change = diffPicklistItems(reference.items, procLists[pid].items);
+      if (change.added.length > 0 || change.removed.length > 0 || change.reordered) {
+        itemChanges[pid] = change;
+      }
+    }
+
+    const propertyDifferences = [];
+    for (const prop of ['type', 'isSuggested']) {
+      const values = {};
+      for (const pid of presentIn) {
+        values[pid] = procLists[pid][prop];
+      }
+      if (presentIn.some((pid) => values[pid] !== values[referenceId])) {
+        propertyDifferences.push({ property: prop, values });
+      }
+    }
+
+    if (missingFrom.length > 0 || Object.keys(itemChanges).length > 0 || propertyDifferences.length > 0) {
+      differences.push({
+        fieldRefName,
+        fieldName: fieldNames[fieldRefName] || fieldRefName,
+        referenceId,
+        presentIn,
+        missingFrom,
+        itemChanges,
+        propertyDifferences,
+      });
+    }
+  }
+
+  const all = Object.keys(byField).sort();
+  return {
+    all,
+    fieldNames: Object.fromEntries(all.map((ref) => [ref, fieldNames[ref] || ref])),
+    byField,
+    differences,
+  };
+}
+
+/**
+ * Normalize pulled process data so that fields, states, rules, and WIT behaviors
  * are available as flat objects keyed by WIT refname, in addition to being
  * nested inside workItemTypes[].
  *
  * The pull endpoint stores everything inside workItemTypes[], but the
- * comparison functions expect proc.data.fields, proc.data.states, and
- * proc.data.workItemTypeBehaviors as top-level objects.
+ * comparison functions expect proc.data.fields, proc.data.states,
+ * proc.data.rules, and proc.data.workItemTypeBehaviors as top-level objects.
  */
 function normalizeProcessData(processesData) {
   for (const proc of processesData) {
@@ -542,6 +1163,9 @@ function normalizeProcessData(processesData) {
     if (!data.workItemTypeBehaviors) {
       data.workItemTypeBehaviors = {};
     }
+    if (!data.rules) {
+      data.rules = {};
+    }
     if (!data.layouts) {
       data.layouts = {};
     }
@@ -555,6 +1179,9 @@ function normalizeProcessData(processesData) {
       if (wit.states && wit.states.length > 0 && !data.states[displayName]) {
         data.states[displayName] = wit.states;
       }
+      if (wit.rules && wit.rules.length > 0 && !data.rules[displayName]) {
+        data.rules[displayName] = wit.rules;
+      }
       if (wit.behaviors && wit.behaviors.length > 0 && !data.workItemTypeBehaviors[displayName]) {
         data.workItemTypeBehaviors[displayName] = wit.behaviors;
       }
@@ -568,17 +1195,20 @@ function normalizeProcessData(processesData) {
 /**
  * Run the full comparison analysis across all loaded process data sets.
  *
- * @param {Array<{ connectionId: string, processId: string, data: object }>} processesData
+ * @param {Array<{ connectionId: string, processId: string, data: object, snapshotId?: string }>} processesData
  * @returns {object} Full comparison result
  */
 function runComparison(processesData) {
-  // Ensure fields/states/workItemTypeBehaviors are available at the top level
+  // Ensure fields/states/rules/workItemTypeBehaviors are available at the top level
   normalizeProcessData(processesData);
   const workItemTypes = compareWorkItemTypes(processesData);
   const fields = compareFields(processesData);
   const states = compareStates(processesData);
+  const rules = compareRules(processesData);
+  const layouts = compareLayouts(processesData);
   const behaviors = compareBehaviors(processesData);
   const workItemTypeBehaviors = compareWorkItemTypeBehaviors(processesData);
+  const picklists = comparePicklists(processesData);
 
   // Count field differences across all WITs
   let fieldDiffCount = 0;
@@ -592,6 +1222,18 @@ function runComparison(processesData) {
     stateDiffCount += witData.differences.length;
   }
 
+  // Count rule differences across all WITs
+  let ruleDiffCount = 0;
+  for (const witData of Object.values(rules.byWorkItemType)) {
+    ruleDiffCount += witData.differences.length;
+  }
+
+  // Count layout differences across all WITs
+  let layoutDiffCount = 0;
+  for (const witData of Object.values(layouts.byWorkItemType)) {
+    layoutDiffCount += witData.differences.length;
+  }
+
   // Count WIT behavior differences across all WITs
   let witBehaviorDiffCount = 0;
   for (const witData of Object.values(workItemTypeBehaviors.byWorkItemType)) {
@@ -600,15 +1242,20 @@ function runComparison(processesData) {
 
   const witDifferences = workItemTypes.differences.length;
   const behaviorDifferences = behaviors.differences.length;
+  const picklistDifferences = picklists.differences.length;
 
   const summary = {
     totalDifferences:
-      witDifferences + fieldDiffCount + stateDiffCount + behaviorDifferences + witBehaviorDiffCount,
+      witDifferences + fieldDiffCount + stateDiffCount + ruleDiffCount + layoutDiffCount +
+      behaviorDifferences + witBehaviorDiffCount + picklistDifferences,
     witDifferences,
     fieldDifferences: fieldDiffCount,
     stateDifferences: stateDiffCount,
+    ruleDifferences: ruleDiffCount,
+    layoutDifferences: layoutDiffCount,
     behaviorDifferences,
     witBehaviorDifferences: witBehaviorDiffCount,
+    picklistDifferences,
   };
 
   const processes = processesData.map((p) => ({
@@ -616,6 +1263,8 @@ function runComparison(processesData) {
     processId: p.processId,
     processName: (p.data.process && p.data.process.name) || p.processId,
     orgUrl: (p.data.process && p.data.process.orgUrl) || p.data.orgUrl || null,
+    pulledAt: p.data.pulledAt || null,
+    ...(p.snapshotId ? { snapshotId: p.snapshotId, snapshotAt: tempStorage.snapshotTime(p.snapshotId) } : {}),
   }));
 
   return {
@@ -624,20 +1273,433 @@ function runComparison(processesData) {
       workItemTypes,
       fields,
       states,
+      rules,
+      layouts,
       behaviors,
       workItemTypeBehaviors,
+      picklists,
       summary,
     },
   };
 }
 
+/**
+ * Whether a reference name belongs to Azure DevOps itself rather than to a
+ * process customization. System items can't be removed from a process.
+ * @param {string} ref
+ * @returns {boolean}
+ */
+function isSystemRef(ref) {
+  return /^(System|Microsoft\.VSTS)\./.test(ref || '');
+}
+
+/**
+ * Build an editor `changes` object that makes the target process look like
+ * the source process, from a runComparison() result.
+ *
+ * In `additive` mode only additions and updates are emitted; `mirror` mode
+ * also removes what the target has and the source doesn't. Differences that
+ * can't be expressed as a change set (behavior definitions, control placement,
+ * system items that can't be removed) are returned as human-readable notes.
+ *
+ * @param {object} result           - { processes, comparison } from runComparison()
+ * @param {string} sourceId         - Process ID to copy from
+ * @param {string} targetId         - Process ID to change
+ * @param {object} [options]
+ * @param {'additive'|'mirror'} [options.mode='additive']
+ * @returns {{ changes: object, notes: string[] }}
+ */
+function buildSyncChanges(result, sourceId, targetId, { mode = 'additive' } = {}) {
+  const comp = result.comparison;
+  const mirror = mode === 'mirror';
+  const notes = [];
+  const changes = {
+    workItemTypes: { add: [], update: [], remove: [] },
+    fields: {},
+    states: {},
+    rules: {},
+    layout: {},
+    behaviors: {},
+    workItemTypeBehaviors: {},
+  };
+
+  // Lazily create the per-WIT { add, update, remove } bucket of a section;
+  // states also get hide and unhide
+  const opsFor = (section, witRefName) => {
+    if (!changes[section][witRefName]) {
+      changes[section][witRefName] = section === 'states'
+        ? { add: [], update: [], remove: [], hide: [], unhide: [] }
+        : { add: [], update: [], remove: [] };
+    }
+    return changes[section][witRefName];
+  };
+  const differs = (values, prop) => values && JSON.stringify(values[sourceId]) !== JSON.stringify(values[targetId]);
+
+  // --- Work item types ---
+  const createdWits = new Set();
+  for (const witName of comp.workItemTypes.all || []) {
+    const perProc = comp.workItemTypes.byName[witName] || {};
+    const src = perProc[sourceId];
+    const tgt = perProc[targetId];
+    if (src && !tgt) {
+      changes.workItemTypes.add.push({
+        name: witName,
+        description: src.description,
+        color: src.color,
+        icon: src.icon,
+        isDisabled: src.isDisabled,
+      });
+      createdWits.add(witName);
+    } else if (src && tgt) {
+      const updates = {};
+      for (const prop of ['description', 'color', 'icon', 'isDisabled']) {
+        if (src[prop] !== tgt[prop]) updates[prop] = src[prop];
+      }
+      if (Object.keys(updates).length === 0) continue;
+      if (isSystemRef(tgt.referenceName)) {
+        notes.push(`"${witName}" differs in ${Object.keys(updates).join(', ')} but is not customized in the target; customize it there first`);
+      } else {
+        changes.workItemTypes.update.push({ witRefName: tgt.referenceName, ...updates });
+      }
+    } else if (!src && tgt && mirror) {
+      if (isSystemRef(tgt.referenceName)) {
+        notes.push(`"${witName}" only exists in the target but is a system work item type and can't be removed`);
+      } else {
+        changes.workItemTypes.remove.push(tgt.referenceName);
+      }
+    }
+  }
+  for (const witName of createdWits) {
+    notes.push(`"${witName}" is created by this change set; sync again after applying to bring over its fields, states, rules and layout`);
+  }
+
+  // Resolve the target refname of a WIT section, or null when it doesn't exist yet
+  const targetWit = (witRefNames) => (witRefNames && witRefNames[targetId]) || null;
+
+  // --- Fields ---
+  for (const [witName, witData] of Object.entries(comp.fields.byWorkItemType || {})) {
+    const witRefName = targetWit(witData.witRefNames);
+    if (!witRefName || !witData.witRefNames[sourceId]) continue;
+    let layoutDiffs = 0;
+    for (const diff of witData.differences) {
+      const perProc = witData.byField[diff.fieldName] || {};
+      const src = perProc[sourceId];
+      const tgt = perProc[targetId];
+      if (src && !tgt) {
+        const field = { referenceName: src.referenceName, required: src.required, readOnly: src.readOnly };
+        if (src.defaultValue !== null) field.defaultValue = src.defaultValue;
+        opsFor('fields', witRefName).add.push(field);
+      } else if (src && tgt) {
+        const updates = {};
+        for (const pd of diff.propertyDifferences) {
+          if (['required', 'readOnly', 'defaultValue'].includes(pd.property) && differs(pd.values)) {
+            updates[pd.property] = pd.values[sourceId];
+          } else if (['onLayout', 'layoutVisible'].includes(pd.property) && differs(pd.values)) {
+            layoutDiffs++;
+          }
+        }
+        if (Object.keys(updates).length > 0) {
+          opsFor('fields', witRefName).update.push({ fieldRefName: tgt.referenceName, ...updates });
+        }
+      } else if (!src && tgt && mirror) {
+        if (isSystemRef(tgt.referenceName)) {
+          notes.push(`Field "${tgt.referenceName}" on "${witName}" is inherited in the target and can't be removed`);
+        } else {
+          opsFor('fields', witRefName).remove.push(tgt.referenceName);
+        }
+      }
+    }
+    if (layoutDiffs > 0) {
+      notes.push(`${layoutDiffs} field placement/visibility difference(s) on "${witName}" are not synced; adjust those controls in the Fields tab`);
+    }
+  }
+
+  // --- States ---
+  for (const [witName, witData] of Object.entries(comp.states.byWorkItemType || {})) {
+    const witRefName = targetWit(witData.witRefNames);
+    if (!witRefName || !witData.witRefNames[sourceId]) continue;
+    for (const diff of witData.differences) {
+      const perProc = witData.byState[diff.stateName] || {};
+      const src = perProc[sourceId];
+      const tgt = perProc[targetId];
+      if (src && !tgt) {
+        const state = { name: src.name, color: src.color, stateCategory: src.stateCategory };
+        if (src.order !== null) state.order = src.order;
+        opsFor('states', witRefName).add.push(state);
+      } else if (src && tgt) {
+        const hiddenDiff = diff.propertyDifferences.find((pd) => pd.property === 'hidden');
+        if (hiddenDiff && differs(hiddenDiff.values)) {
+          if (tgt.customizationType === 'custom') {
+            notes.push(`State "${diff.stateName}" on "${witName}" is ${src.hidden ? 'hidden' : 'shown'} in the source but is a custom state in the target, which can't be hidden`);
+          } else {
+            opsFor('states', witRefName)[src.hidden ? 'hide' : 'unhide'].push(tgt.id);
+          }
+        }
+        const updates = {};
+        for (const pd of diff.propertyDifferences) {
+          if (['color', 'stateCategory', 'order'].includes(pd.property) && differs(pd.values)) {
+            updates[pd.property] = pd.values[sourceId];
+          }
+        }
+        if (Object.keys(updates).length === 0) continue;
+        if (tgt.customizationType !== 'custom') {
+          notes.push(`State "${diff.stateName}" on "${witName}" differs in ${Object.keys(updates).join(', ')} but is inherited in the target and can't be edited`);
+        } else {
+          opsFor('states', witRefName).update.push({ stateId: tgt.id, ...updates });
+        }
+      } else if (!src && tgt && mirror) {
+        if (tgt.customizationType !== 'custom') {
+          notes.push(`State "${diff.stateName}" on "${witName}" is inherited in the target and can't be removed`);
+        } else {
+          opsFor('states', witRefName).remove.push(tgt.id);
+        }
+      }
+    }
+  }
+
+  // --- Rules ---
+  for (const [witName, witData] of Object.entries(comp.rules.byWorkItemType || {})) {
+    const witRefName = targetWit(witData.witRefNames);
+    if (!witRefName || !witData.witRefNames[sourceId]) continue;
+    for (const diff of witData.differences) {
+      const perProc = witData.byRule[diff.ruleKey] || {};
+      const src = perProc[sourceId];
+      const tgt = perProc[targetId];
+      const addRule = (count) => {
+        for (let i = 0; i < count; i++) {
+          opsFor('rules', witRefName).add.push({
+            name: src.name || syncedRuleName(diff.actions),
+            conditions: diff.conditions,
+            actions: diff.actions,
+            isDisabled: src.isDisabled,
+          });
+        }
+      };
+      // Remove custom copies of a rule from the target; system copies can only be disabled
+      const removeRule = (count, note) => {
+        const custom = tgt.copies.filter((c) => c.customizationType === 'custom');
+        for (const copy of custom.slice(-count)) {
+          opsFor('rules', witRefName).remove.push(copy.id);
+        }
+        if (custom.length < count) {
+          notes.push(note);
+        }
+      };
+
+      if (diff.kind !== 'divergent') {
+        if (src && !tgt) {
+          addRule(src.count);
+        } else if (!src && tgt && mirror) {
+          removeRule(tgt.count, `System rule "${diff.ruleName}" on "${witName}" only exists in the target; system rules can only be disabled`);
+        }
+        continue;
+      }
+
+      for (const pd of diff.propertyDifferences) {
+        if (pd.property === 'isDisabled' && tgt && differs(pd.values)) {
+          opsFor('rules', witRefName).update.push({
+            ruleId: tgt.id,
+            name: tgt.name,
+            conditions: diff.conditions,
+            actions: diff.actions,
+            isDisabled: pd.values[sourceId],
+          });
+        } else if (pd.property === 'count' && src && tgt) {
+          // The same rule is defined a different number of times
+          const surplus = pd.values[targetId] - pd.values[sourceId];
+          if (surplus < 0) {
+            addRule(-surplus);
+          } else if (surplus > 0 && mirror) {
+            removeRule(surplus, `Rule "${diff.ruleName}" on "${witName}" has extra system copies in the target; system rules can only be disabled`);
+          }
+        } else if (pd.property === 'actions' && pd.values[sourceId] && pd.values[targetId]) {
+          // Same conditions, different actions: rewrite the target rule in place
+          const targetKeys = Object.keys(witData.byRule).filter(
+            (key) => key.startsWith(`${diff.ruleKey}=>`) && witData.byRule[key][targetId]
+          );
+          const rewrite = targetKeys.length === 1 ? witData.byRule[targetKeys[0]][targetId] : null;
+          if (!rewrite || rewrite.count !== 1 || rewrite.customizationType !== 'custom') {
+            notes.push(`Rule "${diff.ruleName}" on "${witName}" has different actions but can't be rewritten automatically in the target`);
+          } else {
+            opsFor('rules', witRefName).update.push({
+              ruleId: rewrite.id,
+              name: rewrite.name,
+              conditions: diff.conditions,
+              actions: pd.values[sourceId],
+              isDisabled: rewrite.isDisabled,
+            });
+          }
+        }
+      }
+    }
+  }
+
+  // --- Layout (pages, groups and control visibility; controls follow their fields) ---
+  for (const [witName, witData] of Object.entries(comp.layouts.byWorkItemType || {})) {
+    const witRefName = targetWit(witData.witRefNames);
+    if (!witRefName || !witData.witRefNames[sourceId]) continue;
+    const diffByKey = {};
+    for (const diff of witData.differences) diffByKey[diff.key] = diff;
+    const layoutOps = {
+      pages: { add: [], update: [], remove: [] },
+      groups: { add: [], update: [], move: [], hide: [], remove: [] },
+      controls: { hide: [], unhide: [] },
+    };
+    let controlDiffs = 0;
+    let pageLabel = null;
+
+    for (const row of witData.rows) {
+      const src = witData.byKey[row.key][sourceId];
+      const tgt = witData.byKey[row.key][targetId];
+      // The editor resolves pages and groups by label, which finds the first
+      // one; a repeated label (numbered key) is referenced by its target id
+      const repeated = row.level === 'page' ? row.key !== `page:${row.label}` : !row.key.endsWith(`/${row.label}`);
+      const ref = repeated && tgt ? tgt.id : row.label;
+      if (row.level === 'page') pageLabel = ref;
+      const diff = diffByKey[row.key];
+      if (!diff) continue;
+      if (row.level === 'control') {
+        const visibleDiff = src && tgt && diff.propertyDifferences.find((pd) => pd.property === 'visible' && differs(pd.values));
+        if (visibleDiff) {
+          layoutOps.controls[src.visible ? 'unhide' : 'hide'].push({ control: tgt.id, group: tgt.groupId });
+        }
+        if (!visibleDiff || diff.propertyDifferences.some((pd) => pd.property !== 'visible' && differs(pd.values))) {
+          controlDiffs++;
+        }
+        continue;
+      }
+      if (src && !tgt) {
+        if (row.level === 'page') {
+          layoutOps.pages.add.push({ label: row.label, visible: src.visible });
+        } else {
+          layoutOps.groups.add.push({ page: pageLabel, section: src.section, label: row.label, visible: src.visible });
+        }
+      } else if (src && tgt) {
+        for (const pd of diff.propertyDifferences) {
+          if (!differs(pd.values)) continue;
+          if (pd.property === 'visible' && row.level === 'page') {
+            layoutOps.pages.update.push({ page: ref, visible: src.visible });
+          } else if (pd.property === 'visible') {
+            layoutOps.groups.update.push({ group: ref, page: pageLabel, visible: src.visible });
+          } else if (pd.property === 'section') {
+            layoutOps.groups.move.push({ group: ref, page: pageLabel, toSection: src.section });
+          }
+        }
+      } else if (!src && tgt && mirror) {
+        // Inherited pages and groups can't be removed; groups can be hidden instead
+        if (row.level === 'page' && tgt.inherited) {
+          notes.push(`Page "${row.label}" on the "${witName}" form is inherited in the target and can't be removed`);
+        } else if (row.level === 'page') {
+          layoutOps.pages.remove.push(ref);
+        } else if (tgt.inherited) {
+          if (tgt.visible) layoutOps.groups.hide.push({ group: ref, page: pageLabel });
+        } else {
+          layoutOps.groups.remove.push({ group: ref, page: pageLabel });
+        }
+      }
+    }
+
+    const hasOps = [layoutOps.pages, layoutOps.groups, layoutOps.controls].some((ops) => Object.values(ops).some((list) => list.length > 0));
+    if (hasOps) changes.layout[witRefName] = layoutOps;
+    if (controlDiffs > 0) {
+      notes.push(`${controlDiffs} control difference(s) on the "${witName}" form are not synced; fields added by this change set are placed on the form automatically`);
+    }
+  }
+
+  // --- Behaviors ---
+  // The comparison only carries behavior names, which isn't enough to create one.
+  for (const diff of comp.behaviors.differences || []) {
+    const inSource = diff.presentIn.includes(sourceId);
+    const inTarget = diff.presentIn.includes(targetId);
+    if (inSource && !inTarget) {
+      notes.push(`Behavior "${diff.behaviorName}" is missing from the target; create it in the editor before syncing WIT behaviors`);
+    } else if (!inSource && inTarget && mirror) {
+      notes.push(`Behavior "${diff.behaviorName}" only exists in the target; remove it in the editor if it is no longer used`);
+    }
+  }
+
+  // --- Work item type behaviors ---
+  for (const [witName, witData] of Object.entries(comp.workItemTypeBehaviors.byWorkItemType || {})) {
+    const perProc = comp.workItemTypes.byName[witName] || {};
+    if (!perProc[sourceId] || !perProc[targetId]) continue;
+    const witRefName = perProc[targetId].referenceName;
+    for (const diff of witData.differences) {
+      const inSource = diff.presentIn.includes(sourceId);
+      const inTarget = diff.presentIn.includes(targetId);
+      if (inSource && !inTarget) {
+        opsFor('workItemTypeBehaviors', witRefName).add.push({ behavior: { id: diff.behaviorId }, isDefault: false });
+      } else if (inSource && inTarget) {
+        const pd = diff.propertyDifferences.find((d) => d.property === 'isDefault');
+        if (pd && differs(pd.values)) {
+          opsFor('workItemTypeBehaviors', witRefName).update.push({ behaviorId: diff.behaviorId, isDefault: pd.values[sourceId] });
+        }
+      } else if (!inSource && inTarget && mirror) {
+        opsFor('workItemTypeBehaviors', witRefName).remove.push(diff.behaviorId);
+      }
+    }
+  }
+
+  // --- Picklists (organization-level, so not part of a process change set) ---
+  const picklists = comp.picklists || { byField: {} };
+  for (const [fieldRefName, procLists] of Object.entries(picklists.byField)) {
+    const src = procLists[sourceId];
+    const tgt = procLists[targetId];
+    if (src && tgt && (JSON.stringify(src.items) !== JSON.stringify(tgt.items) || src.isSuggested !== tgt.isSuggested)) {
+      notes.push(`The picklist values of "${fieldRefName}" differ; use Sync values in the Picklists tab to copy them`);
+    }
+  }
+
+  return { changes, notes };
+}
+
+/**
+ * Load the processes named in a compare request. Entries with a `snapshotId`
+ * are read from that snapshot instead of the current pulled data, and are
+ * keyed as `processId@snapshotId` so a process can be compared with an older
+ * copy of itself.
+ * @param {Array<{ connectionId: string, processId: string, snapshotId?: string }>} processes
+ * @returns {Promise<{ loaded: Array<object>, missing: Array<object> }>}
+ */
+async function loadProcesses(processes) {
+  const loaded = [];
+  const missing = [];
+  const seen = new Set();
+
+  for (const { connectionId, processId, snapshotId } of processes) {
+    if (!connectionId || !processId) {
+      const err = new Error('Each process entry must include connectionId and processId');
+      err.statusCode = 400;
+      throw err;
+    }
+    const key = snapshotId ? `${processId}@${snapshotId}` : processId;
+    if (seen.has(key)) {
+      const err = new Error(`Process listed more than once: ${key}`);
+      err.statusCode = 400;
+      throw err;
+    }
+    seen.add(key);
+
+    const data = snapshotId
+      ? await tempStorage.getSnapshot(connectionId, processId, snapshotId)
+      : await tempStorage.getProcessData(connectionId, processId);
+    if (!data) {
+      missing.push(snapshotId ? { connectionId, processId, snapshotId } : { connectionId, processId });
+    } else {
+      loaded.push({ connectionId, processId: key, data, snapshotId });
+    }
+  }
+
+  return { loaded, missing };
+}
+
 // ---------------------------------------------------------------------------
 // Routes
 // ---------------------------------------------------------------------------
 
 /**
  * POST /compare - Compare two or more processes.
- * Body: { processes: [{ connectionId, processId }, ...] }
+ * Body: { processes: [{ connectionId, processId, snapshotId? }, ...] }
+ * Snapshot entries appear in the result with processId `processId@snapshotId`.
  */
 router.post('/compare', async (req, res) => {
   try {
@@ -649,28 +1711,11 @@ router.post('/compare', async (req, res) => {
         .json({ error: 'At least two processes are required for comparison' });
     }
 
-    // Load each process from temp storage
-    const loaded = [];
-    const missing = [];
-
-    for (const { connectionId, processId } of processes) {
-      if (!connectionId || !processId) {
-        return res
-          .status(400)
-          .json({ error: 'Each process entry must include connectionId and processId' });
-      }
-
-      const data = await tempStorage.getProcessData(connectionId, processId);
-      if (!data) {
-        missing.push({ connectionId, processId });
-      } else {
-        loaded.push({ connectionId, processId, data });
-      }
-    }
+    const { loaded, missing } = await loadProcesses(processes);
 
     if (missing.length > 0) {
       const descriptions = missing
-        .map((m) => `connectionId="${m.connectionId}", processId="${m.processId}"`)
+        .map((m) => `connectionId="${m.connectionId}", processId="${m.processId}"${m.snapshotId ? `, snapshotId="${m.snapshotId}"` : ''}`)
         .join('; ');
       return res.status(400).json({
         error: `The following processes need to be pulled first: ${descriptions}`,
@@ -681,13 +1726,13 @@ router.post('/compare', async (req, res) => {
     const result = runComparison(loaded);
     res.json(result);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.statusCode || 500).json({ error: err.message });
   }
 });
 
 /**
  * POST /compare/summary - Quick summary comparison.
- * Body: { processes: [{ connectionId, processId }, ...] }
+ * Body: { processes: [{ connectionId, processId, snapshotId? }, ...] }
  * Returns only the summary counts.
  */
 router.post('/compare/summary', async (req, res) => {
@@ -700,27 +1745,11 @@ router.post('/compare/summary', async (req, res) => {
         .json({ error: 'At least two processes are required for comparison' });
     }
 
-    const loaded = [];
-    const missing = [];
-
-    for (const { connectionId, processId } of processes) {
-      if (!connectionId || !processId) {
-        return res
-          .status(400)
-          .json({ error: 'Each process entry must include connectionId and processId' });
-      }
-
-      const data = await tempStorage.getProcessData(connectionId, processId);
-      if (!data) {
-        missing.push({ connectionId, processId });
-      } else {
-        loaded.push({ connectionId, processId, data });
-      }
-    }
+    const { loaded, missing } = await loadProcesses(processes);
 
     if (missing.length > 0) {
       const descriptions = missing
-        .map((m) => `connectionId="${m.connectionId}", processId="${m.processId}"`)
+        .map((m) => `connectionId="${m.connectionId}", processId="${m.processId}"${m.snapshotId ? `, snapshotId="${m.snapshotId}"` : ''}`)
         .join('; ');
       return res.status(400).json({
         error: `The following processes need to be pulled first: ${descriptions}`,
@@ -734,8 +1763,96 @@ router.post('/compare/summary', async (req, res) => {
       summary: result.comparison.summary,
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /archive - Compare a process ZIP with pulled processes, without a connection.
+ * Body: the ZIP itself (Content-Type application/zip or application/octet-stream).
+ * Query: connectionId, processId, snapshotId? (repeat connectionId/processId to compare with several)
+ * The archive appears in the result with processId `archive` and `archive: true`.
+ */
+router.post('/archive', express.raw({ type: ['application/zip', 'application/octet-stream'], limit: '50mb' }), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Send the process ZIP as the request body (Content-Type: application/zip)' });
+    }
+    const asList = (value) => (value === undefined ? [] : [].concat(value));
+    const connectionIds = asList(req.query.connectionId);
+    const processIds = asList(req.query.processId);
+    const snapshotIds = asList(req.query.snapshotId);
+    if (processIds.length === 0 || connectionIds.length !== processIds.length) {
+      return res.status(400).json({ error: 'connectionId and processId are required for each process to compare with' });
+    }
+
+    const archive = readProcessArchive(req.body);
+    const { loaded, missing } = await loadProcesses(processIds.map((processId, i) => ({
+      connectionId: connectionIds[i],
+      processId,
+      snapshotId: snapshotIds[i] || undefined,
+    })));
+    if (missing.length > 0) {
+      const descriptions = missing
+        .map((m) => `connectionId="${m.connectionId}", processId="${m.processId}"${m.snapshotId ? `, snapshotId="${m.snapshotId}"` : ''}`)
+        .join('; ');
+      return res.status(400).json({
+        error: `The following processes need to be pulled first: ${descriptions}`,
+        missing,
+      });
+    }
+
+    const result = runComparison([{ connectionId: null, processId: 'archive', data: archive }, ...loaded]);
+    result.processes[0].archive = true;
+    console.log(`[comparison/archive] Compared ${archive.workItemTypes.length} work item type(s) from an archive with ${loaded.length} process(es)`);
+    res.json(result);
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /sync - Generate a change set that makes the target process look like
+ * the source process.
+ * Body: { comparison: <result of /compare>, source: { connectionId, processId },
+ *         target: { connectionId, processId }, mode: 'additive' | 'mirror' }
+ * Returns { target, mode, changes, notes }; `changes` is accepted as-is by
+ * /editor/preview and /editor/apply.
+ */
+router.post('/sync', (req, res) => {
+  try {
+    const { comparison: result, source, target, mode = 'additive' } = req.body;
+
+    if (!result || !result.comparison || !source || !target) {
+      return res.status(400).json({ error: 'comparison, source and target are required' });
+    }
+    if (!['additive', 'mirror'].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be "additive" or "mirror"' });
+    }
+    if (source.processId === target.processId) {
+      return res.status(400).json({ error: 'source and target must be different processes' });
+    }
+    const compared = (result.processes || []).map((p) => p.processId);
+    const notCompared = [source, target].filter((p) => !compared.includes(p.processId));
+    if (notCompared.length > 0) {
+      return res.status(400).json({
+        error: `Process not part of the comparison: ${notCompared.map((p) => p.processId).join(', ')}`,
+      });
+    }
+
+    const targetEntry = result.processes.find((p) => p.processId === target.processId);
+    if (targetEntry.snapshotId || targetEntry.archive) {
+      return res.status(400).json({ error: 'The sync target must be a live process, not a snapshot or archive' });
+    }
+
+    const { changes, notes } = buildSyncChanges(result, source.processId, target.processId, { mode });
+    res.json({ target, mode, changes, notes });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
   }
 });
 
 module.exports = router;
+// Used by the drift check in routes/processes.js and template import in routes/editor.js
+module.exports.runComparison = runComparison;
+module.exports.buildSyncChanges = buildSyncChanges;
@@ -2,13 +2,16 @@ const express = require('express');
 const router = express.Router();
 const configManager = require('../services/configManager');
 const AzureDevOpsService = require('../services/azureDevOps');
+const requestThrottle = require('../services/requestThrottle');
+const { createCredentialProvider, validateAuth, listCredentialSources, clearTokenCache } = require('../services/credentialProviders');
 
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
 
 /**
- * Mask a PAT string, showing only the last 4 characters.
+ * Mask a PAT string, showing only the last 4 characters. A PAT that can't be
+ * read because the store is locked is fully masked.
  * @param {string} pat - Personal Access Token
  * @returns {string} Masked PAT (e.g. "****abcd")
  */
@@ -18,18 +21,98 @@ function maskPat(pat) {
 }
 
 /**
- * Return a shallow copy of a connection with the PAT masked.
- * @param {{ id: string, name: string, orgUrl: string, pat: string }} conn
- * @returns {{ id: string, name: string, orgUrl: string, pat: string }}
+ * Return a shallow copy of a connection with the PAT and any client secret masked.
+ * @param {{ id: string, name: string, orgUrl: string, pat?: string, auth?: object }} conn
+ * @returns {{ id: string, name: string, orgUrl: string, pat?: string, auth?: object }}
  */
 function sanitizeConnection(conn) {
-  return { ...conn, pat: maskPat(conn.pat) };
+  const sanitized = { ...conn };
+  if ('pat' in conn) sanitized.pat = maskPat(conn.pat);
+  if (conn.auth && 'clientSecret' in conn.auth) {
+    sanitized.auth = { ...conn.auth, clientSecret: maskPat(conn.auth.clientSecret) };
+  }
+  return sanitized;
+}
+
+/**
+ * Whether a secret sent by the client is a masked value echoed back from a
+ * list or get response, i.e. left unchanged.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isMasked(value) {
+  return typeof value === 'string' && value.startsWith('****');
 }
 
 // ---------------------------------------------------------------------------
 // Routes
 // ---------------------------------------------------------------------------
 
+/**
+ * GET /security - How PATs are stored: { encrypted, keySource, locked, plaintextCount, keyFile }.
+ */
+router.get('/security', async (req, res) => {
+  try {
+    res.json(await configManager.getSecurityStatus());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /security/encrypt - Set up PAT encryption and encrypt the stored PATs.
+ * Body: { passphrase } or { keyFile: true } to use a generated local key file.
+ */
+router.post('/security/encrypt', async (req, res) => {
+  try {
+    const { passphrase, keyFile } = req.body;
+    const migrated = await configManager.enableEncryption({ passphrase, keyFile: !!keyFile });
+    console.log(`[connections/security] Encryption set up (${keyFile ? 'key file' : 'passphrase'}), ${migrated} credential(s) encrypted`);
+    res.json({ ...(await configManager.getSecurityStatus()), migrated });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /security/unlock - Unlock the stored PATs for this server run.
+ * Body: { passphrase } (not needed when a key file is used)
+ */
+router.post('/security/unlock', async (req, res) => {
+  try {
+    const migrated = await configManager.unlock(req.body.passphrase);
+    console.log('[connections/security] Stored PATs unlocked');
+    res.json({ ...(await configManager.getSecurityStatus()), migrated });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /security/lock - Forget the key until the next unlock.
+ */
+router.post('/security/lock', async (req, res) => {
+  try {
+    configManager.lock();
+    console.log('[connections/security] Stored PATs locked');
+    res.json(await configManager.getSecurityStatus());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /credential-sources - Credential sources configured on the server:
+ * { sources: [{ name, type, kind }] }. Their settings are not returned.
+ */
+router.get('/credential-sources', async (req, res) => {
+  try {
+    res.json({ sources: await listCredentialSources() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * GET / - List all connections (PATs masked).
  */
@@ -53,32 +136,43 @@ router.get('/:id', async (req, res) => {
     }
     res.json(sanitizeConnection(connection));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.statusCode || 500).json({ error: err.message });
   }
 });
 
 /**
  * POST / - Create a new connection.
- * Body: { name, orgUrl, pat }
+ * Body: { name, orgUrl, pat } for a static PAT, or { name, orgUrl, auth } for
+ * another credential provider (auth.type: envPat, bearerToken, servicePrincipal).
+ * envPat and bearerToken connections name a server-side source in auth.source.
  */
 router.post('/', async (req, res) => {
   try {
     const { name, orgUrl, pat } = req.body;
+    const auth = req.body.auth ? await validateAuth(req.body.auth) : null;
+    const usesPat = !auth || auth.type === 'pat';
 
-    if (!name || !orgUrl || !pat) {
-      return res.status(400).json({ error: 'name, orgUrl, and pat are required' });
+    if (!name || !orgUrl || (usesPat && !pat)) {
+      return res.status(400).json({ error: usesPat ? 'name, orgUrl, and pat are required' : 'name and orgUrl are required' });
     }
 
-    const connection = await configManager.addConnection({ name, orgUrl, pat });
+    const connection = await configManager.addConnection({
+      name,
+      orgUrl,
+      pat: usesPat ? pat : undefined,
+      auth: auth && auth.type !== 'pat' ? auth : undefined,
+    });
     res.status(201).json(sanitizeConnection(connection));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.statusCode || 500).json({ error: err.message });
   }
 });
 
 /**
  * PUT /:id - Update an existing connection.
- * Body can include: { name, orgUrl, pat }
+ * Body can include: { name, orgUrl, pat, auth }. Masked secrets (as returned
+ * by GET) are ignored, so a form can send them back unchanged. Switching
+ * away from a static PAT removes the stored PAT.
  */
 router.put('/:id', async (req, res) => {
   try {
@@ -86,15 +180,27 @@ router.put('/:id', async (req, res) => {
     const updates = {};
     if (name !== undefined) updates.name = name;
     if (orgUrl !== undefined) updates.orgUrl = orgUrl;
-    if (pat !== undefined) updates.pat = pat;
+    if (pat !== undefined && !isMasked(pat)) updates.pat = pat;
+    if (req.body.auth !== undefined) {
+      const auth = { ...req.body.auth };
+      if (isMasked(auth.clientSecret)) delete auth.clientSecret;
+      const normalized = await validateAuth(auth, { requireSecret: false });
+      if (normalized.type === 'pat') {
+        updates.auth = undefined;
+      } else {
+        updates.auth = normalized;
+        updates.pat = null;
+      }
+    }
 
     const connection = await configManager.updateConnection(req.params.id, updates);
     if (!connection) {
       return res.status(404).json({ error: 'Connection not found' });
     }
+    clearTokenCache();
     res.json(sanitizeConnection(connection));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.statusCode || 500).json({ error: err.message });
   }
 });
 
@@ -123,7 +229,15 @@ router.post('/:id/test', async (req, res) => {
       return res.status(404).json({ error: 'Connection not found' });
     }
 
-    const service = new AzureDevOpsService(connection.orgUrl, connection.pat);
+    // Getting the credentials first reports why they can't be had, e.g. a missing token file
+    const provider = createCredentialProvider(connection);
+    try {
+      await provider.getAuthorization();
+    } catch (err) {
+      return res.json({ success: false, message: `Could not get credentials: ${err.message}` });
+    }
+
+    const service = new AzureDevOpsService(connection.orgUrl, provider, { connectionId: connection.id });
     const success = await service.testConnection();
 
     res.json({
@@ -132,6 +246,64 @@ router.post('/:id/test', async (req, res) => {
         ? 'Connection successful'
         : 'Connection failed',
     });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /:id/diagnostics - Probe each capability the app uses with the
+ * connection's credentials. Returns { connectionId, authType, checkedAt,
+ * success, credentials: { success, message }, results: [{ id, label, scope,
+ * success, status, message, hint, durationMs }], throttle }. No probe changes anything.
+ */
+router.post('/:id/diagnostics', async (req, res) => {
+  try {
+    const connection = await configManager.getConnection(req.params.id);
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+
+    const provider = createCredentialProvider(connection);
+    const report = {
+      connectionId: connection.id,
+      authType: provider.type,
+      checkedAt: new Date().toISOString(),
+      success: false,
+      credentials: { success: true, message: 'OK' },
+      results: [],
+    };
+    try {
+      await provider.getAuthorization();
+    } catch (err) {
+      report.credentials = { success: false, message: err.message };
+      return res.json(report);
+    }
+
+    const service = new AzureDevOpsService(connection.orgUrl, provider, { connectionId: connection.id });
+    report.results = await service.diagnoseAccess();
+    report.success = report.results.every((r) => r.success);
+    report.throttle = service.getThrottleStats();
+    const failed = report.results.filter((r) => !r.success).map((r) => r.id);
+    console.log(`[connections/diagnostics] ${connection.name}: ${failed.length === 0 ? 'all probes passed' : `failed ${failed.join(', ')}`}`);
+    res.json(report);
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /:id/throttle - Request stats for a connection since the server started:
+ * requests, retries, 429s, errors, limiter waits, the last X-RateLimit-*
+ * headers seen, and the current limiter load.
+ */
+router.get('/:id/throttle', async (req, res) => {
+  try {
+    const connections = await configManager.getConnections();
+    if (!connections.some((c) => c.id === req.params.id)) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+    res.json({ connectionId: req.params.id, ...requestThrottle.getStats(req.params.id) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
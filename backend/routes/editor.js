@@ -2,9 +2,14 @@
 
 const express = require('express');
 const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
 const configManager = require('../services/configManager');
 const AzureDevOpsService = require('../services/azureDevOps');
+const { createCredentialProvider } = require('../services/credentialProviders');
 const tempStorage = require('../services/tempStorage');
+const auditLog = require('../services/auditLog');
+const { parseTemplate, fromTemplate } = require('../services/processTemplate');
+const { runComparison, buildSyncChanges } = require('./comparison');
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -23,7 +28,7 @@ async function createService(connectionId) {
     err.statusCode = 404;
     throw err;
   }
-  const service = new AzureDevOpsService(connection.orgUrl, connection.pat);
+  const service = new AzureDevOpsService(connection.orgUrl, createCredentialProvider(connection), { connectionId: connection.id });
   return { service, connection };
 }
 
@@ -93,6 +98,86 @@ function findBestGroupForField(layout) {
   return null;
 }
 
+/**
+ * Collect the field reference names a rule touches, from both its
+ * conditions (`field`) and its actions (`targetField`).
+ * @param {object} rule - Rule payload ({ conditions, actions })
+ * @returns {Set<string>}
+ */
+function getRuleFieldRefs(rule) {
+  const refs = new Set();
+  for (const c of rule.conditions || []) {
+    if (c.field) refs.add(c.field);
+  }
+  for (const a of rule.actions || []) {
+    if (a.targetField) refs.add(a.targetField);
+  }
+  return refs;
+}
+
+/**
+ * Find a layout page by id or label. Change sets reference pages by label so
+ * the same layout change can be applied to processes whose page GUIDs differ.
+ * @param {object} layout  - The layout object from getLayout()
+ * @param {string} pageRef - Page id or label
+ * @returns {object|null}
+ */
+function findLayoutPage(layout, pageRef) {
+  return (layout.pages || []).find((p) => p.id === pageRef || p.label === pageRef) || null;
+}
+
+/**
+ * Find a layout group by id or label, optionally restricted to one page.
+ * @param {object} layout    - The layout object from getLayout()
+ * @param {string} groupRef  - Group id or label
+ * @param {string} [pageRef] - Page id or label to search in (all pages when omitted)
+ * @returns {{ page: object, section: object, group: object } | null}
+ */
+function findLayoutGroup(layout, groupRef, pageRef) {
+  const pages = pageRef ? [findLayoutPage(layout, pageRef)].filter(Boolean) : layout.pages || [];
+  for (const page of pages) {
+    for (const section of page.sections || []) {
+      const group = (section.groups || []).find((g) => g.id === groupRef || g.label === groupRef);
+      if (group) return { page, section, group };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find a layout control by id (usually the field reference name), optionally
+ * restricted to one group.
+ * @param {object} layout     - The layout object from getLayout()
+ * @param {string} controlRef - Control id
+ * @param {string} [groupRef] - Group id or label to search in (all groups when omitted)
+ * @returns {{ page: object, section: object, group: object, control: object } | null}
+ */
+function findLayoutControl(layout, controlRef, groupRef) {
+  for (const page of layout.pages || []) {
+    for (const section of page.sections || []) {
+      for (const group of section.groups || []) {
+        if (groupRef && group.id !== groupRef && group.label !== groupRef) continue;
+        const control = (group.controls || []).find((c) => c.id === controlRef);
+        if (control) return { page, section, group, control };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Build an error for a layout reference that could not be resolved (404) or
+ * an element that already exists (409), so applyChanges can skip it.
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+function layoutError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
 /**
  * Refresh the temp storage for a specific process after a mutation.
  * Re-pulls the work item types, their fields, states, rules, behaviors, and layout.
@@ -134,10 +219,14 @@ async function refreshTempStorage(service, connectionId, processId) {
       })
     );
 
+    const fieldRefNames = witDetails.flatMap((wit) => wit.fields.map((f) => f.referenceName));
+    const picklists = await service.getFieldPicklists(fieldRefNames).catch(() => existing.picklists || {});
+
     await tempStorage.saveProcessData(connectionId, processId, {
       process: processInfo,
       workItemTypes: witDetails,
       behaviors: behaviors.value || behaviors || [],
+      picklists,
       connectionId: existing.connectionId || connectionId,
       orgUrl: existing.orgUrl || '',
       pulledAt: existing.pulledAt || new Date().toISOString(),
@@ -147,6 +236,126 @@ async function refreshTempStorage(service, connectionId, processId) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Audit trail
+// ---------------------------------------------------------------------------
+
+/**
+ * List the work item types a change set touches.
+ * @param {object} changes
+ * @returns {string[]}
+ */
+function changedWitRefs(changes) {
+  const refs = new Set();
+  for (const section of ['fields', 'states', 'rules', 'layout', 'workItemTypeBehaviors']) {
+    Object.keys(changes[section] || {}).forEach((ref) => refs.add(ref));
+  }
+  const witChanges = changes.workItemTypes || {};
+  (witChanges.update || []).forEach((wit) => refs.add(wit.witRefName));
+  (witChanges.remove || []).forEach((ref) => refs.add(ref));
+  return [...refs];
+}
+
+/**
+ * Cut the part of the pulled process data a mutation can change out of it:
+ * the given work item types and, optionally, the process behaviors.
+ * @param {object|null} pulled - Process data from temp storage
+ * @param {string[]} witRefNames
+ * @param {boolean} includeBehaviors
+ * @returns {object|null}
+ */
+function auditBefore(pulled, witRefNames, includeBehaviors) {
+  if (!pulled) return null;
+  const before = {
+    pulledAt: pulled.pulledAt,
+    workItemTypes: (pulled.workItemTypes || []).filter((wit) => witRefNames.includes(wit.referenceName)),
+  };
+  if (includeBehaviors) before.behaviors = pulled.behaviors || [];
+  return before;
+}
+
+/**
+ * Before-snapshot for a whole change set.
+ * @param {object|null} pulled
+ * @param {object} changes
+ * @returns {object|null}
+ */
+function auditChangesBefore(pulled, changes) {
+  const behaviorOps = changes.behaviors || {};
+  const touchesBehaviors = ['add', 'update', 'remove'].some((action) => (behaviorOps[action] || []).length > 0);
+  return auditBefore(pulled, changedWitRefs(changes), touchesBehaviors);
+}
+
+/**
+ * Append an entry to the audit log. Never throws, so that auditing can not
+ * break the primary response.
+ * @param {object|null} pulled - Process data from temp storage, read before the mutation
+ * @param {object} entry
+ * @returns {Promise<void>}
+ */
+async function recordAudit(pulled, entry) {
+  try {
+    const connection = await configManager.getConnection(entry.connectionId).catch(() => null);
+    await auditLog.appendEntry({
+      connectionId: entry.connectionId,
+      connectionName: connection ? connection.name : null,
+      orgUrl: connection ? connection.orgUrl : (pulled && pulled.orgUrl) || null,
+      processId: entry.processId || null,
+      processName: pulled && pulled.process ? pulled.process.name : null,
+      ...entry,
+    });
+  } catch (err) {
+    console.error(`[editor/audit] Failed to record ${entry.operation}: ${err.message}`);
+  }
+}
+
+/**
+ * Route middleware that records a mutation in the audit log once its
+ * response is sent. The before-snapshot is read from temp storage up front,
+ * since handlers refresh it after mutating.
+ * @param {string} type - Kind of item changed (field, state, page, ...)
+ * @param {string} operation - Operation name, as used in the editor log lines
+ * @returns {import('express').RequestHandler}
+ */
+function audited(type, operation) {
+  return async (req, res, next) => {
+    const body = req.body || {};
+    const connectionId = req.params.connectionId || body.connectionId;
+    const processId = req.params.processId || body.processId;
+    const { witRefName } = req.params;
+
+    let pulled = null;
+    if (connectionId && processId) {
+      pulled = await tempStorage.getProcessData(connectionId, processId).catch(() => null);
+    }
+    const before = type === 'apply'
+      ? auditChangesBefore(pulled, body.changes || {})
+      : auditBefore(pulled, witRefName ? [witRefName] : [], false);
+
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      const failed = res.statusCode >= 400;
+      recordAudit(pulled, {
+        connectionId,
+        processId,
+        witRefName: witRefName || null,
+        type,
+        operation,
+        method: req.method,
+        params: req.params,
+        body,
+        status: failed ? 'error' : (payload && payload.success === false ? 'partial' : 'success'),
+        statusCode: res.statusCode,
+        result: failed ? undefined : payload,
+        error: failed ? payload && payload.error : undefined,
+        before,
+      });
+      return json(payload);
+    };
+    next();
+  };
+}
+
 // ---------------------------------------------------------------------------
 // POST /preview - Preview changes before applying (dry run)
 // ---------------------------------------------------------------------------
@@ -163,6 +372,8 @@ router.post('/preview', async (req, res) => {
       workItemTypes: { toAdd: [], toUpdate: [], toRemove: [] },
       fields: {},
       states: {},
+      rules: {},
+      layout: {},
       behaviors: { toAdd: [], toUpdate: [], toRemove: [] },
       workItemTypeBehaviors: {},
       totalOperations: 0,
@@ -236,6 +447,16 @@ router.post('/preview', async (req, res) => {
           updates: Object.keys(s).filter((k) => k !== 'stateId'),
         }));
       }
+      for (const [action, hidden] of [['hide', true], ['unhide', false]]) {
+        for (const id of stateOps[action] || []) {
+          preview.states[witRefName].toUpdate.push({ stateId: id, type: action, updates: ['hidden'] });
+          if (hidden) {
+            preview.warnings.push(
+              `Hiding state "${id}" on "${witRefName}" will fail if it is a custom state (custom states can only be removed)`
+            );
+          }
+        }
+      }
       if (stateOps.remove) {
         preview.states[witRefName].toRemove = stateOps.remove.map((id) => id);
         stateOps.remove.forEach((id) => {
@@ -246,6 +467,101 @@ router.post('/preview', async (req, res) => {
       }
     }
 
+    // Rules
+    const ruleChanges = changes.rules || {};
+    for (const [witRefName, ruleOps] of Object.entries(ruleChanges)) {
+      preview.rules[witRefName] = { toAdd: [], toUpdate: [], toRemove: [] };
+      const removedFields = new Set((fieldChanges[witRefName] && fieldChanges[witRefName].remove) || []);
+      if (ruleOps.add) {
+        preview.rules[witRefName].toAdd = ruleOps.add.map((r) => ({
+          name: r.name,
+          conditions: (r.conditions || []).length,
+          actions: (r.actions || []).length,
+        }));
+      }
+      if (ruleOps.update) {
+        preview.rules[witRefName].toUpdate = ruleOps.update.map((r) => ({
+          ruleId: r.ruleId,
+          name: r.name,
+          updates: Object.keys(r).filter((k) => k !== 'ruleId'),
+        }));
+      }
+      for (const r of [...(ruleOps.add || []), ...(ruleOps.update || [])]) {
+        const label = r.name || r.ruleId;
+        if (!r.actions || r.actions.length === 0) {
+          preview.warnings.push(`Rule "${label}" on "${witRefName}" has no actions and will be rejected`);
+        }
+        if (!r.conditions || r.conditions.length === 0) {
+          preview.warnings.push(`Rule "${label}" on "${witRefName}" has no conditions and will apply to every work item`);
+        }
+        for (const fieldRef of getRuleFieldRefs(r)) {
+          if (removedFields.has(fieldRef)) {
+            preview.warnings.push(
+              `Rule "${label}" on "${witRefName}" references field "${fieldRef}", which is queued for removal`
+            );
+          }
+        }
+      }
+      if (ruleOps.remove) {
+        preview.rules[witRefName].toRemove = ruleOps.remove.map((id) => id);
+        ruleOps.remove.forEach((id) => {
+          preview.warnings.push(
+            `Removing rule "${id}" from "${witRefName}" will fail if it is a system rule (system rules can only be disabled)`
+          );
+        });
+      }
+    }
+
+    // Layout
+    const layoutChanges = changes.layout || {};
+    for (const [witRefName, layoutOps] of Object.entries(layoutChanges)) {
+      const pageOps = layoutOps.pages || {};
+      const sectionOps = layoutOps.sections || {};
+      const groupOps = layoutOps.groups || {};
+      const controlOps = layoutOps.controls || {};
+      const l = { toAdd: [], toUpdate: [], toRemove: [] };
+      preview.layout[witRefName] = l;
+
+      for (const page of pageOps.add || []) l.toAdd.push({ name: page.label, type: 'page' });
+      for (const section of sectionOps.add || []) l.toAdd.push({ name: `${section.page} / ${section.id}`, type: 'section' });
+      for (const group of groupOps.add || []) {
+        l.toAdd.push({ name: `${group.page} / ${group.label}`, type: 'group' });
+        if (!group.section) {
+          preview.warnings.push(`Group "${group.label}" on "${witRefName}" has no section and will be rejected`);
+        }
+      }
+      for (const page of pageOps.update || []) {
+        l.toUpdate.push({ name: page.page, type: 'page', updates: Object.keys(page).filter((k) => k !== 'page') });
+      }
+      for (const group of groupOps.update || []) {
+        l.toUpdate.push({ name: group.group, type: 'group', updates: Object.keys(group).filter((k) => !['group', 'page'].includes(k)) });
+      }
+      for (const move of groupOps.move || []) {
+        l.toUpdate.push({ name: `${move.group} -> ${move.toPage || move.page || '(same page)'} / ${move.toSection}`, type: 'group move' });
+      }
+      for (const action of ['hide', 'unhide']) {
+        for (const group of groupOps[action] || []) {
+          l.toUpdate.push({ name: group.group, type: `group ${action}` });
+        }
+        for (const control of controlOps[action] || []) {
+          l.toUpdate.push({ name: control.control, type: `control ${action}` });
+        }
+      }
+      for (const group of groupOps.remove || []) {
+        l.toRemove.push({ name: group.page ? `${group.page} / ${group.group}` : group.group, type: 'group' });
+        preview.warnings.push(`Removing group "${group.group}" from "${witRefName}" also removes its controls from the form`);
+      }
+      for (const section of sectionOps.remove || []) {
+        l.toRemove.push({ name: `${section.page} / ${section.section}`, type: 'section' });
+      }
+      for (const pageRef of pageOps.remove || []) {
+        l.toRemove.push({ name: pageRef, type: 'page' });
+        preview.warnings.push(
+          `Removing page "${pageRef}" from "${witRefName}" will fail if it is inherited (inherited pages can only be hidden)`
+        );
+      }
+    }
+
     // Behaviors
     const behaviorChanges = changes.behaviors || {};
     if (behaviorChanges.add) {
@@ -307,6 +623,14 @@ router.post('/preview', async (req, res) => {
       const s = preview.states[witRefName];
       preview.totalOperations += s.toAdd.length + s.toUpdate.length + s.toRemove.length;
     }
+    for (const witRefName of Object.keys(preview.rules)) {
+      const r = preview.rules[witRefName];
+      preview.totalOperations += r.toAdd.length + r.toUpdate.length + r.toRemove.length;
+    }
+    for (const witRefName of Object.keys(preview.layout)) {
+      const l = preview.layout[witRefName];
+      preview.totalOperations += l.toAdd.length + l.toUpdate.length + l.toRemove.length;
+    }
     for (const witRefName of Object.keys(preview.workItemTypeBehaviors)) {
       const wb = preview.workItemTypeBehaviors[witRefName];
       preview.totalOperations += wb.toAdd.length + wb.toUpdate.length + wb.toRemove.length;
@@ -322,18 +646,195 @@ router.post('/preview', async (req, res) => {
 // POST /apply - Apply changes to a single process
 // ---------------------------------------------------------------------------
 
+/** Thrown by an atomic apply to stop at its first error. */
+const ABORT_APPLY = Symbol('abortApply');
+
+const RULE_PROPS = ['name', 'conditions', 'actions', 'isDisabled'];
+const PAGE_PROPS = ['label', 'visible', 'order', 'pageType', 'isContribution', 'contribution'];
+const GROUP_PROPS = ['label', 'visible', 'order', 'isContribution', 'contribution', 'height'];
+
+/**
+ * Copy the listed properties of an object, skipping undefined ones.
+ * @param {object} item
+ * @param {string[]} props
+ * @returns {object}
+ */
+function pickProps(item, props) {
+  const picked = {};
+  for (const prop of props) {
+    if (item[prop] !== undefined) picked[prop] = item[prop];
+  }
+  return picked;
+}
+
+// Properties the API needs a value for; they cannot be cleared on rollback
+const REQUIRED_PROPS = ['name', 'label', 'color', 'stateCategory'];
+
+/**
+ * Build the body that restores the properties changed by `updates` to their
+ * values in `item`. Unlike pickProps every property is sent, since leaving one
+ * out would keep the new value: properties the item did not have are cleared
+ * with `false` for flags and `null` otherwise.
+ * @param {object} item - The item before the update
+ * @param {object} updates - The update that was applied
+ * @param {string} what - The item, for the error message
+ * @returns {object}
+ * @throws {Error} 400 when a required property was not set before the update
+ */
+function restoreProps(item, updates, what) {
+  const body = {};
+  for (const prop of Object.keys(updates)) {
+    if (item[prop] !== undefined) {
+      body[prop] = item[prop];
+    } else if (REQUIRED_PROPS.includes(prop)) {
+      throw revertError(`Cannot restore ${what}: it had no "${prop}" before`);
+    } else {
+      body[prop] = typeof updates[prop] === 'boolean' ? false : null;
+    }
+  }
+  return body;
+}
+
+/**
+ * Build the full body for a rule update. The API replaces the whole rule, so
+ * the properties the update leaves out are taken from the current rule.
+ * @param {AzureDevOpsService} service
+ * @param {string} processId
+ * @param {string} witRefName
+ * @param {string} ruleId
+ * @param {object} updates
+ * @returns {Promise<object>}
+ */
+async function mergedRuleBody(service, processId, witRefName, ruleId, updates) {
+  const current = await service.getRule(processId, witRefName, ruleId);
+  return { ...pickProps(current, RULE_PROPS), ...updates, id: ruleId };
+}
+
+/**
+ * Find a work item type in pulled process data.
+ * @param {object|null} snapshot
+ * @param {string} witRefName
+ * @returns {object|undefined}
+ */
+function snapshotWit(snapshot, witRefName) {
+  return ((snapshot && snapshot.workItemTypes) || []).find((w) => w.referenceName === witRefName);
+}
+
+/**
+ * Return one of a work item type's collections (fields, states, rules) from pulled process data.
+ * @param {object|null} snapshot
+ * @param {string} witRefName
+ * @param {string} collection
+ * @returns {Array}
+ */
+function snapshotList(snapshot, witRefName, collection) {
+  const wit = snapshotWit(snapshot, witRefName);
+  return (wit && wit[collection]) || [];
+}
+
+/**
+ * Find an item in a list by matching `id` against any of the given keys.
+ * @param {Array} list
+ * @param {string} id
+ * @param {string[]} [keys]
+ * @returns {object|null}
+ */
+function snapshotItem(list, id, keys = ['id']) {
+  return (list || []).find((item) => keys.some((key) => item[key] === id)) || null;
+}
+
+/**
+ * Find a behavior attached to a work item type in pulled process data.
+ * @param {object|null} snapshot
+ * @param {string} witRefName
+ * @param {string} behaviorId
+ * @returns {object|null}
+ */
+function snapshotWitBehavior(snapshot, witRefName, behaviorId) {
+  return snapshotList(snapshot, witRefName, 'behaviors')
+    .find((b) => b.behavior && b.behavior.id === behaviorId) || null;
+}
+
 /**
  * Core logic for applying a set of changes to a single process.
  * Returns { applied, skipped, errors } arrays.
+ *
+ * With `atomic` set, every mutation journals its inverse: adds are deleted,
+ * updates and removals are restored from `snapshot` (the pulled process data)
+ * and layout changes from the layout read just before the mutation. The
+ * first error stops the run and the journal is replayed in reverse. Updates
+ * and removals of items missing from the snapshot are refused, since they
+ * could not be undone.
  * @param {AzureDevOpsService} service
  * @param {string} processId
  * @param {object} changes
- * @returns {Promise<{ applied: Array, skipped: Array, errors: Array }>}
+ * @param {{ atomic?: boolean, snapshot?: object }} [options]
+ * @returns {Promise<{ applied: Array, skipped: Array, errors: Array, rolledBack?: Array, rollbackErrors?: Array }>}
  */
-async function applyChanges(service, processId, changes) {
+async function applyChanges(service, processId, changes, options = {}) {
+  const { atomic = false, snapshot = null } = options;
   const applied = [];
   const skipped = [];
   const errors = [];
+  const journal = [];
+
+  const ctx = {
+    applied,
+    skipped,
+    fail(entry) {
+      errors.push(entry);
+      if (atomic) throw ABORT_APPLY;
+    },
+    record(entry, inverse, undo) {
+      if (atomic) journal.push({ ...entry, inverse, undo });
+    },
+    prior(kind, item, value) {
+      if (atomic && !value) {
+        throw new Error(`Cannot roll back ${kind} "${item}": it is not in the pulled data. Pull the process again and retry.`);
+      }
+      return value;
+    },
+  };
+
+  try {
+    await runOperations(service, processId, changes, snapshot, ctx);
+  } catch (err) {
+    if (err !== ABORT_APPLY) {
+      if (!atomic) throw err;
+      errors.push({ error: err.message });
+    }
+  }
+
+  if (!atomic) return { applied, skipped, errors };
+
+  const rolledBack = [];
+  const rollbackErrors = [];
+  if (errors.length > 0) {
+    for (const { undo, ...entry } of journal.reverse()) {
+      try {
+        await undo();
+        rolledBack.push(entry);
+      } catch (err) {
+        rollbackErrors.push({ ...entry, error: err.message });
+      }
+    }
+    console.log(`[editor/apply] Rolled back ${rolledBack.length} operation(s), ${rollbackErrors.length} failed`);
+  }
+
+  return { applied, skipped, errors, rolledBack, rollbackErrors };
+}
+
+/**
+ * Run the operations of a change set in dependency order, reporting each one
+ * through `ctx` (see applyChanges).
+ * @param {AzureDevOpsService} service
+ * @param {string} processId
+ * @param {object} changes
+ * @param {object|null} snapshot
+ * @param {object} ctx
+ */
+async function runOperations(service, processId, changes, snapshot, ctx) {
+  const { applied, skipped, fail, record, prior } = ctx;
 
   // --- 1. Behaviors ---
   const behaviorChanges = changes.behaviors || {};
@@ -342,11 +843,13 @@ async function applyChanges(service, processId, changes) {
     try {
       const result = await service.createBehavior(processId, b);
       applied.push({ type: 'behavior', action: 'add', item: b.name, result });
+      record({ type: 'behavior', action: 'add', item: b.name }, `delete behavior "${b.name}"`, () =>
+        service.deleteBehavior(processId, result.id || result.referenceName));
     } catch (err) {
       if (isConflict(err)) {
         skipped.push({ type: 'behavior', action: 'add', item: b.name, reason: 'already exists' });
       } else {
-        errors.push({ type: 'behavior', action: 'add', item: b.name, error: err.message });
+        fail({ type: 'behavior', action: 'add', item: b.name, error: err.message });
       }
     }
   }
@@ -354,26 +857,37 @@ async function applyChanges(service, processId, changes) {
   for (const b of behaviorChanges.update || []) {
     try {
       const { behaviorId, ...updates } = b;
+      const prev = prior('behavior', behaviorId, snapshotItem(snapshot && snapshot.behaviors, behaviorId, ['id', 'referenceName']));
       const result = await service.updateBehavior(processId, behaviorId, updates);
       applied.push({ type: 'behavior', action: 'update', item: behaviorId, result });
+      record({ type: 'behavior', action: 'update', item: behaviorId }, `restore behavior "${behaviorId}"`, () =>
+        service.updateBehavior(processId, behaviorId, { name: prev.name, color: prev.color, ...restoreProps(prev, updates, `behavior "${behaviorId}"`) }));
     } catch (err) {
       if (isNotFound(err)) {
         skipped.push({ type: 'behavior', action: 'update', item: b.behaviorId, reason: 'not found' });
       } else {
-        errors.push({ type: 'behavior', action: 'update', item: b.behaviorId, error: err.message });
+        fail({ type: 'behavior', action: 'update', item: b.behaviorId, error: err.message });
       }
     }
   }
 
   for (const behaviorId of behaviorChanges.remove || []) {
     try {
+      const prev = prior('behavior', behaviorId, snapshotItem(snapshot && snapshot.behaviors, behaviorId, ['id', 'referenceName']));
       await service.deleteBehavior(processId, behaviorId);
       applied.push({ type: 'behavior', action: 'remove', item: behaviorId });
+      record({ type: 'behavior', action: 'remove', item: behaviorId }, `recreate behavior "${behaviorId}"`, () =>
+        service.createBehavior(processId, {
+          name: prev.name,
+          color: prev.color,
+          referenceName: prev.referenceName || prev.id,
+          inherits: prev.inherits && prev.inherits.behaviorRefName,
+        }));
     } catch (err) {
       if (isNotFound(err)) {
         skipped.push({ type: 'behavior', action: 'remove', item: behaviorId, reason: 'not found' });
       } else {
-        errors.push({ type: 'behavior', action: 'remove', item: behaviorId, error: err.message });
+        fail({ type: 'behavior', action: 'remove', item: behaviorId, error: err.message });
       }
     }
   }
@@ -385,11 +899,13 @@ async function applyChanges(service, processId, changes) {
     try {
       const result = await service.createWorkItemType(processId, wit);
       applied.push({ type: 'workItemType', action: 'add', item: wit.name, result });
+      record({ type: 'workItemType', action: 'add', item: wit.name }, `delete work item type "${result.referenceName}"`, () =>
+        service.deleteWorkItemType(processId, result.referenceName));
     } catch (err) {
       if (isConflict(err)) {
         skipped.push({ type: 'workItemType', action: 'add', item: wit.name, reason: 'already exists' });
       } else {
-        errors.push({ type: 'workItemType', action: 'add', item: wit.name, error: err.message });
+        fail({ type: 'workItemType', action: 'add', item: wit.name, error: err.message });
       }
     }
   }
@@ -397,26 +913,42 @@ async function applyChanges(service, processId, changes) {
   for (const wit of witChanges.update || []) {
     try {
       const { witRefName, ...updates } = wit;
+      const prev = prior('work item type', witRefName, snapshotWit(snapshot, witRefName));
       const result = await service.updateWorkItemType(processId, witRefName, updates);
       applied.push({ type: 'workItemType', action: 'update', item: witRefName, result });
+      record({ type: 'workItemType', action: 'update', item: witRefName }, `restore work item type "${witRefName}"`, () =>
+        service.updateWorkItemType(processId, witRefName, restoreProps(prev, updates, `work item type "${witRefName}"`)));
     } catch (err) {
       if (isNotFound(err)) {
         skipped.push({ type: 'workItemType', action: 'update', item: wit.witRefName, reason: 'not found' });
       } else {
-        errors.push({ type: 'workItemType', action: 'update', item: wit.witRefName, error: err.message });
+        fail({ type: 'workItemType', action: 'update', item: wit.witRefName, error: err.message });
       }
     }
   }
 
   for (const witRefName of witChanges.remove || []) {
     try {
+      const prev = prior('work item type', witRefName, snapshotWit(snapshot, witRefName));
       await service.deleteWorkItemType(processId, witRefName);
       applied.push({ type: 'workItemType', action: 'remove', item: witRefName });
+      record(
+        { type: 'workItemType', action: 'remove', item: witRefName },
+        `recreate work item type "${witRefName}" (its fields, states, rules and layout are not restored)`,
+        () => service.createWorkItemType(processId, {
+          name: prev.name,
+          description: prev.description,
+          color: prev.color,
+          icon: prev.icon,
+          isDisabled: prev.isDisabled,
+          inheritsFrom: prev.inherits,
+        })
+      );
     } catch (err) {
       if (isNotFound(err)) {
         skipped.push({ type: 'workItemType', action: 'remove', item: witRefName, reason: 'not found' });
       } else {
-        errors.push({ type: 'workItemType', action: 'remove', item: witRefName, error: err.message });
+        fail({ type: 'workItemType', action: 'remove', item: witRefName, error: err.message });
       }
     }
   }
@@ -432,6 +964,8 @@ async function applyChanges(service, processId, changes) {
 
         // Auto-add to form layout (best-effort)
         const fieldRefName = result.referenceName || f.referenceName;
+        record({ type: 'field', action: 'add', witRefName, item: fieldRefName }, `remove field "${fieldRefName}"`, () =>
+          service.removeField(processId, witRefName, fieldRefName));
         if (fieldRefName) {
           try {
             const layout = await service.getLayout(processId, witRefName);
@@ -461,7 +995,7 @@ async function applyChanges(service, processId, changes) {
         if (isConflict(err)) {
           skipped.push({ type: 'field', action: 'add', witRefName, item: f.referenceName || f.name, reason: 'already exists' });
         } else {
-          errors.push({ type: 'field', action: 'add', witRefName, item: f.referenceName || f.name, error: err.message });
+          fail({ type: 'field', action: 'add', witRefName, item: f.referenceName || f.name, error: err.message });
         }
       }
     }
@@ -469,26 +1003,41 @@ async function applyChanges(service, processId, changes) {
     for (const f of fieldOps.update || []) {
       try {
         const { fieldRefName, ...updates } = f;
+        const prev = prior('field', fieldRefName, snapshotItem(snapshotList(snapshot, witRefName, 'fields'), fieldRefName, ['referenceName']));
         const result = await service.updateField(processId, witRefName, fieldRefName, updates);
         applied.push({ type: 'field', action: 'update', witRefName, item: fieldRefName, result });
+        record({ type: 'field', action: 'update', witRefName, item: fieldRefName }, `restore field "${fieldRefName}"`, () =>
+          service.updateField(processId, witRefName, fieldRefName, restoreProps(prev, updates, `field "${fieldRefName}"`)));
       } catch (err) {
         if (isNotFound(err)) {
           skipped.push({ type: 'field', action: 'update', witRefName, item: f.fieldRefName, reason: 'not found' });
         } else {
-          errors.push({ type: 'field', action: 'update', witRefName, item: f.fieldRefName, error: err.message });
+          fail({ type: 'field', action: 'update', witRefName, item: f.fieldRefName, error: err.message });
         }
       }
     }
 
     for (const fieldRefName of fieldOps.remove || []) {
       try {
+        const prev = prior('field', fieldRefName, snapshotItem(snapshotList(snapshot, witRefName, 'fields'), fieldRefName, ['referenceName']));
         await service.removeField(processId, witRefName, fieldRefName);
         applied.push({ type: 'field', action: 'remove', witRefName, item: fieldRefName });
+        record(
+          { type: 'field', action: 'remove', witRefName, item: fieldRefName },
+          `re-add field "${fieldRefName}" (its form placement is not restored)`,
+          () => service.addField(processId, witRefName, {
+            referenceName: fieldRefName,
+            defaultValue: prev.defaultValue,
+            required: prev.required,
+            readOnly: prev.readOnly,
+            allowGroups: prev.allowGroups,
+          })
+        );
       } catch (err) {
         if (isNotFound(err)) {
           skipped.push({ type: 'field', action: 'remove', witRefName, item: fieldRefName, reason: 'not found' });
         } else {
-          errors.push({ type: 'field', action: 'remove', witRefName, item: fieldRefName, error: err.message });
+          fail({ type: 'field', action: 'remove', witRefName, item: fieldRefName, error: err.message });
         }
       }
     }
@@ -502,11 +1051,13 @@ async function applyChanges(service, processId, changes) {
       try {
         const result = await service.createState(processId, witRefName, s);
         applied.push({ type: 'state', action: 'add', witRefName, item: s.name, result });
+        record({ type: 'state', action: 'add', witRefName, item: s.name }, `delete state "${s.name}"`, () =>
+          service.deleteState(processId, witRefName, result.id));
       } catch (err) {
         if (isConflict(err)) {
           skipped.push({ type: 'state', action: 'add', witRefName, item: s.name, reason: 'already exists' });
         } else {
-          errors.push({ type: 'state', action: 'add', witRefName, item: s.name, error: err.message });
+          fail({ type: 'state', action: 'add', witRefName, item: s.name, error: err.message });
         }
       }
     }
@@ -514,32 +1065,290 @@ async function applyChanges(service, processId, changes) {
     for (const s of stateOps.update || []) {
       try {
         const { stateId, ...updates } = s;
+        const prev = prior('state', stateId, snapshotItem(snapshotList(snapshot, witRefName, 'states'), stateId));
         const result = await service.updateState(processId, witRefName, stateId, updates);
         applied.push({ type: 'state', action: 'update', witRefName, item: stateId, result });
+        record({ type: 'state', action: 'update', witRefName, item: stateId }, `restore state "${stateId}"`, () =>
+          service.updateState(processId, witRefName, stateId, restoreProps(prev, updates, `state "${stateId}"`)));
       } catch (err) {
         if (isNotFound(err)) {
           skipped.push({ type: 'state', action: 'update', witRefName, item: s.stateId, reason: 'not found' });
         } else {
-          errors.push({ type: 'state', action: 'update', witRefName, item: s.stateId, error: err.message });
+          fail({ type: 'state', action: 'update', witRefName, item: s.stateId, error: err.message });
         }
       }
     }
 
     for (const stateId of stateOps.remove || []) {
       try {
+        const prev = prior('state', stateId, snapshotItem(snapshotList(snapshot, witRefName, 'states'), stateId));
         await service.deleteState(processId, witRefName, stateId);
         applied.push({ type: 'state', action: 'remove', witRefName, item: stateId });
+        record({ type: 'state', action: 'remove', witRefName, item: stateId }, `recreate state "${stateId}"`, () =>
+          service.createState(processId, witRefName, {
+            name: prev.name,
+            color: prev.color,
+            stateCategory: prev.stateCategory,
+            order: prev.order,
+          }));
       } catch (err) {
         if (isNotFound(err)) {
           skipped.push({ type: 'state', action: 'remove', witRefName, item: stateId, reason: 'not found' });
         } else {
-          errors.push({ type: 'state', action: 'remove', witRefName, item: stateId, error: err.message });
+          fail({ type: 'state', action: 'remove', witRefName, item: stateId, error: err.message });
+        }
+      }
+    }
+
+    // Inherited states can't be removed, only hidden
+    for (const [action, hidden] of [['hide', true], ['unhide', false]]) {
+      for (const stateId of stateOps[action] || []) {
+        try {
+          const prev = prior('state', stateId, snapshotItem(snapshotList(snapshot, witRefName, 'states'), stateId));
+          const result = await service.hideState(processId, witRefName, stateId, { hidden });
+          applied.push({ type: 'state', action, witRefName, item: stateId, result });
+          record({ type: 'state', action, witRefName, item: stateId }, `restore visibility of state "${stateId}"`, () =>
+            service.hideState(processId, witRefName, stateId, { hidden: !!prev.hidden }));
+        } catch (err) {
+          if (isNotFound(err)) {
+            skipped.push({ type: 'state', action, witRefName, item: stateId, reason: 'not found' });
+          } else {
+            fail({ type: 'state', action, witRefName, item: stateId, error: err.message });
+          }
+        }
+      }
+    }
+  }
+
+  // --- 5. Rules ---
+  // Applied after fields and states, since rules reference both.
+  const ruleChanges = changes.rules || {};
+
+  for (const [witRefName, ruleOps] of Object.entries(ruleChanges)) {
+    for (const r of ruleOps.add || []) {
+      try {
+        const result = await service.createRule(processId, witRefName, r);
+        applied.push({ type: 'rule', action: 'add', witRefName, item: r.name, result });
+        record({ type: 'rule', action: 'add', witRefName, item: r.name }, `delete rule "${r.name}"`, () =>
+          service.deleteRule(processId, witRefName, result.id));
+      } catch (err) {
+        if (isConflict(err)) {
+          skipped.push({ type: 'rule', action: 'add', witRefName, item: r.name, reason: 'already exists' });
+        } else {
+          fail({ type: 'rule', action: 'add', witRefName, item: r.name, error: err.message });
+        }
+      }
+    }
+
+    for (const r of ruleOps.update || []) {
+      try {
+        const { ruleId, ...updates } = r;
+        const prev = prior('rule', ruleId, snapshotItem(snapshotList(snapshot, witRefName, 'rules'), ruleId));
+        const result = await service.updateRule(processId, witRefName, ruleId, await mergedRuleBody(service, processId, witRefName, ruleId, updates));
+        applied.push({ type: 'rule', action: 'update', witRefName, item: ruleId, result });
+        record({ type: 'rule', action: 'update', witRefName, item: ruleId }, `restore rule "${ruleId}"`, () =>
+          service.updateRule(processId, witRefName, ruleId, { ...pickProps(prev, RULE_PROPS), id: ruleId }));
+      } catch (err) {
+        if (isNotFound(err)) {
+          skipped.push({ type: 'rule', action: 'update', witRefName, item: r.ruleId, reason: 'not found' });
+        } else {
+          fail({ type: 'rule', action: 'update', witRefName, item: r.ruleId, error: err.message });
+        }
+      }
+    }
+
+    for (const ruleId of ruleOps.remove || []) {
+      try {
+        const prev = prior('rule', ruleId, snapshotItem(snapshotList(snapshot, witRefName, 'rules'), ruleId));
+        await service.deleteRule(processId, witRefName, ruleId);
+        applied.push({ type: 'rule', action: 'remove', witRefName, item: ruleId });
+        record({ type: 'rule', action: 'remove', witRefName, item: ruleId }, `recreate rule "${ruleId}" (it gets a new id)`, () =>
+          service.createRule(processId, witRefName, pickProps(prev, RULE_PROPS)));
+      } catch (err) {
+        if (isNotFound(err)) {
+          skipped.push({ type: 'rule', action: 'remove', witRefName, item: ruleId, reason: 'not found' });
+        } else {
+          fail({ type: 'rule', action: 'remove', witRefName, item: ruleId, error: err.message });
+        }
+      }
+    }
+  }
+
+  // --- 6. Layout ---
+  // Pages and groups are resolved by id or label against the live layout,
+  // which is re-read after every mutation so later operations can refer to
+  // pages and groups created earlier in the same change set.
+  const layoutChanges = changes.layout || {};
+
+  for (const [witRefName, layoutOps] of Object.entries(layoutChanges)) {
+    const pageOps = layoutOps.pages || {};
+    const sectionOps = layoutOps.sections || {};
+    const groupOps = layoutOps.groups || {};
+    const controlOps = layoutOps.controls || {};
+    let layout = null;
+
+    const loadLayout = async () => {
+      if (!layout) layout = await service.getLayout(processId, witRefName);
+      return layout;
+    };
+    const resolvePage = async (pageRef) => {
+      const page = findLayoutPage(await loadLayout(), pageRef);
+      if (!page) throw layoutError(`Page "${pageRef}" not found`, 404);
+      return page;
+    };
+    const resolveGroup = async (groupRef, pageRef) => {
+      const found = findLayoutGroup(await loadLayout(), groupRef, pageRef);
+      if (!found) throw layoutError(`Group "${groupRef}" not found`, 404);
+      return found;
+    };
+    // `fn` receives an `onUndo(description, undo)` callback to register the
+    // inverse of its mutation; it is journaled only once the mutation succeeds.
+    const run = async (type, action, item, fn) => {
+      let inverse = null;
+      const onUndo = (description, undo) => { inverse = { description, undo }; };
+      try {
+        const result = await fn(onUndo);
+        layout = null;
+        applied.push(result ? { type, action, witRefName, item, result } : { type, action, witRefName, item });
+        if (inverse) record({ type, action, witRefName, item }, inverse.description, inverse.undo);
+      } catch (err) {
+        if (err.statusCode === 409 || isConflict(err)) {
+          skipped.push({ type, action, witRefName, item, reason: 'already exists' });
+        } else if ((err.statusCode === 404 || isNotFound(err)) && action !== 'add' && action !== 'move') {
+          // A missing item is already gone; a missing parent page or group
+          // means an add or move can't happen
+          skipped.push({ type, action, witRefName, item, reason: 'not found' });
+        } else {
+          fail({ type, action, witRefName, item, error: err.message });
+        }
+      }
+    };
+
+    for (const page of pageOps.add || []) {
+      await run('page', 'add', page.label, async (onUndo) => {
+        if (findLayoutPage(await loadLayout(), page.label)) {
+          throw layoutError(`Page "${page.label}" already exists`, 409);
+        }
+        const created = await service.createPage(processId, witRefName, page);
+        onUndo(`delete page "${page.label}"`, () => service.deletePage(processId, witRefName, created.id));
+        return created;
+      });
+    }
+
+    for (const { page: pageRef, ...updates } of pageOps.update || []) {
+      await run('page', 'update', pageRef, async (onUndo) => {
+        const page = await resolvePage(pageRef);
+        const result = await service.updatePage(processId, witRefName, { ...updates, id: page.id });
+        onUndo(`restore page "${page.label}"`, () =>
+          service.updatePage(processId, witRefName, { ...restoreProps(page, updates, `page "${page.label}"`), id: page.id }));
+        return result;
+      });
+    }
+
+    for (const { page: pageRef, ...section } of sectionOps.add || []) {
+      await run('section', 'add', `${pageRef} / ${section.id}`, async (onUndo) => {
+        const page = await resolvePage(pageRef);
+        if ((page.sections || []).some((sec) => sec.id === section.id)) {
+          throw layoutError(`Section "${section.id}" already exists`, 409);
+        }
+        const result = await service.createSection(processId, witRefName, page.id, section);
+        onUndo(`delete section "${section.id}"`, () => service.deleteSection(processId, witRefName, page.id, section.id));
+        return result;
+      });
+    }
+
+    for (const { page: pageRef, section: sectionId, ...group } of groupOps.add || []) {
+      await run('group', 'add', `${pageRef} / ${group.label}`, async (onUndo) => {
+        const page = await resolvePage(pageRef);
+        if (findLayoutGroup(await loadLayout(), group.label, page.id)) {
+          throw layoutError(`Group "${group.label}" already exists`, 409);
         }
+        const created = await service.createGroup(processId, witRefName, page.id, sectionId, group);
+        onUndo(`delete group "${group.label}"`, () =>
+          service.deleteGroup(processId, witRefName, page.id, sectionId, created.id));
+        return created;
+      });
+    }
+
+    for (const { group: groupRef, page: pageRef, ...updates } of groupOps.update || []) {
+      await run('group', 'update', groupRef, async (onUndo) => {
+        const { page, section, group } = await resolveGroup(groupRef, pageRef);
+        const result = await service.updateGroup(processId, witRefName, page.id, section.id, group.id, { ...updates, id: group.id });
+        onUndo(`restore group "${group.label}"`, () =>
+          service.updateGroup(processId, witRefName, page.id, section.id, group.id, { ...restoreProps(group, updates, `group "${group.label}"`), id: group.id }));
+        return result;
+      });
+    }
+
+    for (const move of groupOps.move || []) {
+      await run('group', 'move', move.group, async (onUndo) => {
+        const { page, section, group } = await resolveGroup(move.group, move.page);
+        const targetPage = move.toPage ? await resolvePage(move.toPage) : page;
+        const body = { id: group.id, label: group.label, visible: group.visible, removeFromSectionId: section.id };
+        if (targetPage.id !== page.id) body.removeFromPageId = page.id;
+        const result = await service.moveGroup(processId, witRefName, targetPage.id, move.toSection, group.id, body);
+        const back = { id: group.id, label: group.label, visible: group.visible, removeFromSectionId: move.toSection };
+        if (targetPage.id !== page.id) back.removeFromPageId = targetPage.id;
+        onUndo(`move group "${group.label}" back to ${page.label} / ${section.id}`, () =>
+          service.moveGroup(processId, witRefName, page.id, section.id, group.id, back));
+        return result;
+      });
+    }
+
+    // Inherited groups and controls can't be removed, only hidden
+    for (const [action, visible] of [['hide', false], ['unhide', true]]) {
+      for (const { group: groupRef, page: pageRef } of groupOps[action] || []) {
+        await run('group', action, groupRef, async (onUndo) => {
+          const { page, section, group } = await resolveGroup(groupRef, pageRef);
+          const result = await service.updateGroup(processId, witRefName, page.id, section.id, group.id, { id: group.id, visible });
+          onUndo(`restore visibility of group "${group.label}"`, () =>
+            service.updateGroup(processId, witRefName, page.id, section.id, group.id, { id: group.id, visible: group.visible !== false }));
+          return result;
+        });
+      }
+
+      for (const { control: controlRef, group: groupRef } of controlOps[action] || []) {
+        await run('control', action, controlRef, async (onUndo) => {
+          const found = findLayoutControl(await loadLayout(), controlRef, groupRef);
+          if (!found) throw layoutError(`Control "${controlRef}" not found`, 404);
+          const { group, control } = found;
+          const result = await service.editControl(processId, witRefName, group.id, control.id, { visible });
+          onUndo(`restore visibility of control "${control.id}"`, () =>
+            service.editControl(processId, witRefName, group.id, control.id, { visible: control.visible !== false }));
+          return result;
+        });
       }
     }
+
+    for (const { group: groupRef, page: pageRef } of groupOps.remove || []) {
+      await run('group', 'remove', groupRef, async (onUndo) => {
+        const { page, section, group } = await resolveGroup(groupRef, pageRef);
+        await service.deleteGroup(processId, witRefName, page.id, section.id, group.id);
+        onUndo(`recreate group "${group.label}" (its controls are not restored)`, () =>
+          service.createGroup(processId, witRefName, page.id, section.id, pickProps(group, GROUP_PROPS)));
+      });
+    }
+
+    for (const { page: pageRef, section: sectionId } of sectionOps.remove || []) {
+      await run('section', 'remove', `${pageRef} / ${sectionId}`, async (onUndo) => {
+        const page = await resolvePage(pageRef);
+        await service.deleteSection(processId, witRefName, page.id, sectionId);
+        onUndo(`recreate section "${sectionId}"`, () =>
+          service.createSection(processId, witRefName, page.id, { id: sectionId }));
+      });
+    }
+
+    for (const pageRef of pageOps.remove || []) {
+      await run('page', 'remove', pageRef, async (onUndo) => {
+        const page = await resolvePage(pageRef);
+        await service.deletePage(processId, witRefName, page.id);
+        onUndo(`recreate page "${page.label}" (its groups and controls are not restored)`, () =>
+          service.createPage(processId, witRefName, pickProps(page, PAGE_PROPS)));
+      });
+    }
   }
 
-  // --- 5. Work Item Type Behaviors ---
+  // --- 7. Work Item Type Behaviors ---
   const witBehaviorChanges = changes.workItemTypeBehaviors || {};
 
   for (const [witRefName, witBehOps] of Object.entries(witBehaviorChanges)) {
@@ -548,12 +1357,14 @@ async function applyChanges(service, processId, changes) {
         const result = await service.addWorkItemTypeBehavior(processId, witRefName, b);
         const behaviorId = b.behavior && b.behavior.id;
         applied.push({ type: 'workItemTypeBehavior', action: 'add', witRefName, item: behaviorId, result });
+        record({ type: 'workItemTypeBehavior', action: 'add', witRefName, item: behaviorId }, `remove behavior "${behaviorId}"`, () =>
+          service.removeWorkItemTypeBehavior(processId, witRefName, behaviorId));
       } catch (err) {
         const behaviorId = b.behavior && b.behavior.id;
         if (isConflict(err)) {
           skipped.push({ type: 'workItemTypeBehavior', action: 'add', witRefName, item: behaviorId, reason: 'already exists' });
         } else {
-          errors.push({ type: 'workItemTypeBehavior', action: 'add', witRefName, item: behaviorId, error: err.message });
+          fail({ type: 'workItemTypeBehavior', action: 'add', witRefName, item: behaviorId, error: err.message });
         }
       }
     }
@@ -561,44 +1372,128 @@ async function applyChanges(service, processId, changes) {
     for (const b of witBehOps.update || []) {
       try {
         const { behaviorId, ...updates } = b;
+        const prev = prior('work item type behavior', behaviorId, snapshotWitBehavior(snapshot, witRefName, behaviorId));
         const result = await service.updateWorkItemTypeBehavior(processId, witRefName, behaviorId, updates);
         applied.push({ type: 'workItemTypeBehavior', action: 'update', witRefName, item: behaviorId, result });
+        record({ type: 'workItemTypeBehavior', action: 'update', witRefName, item: behaviorId }, `restore behavior "${behaviorId}"`, () =>
+          service.updateWorkItemTypeBehavior(processId, witRefName, behaviorId, { ...updates, isDefault: prev.isDefault }));
       } catch (err) {
         if (isNotFound(err)) {
           skipped.push({ type: 'workItemTypeBehavior', action: 'update', witRefName, item: b.behaviorId, reason: 'not found' });
         } else {
-          errors.push({ type: 'workItemTypeBehavior', action: 'update', witRefName, item: b.behaviorId, error: err.message });
+          fail({ type: 'workItemTypeBehavior', action: 'update', witRefName, item: b.behaviorId, error: err.message });
         }
       }
     }
 
     for (const behaviorId of witBehOps.remove || []) {
       try {
+        const prev = prior('work item type behavior', behaviorId, snapshotWitBehavior(snapshot, witRefName, behaviorId));
         await service.removeWorkItemTypeBehavior(processId, witRefName, behaviorId);
         applied.push({ type: 'workItemTypeBehavior', action: 'remove', witRefName, item: behaviorId });
+        record({ type: 'workItemTypeBehavior', action: 'remove', witRefName, item: behaviorId }, `re-add behavior "${behaviorId}"`, () =>
+          service.addWorkItemTypeBehavior(processId, witRefName, { behavior: { id: behaviorId }, isDefault: prev.isDefault }));
       } catch (err) {
         if (isNotFound(err)) {
           skipped.push({ type: 'workItemTypeBehavior', action: 'remove', witRefName, item: behaviorId, reason: 'not found' });
         } else {
-          errors.push({ type: 'workItemTypeBehavior', action: 'remove', witRefName, item: behaviorId, error: err.message });
+          fail({ type: 'workItemTypeBehavior', action: 'remove', witRefName, item: behaviorId, error: err.message });
         }
       }
     }
   }
-
-  return { applied, skipped, errors };
 }
 
-router.post('/apply', async (req, res) => {
-  try {
-    const { connectionId, processId, changes } = req.body;
-
-    if (!connectionId || !processId || !changes) {
-      return res.status(400).json({ error: 'connectionId, processId, and changes are required' });
-    }
+/**
+ * Build the applyChanges options for a process. Atomic applies need the
+ * pulled data to restore updated and removed items, so they are refused
+ * for processes that have not been pulled.
+ * @param {string} connectionId
+ * @param {string} processId
+ * @param {boolean} atomic
+ * @returns {Promise<{ atomic: boolean, snapshot: object|null }>}
+ */
+async function getApplyOptions(connectionId, processId, atomic) {
+  if (!atomic) return { atomic: false, snapshot: null };
+  const snapshot = await tempStorage.getProcessData(connectionId, processId);
+  if (!snapshot) {
+    const err = new Error('Atomic apply needs pulled process data to roll back from. Pull the process first.');
+    err.statusCode = 400;
+    throw err;
+  }
+  return { atomic: true, snapshot };
+}
 
-    const { service } = await createService(connectionId);
-    const results = await applyChanges(service, processId, changes);
+/**
+ * Summarize applyChanges results as counts.
+ * @param {object} results
+ * @returns {object}
+ */
+function summarizeResults(results) {
+  const summary = {
+    applied: results.applied.length,
+    skipped: results.skipped.length,
+    errors: results.errors.length,
+  };
+  if (results.rolledBack) {
+    summary.rolledBack = results.rolledBack.length;
+    summary.rollbackErrors = results.rollbackErrors.length;
+  }
+  return summary;
+}
+
+/**
+ * Apply a change set to one process and record it in the audit log. Used for
+ * applies that do not map to a single request (batch targets, reverts).
+ * Failures are recorded and rethrown.
+ * @param {string} connectionId
+ * @param {string} processId
+ * @param {object} changes
+ * @param {{ atomic?: boolean, operation: string, audit?: object }} options - `audit` adds fields to the entry
+ * @returns {Promise<{ success: boolean, results: object, summary: object, throttle: object }>}
+ */
+async function applyWithAudit(connectionId, processId, changes, { atomic, operation, audit = {} }) {
+  const pulled = await tempStorage.getProcessData(connectionId, processId).catch(() => null);
+  const entry = {
+    connectionId,
+    processId,
+    witRefName: null,
+    type: 'apply',
+    operation,
+    method: 'POST',
+    body: { changes, atomic },
+    before: auditChangesBefore(pulled, changes),
+    ...audit,
+  };
+
+  try {
+    const { service } = await createService(connectionId);
+    const options = await getApplyOptions(connectionId, processId, atomic);
+    const results = await applyChanges(service, processId, changes, options);
+
+    // Refresh temp storage after mutations
+    await refreshTempStorage(service, connectionId, processId);
+
+    const response = { success: results.errors.length === 0, results, summary: summarizeResults(results) };
+    await recordAudit(pulled, { ...entry, status: response.success ? 'success' : 'partial', result: response });
+    return { ...response, throttle: service.getThrottleStats() };
+  } catch (err) {
+    await recordAudit(pulled, { ...entry, status: 'error', error: err.message });
+    throw err;
+  }
+}
+
+router.post('/apply', audited('apply', 'apply'), async (req, res) => {
+  try {
+    const { connectionId, processId, changes, atomic } = req.body;
+
+    if (!connectionId || !processId || !changes) {
+      return res.status(400).json({ error: 'connectionId, processId, and changes are required' });
+    }
+
+    const { service } = await createService(connectionId);
+    const options = await getApplyOptions(connectionId, processId, atomic);
+    const results = await applyChanges(service, processId, changes, options);
 
     const success = results.errors.length === 0;
 
@@ -608,11 +1503,8 @@ router.post('/apply', async (req, res) => {
     res.json({
       success,
       results,
-      summary: {
-        applied: results.applied.length,
-        skipped: results.skipped.length,
-        errors: results.errors.length,
-      },
+      summary: summarizeResults(results),
+      throttle: service.getThrottleStats(),
     });
   } catch (err) {
     res.status(err.statusCode || 500).json({ error: err.message });
@@ -625,7 +1517,7 @@ router.post('/apply', async (req, res) => {
 
 router.post('/apply-batch', async (req, res) => {
   try {
-    const { targets, changes } = req.body;
+    const { targets, changes, atomic } = req.body;
 
     if (!targets || !Array.isArray(targets) || targets.length === 0 || !changes) {
       return res.status(400).json({ error: 'targets (array) and changes are required' });
@@ -637,23 +1529,8 @@ router.post('/apply-batch', async (req, res) => {
       const { connectionId, processId } = target;
 
       try {
-        const { service } = await createService(connectionId);
-        const results = await applyChanges(service, processId, changes);
-
-        // Refresh temp storage after mutations
-        await refreshTempStorage(service, connectionId, processId);
-
-        processResults.push({
-          connectionId,
-          processId,
-          success: results.errors.length === 0,
-          results,
-          summary: {
-            applied: results.applied.length,
-            skipped: results.skipped.length,
-            errors: results.errors.length,
-          },
-        });
+        const result = await applyWithAudit(connectionId, processId, changes, { atomic, operation: 'applyBatch' });
+        processResults.push({ connectionId, processId, ...result });
       } catch (err) {
         processResults.push({
           connectionId,
@@ -676,21 +1553,494 @@ router.post('/apply-batch', async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// POST /import - Make a process match a template
+// Body: { template, connectionId, processId, mode?: 'additive' | 'mirror', apply?, atomic?, changes? }
+// `template` is YAML or JSON text (or a parsed object) as produced by the
+// process export. It is compared with the target's pulled data by name, the
+// same way the comparison sync works, so template reference names don't need
+// to match the target's. Without `apply` this only returns { changes, notes }
+// for preview; with it the changes are applied and audited as 'import'.
+// Pass the previewed `changes` back with `apply` to apply exactly those,
+// rather than a change set recomputed against data that may have moved on.
+// ---------------------------------------------------------------------------
+router.post('/import', async (req, res) => {
+  try {
+    const { template: input, connectionId, processId, mode = 'additive', apply, atomic, changes: previewed } = req.body;
+
+    if (!input || !connectionId || !processId) {
+      return res.status(400).json({ error: 'template, connectionId, and processId are required' });
+    }
+    if (!['additive', 'mirror'].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be "additive" or "mirror"' });
+    }
+
+    const template = parseTemplate(input);
+    const target = await tempStorage.getProcessData(connectionId, processId);
+    if (!target) {
+      return res.status(400).json({ error: 'No pulled data found for the target process. Pull it first.' });
+    }
+
+    const result = runComparison([
+      { connectionId: null, processId: 'template', data: fromTemplate(template) },
+      { connectionId, processId, data: target },
+    ]);
+    const { changes: computed, notes } = buildSyncChanges(result, 'template', processId, { mode });
+
+    if (!apply) {
+      return res.json({ connectionId, processId, mode, changes: computed, notes });
+    }
+    if (previewed !== undefined && (!previewed || typeof previewed !== 'object' || Array.isArray(previewed))) {
+      return res.status(400).json({ error: 'changes must be a change set object' });
+    }
+    const changes = previewed || computed;
+
+    const templateName = (template.process && template.process.name) || 'template';
+    console.log(`[editor/import] Applying ${templateName} to ${processId} (${mode})`);
+    const applied = await applyWithAudit(connectionId, processId, changes, { atomic, operation: 'import' });
+    res.json({ connectionId, processId, mode, notes, ...applied });
+  } catch (err) {
+    console.error('Error importing template:', err);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Reverting audit entries
+// ---------------------------------------------------------------------------
+
+/**
+ * Build an error for an audit entry that can not be reverted (400).
+ * @param {string} message
+ * @returns {Error}
+ */
+function revertError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * Strip the id keys change-set entries carry, leaving the properties changed.
+ * @param {object} [item]
+ * @param {string[]} idKeys
+ * @returns {object}
+ */
+function changedProps(item, idKeys) {
+  const props = { ...(item || {}) };
+  idKeys.forEach((key) => delete props[key]);
+  return props;
+}
+
+/**
+ * Describe each mutation recorded by an audit entry as an operation
+ * { type, action, witRefName, id, result, updates, page, fromPage, fromSection }.
+ * Direct-edit entries hold one operation; applies hold one per applied item,
+ * matched back to the change set for the properties an update changed.
+ * @param {object} entry - Audit entry
+ * @param {string[]} notes - Receives operations that can not be described
+ * @returns {Array<object>}
+ */
+function auditedOperations(entry, notes) {
+  const params = entry.params || {};
+  const body = entry.body || {};
+  const result = entry.result || {};
+  const wit = params.witRefName;
+
+  switch (entry.operation) {
+    case 'createWorkItemType': return [{ type: 'workItemType', action: 'add', result }];
+    case 'updateWorkItemType': return [{ type: 'workItemType', action: 'update', witRefName: wit, id: wit, updates: body }];
+    case 'deleteWorkItemType': return [{ type: 'workItemType', action: 'remove', witRefName: wit, id: wit }];
+    case 'addField': return [{ type: 'field', action: 'add', witRefName: wit, id: result.referenceName || body.referenceName }];
+    case 'updateField': return [{ type: 'field', action: 'update', witRefName: wit, id: params.fieldRefName, updates: body }];
+    case 'removeField': return [{ type: 'field', action: 'remove', witRefName: wit, id: params.fieldRefName }];
+    case 'createState': return [{ type: 'state', action: 'add', witRefName: wit, result }];
+    case 'updateState': return [{ type: 'state', action: 'update', witRefName: wit, id: params.stateId, updates: body }];
+    case 'deleteState': return [{ type: 'state', action: 'remove', witRefName: wit, id: params.stateId }];
+    case 'hideState': return [{ type: 'state', action: body.hidden ? 'hide' : 'unhide', witRefName: wit, id: params.stateId }];
+    case 'createRule': return [{ type: 'rule', action: 'add', witRefName: wit, result }];
+    case 'updateRule': return [{ type: 'rule', action: 'update', witRefName: wit, id: params.ruleId }];
+    case 'deleteRule': return [{ type: 'rule', action: 'remove', witRefName: wit, id: params.ruleId }];
+    case 'addWorkItemTypeBehavior': return [{ type: 'workItemTypeBehavior', action: 'add', witRefName: wit, id: body.behavior && body.behavior.id }];
+    case 'updateWorkItemTypeBehavior': return [{ type: 'workItemTypeBehavior', action: 'update', witRefName: wit, id: params.behaviorId, updates: body }];
+    case 'removeWorkItemTypeBehavior': return [{ type: 'workItemTypeBehavior', action: 'remove', witRefName: wit, id: params.behaviorId }];
+    case 'createPage': return [{ type: 'page', action: 'add', witRefName: wit, result }];
+    case 'updatePage': return [{ type: 'page', action: 'update', witRefName: wit, id: params.pageId, updates: changedProps(body, ['id']) }];
+    case 'deletePage': return [{ type: 'page', action: 'remove', witRefName: wit, id: params.pageId }];
+    case 'createSection': return [{ type: 'section', action: 'add', witRefName: wit, page: params.pageId, id: result.id || body.id }];
+    case 'deleteSection': return [{ type: 'section', action: 'remove', witRefName: wit, page: params.pageId, id: params.sectionId }];
+    case 'createGroup': return [{ type: 'group', action: 'add', witRefName: wit, page: params.pageId, result }];
+    case 'updateGroup': return [{ type: 'group', action: 'update', witRefName: wit, page: params.pageId, id: params.groupId, updates: changedProps(body, ['id']) }];
+    case 'deleteGroup': return [{ type: 'group', action: 'remove', witRefName: wit, page: params.pageId, id: params.groupId }];
+    case 'moveGroup':
+      return [{
+        type: 'group',
+        action: 'move',
+        witRefName: wit,
+        page: params.pageId,
+        id: params.groupId,
+        fromPage: body.removeFromPageId || params.pageId,
+        fromSection: body.removeFromSectionId,
+      }];
+    case 'editControl':
+      // Only visibility changes of a control can be reverted
+      if (Object.keys(body).length !== 1 || typeof body.visible !== 'boolean') {
+        throw revertError('Reverting "editControl" is only supported for visibility changes');
+      }
+      return [{ type: 'control', action: body.visible ? 'unhide' : 'hide', witRefName: wit, id: params.controlId, group: params.groupId }];
+    case 'apply':
+    case 'applyBatch':
+    case 'import':
+    case 'revert':
+      return appliedOperations(entry, notes);
+    default:
+      throw revertError(`Reverting "${entry.operation}" is not supported`);
+  }
+}
+
+/**
+ * Operations behind the applied items of an /apply, /apply-batch or revert entry.
+ * @param {object} entry
+ * @param {string[]} notes
+ * @returns {Array<object>}
+ */
+function appliedOperations(entry, notes) {
+  const changes = (entry.body && entry.body.changes) || {};
+  const results = (entry.result && entry.result.results) || {};
+  if (results.rolledBack && results.errors && results.errors.length > 0) {
+    throw revertError('This apply was rolled back, so there is nothing to revert');
+  }
+
+  const witOps = (section, wit) => ((changes[section] || {})[wit]) || {};
+  const layoutOps = (wit, kind) => (((changes.layout || {})[wit] || {})[kind]) || {};
+  const find = (list, match) => (list || []).find(match);
+
+  const ops = [];
+  for (const { type, action, witRefName, item, result } of results.applied || []) {
+    const op = { type, action, witRefName, id: item, result };
+    switch (`${type}.${action}`) {
+      case 'behavior.update':
+        op.updates = changedProps(find((changes.behaviors || {}).update, (b) => b.behaviorId === item), ['behaviorId']);
+        break;
+      case 'workItemType.update':
+        op.updates = changedProps(find((changes.workItemTypes || {}).update, (w) => w.witRefName === item), ['witRefName']);
+        op.witRefName = item;
+        break;
+      case 'workItemType.remove':
+        op.witRefName = item;
+        break;
+      case 'field.add':
+        op.id = (result && result.referenceName) || item;
+        break;
+      case 'field.update':
+        op.updates = changedProps(find(witOps('fields', witRefName).update, (f) => f.fieldRefName === item), ['fieldRefName']);
+        break;
+      case 'state.update':
+        op.updates = changedProps(find(witOps('states', witRefName).update, (s) => s.stateId === item), ['stateId']);
+        break;
+      case 'workItemTypeBehavior.update':
+        op.updates = changedProps(find(witOps('workItemTypeBehaviors', witRefName).update, (b) => b.behaviorId === item), ['behaviorId']);
+        break;
+      case 'page.update':
+        op.updates = changedProps(find(layoutOps(witRefName, 'pages').update, (p) => p.page === item), ['page']);
+        break;
+      case 'section.add': {
+        const section = find(layoutOps(witRefName, 'sections').add, (s) => `${s.page} / ${s.id}` === item);
+        Object.assign(op, { page: section && section.page, id: section && section.id });
+        break;
+      }
+      case 'section.remove': {
+        const section = find(layoutOps(witRefName, 'sections').remove, (s) => `${s.page} / ${s.section}` === item);
+        Object.assign(op, { page: section && section.page, id: section && section.section });
+        break;
+      }
+      case 'group.add': {
+        const group = find(layoutOps(witRefName, 'groups').add, (g) => `${g.page} / ${g.label}` === item);
+        op.page = group && group.page;
+        break;
+      }
+      case 'group.update': {
+        const group = find(layoutOps(witRefName, 'groups').update, (g) => g.group === item);
+        Object.assign(op, { page: group && group.page, updates: changedProps(group, ['group', 'page']) });
+        break;
+      }
+      case 'group.move': {
+        const move = find(layoutOps(witRefName, 'groups').move, (m) => m.group === item) || {};
+        const wit = snapshotWit(entry.before, witRefName);
+        const from = wit && wit.layout ? findLayoutGroup(wit.layout, item, move.page) : null;
+        if (!from) {
+          notes.push(`Not reverted: move of group "${item}" (its previous location is not in the before-snapshot)`);
+          continue;
+        }
+        Object.assign(op, { page: move.toPage || from.page.id, fromPage: from.page.id, fromSection: from.section.id });
+        break;
+      }
+      case 'group.remove': {
+        const group = find(layoutOps(witRefName, 'groups').remove, (g) => g.group === item);
+        op.page = group && group.page;
+        break;
+      }
+      case 'group.hide':
+      case 'group.unhide': {
+        const group = find(layoutOps(witRefName, 'groups')[action], (g) => g.group === item);
+        op.page = group && group.page;
+        break;
+      }
+      case 'control.hide':
+      case 'control.unhide': {
+        const control = find(layoutOps(witRefName, 'controls')[action], (c) => c.control === item);
+        op.group = control && control.group;
+        break;
+      }
+      default:
+        break;
+    }
+    ops.push(op);
+  }
+  return ops;
+}
+
+/**
+ * Build the change set that undoes an audited mutation. Adds are undone by
+ * removing what the result says was created; updates and removals are
+ * undone from the entry's before-snapshot. The change set goes through the
+ * normal preview and apply, so reverts get the same checks as edits.
+ * @param {object} entry - Audit entry, including its before-snapshot
+ * @returns {{ changes: object, notes: string[] }}
+ * @throws {Error} statusCode 400 when the entry can not be reverted
+ */
+function buildRevertChanges(entry) {
+  if (entry.status === 'error') {
+    throw revertError('This change failed, so there is nothing to revert');
+  }
+
+  const before = entry.before;
+  const notes = [];
+  const changes = {
+    workItemTypes: { add: [], update: [], remove: [] },
+    behaviors: { add: [], update: [], remove: [] },
+    fields: {},
+    states: {},
+    rules: {},
+    layout: {},
+    workItemTypeBehaviors: {},
+  };
+  const bucket = (section, wit, action) => {
+    if (!changes[section][wit]) changes[section][wit] = { add: [], update: [], remove: [] };
+    if (!changes[section][wit][action]) changes[section][wit][action] = [];
+    return changes[section][wit][action];
+  };
+  const layoutBucket = (wit, kind, action) => {
+    if (!changes.layout[wit]) changes.layout[wit] = {};
+    if (!changes.layout[wit][kind]) changes.layout[wit][kind] = {};
+    if (!changes.layout[wit][kind][action]) changes.layout[wit][kind][action] = [];
+    return changes.layout[wit][kind][action];
+  };
+  const need = (value, what) => {
+    if (!value) throw revertError(`The before-snapshot has no ${what}`);
+    return value;
+  };
+  const beforeLayout = (wit) => {
+    const snap = need(snapshotWit(before, wit), `work item type "${wit}"`);
+    return need(snap.layout, `layout for "${wit}"`);
+  };
+
+  const invert = (op) => {
+    const { witRefName: wit, id, result = {} } = op;
+    const updates = op.updates || {};
+    switch (`${op.type}.${op.action}`) {
+      case 'behavior.add':
+        changes.behaviors.remove.push(result.id || result.referenceName);
+        break;
+      case 'behavior.update': {
+        const prev = need(snapshotItem(before && before.behaviors, id, ['id', 'referenceName']), `behavior "${id}"`);
+        changes.behaviors.update.push({ behaviorId: id, name: prev.name, color: prev.color, ...restoreProps(prev, updates, `behavior "${id}"`) });
+        break;
+      }
+      case 'behavior.remove': {
+        const prev = need(snapshotItem(before && before.behaviors, id, ['id', 'referenceName']), `behavior "${id}"`);
+        changes.behaviors.add.push({
+          name: prev.name,
+          color: prev.color,
+          referenceName: prev.referenceName || prev.id,
+          inherits: prev.inherits && prev.inherits.behaviorRefName,
+        });
+        break;
+      }
+      case 'workItemType.add':
+        changes.workItemTypes.remove.push(result.referenceName);
+        break;
+      case 'workItemType.update': {
+        const prev = need(snapshotWit(before, id), `work item type "${id}"`);
+        changes.workItemTypes.update.push({ witRefName: id, ...restoreProps(prev, updates, `work item type "${id}"`) });
+        break;
+      }
+      case 'workItemType.remove': {
+        const prev = need(snapshotWit(before, id), `work item type "${id}"`);
+        changes.workItemTypes.add.push({
+          name: prev.name,
+          description: prev.description,
+          color: prev.color,
+          icon: prev.icon,
+          isDisabled: prev.isDisabled,
+          inheritsFrom: prev.inherits,
+        });
+        notes.push(`Work item type "${prev.name}" is recreated without its fields, states, rules and layout`);
+        break;
+      }
+      case 'field.add':
+        bucket('fields', wit, 'remove').push(id);
+        break;
+      case 'field.update': {
+        const prev = need(snapshotItem(snapshotList(before, wit, 'fields'), id, ['referenceName']), `field "${id}" on "${wit}"`);
+        bucket('fields', wit, 'update').push({ fieldRefName: id, ...restoreProps(prev, updates, `field "${id}"`) });
+        break;
+      }
+      case 'field.remove': {
+        const prev = need(snapshotItem(snapshotList(before, wit, 'fields'), id, ['referenceName']), `field "${id}" on "${wit}"`);
+        bucket('fields', wit, 'add').push({
+          referenceName: id,
+          defaultValue: prev.defaultValue,
+          required: prev.required,
+          readOnly: prev.readOnly,
+          allowGroups: prev.allowGroups,
+        });
+        break;
+      }
+      case 'state.add':
+        bucket('states', wit, 'remove').push(result.id);
+        break;
+      case 'state.update': {
+        const prev = need(snapshotItem(snapshotList(before, wit, 'states'), id), `state "${id}" on "${wit}"`);
+        bucket('states', wit, 'update').push({ stateId: id, ...restoreProps(prev, updates, `state "${id}"`) });
+        break;
+      }
+      case 'state.remove': {
+        const prev = need(snapshotItem(snapshotList(before, wit, 'states'), id), `state "${id}" on "${wit}"`);
+        bucket('states', wit, 'add').push({ name: prev.name, color: prev.color, stateCategory: prev.stateCategory, order: prev.order });
+        break;
+      }
+      case 'state.hide':
+      case 'state.unhide': {
+        const prev = need(snapshotItem(snapshotList(before, wit, 'states'), id), `state "${id}" on "${wit}"`);
+        bucket('states', wit, prev.hidden ? 'hide' : 'unhide').push(id);
+        break;
+      }
+      case 'rule.add':
+        bucket('rules', wit, 'remove').push(result.id);
+        break;
+      case 'rule.update': {
+        const prev = need(snapshotItem(snapshotList(before, wit, 'rules'), id), `rule "${id}" on "${wit}"`);
+        bucket('rules', wit, 'update').push({ ruleId: id, ...pickProps(prev, RULE_PROPS) });
+        break;
+      }
+      case 'rule.remove': {
+        const prev = need(snapshotItem(snapshotList(before, wit, 'rules'), id), `rule "${id}" on "${wit}"`);
+        bucket('rules', wit, 'add').push(pickProps(prev, RULE_PROPS));
+        break;
+      }
+      case 'workItemTypeBehavior.add':
+        bucket('workItemTypeBehaviors', wit, 'remove').push(id);
+        break;
+      case 'workItemTypeBehavior.update':
+      case 'workItemTypeBehavior.remove': {
+        const prev = need(snapshotWitBehavior(before, wit, id), `behavior "${id}" on "${wit}"`);
+        if (op.action === 'update') {
+          bucket('workItemTypeBehaviors', wit, 'update').push({ behaviorId: id, isDefault: prev.isDefault });
+        } else {
+          bucket('workItemTypeBehaviors', wit, 'add').push({ behavior: { id }, isDefault: prev.isDefault });
+        }
+        break;
+      }
+      case 'page.add':
+        layoutBucket(wit, 'pages', 'remove').push(result.id);
+        break;
+      case 'page.update': {
+        const prev = need(findLayoutPage(beforeLayout(wit), id), `page "${id}" on "${wit}"`);
+        layoutBucket(wit, 'pages', 'update').push({ page: prev.id, ...restoreProps(prev, updates, `page "${prev.label}"`) });
+        break;
+      }
+      case 'page.remove': {
+        const prev = need(findLayoutPage(beforeLayout(wit), id), `page "${id}" on "${wit}"`);
+        layoutBucket(wit, 'pages', 'add').push(pickProps(prev, PAGE_PROPS));
+        notes.push(`Page "${prev.label}" is recreated without its groups and controls`);
+        break;
+      }
+      case 'section.add':
+        layoutBucket(wit, 'sections', 'remove').push({ page: op.page, section: id });
+        break;
+      case 'section.remove':
+        layoutBucket(wit, 'sections', 'add').push({ page: op.page, id });
+        break;
+      case 'group.add':
+        layoutBucket(wit, 'groups', 'remove').push({ group: result.id, page: op.page });
+        break;
+      case 'group.update': {
+        const prev = need(findLayoutGroup(beforeLayout(wit), id, op.page), `group "${id}" on "${wit}"`);
+        layoutBucket(wit, 'groups', 'update').push({ group: prev.group.id, page: prev.page.id, ...restoreProps(prev.group, updates, `group "${prev.group.label}"`) });
+        break;
+      }
+      case 'group.move':
+        layoutBucket(wit, 'groups', 'move').push({ group: id, page: op.page, toPage: op.fromPage, toSection: op.fromSection });
+        break;
+      case 'group.hide':
+      case 'group.unhide': {
+        const prev = need(findLayoutGroup(beforeLayout(wit), id, op.page), `group "${id}" on "${wit}"`);
+        layoutBucket(wit, 'groups', prev.group.visible === false ? 'hide' : 'unhide').push({ group: prev.group.id, page: prev.page.id });
+        break;
+      }
+      case 'control.hide':
+      case 'control.unhide': {
+        const prev = need(findLayoutControl(beforeLayout(wit), id, op.group), `control "${id}" on "${wit}"`);
+        layoutBucket(wit, 'controls', prev.control.visible === false ? 'hide' : 'unhide').push({ control: id, group: prev.group.id });
+        break;
+      }
+      case 'group.remove': {
+        const prev = need(findLayoutGroup(beforeLayout(wit), id, op.page), `group "${id}" on "${wit}"`);
+        layoutBucket(wit, 'groups', 'add').push({ page: prev.page.id, section: prev.section.id, ...pickProps(prev.group, GROUP_PROPS) });
+        notes.push(`Group "${prev.group.label}" is recreated without its controls`);
+        break;
+      }
+      default:
+        notes.push(`Not reverted: ${op.type} ${op.action} "${id}" has no inverse`);
+    }
+  };
+
+  for (const op of auditedOperations(entry, notes)) {
+    try {
+      invert(op);
+    } catch (err) {
+      // A single edit either reverts or fails; a change set reverts what it can
+      if (entry.type !== 'apply' || err.statusCode !== 400) throw err;
+      notes.push(`Not reverted: ${op.type} ${op.action} "${op.id}" (${err.message})`);
+    }
+  }
+
+  // Every operation is an array entry somewhere in the change set
+  const countOps = (node) => (Array.isArray(node) ? node.length : Object.values(node).reduce((sum, child) => sum + countOps(child), 0));
+  if (countOps(changes) === 0) {
+    throw revertError(notes.length > 0 ? `Nothing can be reverted. ${notes.join('. ')}` : 'Nothing to revert');
+  }
+
+  return { changes, notes };
+}
+
 // ---------------------------------------------------------------------------
 // Direct Edit Endpoints - Organization-Level Fields
 // ---------------------------------------------------------------------------
 
 /**
  * POST /:connectionId/org-field - Create a field at the organization level.
- * Body: { name, referenceName, type, description, usage, readOnly }
+ * Body: { name, referenceName, type, description, usage, readOnly }, plus
+ * `picklist: { items, isSuggested }` or `picklistId` for a picklist field.
  * 409 Conflict (field already exists) is treated as success.
  */
-router.post('/:connectionId/org-field', async (req, res) => {
+router.post('/:connectionId/org-field', audited('orgField', 'createOrgField'), async (req, res) => {
   try {
     const { connectionId } = req.params;
     console.log(`[editor/createOrgField] connectionId=${connectionId} body=${JSON.stringify(req.body)}`);
     const { service } = await createService(connectionId);
-    const result = await service.createOrganizationField(req.body);
+    const result = await service.createFieldWithPicklist(req.body);
     res.status(201).json(result);
   } catch (err) {
     if (isConflict(err) || (err.message && err.message.includes('VS402803'))) {
@@ -704,6 +2054,138 @@ router.post('/:connectionId/org-field', async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Direct Edit Endpoints - Picklists (organization-level)
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /:connectionId/picklists - List the organization's picklists (without items).
+ */
+router.get('/:connectionId/picklists', async (req, res) => {
+  try {
+    const { service } = await createService(req.params.connectionId);
+    const result = await service.getPicklists();
+    res.json({ picklists: result.value || [] });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /:connectionId/picklists/:listId - Get a picklist with its items.
+ */
+router.get('/:connectionId/picklists/:listId', async (req, res) => {
+  try {
+    const { service } = await createService(req.params.connectionId);
+    res.json(await service.getPicklist(req.params.listId));
+  } catch (err) {
+    res.status(isNotFound(err) ? 404 : err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /:connectionId/picklists - Create a picklist.
+ * Body: { name?, type: 'String' | 'Integer' | 'Double', isSuggested?, items }
+ */
+router.post('/:connectionId/picklists', audited('picklist', 'createPicklist'), async (req, res) => {
+  try {
+    const { name, type = 'String', isSuggested = false, items } = req.body;
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'items must list at least one value' });
+    }
+    const { service } = await createService(req.params.connectionId);
+    const result = await service.createPicklist({ name: name || `picklist_${uuidv4()}`, type, isSuggested, items });
+    console.log(`[editor/createPicklist] Created ${result.id} with ${items.length} item(s)`);
+    res.status(201).json(result);
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /:connectionId/picklists/:listId - Replace a picklist's items (and
+ * optionally its name or isSuggested). Body: { items, name?, isSuggested? }
+ * The current list is read first so omitted properties keep their values.
+ */
+router.put('/:connectionId/picklists/:listId', audited('picklist', 'updatePicklist'), async (req, res) => {
+  try {
+    const { items } = req.body;
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ error: 'items (array) is required' });
+    }
+    const { service } = await createService(req.params.connectionId);
+    const current = await service.getPicklist(req.params.listId);
+    const result = await service.updatePicklist(req.params.listId, {
+      id: current.id,
+      name: req.body.name || current.name,
+      type: current.type,
+      isSuggested: req.body.isSuggested !== undefined ? !!req.body.isSuggested : current.isSuggested,
+      items,
+    });
+    console.log(`[editor/updatePicklist] Updated ${req.params.listId}: ${items.length} item(s)`);
+    res.json({ ...result, previousItems: current.items || [] });
+  } catch (err) {
+    res.status(isNotFound(err) ? 404 : err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /:connectionId/picklists/:listId - Delete a picklist that no field uses.
+ */
+router.delete('/:connectionId/picklists/:listId', audited('picklist', 'deletePicklist'), async (req, res) => {
+  try {
+    const { service } = await createService(req.params.connectionId);
+    await service.deletePicklist(req.params.listId);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(isNotFound(err) ? 404 : err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /:connectionId/:processId/picklists/sync - Replace the values of a
+ * field's picklist with a source list, e.g. from another process in a comparison.
+ * Body: { fieldRefName, items, isSuggested? }
+ * The picklist is looked up from the field, so the source and target lists
+ * don't need to share an id. Since picklists belong to the organization, the
+ * change applies to every process that uses the field.
+ */
+router.post('/:connectionId/:processId/picklists/sync', audited('picklist', 'syncPicklistValues'), async (req, res) => {
+  try {
+    const { connectionId, processId } = req.params;
+    const { fieldRefName, items, isSuggested } = req.body;
+    if (!fieldRefName || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'fieldRefName and a non-empty items array are required' });
+    }
+    const { service } = await createService(connectionId);
+    const current = (await service.getFieldPicklists([fieldRefName]))[fieldRefName];
+    if (!current) {
+      return res.status(400).json({ error: `Field "${fieldRefName}" is not a picklist field in the target organization` });
+    }
+    const result = await service.updatePicklist(current.id, {
+      id: current.id,
+      name: current.name,
+      type: current.type,
+      isSuggested: isSuggested !== undefined ? !!isSuggested : current.isSuggested,
+      items,
+    });
+    console.log(`[editor/syncPicklistValues] ${fieldRefName} (${current.id}): ${current.items.length} -> ${items.length} item(s)`);
+    await refreshTempStorage(service, connectionId, processId);
+    // The list belongs to the organization, so every pulled process there that uses it changed too
+    const picklist = { ...current, isSuggested: result.isSuggested ?? current.isSuggested, items: result.items || items };
+    for (const other of await tempStorage.listProcessData(connectionId)) {
+      if (other.processId === processId) continue;
+      const data = await tempStorage.getProcessData(connectionId, other.processId);
+      if (data && data.picklists && data.picklists[fieldRefName]) {
+        await tempStorage.saveProcessData(connectionId, other.processId, { ...data, picklists: { ...data.picklists, [fieldRefName]: picklist } });
+      }
+    }
+    res.json({ fieldRefName, picklistId: current.id, items: result.items || items, previousItems: current.items });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
 // ---------------------------------------------------------------------------
 // Direct Edit Endpoints - Work Item Types
 // ---------------------------------------------------------------------------
@@ -711,7 +2193,7 @@ router.post('/:connectionId/org-field', async (req, res) => {
 /**
  * POST /:connectionId/:processId/workitemtype - Create a work item type.
  */
-router.post('/:connectionId/:processId/workitemtype', async (req, res) => {
+router.post('/:connectionId/:processId/workitemtype', audited('workItemType', 'createWorkItemType'), async (req, res) => {
   try {
     const { connectionId, processId } = req.params;
     const { service } = await createService(connectionId);
@@ -726,7 +2208,7 @@ router.post('/:connectionId/:processId/workitemtype', async (req, res) => {
 /**
  * PATCH /:connectionId/:processId/workitemtype/:witRefName - Update a work item type.
  */
-router.patch('/:connectionId/:processId/workitemtype/:witRefName', async (req, res) => {
+router.patch('/:connectionId/:processId/workitemtype/:witRefName', audited('workItemType', 'updateWorkItemType'), async (req, res) => {
   try {
     const { connectionId, processId, witRefName } = req.params;
     const { service } = await createService(connectionId);
@@ -741,7 +2223,7 @@ router.patch('/:connectionId/:processId/workitemtype/:witRefName', async (req, r
 /**
  * DELETE /:connectionId/:processId/workitemtype/:witRefName - Delete a work item type.
  */
-router.delete('/:connectionId/:processId/workitemtype/:witRefName', async (req, res) => {
+router.delete('/:connectionId/:processId/workitemtype/:witRefName', audited('workItemType', 'deleteWorkItemType'), async (req, res) => {
   try {
     const { connectionId, processId, witRefName } = req.params;
     const { service } = await createService(connectionId);
@@ -761,7 +2243,7 @@ router.delete('/:connectionId/:processId/workitemtype/:witRefName', async (req,
  * POST /:connectionId/:processId/:witRefName/field - Add a field to a work item type.
  * Also adds the field as a control on the form layout so it's visible on the form.
  */
-router.post('/:connectionId/:processId/:witRefName/field', async (req, res) => {
+router.post('/:connectionId/:processId/:witRefName/field', audited('field', 'addField'), async (req, res) => {
   try {
     const { connectionId, processId, witRefName } = req.params;
     console.log(`[editor/addField] connectionId=${connectionId} processId=${processId} witRefName=${witRefName} body=${JSON.stringify(req.body)}`);
@@ -812,7 +2294,7 @@ router.post('/:connectionId/:processId/:witRefName/field', async (req, res) => {
 /**
  * PATCH /:connectionId/:processId/:witRefName/field/:fieldRefName - Update a field.
  */
-router.patch('/:connectionId/:processId/:witRefName/field/:fieldRefName', async (req, res) => {
+router.patch('/:connectionId/:processId/:witRefName/field/:fieldRefName', audited('field', 'updateField'), async (req, res) => {
   try {
     const { connectionId, processId, witRefName, fieldRefName } = req.params;
     const { service } = await createService(connectionId);
@@ -827,7 +2309,7 @@ router.patch('/:connectionId/:processId/:witRefName/field/:fieldRefName', async
 /**
  * DELETE /:connectionId/:processId/:witRefName/field/:fieldRefName - Remove a field.
  */
-router.delete('/:connectionId/:processId/:witRefName/field/:fieldRefName', async (req, res) => {
+router.delete('/:connectionId/:processId/:witRefName/field/:fieldRefName', audited('field', 'removeField'), async (req, res) => {
   try {
     const { connectionId, processId, witRefName, fieldRefName } = req.params;
     const { service } = await createService(connectionId);
@@ -846,7 +2328,7 @@ router.delete('/:connectionId/:processId/:witRefName/field/:fieldRefName', async
 /**
  * POST /:connectionId/:processId/:witRefName/state - Create a state.
  */
-router.post('/:connectionId/:processId/:witRefName/state', async (req, res) => {
+router.post('/:connectionId/:processId/:witRefName/state', audited('state', 'createState'), async (req, res) => {
   try {
     const { connectionId, processId, witRefName } = req.params;
     const { service } = await createService(connectionId);
@@ -861,7 +2343,7 @@ router.post('/:connectionId/:processId/:witRefName/state', async (req, res) => {
 /**
  * PATCH /:connectionId/:processId/:witRefName/state/:stateId - Update a state.
  */
-router.patch('/:connectionId/:processId/:witRefName/state/:stateId', async (req, res) => {
+router.patch('/:connectionId/:processId/:witRefName/state/:stateId', audited('state', 'updateState'), async (req, res) => {
   try {
     const { connectionId, processId, witRefName, stateId } = req.params;
     console.log(`[editor/updateState] witRefName=${witRefName} stateId=${stateId} body=${JSON.stringify(req.body)}`);
@@ -878,7 +2360,7 @@ router.patch('/:connectionId/:processId/:witRefName/state/:stateId', async (req,
 /**
  * DELETE /:connectionId/:processId/:witRefName/state/:stateId - Delete a state.
  */
-router.delete('/:connectionId/:processId/:witRefName/state/:stateId', async (req, res) => {
+router.delete('/:connectionId/:processId/:witRefName/state/:stateId', audited('state', 'deleteState'), async (req, res) => {
   try {
     const { connectionId, processId, witRefName, stateId } = req.params;
     const { service } = await createService(connectionId);
@@ -890,6 +2372,83 @@ router.delete('/:connectionId/:processId/:witRefName/state/:stateId', async (req
   }
 });
 
+/**
+ * PUT /:connectionId/:processId/:witRefName/state/:stateId/hidden - Hide or unhide an inherited state.
+ * Body: { hidden: boolean }. Custom states can't be hidden; delete them instead.
+ */
+router.put('/:connectionId/:processId/:witRefName/state/:stateId/hidden', audited('state', 'hideState'), async (req, res) => {
+  try {
+    const { connectionId, processId, witRefName, stateId } = req.params;
+    if (typeof req.body.hidden !== 'boolean') {
+      return res.status(400).json({ error: 'hidden must be true or false' });
+    }
+    console.log(`[editor/hideState] witRefName=${witRefName} stateId=${stateId} hidden=${req.body.hidden}`);
+    const { service } = await createService(connectionId);
+    const result = await service.hideState(processId, witRefName, stateId, { hidden: req.body.hidden });
+    await refreshTempStorage(service, connectionId, processId);
+    res.json(result);
+  } catch (err) {
+    console.error(`[editor/hideState] FAILED: ${err.message}`);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Direct Edit Endpoints - Rules
+// ---------------------------------------------------------------------------
+
+/**
+ * POST /:connectionId/:processId/:witRefName/rule - Create a rule.
+ * Body: { name, conditions: [...], actions: [...], isDisabled }
+ */
+router.post('/:connectionId/:processId/:witRefName/rule', audited('rule', 'createRule'), async (req, res) => {
+  try {
+    const { connectionId, processId, witRefName } = req.params;
+    console.log(`[editor/createRule] witRefName=${witRefName} body=${JSON.stringify(req.body)}`);
+    const { service } = await createService(connectionId);
+    const result = await service.createRule(processId, witRefName, req.body);
+    await refreshTempStorage(service, connectionId, processId);
+    res.status(201).json(result);
+  } catch (err) {
+    console.error(`[editor/createRule] FAILED: ${err.message}`);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /:connectionId/:processId/:witRefName/rule/:ruleId - Update a rule.
+ * The API replaces the whole rule, so the body is merged over the current
+ * rule; a body with only `isDisabled` keeps the conditions and actions.
+ */
+router.put('/:connectionId/:processId/:witRefName/rule/:ruleId', audited('rule', 'updateRule'), async (req, res) => {
+  try {
+    const { connectionId, processId, witRefName, ruleId } = req.params;
+    console.log(`[editor/updateRule] witRefName=${witRefName} ruleId=${ruleId} body=${JSON.stringify(req.body)}`);
+    const { service } = await createService(connectionId);
+    const result = await service.updateRule(processId, witRefName, ruleId, await mergedRuleBody(service, processId, witRefName, ruleId, req.body));
+    await refreshTempStorage(service, connectionId, processId);
+    res.json(result);
+  } catch (err) {
+    console.error(`[editor/updateRule] FAILED: ${err.message}`);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /:connectionId/:processId/:witRefName/rule/:ruleId - Delete a custom rule.
+ */
+router.delete('/:connectionId/:processId/:witRefName/rule/:ruleId', audited('rule', 'deleteRule'), async (req, res) => {
+  try {
+    const { connectionId, processId, witRefName, ruleId } = req.params;
+    const { service } = await createService(connectionId);
+    await service.deleteRule(processId, witRefName, ruleId);
+    await refreshTempStorage(service, connectionId, processId);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
 // ---------------------------------------------------------------------------
 // Direct Edit Endpoints - Work Item Type Behaviors
 // ---------------------------------------------------------------------------
@@ -897,7 +2456,7 @@ router.delete('/:connectionId/:processId/:witRefName/state/:stateId', async (req
 /**
  * POST /:connectionId/:processId/:witRefName/behavior - Add a behavior to a work item type.
  */
-router.post('/:connectionId/:processId/:witRefName/behavior', async (req, res) => {
+router.post('/:connectionId/:processId/:witRefName/behavior', audited('workItemTypeBehavior', 'addWorkItemTypeBehavior'), async (req, res) => {
   try {
     const { connectionId, processId, witRefName } = req.params;
     const { service } = await createService(connectionId);
@@ -912,7 +2471,7 @@ router.post('/:connectionId/:processId/:witRefName/behavior', async (req, res) =
 /**
  * PATCH /:connectionId/:processId/:witRefName/behavior/:behaviorId - Update a WIT behavior.
  */
-router.patch('/:connectionId/:processId/:witRefName/behavior/:behaviorId', async (req, res) => {
+router.patch('/:connectionId/:processId/:witRefName/behavior/:behaviorId', audited('workItemTypeBehavior', 'updateWorkItemTypeBehavior'), async (req, res) => {
   try {
     const { connectionId, processId, witRefName, behaviorId } = req.params;
     const { service } = await createService(connectionId);
@@ -927,7 +2486,7 @@ router.patch('/:connectionId/:processId/:witRefName/behavior/:behaviorId', async
 /**
  * DELETE /:connectionId/:processId/:witRefName/behavior/:behaviorId - Remove a WIT behavior.
  */
-router.delete('/:connectionId/:processId/:witRefName/behavior/:behaviorId', async (req, res) => {
+router.delete('/:connectionId/:processId/:witRefName/behavior/:behaviorId', audited('workItemTypeBehavior', 'removeWorkItemTypeBehavior'), async (req, res) => {
   try {
     const { connectionId, processId, witRefName, behaviorId } = req.params;
     const { service } = await createService(connectionId);
@@ -939,11 +2498,176 @@ router.delete('/:connectionId/:processId/:witRefName/behavior/:behaviorId', asyn
   }
 });
 
+// ---------------------------------------------------------------------------
+// Direct Edit Endpoints - Layout (pages, sections, groups, controls)
+// ---------------------------------------------------------------------------
+
+/**
+ * POST /:connectionId/:processId/:witRefName/page - Add a page to the form.
+ * Body: { label, visible, order, pageType }
+ */
+router.post('/:connectionId/:processId/:witRefName/page', audited('page', 'createPage'), async (req, res) => {
+  try {
+    const { connectionId, processId, witRefName } = req.params;
+    console.log(`[editor/createPage] witRefName=${witRefName} body=${JSON.stringify(req.body)}`);
+    const { service } = await createService(connectionId);
+    const result = await service.createPage(processId, witRefName, req.body);
+    await refreshTempStorage(service, connectionId, processId);
+    res.status(201).json(result);
+  } catch (err) {
+    console.error(`[editor/createPage] FAILED: ${err.message}`);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * PATCH /:connectionId/:processId/:witRefName/page/:pageId - Update a page (label, visible, order).
+ */
+router.patch('/:connectionId/:processId/:witRefName/page/:pageId', audited('page', 'updatePage'), async (req, res) => {
+  try {
+    const { connectionId, processId, witRefName, pageId } = req.params;
+    console.log(`[editor/updatePage] witRefName=${witRefName} pageId=${pageId} body=${JSON.stringify(req.body)}`);
+    const { service } = await createService(connectionId);
+    const result = await service.updatePage(processId, witRefName, { ...req.body, id: pageId });
+    await refreshTempStorage(service, connectionId, processId);
+    res.json(result);
+  } catch (err) {
+    console.error(`[editor/updatePage] FAILED: ${err.message}`);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /:connectionId/:processId/:witRefName/page/:pageId - Remove a custom page.
+ */
+router.delete('/:connectionId/:processId/:witRefName/page/:pageId', audited('page', 'deletePage'), async (req, res) => {
+  try {
+    const { connectionId, processId, witRefName, pageId } = req.params;
+    console.log(`[editor/deletePage] witRefName=${witRefName} pageId=${pageId}`);
+    const { service } = await createService(connectionId);
+    await service.deletePage(processId, witRefName, pageId);
+    await refreshTempStorage(service, connectionId, processId);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(`[editor/deletePage] FAILED: ${err.message}`);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /:connectionId/:processId/:witRefName/page/:pageId/section - Add a section to a page.
+ * Body: { id, groups }
+ */
+router.post('/:connectionId/:processId/:witRefName/page/:pageId/section', audited('section', 'createSection'), async (req, res) => {
+  try {
+    const { connectionId, processId, witRefName, pageId } = req.params;
+    console.log(`[editor/createSection] witRefName=${witRefName} pageId=${pageId} body=${JSON.stringify(req.body)}`);
+    const { service } = await createService(connectionId);
+    const result = await service.createSection(processId, witRefName, pageId, req.body);
+    await refreshTempStorage(service, connectionId, processId);
+    res.status(201).json(result);
+  } catch (err) {
+    console.error(`[editor/createSection] FAILED: ${err.message}`);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /:connectionId/:processId/:witRefName/page/:pageId/section/:sectionId - Remove a section.
+ */
+router.delete('/:connectionId/:processId/:witRefName/page/:pageId/section/:sectionId', audited('section', 'deleteSection'), async (req, res) => {
+  try {
+    const { connectionId, processId, witRefName, pageId, sectionId } = req.params;
+    console.log(`[editor/deleteSection] witRefName=${witRefName} pageId=${pageId} sectionId=${sectionId}`);
+    const { service } = await createService(connectionId);
+    await service.deleteSection(processId, witRefName, pageId, sectionId);
+    await refreshTempStorage(service, connectionId, processId);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(`[editor/deleteSection] FAILED: ${err.message}`);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /:connectionId/:processId/:witRefName/page/:pageId/section/:sectionId/group - Add a group to a section.
+ * Body: { label, visible, order, controls }
+ */
+router.post('/:connectionId/:processId/:witRefName/page/:pageId/section/:sectionId/group', audited('group', 'createGroup'), async (req, res) => {
+  try {
+    const { connectionId, processId, witRefName, pageId, sectionId } = req.params;
+    console.log(`[editor/createGroup] witRefName=${witRefName} pageId=${pageId} sectionId=${sectionId} body=${JSON.stringify(req.body)}`);
+    const { service } = await createService(connectionId);
+    const result = await service.createGroup(processId, witRefName, pageId, sectionId, req.body);
+    await refreshTempStorage(service, connectionId, processId);
+    res.status(201).json(result);
+  } catch (err) {
+    console.error(`[editor/createGroup] FAILED: ${err.message}`);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * PATCH /:connectionId/:processId/:witRefName/page/:pageId/section/:sectionId/group/:groupId - Update a group.
+ */
+router.patch('/:connectionId/:processId/:witRefName/page/:pageId/section/:sectionId/group/:groupId', audited('group', 'updateGroup'), async (req, res) => {
+  try {
+    const { connectionId, processId, witRefName, pageId, sectionId, groupId } = req.params;
+    console.log(`[editor/updateGroup] witRefName=${witRefName} groupId=${groupId} body=${JSON.stringify(req.body)}`);
+    const { service } = await createService(connectionId);
+    const result = await service.updateGroup(processId, witRefName, pageId, sectionId, groupId, { ...req.body, id: groupId });
+    await refreshTempStorage(service, connectionId, processId);
+    res.json(result);
+  } catch (err) {
+    console.error(`[editor/updateGroup] FAILED: ${err.message}`);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /:connectionId/:processId/:witRefName/page/:pageId/section/:sectionId/group/:groupId - Remove a group.
+ */
+router.delete('/:connectionId/:processId/:witRefName/page/:pageId/section/:sectionId/group/:groupId', audited('group', 'deleteGroup'), async (req, res) => {
+  try {
+    const { connectionId, processId, witRefName, pageId, sectionId, groupId } = req.params;
+    console.log(`[editor/deleteGroup] witRefName=${witRefName} groupId=${groupId}`);
+    const { service } = await createService(connectionId);
+    await service.deleteGroup(processId, witRefName, pageId, sectionId, groupId);
+    await refreshTempStorage(service, connectionId, processId);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(`[editor/deleteGroup] FAILED: ${err.message}`);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /:connectionId/:processId/:witRefName/page/:pageId/section/:sectionId/group/:groupId/move
+ * Move a group into the given (target) page and section.
+ * Body: { removeFromSectionId, removeFromPageId? } - removeFromPageId only when changing pages.
+ */
+router.put('/:connectionId/:processId/:witRefName/page/:pageId/section/:sectionId/group/:groupId/move', audited('group', 'moveGroup'), async (req, res) => {
+  try {
+    const { connectionId, processId, witRefName, pageId, sectionId, groupId } = req.params;
+    if (!req.body.removeFromSectionId) {
+      return res.status(400).json({ error: 'removeFromSectionId is required' });
+    }
+    console.log(`[editor/moveGroup] witRefName=${witRefName} groupId=${groupId} to=${pageId}/${sectionId} body=${JSON.stringify(req.body)}`);
+    const { service } = await createService(connectionId);
+    const result = await service.moveGroup(processId, witRefName, pageId, sectionId, groupId, { ...req.body, id: groupId });
+    await refreshTempStorage(service, connectionId, processId);
+    res.json(result);
+  } catch (err) {
+    console.error(`[editor/moveGroup] FAILED: ${err.message}`);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
 /**
  * PUT /:connectionId/:processId/:witRefName/control/:groupId - Add/move a control to a layout group.
  * Body must include { id: fieldRefName, label, visible, ... }.
  */
-router.put('/:connectionId/:processId/:witRefName/control/:groupId', async (req, res) => {
+router.put('/:connectionId/:processId/:witRefName/control/:groupId', audited('control', 'addControl'), async (req, res) => {
   try {
     const { connectionId, processId, witRefName, groupId } = req.params;
     console.log(`[editor/addControl] witRefName=${witRefName} groupId=${groupId} body=${JSON.stringify(req.body)}`);
@@ -960,7 +2684,7 @@ router.put('/:connectionId/:processId/:witRefName/control/:groupId', async (req,
 /**
  * PATCH /:connectionId/:processId/:witRefName/control/:groupId/:controlId - Edit a control in place (e.g. toggle visible).
  */
-router.patch('/:connectionId/:processId/:witRefName/control/:groupId/:controlId', async (req, res) => {
+router.patch('/:connectionId/:processId/:witRefName/control/:groupId/:controlId', audited('control', 'editControl'), async (req, res) => {
   try {
     const { connectionId, processId, witRefName, groupId, controlId } = req.params;
     console.log(`[editor/editControl] witRefName=${witRefName} groupId=${groupId} controlId=${controlId} body=${JSON.stringify(req.body)}`);
@@ -977,7 +2701,7 @@ router.patch('/:connectionId/:processId/:witRefName/control/:groupId/:controlId'
 /**
  * DELETE /:connectionId/:processId/:witRefName/control/:groupId/:controlId - Remove a control from layout.
  */
-router.delete('/:connectionId/:processId/:witRefName/control/:groupId/:controlId', async (req, res) => {
+router.delete('/:connectionId/:processId/:witRefName/control/:groupId/:controlId', audited('control', 'removeControl'), async (req, res) => {
   try {
     const { connectionId, processId, witRefName, groupId, controlId } = req.params;
     console.log(`[editor/removeControl] witRefName=${witRefName} groupId=${groupId} controlId=${controlId}`);
@@ -992,3 +2716,6 @@ router.delete('/:connectionId/:processId/:witRefName/control/:groupId/:controlId
 });
 
 module.exports = router;
+// Used by the audit routes to revert entries
+module.exports.buildRevertChanges = buildRevertChanges;
+module.exports.applyWithAudit = applyWithAudit;
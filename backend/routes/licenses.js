@@ -4,13 +4,14 @@ const express = require('express');
 const router = express.Router();
 const configManager = require('../services/configManager');
 const AzureDevOpsService = require('../services/azureDevOps');
+const { createCredentialProvider } = require('../services/credentialProviders');
 
 async function createService(connectionId) {
   const connection = await configManager.getConnection(connectionId);
   if (!connection) {
     throw new Error(`Connection not found: ${connectionId}`);
   }
-  return new AzureDevOpsService(connection.orgUrl, connection.pat);
+  return new AzureDevOpsService(connection.orgUrl, createCredentialProvider(connection), { connectionId: connection.id });
 }
 
 // ---------------------------------------------------------------------------
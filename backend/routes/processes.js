@@ -2,7 +2,14 @@ const express = require('express');
 const router = express.Router();
 const configManager = require('../services/configManager');
 const AzureDevOpsService = require('../services/azureDevOps');
+const { createCredentialProvider } = require('../services/credentialProviders');
 const tempStorage = require('../services/tempStorage');
+const auditLog = require('../services/auditLog');
+const driftMonitor = require('../services/driftMonitor');
+const { cloneProcess } = require('../services/processCloner');
+const { toTemplate, serializeTemplate } = require('../services/processTemplate');
+const { writeProcessArchive } = require('../services/processArchive');
+const { runComparison } = require('./comparison');
 
 /**
  * Creates an AzureDevOpsService instance for the given connection ID.
@@ -15,7 +22,472 @@ async function createService(connectionId) {
   if (!connection) {
     throw new Error(`Connection not found: ${connectionId}`);
   }
-  return new AzureDevOpsService(connection.orgUrl, connection.pat);
+  return new AzureDevOpsService(connection.orgUrl, createCredentialProvider(connection), { connectionId: connection.id });
+}
+
+/**
+ * Records a change to a process or project in the audit log, with the
+ * request's method, params and body. A failed write is logged, not thrown,
+ * since the change itself already happened.
+ * @param {import('express').Request} req
+ * @param {{ processId: string, type: string, operation: string, status: string, statusCode: number,
+ *   result?: *, error?: string }} entry
+ * @returns {Promise<void>}
+ */
+async function recordChange(req, entry) {
+  await auditLog.appendEntry({
+    connectionId: req.params.connectionId,
+    method: req.method,
+    params: req.params,
+    body: req.body,
+    ...entry,
+  }).catch((err) => console.error('Error writing audit entry:', err.message));
+}
+
+/**
+ * Pulls full process data from Azure DevOps and saves it to temp storage.
+ * @param {string} connectionId
+ * @param {string} processId
+ * @returns {Promise<{ processData: object, snapshot: { snapshotId: string, savedAt: string }, throttle: object }>}
+ *   `throttle` holds the request stats of the pull (retries, 429s, limiter waits)
+ * @throws {Error} With statusCode 404 if the connection is not found
+ */
+async function pullProcess(connectionId, processId) {
+  const connection = await configManager.getConnection(connectionId);
+  if (!connection) {
+    const err = new Error(`Connection not found: ${connectionId}`);
+    err.statusCode = 404;
+    throw err;
+  }
+
+  const service = new AzureDevOpsService(connection.orgUrl, createCredentialProvider(connection), { connectionId: connection.id });
+
+  // 1. Get process info
+  const processInfo = await service.getProcess(processId);
+
+  // 2. Get all work item types
+  const witResponse = await service.getWorkItemTypes(processId);
+  const workItemTypes = witResponse.value || [];
+
+  // 3. For each work item type, fetch details in parallel
+  const enrichedWorkItemTypes = await Promise.all(
+    workItemTypes.map(async (wit) => {
+      const witRefName = wit.referenceName;
+
+      const [fields, states, rules, behaviors, layout] = await Promise.all([
+        service.getFields(processId, witRefName).catch((err) => {
+          console.warn(`Warning: Failed to fetch fields for ${witRefName}:`, err.message);
+          return { value: [] };
+        }),
+        service.getStates(processId, witRefName).catch((err) => {
+          console.warn(`Warning: Failed to fetch states for ${witRefName}:`, err.message);
+          return { value: [] };
+        }),
+        service.getRules(processId, witRefName).catch((err) => {
+          console.warn(`Warning: Failed to fetch rules for ${witRefName}:`, err.message);
+          return { value: [] };
+        }),
+        service.getWorkItemTypeBehaviors(processId, witRefName).catch((err) => {
+          console.warn(`Warning: Failed to fetch behaviors for ${witRefName}:`, err.message);
+          return { value: [] };
+        }),
+        service.getLayout(processId, witRefName).catch((err) => {
+          console.warn(`Warning: Failed to fetch layout for ${witRefName}:`, err.message);
+          return null;
+        }),
+      ]);
+
+      return {
+        ...wit,
+        fields: fields.value || [],
+        states: states.value || [],
+        rules: rules.value || [],
+        behaviors: behaviors.value || [],
+        layout: layout,
+      };
+    })
+  );
+
+  // 4. Get process-level behaviors
+  const behaviorsResponse = await service.getBehaviors(processId);
+
+  // 5. Get the items of every picklist field the work item types use
+  const fieldRefNames = enrichedWorkItemTypes.flatMap((wit) => wit.fields.map((f) => f.referenceName));
+  const picklists = await service.getFieldPicklists(fieldRefNames).catch((err) => {
+    console.warn('Warning: Failed to fetch picklists:', err.message);
+    return {};
+  });
+
+  // 6. Assemble complete process data
+  const processData = {
+    process: { ...processInfo },
+    workItemTypes: enrichedWorkItemTypes,
+    behaviors: behaviorsResponse.value || [],
+    picklists,
+    pulledAt: new Date().toISOString(),
+    connectionId,
+    orgUrl: connection.orgUrl,
+  };
+
+  // 7. Save to temp storage, which also keeps it as a snapshot
+  const snapshot = await tempStorage.saveProcessData(connectionId, processId, processData, { snapshot: true });
+  const throttle = service.getThrottleStats();
+  if (throttle.retries > 0) {
+    console.log(`[processes/pull] ${processId}: ${throttle.requests} requests, ${throttle.retries} retried (${throttle.throttled} throttled)`);
+  }
+  return { processData, snapshot, throttle };
+}
+
+// How many matching work items a move check counts before it stops
+const MOVE_CHECK_TOP = 1000;
+
+/**
+ * The system process a process is based on: its parent for an inherited
+ * process, itself for a system process.
+ * @param {object} proc - Process from the processes list
+ * @returns {string}
+ */
+function baseProcessId(proc) {
+  return proc.parentProcessTypeId && proc.parentProcessTypeId !== '00000000-0000-0000-0000-000000000000'
+    ? proc.parentProcessTypeId
+    : proc.typeId;
+}
+
+/**
+ * Reads the work item types of a process with their states, keyed by WIT name
+ * (inherited processes give customized WITs their own reference names, but
+ * work items refer to their type by name).
+ * @param {AzureDevOpsService} service
+ * @param {string} processId
+ * @returns {Promise<Map<string, { referenceName: string, isDisabled: boolean, states: Set<string> }>>}
+ */
+async function workItemTypeStates(service, processId) {
+  const wits = (await service.getWorkItemTypes(processId)).value || [];
+  const entries = await Promise.all(wits.map(async (wit) => {
+    const states = (await service.getStates(processId, wit.referenceName)).value || [];
+    return [wit.name, {
+      referenceName: wit.referenceName,
+      isDisabled: !!wit.isDisabled,
+      states: new Set(states.map((s) => s.name)),
+    }];
+  }));
+  return new Map(entries);
+}
+
+/**
+ * Checks whether a project can be moved to another process. The move is
+ * blocked when the target is based on a different system process or is
+ * disabled, or when the project has work items whose type or state the
+ * target doesn't have. Only types and states the target lacks are queried.
+ * @param {AzureDevOpsService} service
+ * @param {string} projectId
+ * @param {string} targetProcessId
+ * @returns {Promise<{ project: object, sourceProcess: object, targetProcess: object, canMove: boolean,
+ *   issues: Array<object>, warnings: Array<object> }>} Each issue and warning has a `kind` and a `message`;
+ *   work item counts stop at MOVE_CHECK_TOP
+ * @throws {Error} With statusCode 404 if the project or target process is not found,
+ *   400 if the project already uses the target process
+ */
+async function validateProjectMove(service, projectId, targetProcessId) {
+  const processes = (await service.getProcesses('projects')).value || [];
+  const source = processes.find((p) => (p.projects || []).some((x) => x.id === projectId || x.name === projectId));
+  if (!source) {
+    const err = new Error(`Project not found: ${projectId}`);
+    err.statusCode = 404;
+    throw err;
+  }
+  const project = source.projects.find((x) => x.id === projectId || x.name === projectId);
+  const target = processes.find((p) => p.typeId === targetProcessId);
+  if (!target) {
+    const err = new Error(`Process not found: ${targetProcessId}`);
+    err.statusCode = 404;
+    throw err;
+  }
+  if (target.typeId === source.typeId) {
+    const err = new Error(`Project "${project.name}" already uses "${target.name}"`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const issues = [];
+  const warnings = [];
+  const summary = (p) => ({ typeId: p.typeId, name: p.name, customizationType: p.customizationType });
+  const result = (canMove) => ({
+    project: { id: project.id, name: project.name },
+    sourceProcess: summary(source),
+    targetProcess: summary(target),
+    canMove,
+    issues,
+    warnings,
+  });
+
+  if (baseProcessId(source) !== baseProcessId(target)) {
+    const baseName = (p) => (processes.find((x) => x.typeId === baseProcessId(p)) || p).name;
+    issues.push({
+      kind: 'baseProcess',
+      message: `"${target.name}" is based on ${baseName(target)} but "${project.name}" uses a ${baseName(source)} process; `
+        + 'Azure DevOps only moves projects between processes based on the same system process',
+    });
+  }
+  if (target.isEnabled === false) {
+    issues.push({ kind: 'disabled', message: `"${target.name}" is disabled` });
+  }
+  if (issues.length > 0) {
+    return result(false);
+  }
+
+  const [sourceWits, targetWits] = await Promise.all([
+    workItemTypeStates(service, source.typeId),
+    workItemTypeStates(service, targetProcessId),
+  ]);
+  const quote = (value) => `'${String(value).replace(/'/g, "''")}'`;
+  const countWorkItems = async (conditions) => {
+    const query = `SELECT [System.Id] FROM WorkItems WHERE [System.TeamProject] = @project AND ${conditions}`;
+    return (await service.queryWorkItemIds(project.id, query, MOVE_CHECK_TOP)).length;
+  };
+  const howMany = (count) => (count >= MOVE_CHECK_TOP ? `${count}+` : String(count));
+
+  for (const [witName, sourceWit] of sourceWits) {
+    const targetWit = targetWits.get(witName);
+    const witCondition = `[System.WorkItemType] = ${quote(witName)}`;
+    if (!targetWit) {
+      const count = await countWorkItems(witCondition);
+      if (count > 0) {
+        issues.push({ kind: 'workItemType', workItemType: witName, count, message: `${howMany(count)} work item(s) are of type "${witName}", which "${target.name}" doesn't have` });
+      }
+      continue;
+    }
+    for (const state of sourceWit.states) {
+      if (targetWit.states.has(state)) continue;
+      const count = await countWorkItems(`${witCondition} AND [System.State] = ${quote(state)}`);
+      if (count > 0) {
+        issues.push({ kind: 'state', workItemType: witName, state, count, message: `${howMany(count)} "${witName}" work item(s) are in state "${state}", which "${target.name}" doesn't have` });
+      }
+    }
+    if (targetWit.isDisabled && !sourceWit.isDisabled) {
+      const count = await countWorkItems(witCondition);
+      if (count > 0) {
+        warnings.push({ kind: 'disabledWorkItemType', workItemType: witName, count, message: `"${witName}" is disabled in "${target.name}"; no new ones can be created after the move (${howMany(count)} exist)` });
+      }
+    }
+  }
+
+  return result(issues.length === 0);
+}
+
+// The comparison categories each kind of audited item shows up in, with the
+// layout level for layout items. A field and its control on the form show up
+// in both the fields and the layout.
+const DRIFT_CATEGORIES = {
+  workItemType: [['workItemTypes']],
+  field: [['fields'], ['layouts', 'control']],
+  state: [['states']],
+  rule: [['rules']],
+  page: [['layouts', 'page']],
+  group: [['layouts', 'group']],
+  control: [['layouts', 'control'], ['fields']],
+  behavior: [['behaviors']],
+  workItemTypeBehavior: [['workItemTypeBehaviors']],
+  picklist: [['picklists']],
+};
+
+// Request parameter naming the item a direct edit changed
+const ITEM_PARAMS = {
+  workItemType: 'witRefName',
+  field: 'fieldRefName',
+  state: 'stateId',
+  rule: 'ruleId',
+  page: 'pageId',
+  group: 'groupId',
+  control: 'controlId',
+  workItemTypeBehavior: 'behaviorId',
+  picklist: 'listId',
+};
+
+// Properties of a request body or result that identify the item
+const ITEM_PROPS = ['id', 'name', 'referenceName', 'label', 'fieldRefName', 'picklistId'];
+
+/**
+ * Collects the identifiers found in request bodies or results.
+ * @param {...object} sources
+ * @returns {string[]}
+ */
+function itemIdentifiers(...sources) {
+  const ids = [];
+  for (const source of sources) {
+    if (!source || typeof source !== 'object') continue;
+    for (const prop of ITEM_PROPS) {
+      if (typeof source[prop] === 'string') ids.push(source[prop]);
+    }
+    if (source.behavior && source.behavior.id) ids.push(source.behavior.id);
+  }
+  return ids;
+}
+
+/**
+ * Lists the items that audited changes touched, as
+ * `category:work item type name:identifier` keys (`*` for the work item type
+ * when the item isn't tied to one). An item is keyed by every id, name or
+ * reference name the audit entry gives for it; layout identifiers are
+ * prefixed with their level, e.g. `group:<id>`.
+ * @param {Array<object>} entries - Audit entries that did not fail
+ * @param {Array<object>} workItemTypes - Work item types of the baseline and the fresh pull
+ * @returns {Set<string>}
+ */
+function toolChangeKeys(entries, workItemTypes) {
+  const witName = (ref) => {
+    const wit = workItemTypes.find((w) => w.referenceName === ref || w.id === ref || w.name === ref);
+    return wit ? wit.name || ref : ref;
+  };
+  const keys = new Set();
+  const add = (type, witRefName, ids) => {
+    const wit = type !== 'workItemType' && witRefName ? witName(witRefName) : '*';
+    for (const [category, level] of DRIFT_CATEGORIES[type] || []) {
+      for (const id of ids) {
+        if (id) keys.add(`${category}:${wit}:${level ? `${level}:${id}` : id}`);
+      }
+    }
+  };
+  for (const entry of entries) {
+    if (entry.type !== 'apply') {
+      const param = (entry.params || {})[ITEM_PARAMS[entry.type]];
+      add(entry.type, entry.witRefName, [param, ...itemIdentifiers(entry.body, entry.result)]);
+      continue;
+    }
+    const results = (entry.result && entry.result.results) || {};
+    // A rolled back apply only left behind the operations that could not be undone
+    const rolledBack = results.rolledBack && results.errors && results.errors.length > 0;
+    for (const { type, witRefName, item, result } of (rolledBack ? results.rollbackErrors : results.applied) || []) {
+      // New groups and sections are named `page / label`
+      const ids = typeof item === 'string' ? [item, item.split(' / ').pop()] : [];
+      if (type === 'workItemType') ids.push(witRefName);
+      add(type, witRefName, [...ids, ...itemIdentifiers(result)]);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Marks the comparison differences in items touched by audited changes with
+ * `explained: true`. A difference is matched by its field reference name,
+ * state, rule, layout element, behavior or picklist field, using the name
+ * and the id it has in each compared process.
+ * @param {object} comparison - runComparison(...).comparison
+ * @param {Set<string>} keys - From toolChangeKeys
+ * @returns {number} the number of differences marked
+ */
+function markToolDifferences(comparison, keys) {
+  let explained = 0;
+  const mark = (category, witName, difference, ids) => {
+    if (ids.some((id) => id && keys.has(`${category}:${witName || '*'}:${id}`))) {
+      difference.explained = true;
+      explained++;
+    }
+  };
+  const idsIn = (perProcess) => Object.values(perProcess || {}).map((item) => item.id);
+
+  for (const difference of comparison.workItemTypes.differences) {
+    const perProcess = comparison.workItemTypes.byName[difference.witName] || {};
+    mark('workItemTypes', null, difference, [difference.witName, ...Object.values(perProcess).map((w) => w.referenceName)]);
+  }
+  for (const [witName, witData] of Object.entries(comparison.fields.byWorkItemType)) {
+    for (const difference of witData.differences) {
+      mark('fields', witName, difference, [difference.fieldRefName, difference.fieldName]);
+    }
+  }
+  for (const [witName, witData] of Object.entries(comparison.states.byWorkItemType)) {
+    for (const difference of witData.differences) {
+      mark('states', witName, difference, [difference.stateName, ...idsIn(witData.byState[difference.stateName])]);
+    }
+  }
+  for (const [witName, witData] of Object.entries(comparison.rules.byWorkItemType)) {
+    for (const difference of witData.differences) {
+      // Divergent actions are keyed by the conditions only, so look at every rule with them
+      const rules = Object.keys(witData.byRule)
+        .filter((key) => key === difference.ruleKey || key.startsWith(`${difference.ruleKey}=>`))
+        .flatMap((key) => Object.values(witData.byRule[key]));
+      mark('rules', witName, difference, rules.flatMap((rule) => [rule.name, ...rule.copies.map((copy) => copy.id)]));
+    }
+  }
+  for (const [witName, witData] of Object.entries(comparison.layouts.byWorkItemType)) {
+    for (const difference of witData.differences) {
+      const ids = [difference.label, ...idsIn(witData.byKey[difference.key])];
+      mark('layouts', witName, difference, ids.map((id) => `${difference.level}:${id}`));
+    }
+  }
+  for (const [witName, witData] of Object.entries(comparison.workItemTypeBehaviors.byWorkItemType)) {
+    for (const difference of witData.differences) {
+      mark('workItemTypeBehaviors', witName, difference, [difference.behaviorId]);
+    }
+  }
+  for (const difference of comparison.behaviors.differences) {
+    mark('behaviors', null, difference, [difference.behaviorId, difference.behaviorName]);
+  }
+  for (const difference of comparison.picklists.differences) {
+    mark('picklists', null, difference, [difference.fieldRefName, ...idsIn(comparison.picklists.byField[difference.fieldRefName])]);
+  }
+  return explained;
+}
+
+/**
+ * Re-pulls a process and compares it with its baseline snapshot.
+ * Changes recorded in the audit log since the baseline are listed alongside,
+ * and differences in the items they touched are marked as explained. Only
+ * the remaining differences count as drift.
+ * @param {string} connectionId
+ * @param {string} processId
+ * @returns {Promise<object>} the drift report
+ * @throws {Error} With statusCode 404 if no baseline is set
+ */
+async function checkDrift(connectionId, processId) {
+  const baseline = await tempStorage.getBaseline(connectionId, processId);
+  if (!baseline) {
+    const err = new Error('No baseline set for this process. Mark a snapshot as the baseline first.');
+    err.statusCode = 404;
+    throw err;
+  }
+  const baselineData = await tempStorage.getSnapshot(connectionId, processId, baseline.snapshotId);
+  if (!baselineData) {
+    const err = new Error(`Baseline snapshot not found: ${baseline.snapshotId}`);
+    err.statusCode = 404;
+    throw err;
+  }
+
+  const { processData, snapshot } = await pullProcess(connectionId, processId);
+  const result = runComparison([
+    { connectionId, processId: `${processId}@${baseline.snapshotId}`, data: baselineData, snapshotId: baseline.snapshotId },
+    { connectionId, processId, data: processData },
+  ]);
+  const { summary } = result.comparison;
+
+  const { entries } = await auditLog.listEntries({ connectionId, processId, from: baseline.savedAt });
+  const toolEntries = entries.filter((entry) => entry.status !== 'error');
+  const toolChanges = toolEntries
+    .map(({ id, timestamp, operation, witRefName, status }) => ({ id, timestamp, operation, witRefName, status }));
+  const keys = toolChangeKeys(toolEntries, [...(baselineData.workItemTypes || []), ...(processData.workItemTypes || [])]);
+  const explainedDifferences = markToolDifferences(result.comparison, keys);
+
+  const check = {
+    checkedAt: new Date().toISOString(),
+    drifted: summary.totalDifferences > explainedDifferences,
+    totalDifferences: summary.totalDifferences,
+    explainedDifferences,
+    snapshotId: snapshot.snapshotId,
+  };
+  const { lastCheck, ...baselineInfo } = await tempStorage.saveBaselineCheck(connectionId, processId, check);
+
+  return {
+    ...check,
+    connectionId,
+    processId,
+    processName: (processData.process && processData.process.name) || processId,
+    baseline: baselineInfo,
+    summary,
+    toolChanges,
+    processes: result.processes,
+    comparison: result.comparison,
+    pulled: processData,
+  };
 }
 
 // ---------------------------------------------------------------------------
@@ -77,13 +549,95 @@ router.get('/:connectionId/fields/all', async (req, res) => {
 });
 
 // ---------------------------------------------------------------------------
-// GET /:connectionId - List all processes for a connection
+// GET /:connectionId/projects - List the organization's projects with their process
+// ---------------------------------------------------------------------------
+router.get('/:connectionId/projects', async (req, res) => {
+  try {
+    const service = await createService(req.params.connectionId);
+    const projects = await service.getProjectProcesses();
+    res.json({ projects });
+  } catch (err) {
+    console.error('Error listing projects:', err);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /:connectionId/projects/:projectId/move - Move a project to another process
+// Body: { targetProcessId, validateOnly? }
+// The move is checked first (see validateProjectMove) and refused with 409
+// when the target lacks a work item type or state the project's work items
+// use. With validateOnly the check is returned without moving anything.
+// ---------------------------------------------------------------------------
+router.post('/:connectionId/projects/:projectId/move', async (req, res) => {
+  const { connectionId, projectId } = req.params;
+  const { targetProcessId, validateOnly } = req.body;
+  if (!targetProcessId) {
+    return res.status(400).json({ error: 'targetProcessId is required' });
+  }
+  let validation;
+  try {
+    const service = await createService(connectionId);
+    validation = await validateProjectMove(service, projectId, targetProcessId);
+    if (validateOnly) {
+      return res.json({ moved: false, validation });
+    }
+    if (!validation.canMove) {
+      return res.status(409).json({
+        error: `Project "${validation.project.name}" can't be moved: ${validation.issues.map((i) => i.message).join('; ')}`,
+        validation,
+      });
+    }
+
+    const result = await service.migrateProjectProcess(validation.project.id, targetProcessId);
+    console.log(`[processes/moveProject] ${validation.project.name}: ${validation.sourceProcess.name} -> ${validation.targetProcess.name}`);
+    await recordChange(req, {
+      processId: targetProcessId,
+      type: 'project',
+      operation: 'moveProject',
+      status: 'success',
+      statusCode: 200,
+      result: { project: validation.project, from: validation.sourceProcess, to: validation.targetProcess },
+    });
+    res.json({ moved: true, result, validation });
+  } catch (err) {
+    console.error('Error moving project:', err);
+    if (validation && validation.canMove && !validateOnly) {
+      await recordChange(req, {
+        processId: targetProcessId,
+        type: 'project',
+        operation: 'moveProject',
+        status: 'error',
+        statusCode: err.statusCode || 500,
+        error: err.message,
+      });
+    }
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /baselines - List the baselines of all processes, with their last drift check
+// ---------------------------------------------------------------------------
+router.get('/baselines', async (req, res) => {
+  try {
+    const baselines = await tempStorage.listBaselines();
+    res.json(baselines);
+  } catch (err) {
+    console.error('Error listing baselines:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /:connectionId - List all processes for a connection, each with its `projects`
 // ---------------------------------------------------------------------------
 router.get('/:connectionId', async (req, res) => {
   try {
     const { connectionId } = req.params;
     const service = await createService(connectionId);
-    const data = await service.getProcesses();
+    // Each process lists the projects that use it
+    const data = await service.getProcesses('projects');
     res.json({ processes: data.value });
   } catch (err) {
     console.error('Error listing processes:', err);
@@ -114,86 +668,177 @@ router.get('/:connectionId/:processId', async (req, res) => {
   }
 });
 
+/**
+ * Why a process update can't be made, or null if it can. Catches what Azure
+ * DevOps would refuse with a less helpful message.
+ * @param {object} current - The process as it is now
+ * @param {{ name?: string, description?: string, isEnabled?: boolean, isDefault?: boolean }} updates
+ * @returns {string | null}
+ */
+function processUpdateProblem(current, updates) {
+  if (current.customizationType === 'system' && (updates.name !== undefined || updates.description !== undefined)) {
+    return `"${current.name}" is a system process and can't be renamed or edited; create an inherited process instead`;
+  }
+  if (updates.name !== undefined && !String(updates.name).trim()) {
+    return 'name can\'t be empty';
+  }
+  if (updates.isDefault === false) {
+    return 'A process stops being the default when another one is made the default';
+  }
+  const willBeDefault = updates.isDefault === true || current.isDefault;
+  const willBeEnabled = updates.isEnabled !== undefined ? updates.isEnabled : current.isEnabled !== false;
+  if (willBeDefault && !willBeEnabled) {
+    return updates.isDefault
+      ? `"${current.name}" is disabled; enable it before making it the default`
+      : `"${current.name}" is the default process and can't be disabled; make another process the default first`;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// PATCH /:connectionId/:processId - Rename, describe, enable/disable or make default
+// Body: { name?, description?, isEnabled?, isDefault? }
+// ---------------------------------------------------------------------------
+router.patch('/:connectionId/:processId', async (req, res) => {
+  const { connectionId, processId } = req.params;
+  const updates = {};
+  for (const key of ['name', 'description', 'isEnabled', 'isDefault']) {
+    if (req.body[key] !== undefined) updates[key] = req.body[key];
+  }
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'Set at least one of name, description, isEnabled and isDefault' });
+  }
+  try {
+    const service = await createService(connectionId);
+    const current = await service.getProcess(processId);
+    const problem = processUpdateProblem(current, updates);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const updated = await service.updateProcess(processId, updates);
+    console.log(`[processes/update] ${current.name}: ${JSON.stringify(updates)}`);
+    const previous = {};
+    for (const key of Object.keys(updates)) previous[key] = current[key] ?? null;
+    await recordChange(req, {
+      processId,
+      type: 'process',
+      operation: 'updateProcess',
+      status: 'success',
+      statusCode: 200,
+      result: { previous, process: updated },
+    });
+    res.json(updated);
+  } catch (err) {
+    console.error('Error updating process:', err);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// DELETE /:connectionId/:processId - Delete an inherited process
+// Refused with 409 while projects use it (the response lists them), and with
+// 400 for system processes and the default process. The pulled data and
+// baseline of the process are cleared and it is taken off the drift schedule;
+// its snapshots are kept.
+// ---------------------------------------------------------------------------
+router.delete('/:connectionId/:processId', async (req, res) => {
+  const { connectionId, processId } = req.params;
+  try {
+    const service = await createService(connectionId);
+    const processes = (await service.getProcesses('projects')).value || [];
+    const proc = processes.find((p) => p.typeId === processId);
+    if (!proc) {
+      return res.status(404).json({ error: `Process not found: ${processId}` });
+    }
+    if (proc.customizationType === 'system') {
+      return res.status(400).json({ error: `"${proc.name}" is a system process and can't be deleted` });
+    }
+    if (proc.isDefault) {
+      return res.status(400).json({ error: `"${proc.name}" is the default process; make another process the default before deleting it` });
+    }
+    const projects = (proc.projects || []).map((p) => ({ id: p.id, name: p.name }));
+    if (projects.length > 0) {
+      return res.status(409).json({
+        error: `"${proc.name}" can't be deleted while ${projects.length} project(s) use it: ${projects.map((p) => p.name).join(', ')}. `
+          + 'Move them to another process first.',
+        projects,
+      });
+    }
+
+    await service.deleteProcess(processId);
+    // Snapshots are kept as a record, but the process is no longer checked for drift
+    await tempStorage.clearProcessData(connectionId, processId);
+    await tempStorage.clearBaseline(connectionId, processId);
+    const unwatched = await driftMonitor.unwatchProcess(connectionId, processId);
+    console.log(`[processes/delete] Deleted ${proc.name} (${processId})${unwatched ? ', removed from the drift schedule' : ''}`);
+    await recordChange(req, {
+      processId,
+      type: 'process',
+      operation: 'deleteProcess',
+      status: 'success',
+      statusCode: 200,
+      result: { process: { typeId: proc.typeId, name: proc.name, description: proc.description || '' } },
+    });
+    res.json({ deleted: true, processId, name: proc.name });
+  } catch (err) {
+    console.error('Error deleting process:', err);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
 // ---------------------------------------------------------------------------
 // POST /:connectionId/:processId/pull - Pull full process data from Azure DevOps
+// The response adds `throttle`, the request stats of the pull.
 // ---------------------------------------------------------------------------
 router.post('/:connectionId/:processId/pull', async (req, res) => {
   try {
     const { connectionId, processId } = req.params;
-    const connection = await configManager.getConnection(connectionId);
-    if (!connection) {
-      return res.status(404).json({ error: `Connection not found: ${connectionId}` });
-    }
-
-    const service = new AzureDevOpsService(connection.orgUrl, connection.pat);
-
-    // 1. Get process info
-    const processInfo = await service.getProcess(processId);
-
-    // 2. Get all work item types
-    const witResponse = await service.getWorkItemTypes(processId);
-    const workItemTypes = witResponse.value || [];
-
-    // 3. For each work item type, fetch details in parallel
-    const enrichedWorkItemTypes = await Promise.all(
-      workItemTypes.map(async (wit) => {
-        const witRefName = wit.referenceName;
-
-        const [fields, states, rules, behaviors, layout] = await Promise.all([
-          service.getFields(processId, witRefName).catch((err) => {
-            console.warn(`Warning: Failed to fetch fields for ${witRefName}:`, err.message);
-            return { value: [] };
-          }),
-          service.getStates(processId, witRefName).catch((err) => {
-            console.warn(`Warning: Failed to fetch states for ${witRefName}:`, err.message);
-            return { value: [] };
-          }),
-          service.getRules(processId, witRefName).catch((err) => {
-            console.warn(`Warning: Failed to fetch rules for ${witRefName}:`, err.message);
-            return { value: [] };
-          }),
-          service.getWorkItemTypeBehaviors(processId, witRefName).catch((err) => {
-            console.warn(`Warning: Failed to fetch behaviors for ${witRefName}:`, err.message);
-            return { value: [] };
-          }),
-          service.getLayout(processId, witRefName).catch((err) => {
-            console.warn(`Warning: Failed to fetch layout for ${witRefName}:`, err.message);
-            return null;
-          }),
-        ]);
-
-        return {
-          ...wit,
-          fields: fields.value || [],
-          states: states.value || [],
-          rules: rules.value || [],
-          behaviors: behaviors.value || [],
-          layout: layout,
-        };
-      })
-    );
-
-    // 4. Get process-level behaviors
-    const behaviorsResponse = await service.getBehaviors(processId);
-
-    // 5. Assemble complete process data
-    const processData = {
-      process: { ...processInfo },
-      workItemTypes: enrichedWorkItemTypes,
-      behaviors: behaviorsResponse.value || [],
-      pulledAt: new Date().toISOString(),
-      connectionId,
-      orgUrl: connection.orgUrl,
-    };
-
-    // 6. Save to temp storage
-    await tempStorage.saveProcessData(connectionId, processId, processData);
-
-    // 7. Return the assembled data
-    res.json(processData);
+    const { processData, throttle } = await pullProcess(connectionId, processId);
+    res.json({ ...processData, throttle });
   } catch (err) {
     console.error('Error pulling process data:', err);
-    res.status(500).json({ error: err.message });
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /:connectionId/:processId/clone - Recreate a pulled process in another org
+// Body: { targetConnectionId, name?, targetProcessId? }
+// Re-running against the same target skips what already exists, so a clone
+// that failed part-way can be resumed.
+// ---------------------------------------------------------------------------
+router.post('/:connectionId/:processId/clone', async (req, res) => {
+  try {
+    const { connectionId, processId } = req.params;
+    const { targetConnectionId, name, targetProcessId } = req.body;
+    if (!targetConnectionId) {
+      return res.status(400).json({ error: 'targetConnectionId is required' });
+    }
+
+    const sourceData = await tempStorage.getProcessData(connectionId, processId);
+    if (!sourceData) {
+      return res.status(404).json({ error: 'No pulled data found. Pull the process first.' });
+    }
+
+    const service = await createService(targetConnectionId);
+    const results = await cloneProcess(sourceData, service, { name, targetProcessId });
+    const { targetProcessId: clonedProcessId, ...rest } = results;
+
+    res.json({
+      success: rest.errors.length === 0,
+      targetConnectionId,
+      targetProcessId: clonedProcessId,
+      results: rest,
+      summary: {
+        applied: rest.applied.length,
+        skipped: rest.skipped.length,
+        errors: rest.errors.length,
+      },
+    });
+  } catch (err) {
+    console.error('Error cloning process:', err);
+    res.status(err.statusCode || 500).json({ error: err.message });
   }
 });
 
@@ -214,4 +859,160 @@ router.get('/:connectionId/:processId/data', async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// GET /:connectionId/:processId/export - Download a pulled process as a template
+// Query: format ('yaml' (default) | 'json' | 'zip'), snapshotId (export a snapshot instead)
+// The template has no server-generated ids and stable key order, so it can be
+// committed and reviewed like any other file. `zip` writes the Azure DevOps
+// process archive (XML definitions) instead; rules XML can't express are left
+// out and logged.
+// ---------------------------------------------------------------------------
+router.get('/:connectionId/:processId/export', async (req, res) => {
+  try {
+    const { connectionId, processId } = req.params;
+    const { format = 'yaml', snapshotId } = req.query;
+    if (!['yaml', 'json', 'zip'].includes(format)) {
+      return res.status(400).json({ error: 'format must be "yaml", "json" or "zip"' });
+    }
+
+    const data = snapshotId
+      ? await tempStorage.getSnapshot(connectionId, processId, snapshotId)
+      : await tempStorage.getProcessData(connectionId, processId);
+    if (!data) {
+      return res.status(404).json({
+        error: snapshotId ? `Snapshot not found: ${snapshotId}` : 'No pulled data found. Pull the process first.',
+      });
+    }
+
+    const name = ((data.process && data.process.name) || processId).replace(/[^\w.-]+/g, '-');
+    if (format === 'zip') {
+      const { buffer, notes } = writeProcessArchive(data);
+      notes.forEach((note) => console.log(`[processes/export] ${note}`));
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${name}.zip"`,
+      });
+      return res.send(buffer);
+    }
+    res.set({
+      'Content-Type': format === 'json' ? 'application/json; charset=utf-8' : 'application/yaml; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${name}.process.${format}"`,
+    });
+    res.send(serializeTemplate(toTemplate(data), format));
+  } catch (err) {
+    console.error('Error exporting process:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /:connectionId/:processId/snapshots - List the kept snapshots of a process
+// Every pull (and every refresh after an editor change) is kept, newest first.
+// ---------------------------------------------------------------------------
+router.get('/:connectionId/:processId/snapshots', async (req, res) => {
+  try {
+    const { connectionId, processId } = req.params;
+    const snapshots = await tempStorage.listSnapshots(connectionId, processId);
+    res.json({ connectionId, processId, snapshots });
+  } catch (err) {
+    console.error('Error listing snapshots:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /:connectionId/:processId/snapshots/:snapshotId - Get a single snapshot
+// ---------------------------------------------------------------------------
+router.get('/:connectionId/:processId/snapshots/:snapshotId', async (req, res) => {
+  try {
+    const { connectionId, processId, snapshotId } = req.params;
+    const data = await tempStorage.getSnapshot(connectionId, processId, snapshotId);
+    if (!data) {
+      return res.status(404).json({ error: `Snapshot not found: ${snapshotId}` });
+    }
+    res.json({ ...data, snapshotId });
+  } catch (err) {
+    console.error('Error getting snapshot:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /:connectionId/:processId/baseline - Get the baseline of a process
+// ---------------------------------------------------------------------------
+router.get('/:connectionId/:processId/baseline', async (req, res) => {
+  try {
+    const { connectionId, processId } = req.params;
+    const baseline = await tempStorage.getBaseline(connectionId, processId);
+    if (!baseline) {
+      return res.status(404).json({ error: 'No baseline set for this process' });
+    }
+    res.json(baseline);
+  } catch (err) {
+    console.error('Error getting baseline:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// PUT /:connectionId/:processId/baseline - Mark a snapshot as the approved baseline
+// Body: { snapshotId? } -- defaults to the latest snapshot
+// ---------------------------------------------------------------------------
+router.put('/:connectionId/:processId/baseline', async (req, res) => {
+  try {
+    const { connectionId, processId } = req.params;
+    let { snapshotId } = req.body || {};
+    if (!snapshotId) {
+      const [latest] = await tempStorage.listSnapshots(connectionId, processId);
+      if (!latest) {
+        return res.status(400).json({ error: 'No snapshots found. Pull the process first.' });
+      }
+      snapshotId = latest.snapshotId;
+    }
+
+    const baseline = await tempStorage.setBaseline(connectionId, processId, snapshotId);
+    if (!baseline) {
+      return res.status(404).json({ error: `Snapshot not found: ${snapshotId}` });
+    }
+    console.log(`[processes/baseline] Marked ${snapshotId} as the baseline of ${processId}`);
+    res.json(baseline);
+  } catch (err) {
+    console.error('Error setting baseline:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// DELETE /:connectionId/:processId/baseline - Remove the baseline marker
+// ---------------------------------------------------------------------------
+router.delete('/:connectionId/:processId/baseline', async (req, res) => {
+  try {
+    const { connectionId, processId } = req.params;
+    const deleted = await tempStorage.clearBaseline(connectionId, processId);
+    res.json({ success: true, deleted });
+  } catch (err) {
+    console.error('Error clearing baseline:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /:connectionId/:processId/drift - Re-pull and compare against the baseline
+// Returns the drift report: summary counts, the full comparison (baseline
+// first), changes this tool made since the baseline, and the fresh pull.
+// ---------------------------------------------------------------------------
+router.post('/:connectionId/:processId/drift', async (req, res) => {
+  try {
+    const { connectionId, processId } = req.params;
+    const report = await checkDrift(connectionId, processId);
+    console.log(`[processes/drift] ${processId}: ${report.totalDifferences} difference(s) from the baseline`);
+    res.json(report);
+  } catch (err) {
+    console.error('Error checking drift:', err);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
+// Used by the scheduled drift checks in routes/schedule.js
+module.exports.pullProcess = pullProcess;
@@ -0,0 +1,190 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const tempStorage = require('../services/tempStorage');
+const auditLog = require('../services/auditLog');
+const driftMonitor = require('../services/driftMonitor');
+const { pullProcess } = require('./processes');
+const { runComparison } = require('./comparison');
+
+// Only one round of checks at a time; a slow round simply delays the next tick
+let running = false;
+let lastRun = null;
+
+/**
+ * Re-pulls a process and compares it with its previous snapshot. A drift
+ * event is recorded when something changed. When nothing changed the new
+ * snapshot is discarded, so scheduled checks don't fill the history with copies.
+ * @param {string} connectionId
+ * @param {string} processId
+ * @returns {Promise<{ connectionId: string, processId: string, status: 'first' | 'unchanged' | 'drift',
+ *   totalDifferences?: number }>}
+ */
+async function checkProcess(connectionId, processId) {
+  const [previous] = await tempStorage.listSnapshots(connectionId, processId);
+  const previousData = previous
+    ? await tempStorage.getSnapshot(connectionId, processId, previous.snapshotId)
+    : null;
+
+  const { processData, snapshot } = await pullProcess(connectionId, processId);
+  if (!previousData) {
+    return { connectionId, processId, status: 'first' };
+  }
+
+  const result = runComparison([
+    { connectionId, processId: `${processId}@${previous.snapshotId}`, data: previousData, snapshotId: previous.snapshotId },
+    { connectionId, processId, data: processData },
+  ]);
+  const { summary } = result.comparison;
+  if (summary.totalDifferences === 0) {
+    await tempStorage.deleteSnapshot(connectionId, processId, snapshot.snapshotId);
+    return { connectionId, processId, status: 'unchanged' };
+  }
+
+  // Editor changes refresh the snapshot, so these are usually the ones whose refresh failed
+  const { entries } = await auditLog.listEntries({ connectionId, processId, from: previous.savedAt });
+  await driftMonitor.recordEvent({
+    type: 'drift',
+    connectionId,
+    processId,
+    processName: (processData.process && processData.process.name) || processId,
+    orgUrl: processData.orgUrl,
+    previousSnapshotId: previous.snapshotId,
+    snapshotId: snapshot.snapshotId,
+    totalDifferences: summary.totalDifferences,
+    summary,
+    toolChanges: entries.filter((entry) => entry.status !== 'error').length,
+  });
+  return { connectionId, processId, status: 'drift', totalDifferences: summary.totalDifferences };
+}
+
+/**
+ * Checks every process in the schedule, one after another. Failures are
+ * recorded as error events and don't stop the remaining checks.
+ * @returns {Promise<Array<object> | null>} the outcome per process, or null if a round is already running
+ */
+async function runScheduledChecks() {
+  if (running) {
+    return null;
+  }
+  running = true;
+  try {
+    const { processes } = await driftMonitor.getSchedule();
+    const results = [];
+    for (const { connectionId, processId } of processes) {
+      try {
+        results.push(await checkProcess(connectionId, processId));
+      } catch (err) {
+        console.error(`[schedule] Drift check failed for ${processId}:`, err.message);
+        await driftMonitor.recordEvent({ type: 'error', connectionId, processId, error: err.message });
+        results.push({ connectionId, processId, status: 'error', error: err.message });
+      }
+    }
+    const drifted = results.filter((r) => r.status === 'drift').length;
+    console.log(`[schedule] Checked ${results.length} process(es), ${drifted} drifted`);
+    lastRun = { finishedAt: new Date().toISOString(), results };
+    return results;
+  } finally {
+    running = false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// GET / - Get the drift check schedule and the outcome of the last run
+// ---------------------------------------------------------------------------
+router.get('/', async (req, res) => {
+  try {
+    const schedule = await driftMonitor.getSchedule();
+    res.json({ ...schedule, running, lastRun });
+  } catch (err) {
+    console.error('Error reading schedule:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// PUT / - Update the schedule
+// Body: { enabled?, cron?, processes?: [{ connectionId, processId }] }
+// ---------------------------------------------------------------------------
+router.put('/', async (req, res) => {
+  try {
+    const { enabled, cron, processes } = req.body || {};
+    if (processes !== undefined && (!Array.isArray(processes)
+      || processes.some((p) => !p || !p.connectionId || !p.processId))) {
+      return res.status(400).json({ error: 'processes must be a list of { connectionId, processId }' });
+    }
+    const updates = Object.fromEntries(
+      Object.entries({ enabled, cron, processes }).filter(([, value]) => value !== undefined)
+    );
+    const schedule = await driftMonitor.saveSchedule(updates);
+    console.log(`[schedule] ${schedule.enabled ? 'Enabled' : 'Disabled'} "${schedule.cron}" for ${schedule.processes.length} process(es)`);
+    res.json({ ...schedule, running, lastRun });
+  } catch (err) {
+    console.error('Error saving schedule:', err);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /run - Run the scheduled checks now
+// ---------------------------------------------------------------------------
+router.post('/run', async (req, res) => {
+  try {
+    const results = await runScheduledChecks();
+    if (!results) {
+      return res.status(409).json({ error: 'Drift checks are already running' });
+    }
+    res.json({ results });
+  } catch (err) {
+    console.error('Error running drift checks:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /events - List recorded drift events, newest first
+// Query: connectionId, processId, limit (default 100)
+// ---------------------------------------------------------------------------
+router.get('/events', async (req, res) => {
+  try {
+    const { connectionId, processId } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+    const events = await driftMonitor.listEvents({ connectionId, processId, limit });
+    res.json(events);
+  } catch (err) {
+    console.error('Error reading drift events:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /events/stream - Server-sent events: one `drift` message per new event
+// ---------------------------------------------------------------------------
+router.get('/events/stream', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  res.write(': connected\n\n');
+
+  const unsubscribe = driftMonitor.subscribe((event) => {
+    res.write(`event: drift\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  // Keeps proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 30000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
+// Used by the scheduler in server.js
+module.exports.runScheduledChecks = runScheduledChecks;
@@ -8,6 +8,10 @@ const processesRoutes = require('./routes/processes');
 const comparisonRoutes = require('./routes/comparison');
 const editorRoutes = require('./routes/editor');
 const licensesRoutes = require('./routes/licenses');
+const auditRoutes = require('./routes/audit');
+const scheduleRoutes = require('./routes/schedule');
+const driftMonitor = require('./services/driftMonitor');
+const configManager = require('./services/configManager');
 
 // File-based logging
 const LOG_FILE = path.join(__dirname, '..', 'server.log');
@@ -43,12 +47,58 @@ app.use('/api/processes', processesRoutes);
 app.use('/api/comparison', comparisonRoutes);
 app.use('/api/editor', editorRoutes);
 app.use('/api/licenses', licensesRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/schedule', scheduleRoutes);
 
 app.use((err, req, res, next) => {
   console.error(err.stack);
   res.status(500).json({ error: err.message || 'Internal Server Error' });
 });
 
+// Scheduled drift checks: wake at the start of every minute and run the
+// checks when the saved cron expression matches it
+async function schedulerTick() {
+  try {
+    const schedule = await driftMonitor.getSchedule();
+    if (schedule.enabled && schedule.processes.length > 0 && driftMonitor.cronMatches(schedule.cron, new Date())) {
+      await scheduleRoutes.runScheduledChecks();
+    }
+  } catch (err) {
+    console.error('[schedule] Scheduler tick failed:', err.message);
+  }
+}
+
+function startScheduler() {
+  const untilNextMinute = 60000 - (Date.now() % 60000);
+  setTimeout(() => {
+    schedulerTick();
+    setInterval(schedulerTick, 60000);
+  }, untilNextMinute);
+}
+
+// Stored PATs: unlock them from the key file or PAT_PASSPHRASE when possible,
+// otherwise they stay locked until someone unlocks them in the app
+async function unlockCredentials() {
+  try {
+    const { encrypted, unlocked, migrated } = await configManager.autoUnlock();
+    if (migrated > 0) {
+      console.log(`[security] Encrypted ${migrated} plaintext PAT(s)`);
+    }
+    if (!encrypted) {
+      const { plaintextCount } = await configManager.getSecurityStatus().catch(() => ({ plaintextCount: 0 }));
+      if (plaintextCount > 0) {
+        console.warn(`[security] ${plaintextCount} PAT(s) are stored in plaintext. Set up encryption on the Connections tab or with PAT_PASSPHRASE.`);
+      }
+    } else if (!unlocked) {
+      console.log('[security] Stored PATs are locked; unlock them with the master passphrase');
+    }
+  } catch (err) {
+    console.error('[security] Could not unlock stored PATs:', err.message);
+  }
+}
+
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  unlockCredentials();
+  startScheduler();
 });
@@ -0,0 +1,90 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// One JSON entry per line, appended and never rewritten, so the trail
+// survives restarts (unlike server.log, which is truncated on start).
+const AUDIT_PATH = path.join(__dirname, '..', '..', 'config', 'audit.jsonl');
+
+/**
+ * Reads every audit entry in the order they were recorded.
+ * Lines that cannot be parsed (e.g. a write cut short) are skipped.
+ * @returns {Promise<Array<object>>}
+ */
+async function _readEntries() {
+  let raw;
+  try {
+    raw = await fs.readFile(AUDIT_PATH, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+  const entries = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Ignore a truncated line
+    }
+  }
+  return entries;
+}
+
+/**
+ * Appends an entry to the audit log, stamping it with an id and timestamp.
+ * @param {{ connectionId: string, processId?: string, witRefName?: string, type: string, operation: string,
+ *   body?: *, status: string, result?: *, error?: string, before?: object }} entry
+ * @returns {Promise<object>} the stored entry
+ */
+async function appendEntry(entry) {
+  const stored = { id: uuidv4(), timestamp: new Date().toISOString(), ...entry };
+  await fs.mkdir(path.dirname(AUDIT_PATH), { recursive: true });
+  await fs.appendFile(AUDIT_PATH, `${JSON.stringify(stored)}\n`, 'utf-8');
+  return stored;
+}
+
+/**
+ * Returns audit entries matching the filters, newest first.
+ * `type` matches either the entry type (field, state, ...) or its operation name.
+ * @param {{ connectionId?: string, processId?: string, witRefName?: string, type?: string,
+ *   from?: string, to?: string, limit?: number }} [filters]
+ * @returns {Promise<{ entries: Array<object>, total: number }>}
+ */
+async function listEntries(filters = {}) {
+  const { connectionId, processId, witRefName, type, from, to, limit } = filters;
+  const fromTime = from ? Date.parse(from) : null;
+  const toTime = to ? Date.parse(to) : null;
+
+  const matches = (await _readEntries()).filter((entry) => {
+    if (connectionId && entry.connectionId !== connectionId) return false;
+    if (processId && entry.processId !== processId) return false;
+    if (witRefName && entry.witRefName !== witRefName) return false;
+    if (type && entry.type !== type && entry.operation !== type) return false;
+    const time = Date.parse(entry.timestamp);
+    if (fromTime !== null && time < fromTime) return false;
+    if (toTime !== null && time > toTime) return false;
+    return true;
+  });
+
+  matches.reverse();
+  return { entries: limit ? matches.slice(0, limit) : matches, total: matches.length };
+}
+
+/**
+ * Returns a single audit entry by id, or null if not found.
+ * @param {string} id
+ * @returns {Promise<object | null>}
+ */
+async function getEntry(id) {
+  const entries = await _readEntries();
+  return entries.find((entry) => entry.id === id) || null;
+}
+
+module.exports = {
+  appendEntry,
+  listEntries,
+  getEntry,
+};
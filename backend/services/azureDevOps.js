@@ -1,5 +1,80 @@
 'use strict';
 
+const { v4: uuidv4 } = require('uuid');
+const requestThrottle = require('./requestThrottle');
+
+// Retries after a 429, 5xx or network error; ADO_MAX_RETRIES=0 turns them off
+const MAX_RETRIES = Number.isNaN(parseInt(process.env.ADO_MAX_RETRIES, 10)) ? 4 : parseInt(process.env.ADO_MAX_RETRIES, 10);
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+// Retried after 5xx and network errors, where the request may already have been processed
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// Picklist list type for each field type a picklist can back
+const PICKLIST_LIST_TYPES = {
+  picklistString: 'String',
+  picklistInteger: 'Integer',
+  picklistDouble: 'Double',
+  string: 'String',
+  integer: 'Integer',
+  double: 'Double',
+};
+
+// node-fetch is ESM-only (v3), so it is imported once on first use
+let fetchModule = null;
+
+/**
+ * Parse a Retry-After header: seconds, or an HTTP date.
+ * @param {string | null} value
+ * @returns {number | null} Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value.trim())) {
+    return Math.min(Number(value) * 1000, MAX_DELAY_MS * 4);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.min(Math.max(date - Date.now(), 0), MAX_DELAY_MS * 4);
+}
+
+/**
+ * Exponential backoff with full jitter for a retry attempt (0-based).
+ * @param {number} attempt
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt) {
+  return Math.round(Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt + 1)));
+}
+
+/**
+ * Read Azure DevOps' X-RateLimit-* headers, present once a connection is
+ * close to or past its rate limit.
+ * @param {Headers} headers
+ * @returns {object | null}
+ */
+function readRateLimit(headers) {
+  const resource = headers.get('x-ratelimit-resource');
+  if (!resource) return null;
+  const number = (name) => (headers.get(name) === null ? null : Number(headers.get(name)));
+  return {
+    resource,
+    delay: number('x-ratelimit-delay'),
+    limit: number('x-ratelimit-limit'),
+    remaining: number('x-ratelimit-remaining'),
+    reset: number('x-ratelimit-reset'),
+    seenAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Wait for a number of milliseconds.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
 /**
  * Azure DevOps REST API service for work item process management.
  *
@@ -7,16 +82,26 @@
  * managing processes, work item types, fields, states, rules, behaviors,
  * work item type behaviors, and layout configuration.
  *
- * Uses dynamic import for node-fetch (ESM-only v3).
+ * Uses dynamic import for node-fetch (ESM-only v3). Requests are retried
+ * with backoff on throttling and transient failures, and limited per
+ * connection (see requestThrottle.js).
  */
 class AzureDevOpsService {
   /**
    * @param {string} orgUrl - Azure DevOps organization URL (e.g. https://dev.azure.com/myorg)
-   * @param {string} pat    - Personal Access Token for authentication
+   * @param {string | { getAuthorization: () => Promise<string> }} credentials -
+   *   A Personal Access Token, or a credential provider (see credentialProviders.js)
+   * @param {{ connectionId?: string }} [options] - The connection whose request limiter is shared;
+   *   defaults to the organization URL
    */
-  constructor(orgUrl, pat) {
+  constructor(orgUrl, credentials, options = {}) {
     this.orgUrl = orgUrl;
-    this.pat = pat;
+    this.limiterKey = options.connectionId || orgUrl;
+    // Requests made through this instance, e.g. for one pull
+    this.stats = requestThrottle.emptyStats();
+    this.credentials = typeof credentials === 'string'
+      ? { getAuthorization: async () => `Basic ${Buffer.from(`:${credentials}`).toString('base64')}` }
+      : credentials;
   }
 
   // ---------------------------------------------------------------------------
@@ -25,12 +110,11 @@ class AzureDevOpsService {
 
   /**
    * Build the standard authorization and content-type headers.
-   * @returns {Record<string, string>} HTTP headers
+   * @returns {Promise<Record<string, string>>} HTTP headers
    */
-  _getHeaders() {
-    const token = Buffer.from(`:${this.pat}`).toString('base64');
+  async _getHeaders() {
     return {
-      Authorization: `Basic ${token}`,
+      Authorization: await this.credentials.getAuthorization(),
       'Content-Type': 'application/json',
     };
   }
@@ -64,46 +148,139 @@ class AzureDevOpsService {
     }
   }
 
+  /**
+   * Add to this instance's request stats and the connection's cumulative ones.
+   * @param {object} changes
+   */
+  _record(changes) {
+    for (const [name, value] of Object.entries(changes)) {
+      this.stats[name] = typeof this.stats[name] === 'number' ? this.stats[name] + value : value;
+    }
+    requestThrottle.record(this.limiterKey, changes);
+  }
+
+  /**
+   * Request stats of this instance: requests, retries, 429s, errors, time
+   * spent waiting for the limiter, and the last rate-limit headers seen.
+   * @returns {object}
+   */
+  getThrottleStats() {
+    return { ...this.stats };
+  }
+
   /**
    * Internal fetch wrapper.
    *
-   * - Dynamically imports node-fetch (ESM-only v3).
+   * - Dynamically imports node-fetch (ESM-only v3) once.
    * - Merges default headers with caller-supplied options.
    * - Logs the URL for debugging.
-   * - Throws on non-OK responses with status and body.
+   * - Waits for a slot in the connection's request limiter.
+   * - Retries 429 and 503 responses, and other 5xx responses and network
+   *   errors for idempotent methods, with exponential backoff. A Retry-After
+   *   header sets the delay; after a 429 it pauses the whole connection.
+   * - Throws on non-OK responses with status and body. The error's `status`
+   *   is the HTTP status; Azure DevOps' own reason (the X-TFS-ServiceError
+   *   header, e.g. for an expired PAT) is included in the message.
    *
    * @param {string} url              - Fully-qualified URL to call
    * @param {RequestInit} [options={}] - Additional fetch options (method, body, etc.)
    * @returns {Promise<any>} Parsed JSON response
    */
   async _fetch(url, options = {}) {
-    const fetch = (await import('node-fetch')).default;
+    if (!fetchModule) {
+      fetchModule = import('node-fetch');
+    }
+    const fetch = (await fetchModule).default;
 
-    const headers = { ...this._getHeaders(), ...(options.headers || {}) };
+    const headers = { ...(await this._getHeaders()), ...(options.headers || {}) };
     const fetchOptions = { ...options, headers };
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const idempotent = IDEMPOTENT_METHODS.includes(method);
+
+    for (let attempt = 0; ; attempt++) {
+      const slot = await requestThrottle.acquire(this.limiterKey);
+      this._record({ requests: 1, waitedMs: slot.waitedMs });
+
+      console.log(`[AzureDevOpsService] ${method} ${url}${attempt > 0 ? ` (retry ${attempt}/${MAX_RETRIES})` : ''}`);
+
+      let response;
+      try {
+        response = await fetch(url, fetchOptions);
+      } catch (err) {
+        slot.release();
+        if (!idempotent || attempt >= MAX_RETRIES) {
+          this._record({ networkErrors: 1, failed: 1 });
+          throw err;
+        }
+        const delay = backoffDelay(attempt);
+        this._record({ networkErrors: 1, retries: 1 });
+        console.warn(`[AzureDevOpsService] ${method} ${url} failed (${err.message}), retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+      slot.release();
+
+      const rateLimit = readRateLimit(response.headers);
+      if (rateLimit) {
+        this._record({ rateLimit });
+      }
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+
+      if (response.ok) {
+        // Azure DevOps may send Retry-After before it starts rejecting requests
+        if (retryAfter) {
+          requestThrottle.pause(this.limiterKey, retryAfter);
+        }
+
+        // Some DELETE endpoints return 204 No Content
+        if (response.status === 204) {
+          return null;
+        }
 
-    console.log(`[AzureDevOpsService] ${fetchOptions.method || 'GET'} ${url}`);
+        return response.json();
+      }
 
-    const response = await fetch(url, fetchOptions);
+      if (response.status === 429) {
+        this._record({ throttled: 1, lastThrottledAt: new Date().toISOString() });
+      } else if (response.status >= 500) {
+        this._record({ serverErrors: 1 });
+      }
+      const retryable = response.status === 429 || response.status === 503
+        || (response.status >= 500 && idempotent);
+
+      if (retryable && attempt < MAX_RETRIES) {
+        const delay = retryAfter !== null ? retryAfter : backoffDelay(attempt);
+        this._record({ retries: 1 });
+        console.warn(`[AzureDevOpsService] ${method} ${url} returned ${response.status}, retrying in ${delay}ms`);
+        await response.text().catch(() => {});
+        if (response.status === 429) {
+          // The limit applies to the identity, so hold back every request on the connection
+          requestThrottle.pause(this.limiterKey, delay);
+        } else {
+          await sleep(delay);
+        }
+        continue;
+      }
 
-    if (!response.ok) {
       let errorBody;
       try {
         errorBody = await response.text();
       } catch {
         errorBody = 'Unable to read response body';
       }
-      throw new Error(
-        `Azure DevOps API error: ${response.status} ${response.statusText} - ${errorBody}`
+      let serviceError = response.headers.get('x-tfs-serviceerror') || '';
+      try {
+        serviceError = decodeURIComponent(serviceError);
+      } catch {
+        // Keep it as sent
+      }
+      this._record({ failed: 1 });
+      const err = new Error(
+        `Azure DevOps API error: ${response.status} ${response.statusText} - ${[serviceError, errorBody].filter(Boolean).join(' ')}`
       );
+      err.status = response.status;
+      throw err;
     }
-
-    // Some DELETE endpoints return 204 No Content
-    if (response.status === 204) {
-      return null;
-    }
-
-    return response.json();
   }
 
   // ---------------------------------------------------------------------------
@@ -112,11 +289,15 @@ class AzureDevOpsService {
 
   /**
    * List all inherited processes in the organization.
+   * @param {string} [expand] - e.g. `projects` to include the projects that use each process
    * @returns {Promise<object>} List of processes
    * @see https://learn.microsoft.com/en-us/rest/api/azure/devops/processes/processes/list
    */
-  async getProcesses() {
-    const url = `${this._getApiBase()}/_apis/work/processes?api-version=7.1-preview.2`;
+  async getProcesses(expand) {
+    let url = `${this._getApiBase()}/_apis/work/processes?api-version=7.1-preview.2`;
+    if (expand) {
+      url += `&$expand=${expand}`;
+    }
     return this._fetch(url);
   }
 
@@ -145,6 +326,75 @@ class AzureDevOpsService {
     });
   }
 
+  /**
+   * Update an inherited process: rename it, change its description, enable or
+   * disable it, or make it the organization's default.
+   * @param {string} processId - Process GUID
+   * @param {{ name?: string, description?: string, isEnabled?: boolean, isDefault?: boolean }} body
+   * @returns {Promise<object>} Updated process
+   * @see https://learn.microsoft.com/en-us/rest/api/azure/devops/processes/processes/edit
+   */
+  async updateProcess(processId, body) {
+    const url = `${this._getApiBase()}/_apis/work/processes/${processId}?api-version=7.1-preview.2`;
+    return this._fetch(url, {
+      method: 'PATCH',
+      body: JSON.stringify(body),
+    });
+  }
+
+  /**
+   * Delete an inherited process. Azure DevOps refuses while projects use it.
+   * @param {string} processId - Process GUID
+   * @returns {Promise<null>}
+   * @see https://learn.microsoft.com/en-us/rest/api/azure/devops/processes/processes/delete
+   */
+  async deleteProcess(processId) {
+    const url = `${this._getApiBase()}/_apis/work/processes/${processId}?api-version=7.1-preview.2`;
+    return this._fetch(url, { method: 'DELETE' });
+  }
+
+  /**
+   * List the projects in the organization with the process each one uses.
+   * Every project belongs to exactly one process, so the list is built from
+   * the processes with their projects expanded.
+   * @returns {Promise<Array<{ id: string, name: string, description: string, processId: string,
+   *   processName: string, customizationType: string }>>} Sorted by project name
+   */
+  async getProjectProcesses() {
+    const processes = (await this.getProcesses('projects')).value || [];
+    const projects = [];
+    for (const proc of processes) {
+      for (const project of proc.projects || []) {
+        projects.push({
+          id: project.id,
+          name: project.name,
+          description: project.description || '',
+          processId: proc.typeId,
+          processName: proc.name,
+          customizationType: proc.customizationType,
+        });
+      }
+    }
+    return projects.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Move a project to another process. Azure DevOps only allows this between
+   * processes that are based on the same system process (e.g. Agile and an
+   * inherited Agile process).
+   * @param {string} projectId      - Project GUID
+   * @param {string} processId      - Target process GUID
+   * @returns {Promise<{ processId: string, projectId: string }>}
+   * @see https://learn.microsoft.com/en-us/rest/api/azure/devops/processes/projects/migrate-projects-process
+   */
+  async migrateProjectProcess(projectId, processId) {
+    const url = `${this._getApiBase()}/_apis/work/processes/${projectId}?api-version=7.1-preview.1`;
+    return this._fetch(url, {
+      method: 'POST',
+      body: JSON.stringify({ typeId: processId }),
+    });
+  }
+
   // ---------------------------------------------------------------------------
   // Work Item Type endpoints  (api-version=7.1-preview.2)
   // ---------------------------------------------------------------------------
@@ -292,6 +542,170 @@ class AzureDevOpsService {
     });
   }
 
+  /**
+   * Create an organization field. A picklist field (type picklistString,
+   * picklistInteger or picklistDouble, or any body with `picklist` or
+   * `picklistId`) gets a new picklist from `picklist.items` unless it names an
+   * existing one with `picklistId`; a picklist created here is deleted again
+   * if the field can't be created.
+   * @param {object} body - { name, referenceName, type, description, usage, readOnly, picklist?: { items, isSuggested }, picklistId? }
+   * @returns {Promise<object>} The created field, plus `picklist` for picklist fields
+   */
+  async createFieldWithPicklist(body) {
+    const { picklist, picklistId, ...fieldBody } = body;
+    const listType = PICKLIST_LIST_TYPES[body.type];
+    if (!listType || !(body.type.startsWith('picklist') || picklist || picklistId)) {
+      return this.createOrganizationField(fieldBody);
+    }
+
+    let list;
+    let createdList = false;
+    if (picklistId) {
+      list = await this.getPicklist(picklistId);
+    } else {
+      const items = (picklist && picklist.items) || [];
+      if (!Array.isArray(items) || items.length === 0) {
+        const err = new Error('picklist.items must list at least one value for a picklist field');
+        err.statusCode = 400;
+        throw err;
+      }
+      list = await this.createPicklist({
+        name: `picklist_${uuidv4()}`,
+        type: listType,
+        isSuggested: !!(picklist && picklist.isSuggested),
+        items,
+      });
+      createdList = true;
+    }
+
+    try {
+      const field = await this.createOrganizationField({
+        ...fieldBody,
+        type: listType.toLowerCase(),
+        isPicklist: true,
+        isPicklistSuggested: !!list.isSuggested,
+        picklistId: list.id,
+      });
+      return { ...field, picklist: list };
+    } catch (err) {
+      if (createdList) {
+        // Don't leave an unused list behind, e.g. when the field already exists
+        await this.deletePicklist(list.id).catch((deleteErr) => {
+          console.warn(`Warning: Could not delete unused picklist ${list.id}:`, deleteErr.message);
+        });
+      }
+      throw err;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Picklist endpoints  (api-version=7.1-preview.1)
+  // Picklists are organization-level; fields refer to them by picklistId.
+  // ---------------------------------------------------------------------------
+
+  /**
+   * List the picklists in the organization (metadata only, without items).
+   * @returns {Promise<object>} List of picklists
+   * @see https://learn.microsoft.com/en-us/rest/api/azure/devops/processes/lists/list
+   */
+  async getPicklists() {
+    const url = `${this._getApiBase()}/_apis/work/processes/lists?api-version=7.1-preview.1`;
+    return this._fetch(url);
+  }
+
+  /**
+   * Get a picklist with its items.
+   * @param {string} listId - Picklist GUID
+   * @returns {Promise<object>} Picklist (id, name, type, isSuggested, items)
+   * @see https://learn.microsoft.com/en-us/rest/api/azure/devops/processes/lists/get
+   */
+  async getPicklist(listId) {
+    const url = `${this._getApiBase()}/_apis/work/processes/lists/${listId}?api-version=7.1-preview.1`;
+    return this._fetch(url);
+  }
+
+  /**
+   * Create a picklist.
+   * @param {object} body - Picklist payload (name, type: String | Integer | Double, isSuggested, items)
+   * @returns {Promise<object>} Created picklist
+   * @see https://learn.microsoft.com/en-us/rest/api/azure/devops/processes/lists/create
+   */
+  async createPicklist(body) {
+    const url = `${this._getApiBase()}/_apis/work/processes/lists?api-version=7.1-preview.1`;
+    return this._fetch(url, {
+      method: 'POST',
+      body: JSON.stringify(body),
+    });
+  }
+
+  /**
+   * Replace a picklist's name, suggestion flag and items.
+   * @param {string} listId - Picklist GUID
+   * @param {object} body - Picklist payload; `items` is the complete new list
+   * @returns {Promise<object>} Updated picklist
+   * @see https://learn.microsoft.com/en-us/rest/api/azure/devops/processes/lists/update
+   */
+  async updatePicklist(listId, body) {
+    const url = `${this._getApiBase()}/_apis/work/processes/lists/${listId}?api-version=7.1-preview.1`;
+    return this._fetch(url, {
+      method: 'PUT',
+      body: JSON.stringify(body),
+    });
+  }
+
+  /**
+   * Delete a picklist. Fails while a field still uses it.
+   * @param {string} listId - Picklist GUID
+   * @returns {Promise<null>}
+   * @see https://learn.microsoft.com/en-us/rest/api/azure/devops/processes/lists/delete
+   */
+  async deletePicklist(listId) {
+    const url = `${this._getApiBase()}/_apis/work/processes/lists/${listId}?api-version=7.1-preview.1`;
+    return this._fetch(url, { method: 'DELETE' });
+  }
+
+  /**
+   * Get the picklists behind picklist fields, keyed by field reference name.
+   * The process field API doesn't say which fields are picklists, so the
+   * organization fields are read for `isPicklist` / `picklistId`. Lists used
+   * by several fields are fetched once; a list that can't be read is logged
+   * and left out.
+   * @param {string[]} fieldRefNames - Fields to look at; others are ignored
+   * @returns {Promise<Object<string, { id: string, name: string, type: string, isSuggested: boolean, items: Array }>>}
+   */
+  async getFieldPicklists(fieldRefNames) {
+    const wanted = new Set(fieldRefNames);
+    const orgFields = (await this.getOrganizationFields()).value || [];
+    const picklistFields = orgFields
+      .filter((f) => f.isPicklist && f.picklistId && wanted.has(f.referenceName))
+      .sort((a, b) => a.referenceName.localeCompare(b.referenceName));
+
+    const lists = new Map();
+    for (const field of picklistFields) {
+      if (!lists.has(field.picklistId)) {
+        lists.set(field.picklistId, this.getPicklist(field.picklistId).catch((err) => {
+          console.warn(`Warning: Failed to fetch picklist ${field.picklistId}:`, err.message);
+          return null;
+        }));
+      }
+    }
+
+    const picklists = {};
+    for (const field of picklistFields) {
+      const list = await lists.get(field.picklistId);
+      if (list) {
+        picklists[field.referenceName] = {
+          id: list.id,
+          name: list.name,
+          type: list.type,
+          isSuggested: !!list.isSuggested,
+          items: list.items || [],
+        };
+      }
+    }
+    return picklists;
+  }
+
   // ---------------------------------------------------------------------------
   // State endpoints  (api-version=7.1-preview.1)
   // ---------------------------------------------------------------------------
@@ -382,6 +796,18 @@ class AzureDevOpsService {
     return this._fetch(url);
   }
 
+  /**
+   * Get a single rule on a work item type.
+   * @param {string} processId   - Process GUID
+   * @param {string} witRefName  - Work item type reference name
+   * @param {string} ruleId      - Rule GUID
+   * @returns {Promise<object>} Rule
+   */
+  async getRule(processId, witRefName, ruleId) {
+    const url = `${this._getApiBase()}/_apis/work/processes/${processId}/workItemTypes/${witRefName}/rules/${ruleId}?api-version=7.1-preview.2`;
+    return this._fetch(url);
+  }
+
   /**
    * Create a new rule on a work item type.
    * @param {string} processId   - Process GUID
@@ -735,20 +1161,26 @@ class AzureDevOpsService {
 
   /**
    * Move a group to a different section/page.
-   * Uses PUT with removeFromSectionId and removeFromPageId in the body.
+   * The API takes removeFromSectionId (and removeFromPageId when moving across
+   * pages) as query parameters; they are lifted out of the body here.
    * @param {string} processId   - Process GUID
    * @param {string} witRefName  - Work item type reference name
    * @param {string} pageId      - Target page GUID
    * @param {string} sectionId   - Target section GUID
    * @param {string} groupId     - Group GUID to move
-   * @param {object} body        - Move payload including removeFromSectionId and removeFromPageId
+   * @param {object} body        - Group payload plus removeFromSectionId and optional removeFromPageId
    * @returns {Promise<object>} Moved group
    */
   async moveGroup(processId, witRefName, pageId, sectionId, groupId, body) {
-    const url = `${this._getApiBase()}/_apis/work/processes/${processId}/workItemTypes/${witRefName}/layout/pages/${pageId}/sections/${sectionId}/groups/${groupId}?api-version=7.1-preview.1`;
+    const { removeFromPageId, removeFromSectionId, ...group } = body;
+    let url = `${this._getApiBase()}/_apis/work/processes/${processId}/workItemTypes/${witRefName}/layout/pages/${pageId}/sections/${sectionId}/groups/${groupId}?removeFromSectionId=${encodeURIComponent(removeFromSectionId)}`;
+    if (removeFromPageId) {
+      url += `&removeFromPageId=${encodeURIComponent(removeFromPageId)}`;
+    }
+    url += '&api-version=7.1-preview.1';
     return this._fetch(url, {
       method: 'PUT',
-      body: JSON.stringify(body),
+      body: JSON.stringify(group),
     });
   }
 
@@ -776,6 +1208,24 @@ class AzureDevOpsService {
     });
   }
 
+  /**
+   * Move a field control from one group to another.
+   * @param {string} processId          - Process GUID
+   * @param {string} witRefName         - Work item type reference name
+   * @param {string} groupId            - Group to move the control into
+   * @param {string} controlId          - Control ID (usually the field referenceName)
+   * @param {string} removeFromGroupId  - Group the control is in now
+   * @param {object} body               - Control payload (id, visible, label, etc.)
+   * @returns {Promise<object>} Moved control
+   */
+  async moveControl(processId, witRefName, groupId, controlId, removeFromGroupId, body) {
+    const url = `${this._getApiBase()}/_apis/work/processes/${processId}/workItemTypes/${encodeURIComponent(witRefName)}/layout/groups/${encodeURIComponent(groupId)}/controls/${encodeURIComponent(controlId)}?removeFromGroupId=${encodeURIComponent(removeFromGroupId)}&api-version=7.1`;
+    return this._fetch(url, {
+      method: 'PUT',
+      body: JSON.stringify(body),
+    });
+  }
+
   /**
    * Edit an existing field control in a group (update properties like visible, label, etc.).
    * Uses PATCH which updates the control in place without moving it.
@@ -807,10 +1257,48 @@ class AzureDevOpsService {
     return this._fetch(url, { method: 'DELETE' });
   }
 
+  // ---------------------------------------------------------------------------
+  // Work item queries  (api-version=7.1)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Run a WIQL query in a project and return the ids of the matching work items.
+   * @param {string} project - Project name or GUID; `@project` in the query refers to it
+   * @param {string} query   - WIQL query selecting from WorkItems
+   * @param {number} [top]   - Maximum number of work items to return
+   * @returns {Promise<number[]>} Work item ids
+   * @see https://learn.microsoft.com/en-us/rest/api/azure/devops/wit/wiql/query-by-wiql
+   */
+  async queryWorkItemIds(project, query, top) {
+    let url = `${this._getApiBase()}/${encodeURIComponent(project)}/_apis/wit/wiql?api-version=7.1`;
+    if (top) {
+      url += `&$top=${top}`;
+    }
+    const result = await this._fetch(url, {
+      method: 'POST',
+      body: JSON.stringify({ query }),
+    });
+    return (result.workItems || []).map((wi) => wi.id);
+  }
+
   // ---------------------------------------------------------------------------
   // Connection test
   // ---------------------------------------------------------------------------
 
+  /**
+   * List the projects in the organization.
+   * @param {number} [top] - Maximum number of projects to return
+   * @returns {Promise<object>} List of projects
+   * @see https://learn.microsoft.com/en-us/rest/api/azure/devops/core/projects/list
+   */
+  async getProjects(top) {
+    let url = `${this._getApiBase()}/_apis/projects?api-version=7.1`;
+    if (top) {
+      url += `&$top=${top}`;
+    }
+    return this._fetch(url);
+  }
+
   /**
    * Test the connection to Azure DevOps by attempting to list processes.
    * @returns {Promise<boolean>} true if the connection succeeds, false otherwise
@@ -824,6 +1312,72 @@ class AzureDevOpsService {
     }
   }
 
+  /**
+   * Probe each capability the app uses and report which ones the credentials
+   * allow. Nothing is changed: process write is probed by creating a process
+   * from an empty body, which Azure DevOps rejects with 400 once the token's
+   * scope has been accepted. That shows the scope only; whether the account may
+   * create or edit processes is checked when the request is valid, and reading
+   * permissions would need the vso.security_manage scope.
+   * @returns {Promise<Array<{ id: string, label: string, scope: string, success: boolean,
+   *   status: number | null, message: string, hint: string | null, durationMs: number }>>}
+   */
+  async diagnoseAccess() {
+    const probes = [
+      { id: 'processRead', label: 'Process read', scope: 'vso.work', run: () => this.getProcesses() },
+      {
+        id: 'processWrite',
+        label: 'Process write (scope only)',
+        scope: 'vso.work_full',
+        passMessage: 'Scope only: the token may write processes, but the account\'s process permissions are not checked',
+        run: async () => {
+          try {
+            await this.createProcess({});
+          } catch (err) {
+            if (err.status !== 400) throw err;
+          }
+        },
+      },
+      { id: 'orgFields', label: 'Organization fields', scope: 'vso.work', run: () => this.getOrganizationFields() },
+      {
+        id: 'entitlements',
+        label: 'User entitlements',
+        scope: 'vso.memberentitlementmanagement',
+        run: () => this._fetch(`${this._getVsaexApiBase()}/_apis/userentitlements?api-version=7.1&top=1`),
+      },
+      { id: 'projects', label: 'Projects', scope: 'vso.project', run: () => this.getProjects(1) },
+    ];
+
+    const results = [];
+    for (const probe of probes) {
+      const started = Date.now();
+      try {
+        await probe.run();
+        results.push({
+          id: probe.id, label: probe.label, scope: probe.scope, success: true,
+          status: null, message: probe.passMessage || 'OK', hint: null, durationMs: Date.now() - started,
+        });
+      } catch (err) {
+        let hint = null;
+        if (err.status === 401) {
+          hint = 'The credentials were rejected: the PAT or token may be expired, revoked or mistyped.';
+        } else if (err.status === 403) {
+          hint = `Access denied: check that the credentials have the ${probe.scope} scope and the permission in the organization.`;
+        } else if (err.statusCode === 401) {
+          hint = 'The credentials could not be obtained.';
+        } else if (err instanceof SyntaxError) {
+          // Azure DevOps answers unauthenticated requests to some endpoints with a 203 sign-in page
+          hint = 'Azure DevOps answered with a sign-in page instead of JSON: the credentials were not accepted.';
+        }
+        results.push({
+          id: probe.id, label: probe.label, scope: probe.scope, success: false,
+          status: err.status || err.statusCode || null, message: err.message, hint, durationMs: Date.now() - started,
+        });
+      }
+    }
+    return results;
+  }
+
   // ---------------------------------------------------------------------------
   // User Entitlement endpoints  (api-version=7.1)
   // Host: vsaex.dev.azure.com
@@ -1,12 +1,43 @@
 const fs = require('fs/promises');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const secretStore = require('./secretStore');
 
 const CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'connections.json');
 
+/**
+ * Returns a connection with `fn` applied to each of its secrets: the static
+ * PAT and a service principal's client secret.
+ * @param {object} connection
+ * @param {(secret: string) => string | null} fn
+ * @returns {object}
+ */
+function _mapSecrets(connection, fn) {
+  let mapped = connection.pat ? { ...connection, pat: fn(connection.pat) } : connection;
+  if (connection.auth && connection.auth.clientSecret) {
+    mapped = { ...mapped, auth: { ...connection.auth, clientSecret: fn(connection.auth.clientSecret) } };
+  }
+  return mapped;
+}
+
+/**
+ * Counts a connection's secrets that are stored in plaintext.
+ * @param {object} connection
+ * @returns {number}
+ */
+function _plaintextSecrets(connection) {
+  let count = 0;
+  _mapSecrets(connection, (secret) => {
+    if (!secretStore.isEncrypted(secret)) count++;
+    return secret;
+  });
+  return count;
+}
+
 /**
  * Reads the connections config file and returns the parsed object.
- * @returns {Promise<{ connections: Array }>}
+ * PATs are returned as stored, i.e. encrypted once encryption is set up.
+ * @returns {Promise<{ connections: Array, encryption?: object }>}
  */
 async function _readConfig() {
   const raw = await fs.readFile(CONFIG_PATH, 'utf-8');
@@ -15,45 +46,74 @@ async function _readConfig() {
 
 /**
  * Writes the config object to the connections JSON file with pretty formatting.
- * @param {{ connections: Array }} config
+ * When encryption is set up, plaintext secrets are encrypted before writing.
+ * @param {{ connections: Array, encryption?: object }} config
  * @returns {Promise<void>}
  */
 async function _writeConfig(config) {
-  await fs.writeFile(CONFIG_PATH, JSON.stringify(config, null, 2), 'utf-8');
+  const stored = config.encryption
+    ? {
+      ...config,
+      connections: config.connections.map((c) => _mapSecrets(c, (secret) => (secretStore.isEncrypted(secret)
+        ? secret
+        : secretStore.encrypt(secret)))),
+    }
+    : config;
+  await fs.writeFile(CONFIG_PATH, JSON.stringify(stored, null, 2), 'utf-8');
+  // Readable by the owner only, also for files created before encryption existed
+  await fs.chmod(CONFIG_PATH, 0o600).catch(() => {});
+}
+
+/**
+ * Returns a connection with its secrets decrypted. While the store is locked
+ * they are null, unless `required` is set, in which case locking is an error.
+ * @param {object} connection
+ * @param {boolean} [required]
+ * @returns {object}
+ */
+function _withSecrets(connection, required) {
+  const locked = !secretStore.isUnlocked() && !required;
+  return _mapSecrets(connection, (secret) => {
+    if (!secretStore.isEncrypted(secret)) return secret;
+    return locked ? null : secretStore.decrypt(secret);
+  });
 }
 
 /**
- * Returns all connections from the config file.
- * @returns {Promise<Array<{ id: string, name: string, orgUrl: string, pat: string }>>}
+ * Returns all connections from the config file. Secrets are null while the store is locked.
+ * @returns {Promise<Array<{ id: string, name: string, orgUrl: string, pat: string | null }>>}
  */
 async function getConnections() {
   const config = await _readConfig();
-  return config.connections;
+  return config.connections.map((c) => _withSecrets(c, false));
 }
 
 /**
  * Returns a single connection by its id, or null if not found.
  * @param {string} id
  * @returns {Promise<{ id: string, name: string, orgUrl: string, pat: string } | null>}
+ * @throws {Error} With statusCode 423 if its secrets are encrypted and the store is locked
  */
 async function getConnection(id) {
   const config = await _readConfig();
   const connection = config.connections.find((c) => c.id === id);
-  return connection || null;
+  return connection ? _withSecrets(connection, true) : null;
 }
 
 /**
  * Adds a new connection to the config file.
- * @param {{ name: string, orgUrl: string, pat: string }} params
- * @returns {Promise<{ id: string, name: string, orgUrl: string, pat: string }>}
+ * @param {{ name: string, orgUrl: string, pat?: string, auth?: object }} params -
+ *   `auth` picks a credential provider other than the static PAT (see credentialProviders.js)
+ * @returns {Promise<{ id: string, name: string, orgUrl: string, pat?: string, auth?: object }>}
  */
-async function addConnection({ name, orgUrl, pat }) {
+async function addConnection({ name, orgUrl, pat, auth }) {
   const config = await _readConfig();
   const newConnection = {
     id: uuidv4(),
     name,
     orgUrl,
-    pat,
+    ...(pat ? { pat } : {}),
+    ...(auth ? { auth } : {}),
   };
   config.connections.push(newConnection);
   await _writeConfig(config);
@@ -61,10 +121,12 @@ async function addConnection({ name, orgUrl, pat }) {
 }
 
 /**
- * Updates an existing connection by its id.
+ * Updates an existing connection by its id. A service principal keeps its
+ * stored client secret when `updates.auth` leaves it out, and a PAT that is
+ * set to null is removed.
  * @param {string} id
- * @param {Partial<{ name: string, orgUrl: string, pat: string }>} updates
- * @returns {Promise<{ id: string, name: string, orgUrl: string, pat: string } | null>}
+ * @param {Partial<{ name: string, orgUrl: string, pat: string | null, auth: object }>} updates
+ * @returns {Promise<{ id: string, name: string, orgUrl: string, pat?: string, auth?: object } | null>}
  */
 async function updateConnection(id, updates) {
   const config = await _readConfig();
@@ -72,9 +134,18 @@ async function updateConnection(id, updates) {
   if (index === -1) {
     return null;
   }
-  config.connections[index] = { ...config.connections[index], ...updates, id };
+  const existing = config.connections[index];
+  const next = { ...existing, ...updates, id };
+  if (updates.auth && updates.auth.type === 'servicePrincipal' && !updates.auth.clientSecret
+    && existing.auth && existing.auth.clientSecret) {
+    next.auth = { ...updates.auth, clientSecret: existing.auth.clientSecret };
+  }
+  if (next.pat === null) {
+    delete next.pat;
+  }
+  config.connections[index] = next;
   await _writeConfig(config);
-  return config.connections[index];
+  return _withSecrets(config.connections[index], false);
 }
 
 /**
@@ -93,12 +164,105 @@ async function deleteConnection(id) {
   return true;
 }
 
+/**
+ * Describes how PATs are stored.
+ * @returns {Promise<{ encrypted: boolean, keySource: string | null, locked: boolean, plaintextCount: number,
+ *   keyFile: string }>}
+ */
+async function getSecurityStatus() {
+  const config = await _readConfig();
+  const encryption = config.encryption || null;
+  return {
+    encrypted: !!encryption,
+    keySource: encryption ? encryption.keySource : null,
+    locked: !!encryption && !secretStore.isUnlocked(),
+    plaintextCount: config.connections.reduce((sum, c) => sum + _plaintextSecrets(c), 0),
+    keyFile: secretStore.KEY_FILE_PATH,
+  };
+}
+
+/**
+ * Sets up PAT encryption with a master passphrase or a local key file, and
+ * encrypts every plaintext PAT and client secret in the config.
+ * @param {{ passphrase?: string, keyFile?: boolean }} options
+ * @returns {Promise<number>} the number of secrets encrypted
+ * @throws {Error} With statusCode 409 if encryption is already set up
+ */
+async function enableEncryption(options) {
+  const config = await _readConfig();
+  if (config.encryption) {
+    const err = new Error('PAT encryption is already set up');
+    err.statusCode = 409;
+    throw err;
+  }
+  config.encryption = await secretStore.createEncryption(options);
+  const migrated = config.connections.reduce((sum, c) => sum + _plaintextSecrets(c), 0);
+  await _writeConfig(config);
+  return migrated;
+}
+
+/**
+ * Unlocks the stored PATs, then encrypts any that were added to the file in
+ * plaintext (e.g. by editing it by hand).
+ * @param {string} [passphrase] - Not needed for a key-file setup
+ * @returns {Promise<number>} the number of plaintext secrets that were encrypted
+ */
+async function unlock(passphrase) {
+  const config = await _readConfig();
+  if (!config.encryption) {
+    const err = new Error('PAT encryption is not set up');
+    err.statusCode = 400;
+    throw err;
+  }
+  await secretStore.unlock(config.encryption, passphrase);
+  const migrated = config.connections.reduce((sum, c) => sum + _plaintextSecrets(c), 0);
+  if (migrated > 0) {
+    await _writeConfig(config);
+  }
+  return migrated;
+}
+
+/**
+ * Unlocks the stored PATs at startup without user input: from the key file
+ * for key-file setups, or from the PAT_PASSPHRASE environment variable. A
+ * plaintext config is encrypted with PAT_PASSPHRASE when it is set.
+ * @returns {Promise<{ encrypted: boolean, unlocked: boolean, migrated: number }>}
+ */
+async function autoUnlock() {
+  let config;
+  try {
+    config = await _readConfig();
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return { encrypted: false, unlocked: false, migrated: 0 };
+    }
+    throw err;
+  }
+  if (!config.encryption) {
+    if (!process.env.PAT_PASSPHRASE) {
+      return { encrypted: false, unlocked: false, migrated: 0 };
+    }
+    const migrated = await enableEncryption({ passphrase: process.env.PAT_PASSPHRASE });
+    return { encrypted: true, unlocked: true, migrated };
+  }
+  if (config.encryption.keySource !== 'keyFile' && !process.env.PAT_PASSPHRASE) {
+    return { encrypted: true, unlocked: false, migrated: 0 };
+  }
+  const migrated = await unlock(process.env.PAT_PASSPHRASE);
+  return { encrypted: true, unlocked: true, migrated };
+}
+
 module.exports = {
   getConnections,
   getConnection,
   addConnection,
   updateConnection,
   deleteConnection,
+  getSecurityStatus,
+  enableEncryption,
+  unlock,
+  autoUnlock,
+  lock: secretStore.lock,
   _readConfig,
   _writeConfig,
 };
@@ -0,0 +1,364 @@
+'use strict';
+
+/**
+ * Credential providers for Azure DevOps connections.
+ *
+ * A connection's `auth.type` picks how requests are authenticated:
+ * - `pat`              - the connection's stored PAT (the default when `auth` is missing)
+ * - `envPat`           - a PAT read from an environment variable on every request
+ * - `bearerToken`      - a bearer token from a local file or the output of a command,
+ *                        e.g. an Entra ID token written by a separate login tool
+ * - `servicePrincipal` - an OAuth client-credentials token from a token endpoint
+ *
+ * Environment variables, token files and commands are set up on the server in
+ * config/credential-sources.json; connections only name the source to use
+ * (`auth.source`), so nothing sent over the API is ever read or run.
+ *
+ * Each provider resolves to the value of the Authorization header.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const PROVIDER_TYPES = ['pat', 'envPat', 'bearerToken', 'servicePrincipal'];
+
+const SOURCES_PATH = path.join(__dirname, '..', '..', 'config', 'credential-sources.json');
+// The provider type each kind of credential source serves
+const SOURCE_TYPES = { envVar: 'envPat', file: 'bearerToken', command: 'bearerToken' };
+// Settings that used to be sent inline and now have to be a named source
+const INLINE_SOURCE_KEYS = ['envVar', 'tokenFile', 'tokenCommand'];
+
+// Azure DevOps resource id; client-credentials tokens are requested for it
+const AZURE_DEVOPS_SCOPE = '499b84ac-1321-427f-aa17-267ca6975798/.default';
+const COMMAND_TIMEOUT_MS = 30000;
+// How long a command's token is reused when its output doesn't say when it expires
+const DEFAULT_TOKEN_TTL_MS = 5 * 60 * 1000;
+// Tokens are refreshed this long before they expire
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Tokens from commands and token endpoints, keyed by what produced them
+const tokenCache = new Map();
+
+/**
+ * Build an error with an HTTP status code.
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+function _error(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Parses a token from a file or command output: either the raw token, or
+ * JSON as printed by `az account get-access-token` or a token endpoint.
+ * @param {string} text
+ * @returns {{ token: string, expiresAt: number | null }}
+ */
+function _parseToken(text) {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('{')) {
+    return { token: trimmed, expiresAt: null };
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(trimmed);
+  } catch {
+    throw _error('Token output looks like JSON but could not be parsed', 401);
+  }
+  const token = parsed.accessToken || parsed.access_token;
+  let expiresAt = null;
+  if (parsed.expires_in) {
+    expiresAt = Date.now() + Number(parsed.expires_in) * 1000;
+  } else if (parsed.expires_on || parsed.expiresOn) {
+    const value = parsed.expires_on || parsed.expiresOn;
+    // Epoch seconds, or a date string
+    expiresAt = /^\d+$/.test(String(value)) ? Number(value) * 1000 : Date.parse(value);
+  }
+  return { token, expiresAt: Number.isNaN(expiresAt) ? null : expiresAt };
+}
+
+/**
+ * Returns a cached token, or gets and caches a new one.
+ * @param {string} key
+ * @param {() => Promise<{ token: string, expiresAt: number | null }>} load
+ * @returns {Promise<string>}
+ */
+async function _cachedToken(key, load) {
+  const cached = tokenCache.get(key);
+  if (cached && cached.expiresAt - EXPIRY_MARGIN_MS > Date.now()) {
+    return cached.token;
+  }
+  const { token, expiresAt } = await load();
+  if (!token) {
+    throw _error('No token was returned', 401);
+  }
+  tokenCache.set(key, { token, expiresAt: expiresAt || Date.now() + DEFAULT_TOKEN_TTL_MS });
+  return token;
+}
+
+/**
+ * Reads the credential sources configured on the server, by name.
+ * @returns {Promise<Object<string, { envVar?: string, file?: string, command?: string[] }>>}
+ */
+async function _readSources() {
+  let raw;
+  try {
+    raw = await fs.readFile(SOURCES_PATH, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return {};
+    }
+    throw err;
+  }
+  const parsed = JSON.parse(raw);
+  return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+}
+
+/**
+ * The kind of a configured credential source, or null if it is malformed.
+ * @param {object} source
+ * @returns {'envVar' | 'file' | 'command' | null}
+ */
+function _sourceKind(source) {
+  if (!source || typeof source !== 'object') return null;
+  if (typeof source.envVar === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(source.envVar)) return 'envVar';
+  if (typeof source.file === 'string' && source.file) return 'file';
+  if (Array.isArray(source.command) && source.command.length > 0 && source.command.every((arg) => typeof arg === 'string' && arg)) {
+    return 'command';
+  }
+  return null;
+}
+
+/**
+ * Looks up a named credential source for a provider type.
+ * @param {string} name
+ * @param {string} type - `envPat` or `bearerToken`
+ * @param {number} statusCode - Status of the error when the source can't be used
+ * @returns {Promise<{ kind: string, envVar?: string, file?: string, command?: string[] }>}
+ */
+async function _resolveSource(name, type, statusCode) {
+  const sources = await _readSources();
+  const source = Object.prototype.hasOwnProperty.call(sources, name) ? sources[name] : null;
+  const kind = _sourceKind(source);
+  if (!kind) {
+    throw _error(`Credential source "${name}" is not configured in config/credential-sources.json`, statusCode);
+  }
+  if (SOURCE_TYPES[kind] !== type) {
+    throw _error(`Credential source "${name}" provides ${kind === 'envVar' ? 'a PAT' : 'a bearer token'}, not ${type}`, statusCode);
+  }
+  return { kind, ...source };
+}
+
+/**
+ * Lists the configured credential sources without their settings.
+ * @returns {Promise<Array<{ name: string, type: string, kind: string }>>}
+ */
+async function listCredentialSources() {
+  const sources = await _readSources();
+  return Object.entries(sources)
+    .map(([name, source]) => ({ name, kind: _sourceKind(source) }))
+    .filter(({ kind }) => kind)
+    .map(({ name, kind }) => ({ name, type: SOURCE_TYPES[kind], kind }));
+}
+
+/**
+ * Runs a token command without a shell and returns its standard output.
+ * @param {string[]} command - The program and its arguments
+ * @returns {Promise<string>}
+ */
+function _runCommand(command) {
+  return new Promise((resolve, reject) => {
+    execFile(command[0], command.slice(1), { timeout: COMMAND_TIMEOUT_MS, windowsHide: true }, (err, stdout, stderr) => {
+      if (err) {
+        const detail = ((stderr || '').trim() || err.message).trim();
+        reject(_error(`Token command failed: ${detail}`, 401));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Requests a token with the OAuth client-credentials grant.
+ * @param {{ tenantId?: string, clientId: string, clientSecret: string, tokenEndpoint?: string, scope?: string }} auth
+ * @returns {Promise<{ token: string, expiresAt: number | null }>}
+ */
+async function _requestClientCredentialsToken(auth) {
+  const fetch = (await import('node-fetch')).default;
+  const response = await fetch(tokenEndpointOf(auth), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: auth.clientId,
+      client_secret: auth.clientSecret,
+      scope: auth.scope || AZURE_DEVOPS_SCOPE,
+    }).toString(),
+  });
+  const text = await response.text();
+  if (!response.ok) {
+    let detail = text;
+    try {
+      const body = JSON.parse(text);
+      detail = body.error_description || body.error || text;
+    } catch {
+      // Not JSON; use the raw body
+    }
+    throw _error(`Token endpoint returned ${response.status}: ${detail}`, 401);
+  }
+  return _parseToken(text);
+}
+
+/**
+ * The token endpoint for a service principal: the configured one, or the
+ * Microsoft Entra ID v2 endpoint of its tenant.
+ * @param {{ tenantId?: string, tokenEndpoint?: string }} auth
+ * @returns {string}
+ */
+function tokenEndpointOf(auth) {
+  return auth.tokenEndpoint || `https://login.microsoftonline.com/${encodeURIComponent(auth.tenantId)}/oauth2/v2.0/token`;
+}
+
+/**
+ * Checks and normalizes a connection's `auth` settings, keeping only the
+ * fields its provider uses.
+ * @param {object} auth
+ * @param {{ requireSecret?: boolean }} [options] - Whether a service principal needs its client secret
+ *   (it can be left out when updating a connection to keep the stored one)
+ * @returns {Promise<object>}
+ * @throws {Error} With statusCode 400 if the settings are invalid
+ */
+async function validateAuth(auth, { requireSecret = true } = {}) {
+  if (!auth || typeof auth !== 'object' || !PROVIDER_TYPES.includes(auth.type)) {
+    throw _error(`auth.type must be one of: ${PROVIDER_TYPES.join(', ')}`, 400);
+  }
+  const inline = INLINE_SOURCE_KEYS.find((key) => auth[key] !== undefined);
+  if (inline) {
+    throw _error(`auth.${inline} is not accepted; configure it in config/credential-sources.json on the server and set auth.source to its name`, 400);
+  }
+  switch (auth.type) {
+    case 'pat':
+      return { type: 'pat' };
+    case 'envPat':
+    case 'bearerToken':
+      if (typeof auth.source !== 'string' || !auth.source) {
+        throw _error('auth.source must name a credential source', 400);
+      }
+      await _resolveSource(auth.source, auth.type, 400);
+      return { type: auth.type, source: auth.source };
+    case 'servicePrincipal': {
+      if (!auth.clientId || (requireSecret && !auth.clientSecret)) {
+        throw _error('auth.clientId and auth.clientSecret are required', 400);
+      }
+      if (!auth.tenantId && !auth.tokenEndpoint) {
+        throw _error('auth.tenantId or auth.tokenEndpoint is required', 400);
+      }
+      if (auth.tokenEndpoint && !/^https?:\/\//i.test(auth.tokenEndpoint)) {
+        throw _error('auth.tokenEndpoint must be an http(s) URL', 400);
+      }
+      const normalized = { type: 'servicePrincipal', clientId: auth.clientId };
+      for (const key of ['clientSecret', 'tenantId', 'tokenEndpoint', 'scope']) {
+        if (auth[key]) normalized[key] = auth[key];
+      }
+      return normalized;
+    }
+    default:
+      return auth;
+  }
+}
+
+/**
+ * Creates the credential provider for a connection.
+ * @param {{ id?: string, pat?: string, auth?: object }} connection - With secrets decrypted
+ * @returns {{ type: string, getAuthorization: () => Promise<string> }}
+ */
+function createCredentialProvider(connection) {
+  const auth = connection.auth || { type: 'pat' };
+  const basic = (pat) => `Basic ${Buffer.from(`:${pat}`).toString('base64')}`;
+
+  // Connections saved before sources had to be named may still hold inline settings; they are not used
+  const source = async () => {
+    if (!auth.source) {
+      throw _error('The connection sets up its credentials inline, which is no longer supported. '
+        + 'Add a source to config/credential-sources.json and select it for the connection.', 401);
+    }
+    return _resolveSource(auth.source, auth.type, 401);
+  };
+
+  switch (auth.type) {
+    case 'envPat':
+      return {
+        type: auth.type,
+        async getAuthorization() {
+          const { envVar } = await source();
+          const pat = process.env[envVar];
+          if (!pat) {
+            throw _error(`Environment variable ${envVar} is not set`, 401);
+          }
+          return basic(pat);
+        },
+      };
+    case 'bearerToken':
+      return {
+        type: auth.type,
+        async getAuthorization() {
+          const { file, command } = await source();
+          if (file) {
+            // Read on every request so a refreshed file is picked up right away
+            let text;
+            try {
+              text = await fs.readFile(file, 'utf-8');
+            } catch (err) {
+              throw _error(`Could not read token file ${file}: ${err.message}`, 401);
+            }
+            const { token } = _parseToken(text);
+            if (!token) {
+              throw _error(`Token file ${file} is empty`, 401);
+            }
+            return `Bearer ${token}`;
+          }
+          const token = await _cachedToken(`command:${JSON.stringify(command)}`, async () => _parseToken(await _runCommand(command)));
+          return `Bearer ${token}`;
+        },
+      };
+    case 'servicePrincipal':
+      return {
+        type: auth.type,
+        async getAuthorization() {
+          const key = `client:${tokenEndpointOf(auth)}|${auth.clientId}|${auth.scope || AZURE_DEVOPS_SCOPE}`;
+          const token = await _cachedToken(key, () => _requestClientCredentialsToken(auth));
+          return `Bearer ${token}`;
+        },
+      };
+    default:
+      return {
+        type: 'pat',
+        async getAuthorization() {
+          if (!connection.pat) {
+            throw _error('The connection has no PAT', 401);
+          }
+          return basic(connection.pat);
+        },
+      };
+  }
+}
+
+/**
+ * Forgets cached tokens, e.g. after a connection's credentials change.
+ */
+function clearTokenCache() {
+  tokenCache.clear();
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  validateAuth,
+  listCredentialSources,
+  createCredentialProvider,
+  clearTokenCache,
+};
@@ -0,0 +1,211 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const SCHEDULE_PATH = path.join(__dirname, '..', '..', 'config', 'schedule.json');
+// Append-only like the audit log, one JSON event per line
+const EVENTS_PATH = path.join(__dirname, '..', '..', 'config', 'drift-events.jsonl');
+
+const DEFAULT_SCHEDULE = { enabled: false, cron: '0 * * * *', processes: [] };
+
+// Cron fields in order, with the range of values each accepts
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 6 },
+];
+
+// Listeners for new events, e.g. open SSE streams
+const subscribers = new Set();
+
+/**
+ * Parses one cron field (`*`, `5`, `1-5`, `*\/15`, `0,30`) into the set of values it matches.
+ * @param {string} part
+ * @param {{ name: string, min: number, max: number }} field
+ * @returns {Set<number>}
+ * @throws {Error} If the field is malformed or out of range
+ */
+function _parseCronField(part, field) {
+  const values = new Set();
+  for (const item of part.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} in cron expression: ${item}`);
+    }
+    let from = field.min;
+    let to = field.max;
+    if (match[2] !== undefined) {
+      from = parseInt(match[2], 10);
+      to = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? field.max : from);
+    }
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+    if (from < field.min || to > field.max || from > to || step < 1) {
+      throw new Error(`Invalid ${field.name} in cron expression: ${item}`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression: minute hour day-of-month month day-of-week.
+ * Supports `*`, single values, ranges, steps and lists; day of week runs 0 (Sunday) to 6.
+ * @param {string} expression
+ * @returns {Array<Set<number>>}
+ * @throws {Error} With statusCode 400 if the expression is invalid
+ */
+function parseCron(expression) {
+  try {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+      throw new Error(`Cron expression must have ${CRON_FIELDS.length} fields: ${expression}`);
+    }
+    return parts.map((part, i) => _parseCronField(part, CRON_FIELDS[i]));
+  } catch (err) {
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
+/**
+ * Whether a cron expression matches the given minute (local time).
+ * As in standard cron, when both day of month and day of week are restricted
+ * (neither starts with `*`), a day matching either one matches.
+ * @param {string} expression
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function cronMatches(expression, date) {
+  const [minutes, hours, days, months, weekdays] = parseCron(expression);
+  const parts = String(expression).trim().split(/\s+/);
+  const dayMatches = parts[2].startsWith('*') || parts[4].startsWith('*')
+    ? days.has(date.getDate()) && weekdays.has(date.getDay())
+    : days.has(date.getDate()) || weekdays.has(date.getDay());
+  return minutes.has(date.getMinutes())
+    && hours.has(date.getHours())
+    && dayMatches
+    && months.has(date.getMonth() + 1);
+}
+
+/**
+ * Returns the drift check schedule, or the disabled default if none is saved.
+ * @returns {Promise<{ enabled: boolean, cron: string, processes: Array<{ connectionId: string, processId: string }> }>}
+ */
+async function getSchedule() {
+  try {
+    const raw = await fs.readFile(SCHEDULE_PATH, 'utf-8');
+    return { ...DEFAULT_SCHEDULE, ...JSON.parse(raw) };
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return { ...DEFAULT_SCHEDULE };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Saves the drift check schedule after validating its cron expression.
+ * @param {{ enabled?: boolean, cron?: string, processes?: Array<{ connectionId: string, processId: string }> }} updates
+ * @returns {Promise<object>} the saved schedule
+ */
+async function saveSchedule(updates) {
+  const schedule = { ...(await getSchedule()), ...updates };
+  parseCron(schedule.cron);
+  schedule.enabled = !!schedule.enabled;
+  schedule.processes = (schedule.processes || []).map(({ connectionId, processId }) => ({ connectionId, processId }));
+  await fs.mkdir(path.dirname(SCHEDULE_PATH), { recursive: true });
+  await fs.writeFile(SCHEDULE_PATH, JSON.stringify(schedule, null, 2), 'utf-8');
+  return schedule;
+}
+
+/**
+ * Stops watching a process, e.g. after it was deleted.
+ * @param {string} connectionId
+ * @param {string} processId
+ * @returns {Promise<boolean>} true if the process was on the schedule
+ */
+async function unwatchProcess(connectionId, processId) {
+  const schedule = await getSchedule();
+  const processes = schedule.processes.filter((p) => p.connectionId !== connectionId || p.processId !== processId);
+  if (processes.length === schedule.processes.length) {
+    return false;
+  }
+  await saveSchedule({ processes });
+  return true;
+}
+
+/**
+ * Records a drift event and passes it on to every subscriber.
+ * @param {{ type: 'drift' | 'error', connectionId: string, processId: string }} event
+ * @returns {Promise<object>} the stored event
+ */
+async function recordEvent(event) {
+  const stored = { id: uuidv4(), timestamp: new Date().toISOString(), ...event };
+  await fs.mkdir(path.dirname(EVENTS_PATH), { recursive: true });
+  await fs.appendFile(EVENTS_PATH, `${JSON.stringify(stored)}\n`, 'utf-8');
+  for (const listener of subscribers) {
+    try {
+      listener(stored);
+    } catch (err) {
+      console.error('[drift] Event listener failed:', err.message);
+    }
+  }
+  return stored;
+}
+
+/**
+ * Returns recorded drift events, newest first.
+ * @param {{ connectionId?: string, processId?: string, limit?: number }} [filters]
+ * @returns {Promise<Array<object>>}
+ */
+async function listEvents(filters = {}) {
+  const { connectionId, processId, limit } = filters;
+  let raw;
+  try {
+    raw = await fs.readFile(EVENTS_PATH, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+  const events = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      // Ignore a truncated line
+    }
+  }
+  const matches = events
+    .filter((event) => (!connectionId || event.connectionId === connectionId)
+      && (!processId || event.processId === processId))
+    .reverse();
+  return limit ? matches.slice(0, limit) : matches;
+}
+
+/**
+ * Registers a listener for new events.
+ * @param {(event: object) => void} listener
+ * @returns {() => void} call to unsubscribe
+ */
+function subscribe(listener) {
+  subscribers.add(listener);
+  return () => subscribers.delete(listener);
+}
+
+module.exports = {
+  parseCron,
+  cronMatches,
+  getSchedule,
+  saveSchedule,
+  unwatchProcess,
+  recordEvent,
+  listEvents,
+  subscribe,
+};
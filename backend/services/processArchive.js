@@ -0,0 +1,922 @@
+'use strict';
+
+/**
+ * Reads and writes the Azure DevOps process ZIP: XML work item type
+ * definitions (WITD) plus Categories.xml and ProcessConfiguration.xml, as
+ * used by process import/export.
+ *
+ * An archive is read into the same structure `POST /api/processes/.../pull`
+ * stores, so it can be compared with a live process without a connection.
+ * The XML model and the inherited model don't map one to one:
+ *
+ * - Field-level REQUIRED, READONLY and DEFAULT become the field's `required`,
+ *   `readOnly` and `defaultValue`, as in the inherited model. Other field
+ *   rules become rules, grouped by their condition: a STATE, a WHEN /
+ *   WHENNOT / WHENCHANGED / WHENNOTCHANGED clause, or the transition that
+ *   creates the work item. Rules on other transitions are not read.
+ * - State categories, work item type colors and icons, and backlog
+ *   behaviors come from ProcessConfiguration.xml and Categories.xml. A
+ *   state a backlog leaves out gets the Removed category.
+ * - Only the web layout (`WebLayout`) is read.
+ *
+ * Writing does the reverse. Rules that XML can't express (several
+ * conditions, disabled rules, other condition types) are left out and listed
+ * in the notes.
+ */
+
+const AdmZip = require('adm-zip');
+const { XMLParser, XMLBuilder } = require('fast-xml-parser');
+
+const WIT_DIR = 'WorkItem Tracking';
+// Limits on what a process ZIP may unpack to, checked before anything is inflated
+const MAX_ARCHIVE_ENTRIES = 2000;
+const MAX_ENTRY_SIZE = 20 * 1024 * 1024;
+const MAX_ARCHIVE_SIZE = 200 * 1024 * 1024;
+
+const FIELD_TYPES = {
+  string: 'String',
+  integer: 'Integer',
+  double: 'Double',
+  dateTime: 'DateTime',
+  plainText: 'PlainText',
+  html: 'HTML',
+  treePath: 'TreePath',
+  history: 'History',
+  guid: 'GUID',
+  boolean: 'Boolean',
+};
+
+// XML state types that differ from the inherited state categories
+const STATE_TYPES = { Complete: 'Completed' };
+
+// Backlog behaviors with a fixed category
+const BACKLOG_CATEGORIES = {
+  'System.RequirementBacklogBehavior': 'Microsoft.RequirementCategory',
+  'System.TaskBacklogBehavior': 'Microsoft.TaskCategory',
+};
+const PORTFOLIO_BEHAVIOR = 'System.PortfolioBacklogBehavior';
+const BUG_CATEGORY = 'Microsoft.BugCategory';
+
+// Form pages every work item type has; XML doesn't list them
+const SYSTEM_PAGES = ['history', 'links', 'attachments'];
+
+// Rule actions as XML elements; `from` is the DEFAULT / COPY source
+const ACTIONS = {
+  makeRequired: { element: 'REQUIRED' },
+  makeReadOnly: { element: 'READONLY' },
+  setValueToEmpty: { element: 'EMPTY' },
+  setDefaultValue: { element: 'DEFAULT', from: 'value' },
+  setDefaultFromClock: { element: 'DEFAULT', from: 'clock' },
+  setDefaultFromCurrentUser: { element: 'DEFAULT', from: 'currentuser' },
+  setDefaultFromField: { element: 'DEFAULT', from: 'field' },
+  copyValue: { element: 'COPY', from: 'value' },
+  copyFromClock: { element: 'COPY', from: 'clock' },
+  copyFromCurrentUser: { element: 'COPY', from: 'currentuser' },
+  copyFromField: { element: 'COPY', from: 'field' },
+};
+
+// Field conditions as XML clauses
+const CONDITIONS = {
+  when: 'WHEN',
+  whenNot: 'WHENNOT',
+  whenChanged: 'WHENCHANGED',
+  whenNotChanged: 'WHENNOTCHANGED',
+};
+
+/**
+ * Build an error for an archive that can't be read (400).
+ * @param {string} message
+ * @returns {Error}
+ */
+function archiveError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+// ---------------------------------------------------------------------------
+// XML element trees
+// ---------------------------------------------------------------------------
+
+/**
+ * Create an element: { name, attrs, children, text }.
+ * @param {string} name
+ * @param {object} [attrs] - Attributes; null and undefined values are left out
+ * @param {Array<object|null|false>} [children] - Falsy entries are left out
+ * @param {string} [text]
+ * @returns {object}
+ */
+function el(name, attrs = {}, children = [], text) {
+  const cleanAttrs = {};
+  for (const [key, value] of Object.entries(attrs)) {
+    if (value !== undefined && value !== null) cleanAttrs[key] = String(value);
+  }
+  return { name, attrs: cleanAttrs, children: children.filter(Boolean), text };
+}
+
+/**
+ * Parse an XML document into its root element. Namespace prefixes are dropped.
+ * @param {string} xml
+ * @returns {object|null}
+ */
+function parseXml(xml) {
+  const parser = new XMLParser({
+    preserveOrder: true,
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: true,
+  });
+  const toElement = (node) => {
+    const name = Object.keys(node).find((key) => key !== ':@');
+    if (name === '#text') return null;
+    const children = node[name] || [];
+    const text = children.filter((c) => c['#text'] !== undefined).map((c) => c['#text']).join('');
+    return { name, attrs: node[':@'] || {}, children: children.map(toElement).filter(Boolean), text };
+  };
+  const nodes = parser.parse(xml).map(toElement).filter((node) => node && node.name !== '?xml');
+  return nodes[0] || null;
+}
+
+/**
+ * Serialize an element tree as an XML document.
+ * @param {object} root
+ * @returns {string}
+ */
+function buildXml(root) {
+  const builder = new XMLBuilder({
+    preserveOrder: true,
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    format: true,
+    indentBy: '  ',
+    suppressEmptyNode: true,
+  });
+  const toNode = (element) => {
+    const children = element.children.map(toNode);
+    if (element.text !== undefined && element.text !== '') children.unshift({ '#text': element.text });
+    const node = { [element.name]: children };
+    if (Object.keys(element.attrs).length > 0) node[':@'] = element.attrs;
+    return node;
+  };
+  return `<?xml version="1.0" encoding="utf-8"?>\n${builder.build([toNode(root)])}`;
+}
+
+/**
+ * Child elements with the given name (case-insensitive, like most XML process tooling).
+ * @param {object|null} element
+ * @param {string} name
+ * @returns {Array<object>}
+ */
+function childrenOf(element, name) {
+  const lower = name.toLowerCase();
+  return element ? element.children.filter((c) => c.name.toLowerCase() === lower) : [];
+}
+
+/**
+ * First child element with the given name, or null.
+ * @param {object|null} element
+ * @param {string} name
+ * @returns {object|null}
+ */
+function childOf(element, name) {
+  return childrenOf(element, name)[0] || null;
+}
+
+/**
+ * Attribute value, matched case-insensitively.
+ * @param {object|null} element
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function attr(element, name) {
+  if (!element) return undefined;
+  const lower = name.toLowerCase();
+  const key = Object.keys(element.attrs).find((k) => k.toLowerCase() === lower);
+  return key === undefined ? undefined : element.attrs[key];
+}
+
+/**
+ * Whether an attribute is "true" (XML attributes are case-insensitive booleans).
+ * @param {object} element
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isTrue(element, name) {
+  return String(attr(element, name) || '').toLowerCase() === 'true';
+}
+
+// ---------------------------------------------------------------------------
+// Names shared by both directions
+// ---------------------------------------------------------------------------
+
+/**
+ * Category reference name of a backlog behavior, and back. Portfolio
+ * behaviors like `Microsoft.EpicBacklogBehavior` map to
+ * `Microsoft.EpicCategory`; other ids get a `.Category` suffix.
+ * @param {string} behaviorId
+ * @returns {string}
+ */
+function behaviorCategory(behaviorId) {
+  if (BACKLOG_CATEGORIES[behaviorId]) return BACKLOG_CATEGORIES[behaviorId];
+  return /BacklogBehavior$/.test(behaviorId)
+    ? behaviorId.replace(/BacklogBehavior$/, 'Category')
+    : `${behaviorId}.Category`;
+}
+
+/**
+ * @param {string} category
+ * @returns {string}
+ */
+function categoryBehavior(category) {
+  const known = Object.keys(BACKLOG_CATEGORIES).find((id) => BACKLOG_CATEGORIES[id] === category);
+  if (known) return known;
+  return /\.Category$/.test(category)
+    ? category.replace(/\.Category$/, '')
+    : category.replace(/Category$/, 'BacklogBehavior');
+}
+
+/**
+ * Parse a `Name=Value,Name=Value` property value.
+ * @param {string} [value]
+ * @returns {object}
+ */
+function parsePropertyMap(value) {
+  const map = {};
+  for (const pair of String(value || '').split(',')) {
+    const index = pair.lastIndexOf('=');
+    if (index > 0) map[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+  }
+  return map;
+}
+
+/**
+ * Color without the `#` and the alpha channel XML colors carry (`FFCC293D` -> `CC293D`).
+ * @param {string} [color]
+ * @returns {string|undefined}
+ */
+function stripAlpha(color) {
+  if (!color) return undefined;
+  const hex = color.replace(/^#/, '');
+  return hex.length === 8 ? hex.slice(2) : hex;
+}
+
+/**
+ * File name for a work item type definition.
+ * @param {string} name
+ * @returns {string}
+ */
+function definitionFileName(name) {
+  return `${String(name).replace(/[<>:"/\\|?*]+/g, '_')}.xml`;
+}
+
+// ---------------------------------------------------------------------------
+// Reading
+// ---------------------------------------------------------------------------
+
+/**
+ * Read one rule action element (REQUIRED, COPY, ...) for a field.
+ * @param {object} element
+ * @param {string} fieldRef
+ * @returns {object|null} { actionType, targetField, value }
+ */
+function readAction(element, fieldRef) {
+  const tag = element.name.toUpperCase();
+  const from = (attr(element, 'from') || '').toLowerCase();
+  const actionType = Object.keys(ACTIONS).find((type) =>
+    ACTIONS[type].element === tag && (!ACTIONS[type].from || ACTIONS[type].from === from));
+  if (!actionType) return null;
+  const value = from === 'field' ? attr(element, 'field') : attr(element, 'value');
+  return { actionType, targetField: fieldRef, value: value !== undefined ? value : '' };
+}
+
+/**
+ * Read the rules inside a FIELDS element and add them to `rules`, grouped by condition.
+ * WHEN clauses add their own condition to the scope's.
+ * @param {object|null} fieldsElement
+ * @param {Array<object>} scope - Conditions of the enclosing STATE or TRANSITION
+ * @param {Map<string, object>} rules - Receives rules keyed by their conditions
+ */
+function readFieldRules(fieldsElement, scope, rules) {
+  const addActions = (conditions, actions) => {
+    if (actions.length === 0) return;
+    const key = JSON.stringify(conditions);
+    if (!rules.has(key)) {
+      rules.set(key, { conditions, actions: [], isDisabled: false, customizationType: 'custom' });
+    }
+    rules.get(key).actions.push(...actions);
+  };
+
+  for (const field of childrenOf(fieldsElement, 'FIELD')) {
+    const fieldRef = attr(field, 'refname');
+    if (!fieldRef) continue;
+    const actions = [];
+    for (const child of field.children) {
+      const conditionType = Object.keys(CONDITIONS).find((type) => CONDITIONS[type] === child.name.toUpperCase());
+      if (conditionType) {
+        const condition = { conditionType, field: attr(child, 'field'), value: attr(child, 'value') };
+        if (condition.value === undefined) delete condition.value;
+        addActions([...scope, condition], child.children.map((c) => readAction(c, fieldRef)).filter(Boolean));
+      } else {
+        const action = readAction(child, fieldRef);
+        if (action) actions.push(action);
+      }
+    }
+    addActions(scope, actions);
+  }
+}
+
+/**
+ * Read a WebLayout element into a layout. Pages and groups without an `Id`
+ * use their label, and the system pages every form has are added at the end.
+ * @param {object|null} webLayout
+ * @returns {object|null}
+ */
+function readLayout(webLayout) {
+  if (!webLayout) return null;
+  const contribution = (element) => ({ contributionId: attr(element, 'Id') });
+  const visible = (element) => String(attr(element, 'Visible') || '').toLowerCase() !== 'false';
+
+  const pages = [];
+  for (const page of webLayout.children) {
+    const tag = page.name.toLowerCase();
+    if (tag === 'pagecontribution') {
+      pages.push({ id: attr(page, 'Id'), label: attr(page, 'Label') || attr(page, 'Id'), pageType: 'custom', visible: true, isContribution: true, contribution: contribution(page), sections: [] });
+      continue;
+    }
+    if (tag !== 'page') continue;
+    pages.push({
+      id: attr(page, 'Id') || attr(page, 'Label'),
+      label: attr(page, 'Label'),
+      pageType: 'custom',
+      visible: visible(page),
+      isContribution: false,
+      sections: childrenOf(page, 'Section').map((section, sectionIndex) => ({
+        id: `Section${sectionIndex + 1}`,
+        groups: section.children
+          .filter((group) => ['group', 'groupcontribution'].includes(group.name.toLowerCase()))
+          .map((group) => {
+            if (group.name.toLowerCase() === 'groupcontribution') {
+              return { id: attr(group, 'Id'), label: attr(group, 'Label') || attr(group, 'Id'), visible: true, isContribution: true, contribution: contribution(group), controls: [] };
+            }
+            return {
+              id: attr(group, 'Id') || attr(group, 'Label'),
+              label: attr(group, 'Label'),
+              visible: visible(group),
+              isContribution: false,
+              controls: group.children
+                .filter((control) => ['control', 'controlcontribution'].includes(control.name.toLowerCase()))
+                .map((control) => (control.name.toLowerCase() === 'controlcontribution'
+                  ? { id: attr(control, 'Id'), label: attr(control, 'Label') || '', visible: true, isContribution: true, contribution: contribution(control) }
+                  : {
+                    id: attr(control, 'FieldName') || attr(control, 'Name') || attr(control, 'Label'),
+                    label: attr(control, 'Label') || '',
+                    controlType: attr(control, 'Type') || null,
+                    visible: visible(control),
+                    readOnly: isTrue(control, 'ReadOnly'),
+                    isContribution: false,
+                  })),
+            };
+          }),
+      })),
+    });
+  }
+  for (const pageType of SYSTEM_PAGES) {
+    const label = pageType[0].toUpperCase() + pageType.slice(1);
+    pages.push({ id: label, label, pageType, visible: true, isContribution: false, sections: [] });
+  }
+  return { pages };
+}
+
+/**
+ * Read a work item type definition.
+ * @param {object} witd - WITD root element
+ * @param {object} config - { stateTypes, colors, icons, stateColors } from the process configuration
+ * @returns {object}
+ */
+function readWorkItemType(witd, config) {
+  const type = childOf(witd, 'WORKITEMTYPE');
+  const name = attr(type, 'name');
+  const referenceName = attr(type, 'refname') || name;
+
+  const fields = childrenOf(childOf(type, 'FIELDS'), 'FIELD').map((field) => {
+    const xmlType = attr(field, 'type') || 'String';
+    const defaultElement = childrenOf(field, 'DEFAULT').find((d) => (attr(d, 'from') || '').toLowerCase() === 'value');
+    const identity = xmlType.toLowerCase() === 'identity' || isTrue(field, 'syncnamechanges');
+    const helpText = childOf(field, 'HELPTEXT');
+    return {
+      referenceName: attr(field, 'refname'),
+      name: attr(field, 'name'),
+      type: identity ? 'identity' : (Object.keys(FIELD_TYPES).find((t) => FIELD_TYPES[t].toLowerCase() === xmlType.toLowerCase()) || xmlType),
+      description: helpText ? helpText.text : '',
+      required: childrenOf(field, 'REQUIRED').length > 0,
+      readOnly: childrenOf(field, 'READONLY').length > 0,
+      defaultValue: defaultElement ? attr(defaultElement, 'value') : null,
+    };
+  });
+
+  // Field-level rules other than the ones that became field properties
+  const rules = new Map();
+  const fieldRules = el('FIELDS', {}, childrenOf(childOf(type, 'FIELDS'), 'FIELD').map((field) => ({
+    ...field,
+    children: field.children.filter((child) => {
+      const tag = child.name.toUpperCase();
+      if (tag === 'REQUIRED' || tag === 'READONLY') return false;
+      return !(tag === 'DEFAULT' && (attr(child, 'from') || '').toLowerCase() === 'value');
+    }),
+  })));
+  readFieldRules(fieldRules, [], rules);
+
+  const workflow = childOf(type, 'WORKFLOW');
+  // A state a backlog leaves out is hidden from it, which is what the Removed category means
+  const stateTypes = config.stateTypes[name];
+  const states = childrenOf(childOf(workflow, 'STATES'), 'STATE').map((state, index) => {
+    const stateName = attr(state, 'value');
+    readFieldRules(childOf(state, 'FIELDS'), [{ conditionType: 'when', field: 'System.State', value: stateName }], rules);
+    const stateType = stateTypes && (stateTypes[stateName] || 'Removed');
+    return {
+      name: stateName,
+      color: config.stateColors[stateName] || null,
+      stateCategory: stateType ? (STATE_TYPES[stateType] || stateType) : null,
+      order: index + 1,
+    };
+  });
+  for (const transition of childrenOf(childOf(workflow, 'TRANSITIONS'), 'TRANSITION')) {
+    if (attr(transition, 'from')) continue;
+    readFieldRules(childOf(transition, 'FIELDS'), [{ conditionType: 'whenWorkItemIsCreated' }], rules);
+  }
+
+  const description = childOf(type, 'DESCRIPTION');
+  return {
+    referenceName,
+    name,
+    description: description ? description.text : '',
+    color: config.colors[name] || null,
+    icon: config.icons[name] || null,
+    isDisabled: false,
+    customization: /^(System|Microsoft\.VSTS)\./.test(referenceName) ? 'system' : 'custom',
+    fields,
+    states,
+    rules: [...rules.values()],
+    behaviors: config.witBehaviors[name] || [],
+    layout: readLayout(childOf(childOf(type, 'FORM'), 'WebLayout')),
+  };
+}
+
+/**
+ * Read the process configuration and categories: per work item type, the
+ * state types, colors, icons and backlog behaviors; and the behaviors themselves.
+ * @param {object|null} processConfig - ProjectProcessConfiguration root element
+ * @param {object|null} categories - CATEGORIES root element
+ * @returns {object}
+ */
+function readConfiguration(processConfig, categories) {
+  const members = {}; // category -> { defaultName, names }
+  for (const category of childrenOf(categories, 'CATEGORY')) {
+    const defaultType = childOf(category, 'DEFAULTWORKITEMTYPE');
+    members[attr(category, 'refname')] = {
+      defaultName: attr(defaultType, 'name'),
+      names: [defaultType, ...childrenOf(category, 'WORKITEMTYPE')].filter(Boolean).map((t) => attr(t, 'name')),
+    };
+  }
+
+  const config = { stateTypes: {}, colors: {}, icons: {}, stateColors: {}, witBehaviors: {}, behaviors: [] };
+
+  const readBacklog = (backlog, behaviorId, inherits) => {
+    const category = attr(backlog, 'category');
+    const { defaultName, names } = members[category] || { names: [] };
+    for (const witName of names) {
+      config.stateTypes[witName] = { ...config.stateTypes[witName] };
+      for (const state of childrenOf(childOf(backlog, 'States'), 'State')) {
+        config.stateTypes[witName][attr(state, 'value')] = attr(state, 'type');
+      }
+      if (behaviorId) {
+        config.witBehaviors[witName] = [...(config.witBehaviors[witName] || []), { behavior: { id: behaviorId }, isDefault: witName === defaultName }];
+      }
+    }
+    if (behaviorId) {
+      config.behaviors.push({
+        id: behaviorId,
+        referenceName: behaviorId,
+        name: attr(backlog, 'pluralName') || attr(backlog, 'singularName') || behaviorId,
+        ...(inherits ? { inherits: { id: inherits } } : {}),
+      });
+    }
+  };
+
+  for (const backlog of childrenOf(childOf(processConfig, 'PortfolioBacklogs'), 'PortfolioBacklog')) {
+    readBacklog(backlog, categoryBehavior(attr(backlog, 'category')), PORTFOLIO_BEHAVIOR);
+  }
+  const requirement = childOf(processConfig, 'RequirementBacklog');
+  if (requirement) readBacklog(requirement, categoryBehavior(attr(requirement, 'category')));
+  const task = childOf(processConfig, 'TaskBacklog');
+  if (task) readBacklog(task, categoryBehavior(attr(task, 'category')));
+  // Bugs have state types but are not a backlog of their own
+  const bugs = childOf(processConfig, 'BugWorkItems');
+  if (bugs) readBacklog(bugs, null);
+
+  for (const color of childrenOf(childOf(processConfig, 'WorkItemColors'), 'WorkItemColor')) {
+    config.colors[attr(color, 'name')] = stripAlpha(attr(color, 'primary'));
+  }
+  for (const property of childrenOf(childOf(processConfig, 'Properties'), 'Property')) {
+    const values = parsePropertyMap(attr(property, 'value'));
+    if (attr(property, 'name') === 'StateColors') {
+      for (const [state, color] of Object.entries(values)) config.stateColors[state] = stripAlpha(color);
+    } else if (attr(property, 'name') === 'WorkItemTypeIcons') {
+      for (const [witName, icon] of Object.entries(values)) config.icons[witName] = icon.toLowerCase();
+    }
+  }
+  return config;
+}
+
+/**
+ * Read a process ZIP into pulled process data.
+ * XML files are recognized by their root element, so the folder layout doesn't matter.
+ * @param {Buffer} buffer
+ * @returns {object} { process, workItemTypes, behaviors }
+ * @throws {Error} With statusCode 400 if the buffer is not a process archive
+ */
+function readProcessArchive(buffer) {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (err) {
+    throw archiveError(`Not a valid ZIP archive: ${err.message}`);
+  }
+
+  if (entries.length > MAX_ARCHIVE_ENTRIES) {
+    throw archiveError(`The archive has ${entries.length} entries; at most ${MAX_ARCHIVE_ENTRIES} are allowed`);
+  }
+
+  const definitions = [];
+  let processTemplate = null;
+  let processConfig = null;
+  let categories = null;
+  let unpacked = 0;
+  for (const entry of entries) {
+    // An empty size would leave inflating unbounded, and an empty file has nothing to read anyway
+    if (entry.isDirectory || !/\.xml$/i.test(entry.entryName) || entry.header.size === 0) continue;
+    // The declared size also caps how much adm-zip inflates
+    if (entry.header.size > MAX_ENTRY_SIZE) {
+      throw archiveError(`${entry.entryName} unpacks to more than ${MAX_ENTRY_SIZE / 1024 / 1024} MB`);
+    }
+    unpacked += entry.header.size;
+    if (unpacked > MAX_ARCHIVE_SIZE) {
+      throw archiveError(`The archive unpacks to more than ${MAX_ARCHIVE_SIZE / 1024 / 1024} MB`);
+    }
+    let root;
+    try {
+      root = parseXml(entry.getData().toString('utf-8'));
+    } catch (err) {
+      throw archiveError(`${entry.entryName} is not valid XML: ${err.message}`);
+    }
+    if (!root) continue;
+    switch (root.name.toUpperCase()) {
+      case 'WITD': definitions.push(root); break;
+      case 'PROCESSTEMPLATE': processTemplate = root; break;
+      case 'PROJECTPROCESSCONFIGURATION': processConfig = root; break;
+      case 'CATEGORIES': categories = root; break;
+      default: break;
+    }
+  }
+  if (definitions.length === 0) {
+    throw archiveError('The archive contains no work item type definitions');
+  }
+
+  const config = readConfiguration(processConfig, categories);
+  const metadata = childOf(processTemplate, 'metadata');
+  const version = childOf(metadata, 'version');
+  const name = childOf(metadata, 'name');
+  const description = childOf(metadata, 'description');
+
+  return {
+    process: {
+      name: name ? name.text : 'Imported process',
+      description: description ? description.text : '',
+      ...(attr(version, 'type') ? { typeId: attr(version, 'type') } : {}),
+    },
+    workItemTypes: definitions.map((witd) => readWorkItemType(witd, config)),
+    behaviors: config.behaviors,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Writing
+// ---------------------------------------------------------------------------
+
+/**
+ * XML element for a rule action, or null if XML has no equivalent.
+ * @param {object} action
+ * @returns {object|null}
+ */
+function writeAction(action) {
+  const mapping = ACTIONS[action.actionType];
+  if (!mapping) return null;
+  if (mapping.from === 'field') return el(mapping.element, { from: 'field', field: action.value });
+  if (mapping.from === 'value') return el(mapping.element, { from: 'value', value: action.value });
+  return el(mapping.element, mapping.from ? { from: mapping.from } : {});
+}
+
+/**
+ * Build FIELDS elements from `{ [fieldRef]: elements[] }`.
+ * @param {Map<string, Array<object>>} byField
+ * @returns {object|null}
+ */
+function fieldsElement(byField) {
+  if (!byField || byField.size === 0) return null;
+  return el('FIELDS', {}, [...byField].map(([refname, children]) => el('FIELD', { refname }, children)));
+}
+
+/**
+ * Sort a work item type's rules into the places XML keeps them.
+ * @param {object} wit
+ * @param {string[]} notes - Receives rules that can't be written
+ * @returns {{ field: Map, state: Map<string, Map>, created: Map }}
+ */
+function placeRules(wit, notes) {
+  const placed = { field: new Map(), state: new Map(), created: new Map() };
+  const add = (target, fieldRef, element) => {
+    if (!target.has(fieldRef)) target.set(fieldRef, []);
+    target.get(fieldRef).push(element);
+  };
+
+  for (const rule of wit.rules || []) {
+    const label = `${wit.name}: rule "${rule.name || rule.id || 'unnamed'}"`;
+    const conditions = rule.conditions || [];
+    const condition = conditions[0];
+    if (rule.isDisabled) {
+      notes.push(`${label} is disabled and was left out`);
+      continue;
+    }
+    if (conditions.length > 1) {
+      notes.push(`${label} has several conditions and was left out`);
+      continue;
+    }
+    for (const action of rule.actions || []) {
+      const element = writeAction(action);
+      if (!element || !action.targetField) {
+        notes.push(`${label}: action ${action.actionType} has no XML equivalent and was left out`);
+        continue;
+      }
+      if (!condition) {
+        add(placed.field, action.targetField, element);
+      } else if (condition.conditionType === 'when' && condition.field === 'System.State') {
+        if (!placed.state.has(condition.value)) placed.state.set(condition.value, new Map());
+        add(placed.state.get(condition.value), action.targetField, element);
+      } else if (condition.conditionType === 'whenWorkItemIsCreated') {
+        add(placed.created, action.targetField, element);
+      } else if (CONDITIONS[condition.conditionType]) {
+        add(placed.field, action.targetField, el(CONDITIONS[condition.conditionType], { field: condition.field, value: condition.value }, [element]));
+      } else {
+        notes.push(`${label}: condition ${condition.conditionType} has no XML equivalent and was left out`);
+        break;
+      }
+    }
+  }
+  return placed;
+}
+
+/**
+ * Build the WebLayout element of a layout. System pages (history, links,
+ * attachments) are part of every form and are not written.
+ * @param {object|null} layout
+ * @returns {object|null}
+ */
+function writeLayout(layout) {
+  if (!layout || !layout.pages) return null;
+  const visible = (item) => (item.visible === false ? 'false' : undefined);
+  const contributionId = (item) => item.contribution && item.contribution.contributionId;
+
+  return el('WebLayout', {}, layout.pages
+    .filter((page) => !SYSTEM_PAGES.includes(page.pageType))
+    .map((page) => (page.isContribution
+      ? el('PageContribution', { Label: page.label, Id: contributionId(page) })
+      : el('Page', { Label: page.label, Visible: visible(page) }, (page.sections || []).map((section) =>
+        el('Section', {}, (section.groups || []).map((group) => (group.isContribution
+          ? el('GroupContribution', { Label: group.label, Id: contributionId(group) })
+          : el('Group', { Label: group.label, Visible: visible(group) }, (group.controls || []).map((control) => (control.isContribution
+            ? el('ControlContribution', { Label: control.label || undefined, Id: contributionId(control) || control.id })
+            : el('Control', {
+              Label: control.label || undefined,
+              Type: control.controlType || 'FieldControl',
+              FieldName: control.id,
+              Visible: visible(control),
+              ReadOnly: control.readOnly ? 'true' : undefined,
+            }))))))))))));
+}
+
+/**
+ * Build the WITD document of a work item type.
+ * @param {object} wit
+ * @param {string[]} notes
+ * @returns {object}
+ */
+function writeWorkItemType(wit, notes) {
+  const rules = placeRules(wit, notes);
+  const fieldRules = rules.field;
+
+  const fields = (wit.fields || []).map((field) => {
+    const children = [];
+    if (field.description) children.push(el('HELPTEXT', {}, [], field.description));
+    if (field.required) children.push(el('REQUIRED'));
+    if (field.readOnly) children.push(el('READONLY'));
+    if (field.defaultValue !== null && field.defaultValue !== undefined && field.defaultValue !== '') {
+      children.push(el('DEFAULT', { from: 'value', value: field.defaultValue }));
+    }
+    children.push(...(fieldRules.get(field.referenceName) || []));
+    fieldRules.delete(field.referenceName);
+    const identity = field.type === 'identity';
+    return el('FIELD', {
+      name: field.name,
+      refname: field.referenceName,
+      type: identity ? 'String' : (FIELD_TYPES[field.type] || 'String'),
+      syncnamechanges: identity ? 'true' : undefined,
+    }, children);
+  });
+  // Rules on fields the work item type doesn't list (system fields are implicit in XML)
+  for (const [refname, children] of fieldRules) {
+    fields.push(el('FIELD', { refname }, children));
+  }
+
+  const states = [...(wit.states || [])].sort((a, b) => (a.order || 0) - (b.order || 0));
+  const stateNames = states.map((s) => s.name);
+  const transitions = [];
+  if (stateNames.length > 0) {
+    transitions.push(el('TRANSITION', { from: '', to: stateNames[0] }, [
+      el('REASONS', {}, [el('DEFAULTREASON', { value: `New ${wit.name}` })]),
+      fieldsElement(rules.created),
+    ]));
+  }
+  // The inherited model allows every transition
+  for (const from of stateNames) {
+    for (const to of stateNames) {
+      if (from === to) continue;
+      transitions.push(el('TRANSITION', { from, to }, [
+        el('REASONS', {}, [el('DEFAULTREASON', { value: `Moved to state ${to}` })]),
+      ]));
+    }
+  }
+
+  const layout = writeLayout(wit.layout);
+  return el('WITD', { application: 'Work item type editor', version: '1.0' }, [
+    el('WORKITEMTYPE', { name: wit.name, refname: wit.referenceName }, [
+      el('DESCRIPTION', {}, [], wit.description || ''),
+      el('FIELDS', {}, fields),
+      el('WORKFLOW', {}, [
+        el('STATES', {}, states.map((state) => el('STATE', { value: state.name }, [fieldsElement(rules.state.get(state.name))]))),
+        el('TRANSITIONS', {}, transitions),
+      ]),
+      layout && el('FORM', {}, [layout]),
+    ]),
+  ]);
+}
+
+/**
+ * Build Categories.xml and ProcessConfiguration.xml from the backlog behaviors.
+ * @param {object} pulled
+ * @returns {{ categories: object, processConfig: object }}
+ */
+function writeConfiguration(pulled) {
+  const wits = pulled.workItemTypes || [];
+  const behaviorsOf = (wit) => (wit.behaviors || []).map((b) => b.behavior && b.behavior.id);
+
+  const backlog = (tag, behavior, extraAttrs = {}) => {
+    const members = wits.filter((wit) => behaviorsOf(wit).includes(behavior.id));
+    return { tag, behavior, members, category: behaviorCategory(behavior.id), extraAttrs };
+  };
+
+  const behaviors = pulled.behaviors || [];
+  const portfolio = behaviors
+    .filter((b) => {
+      const inherits = b.inherits && (b.inherits.id || b.inherits.behaviorRefName || b.inherits);
+      return inherits === PORTFOLIO_BEHAVIOR;
+    })
+    .sort((a, b) => (b.rank || 0) - (a.rank || 0));
+  const findBehavior = (id) => behaviors.find((b) => (b.id || b.referenceName) === id) || { id, name: id };
+
+  const backlogs = [
+    ...portfolio.map((b, i) => backlog('PortfolioBacklog', { ...b, id: b.id || b.referenceName }, i > 0 ? { parent: behaviorCategory(portfolio[i - 1].id || portfolio[i - 1].referenceName) } : {})),
+    backlog('RequirementBacklog', findBehavior('System.RequirementBacklogBehavior')),
+    backlog('TaskBacklog', findBehavior('System.TaskBacklogBehavior')),
+  ];
+  const bugs = wits.filter((wit) => /\.Bug$/.test(wit.referenceName) || wit.name === 'Bug');
+
+  const statesElement = (members) => {
+    const seen = new Map();
+    for (const wit of members) {
+      for (const state of wit.states || []) {
+        if (!state.stateCategory || state.stateCategory === 'Removed' || seen.has(state.name)) continue;
+        seen.set(state.name, state.stateCategory === 'Completed' ? 'Complete' : state.stateCategory);
+      }
+    }
+    return el('States', {}, [...seen].map(([value, type]) => el('State', { value, type })));
+  };
+
+  const categoryElement = (refname, name, members, defaultWit) => el('CATEGORY', { refname, name }, [
+    defaultWit && el('DEFAULTWORKITEMTYPE', { name: defaultWit.name }),
+    ...members.filter((wit) => wit !== defaultWit).map((wit) => el('WORKITEMTYPE', { name: wit.name })),
+  ]);
+  const defaultOf = (b) => b.members.find((wit) => (wit.behaviors || []).some((wb) => wb.behavior && wb.behavior.id === b.behavior.id && wb.isDefault)) || b.members[0];
+
+  const categories = el('CATEGORIES', {}, [
+    ...backlogs.filter((b) => b.members.length > 0).map((b) => categoryElement(b.category, `${b.behavior.name} Category`, b.members, defaultOf(b))),
+    bugs.length > 0 && categoryElement(BUG_CATEGORY, 'Bug Category', bugs, bugs[0]),
+  ]);
+
+  const backlogElement = (b) => el(b.tag, {
+    category: b.category,
+    parent: b.extraAttrs.parent,
+    pluralName: b.behavior.name,
+    singularName: (defaultOf(b) && defaultOf(b).name) || b.behavior.name,
+  }, [statesElement(b.members)]);
+
+  const stateColors = {};
+  for (const wit of wits) {
+    for (const state of wit.states || []) {
+      if (state.color && !stateColors[state.name]) stateColors[state.name] = state.color;
+    }
+  }
+  const propertyValue = (map) => Object.entries(map).map(([key, value]) => `${key}=${value}`).join(',');
+  const icons = Object.fromEntries(wits.filter((wit) => wit.icon).map((wit) => [wit.name, wit.icon]));
+
+  const live = (b) => b.members.length > 0;
+  const portfolioBacklogs = backlogs.filter((b) => b.tag === 'PortfolioBacklog' && live(b));
+  const requirement = backlogs.find((b) => b.tag === 'RequirementBacklog' && live(b));
+  const task = backlogs.find((b) => b.tag === 'TaskBacklog' && live(b));
+
+  const processConfig = el('ProjectProcessConfiguration', {}, [
+    bugs.length > 0 && el('BugWorkItems', { category: BUG_CATEGORY, pluralName: 'Bugs', singularName: 'Bug' }, [statesElement(bugs)]),
+    portfolioBacklogs.length > 0 && el('PortfolioBacklogs', {}, portfolioBacklogs.map(backlogElement)),
+    requirement && backlogElement(requirement),
+    task && backlogElement(task),
+    el('WorkItemColors', {}, wits.filter((wit) => wit.color).map((wit) =>
+      el('WorkItemColor', { primary: `FF${wit.color}`, secondary: `FF${wit.color}`, name: wit.name }))),
+    el('Properties', {}, [
+      Object.keys(stateColors).length > 0 && el('Property', { name: 'StateColors', value: propertyValue(Object.fromEntries(Object.entries(stateColors).map(([s, c]) => [s, `#FF${c}`]))) }),
+      Object.keys(icons).length > 0 && el('Property', { name: 'WorkItemTypeIcons', value: propertyValue(icons) }),
+    ]),
+  ]);
+
+  return { categories, processConfig };
+}
+
+/**
+ * Write pulled process data as a process ZIP.
+ * @param {object} pulled
+ * @returns {{ buffer: Buffer, notes: string[] }} the archive, and what could not be written
+ */
+function writeProcessArchive(pulled) {
+  const notes = [];
+  const zip = new AdmZip();
+  const add = (path, root) => zip.addFile(path, Buffer.from(buildXml(root), 'utf-8'));
+  const process = pulled.process || {};
+
+  const definitionPaths = [];
+  const usedNames = new Set();
+  for (const wit of pulled.workItemTypes || []) {
+    let fileName = definitionFileName(wit.name || wit.referenceName);
+    for (let n = 2; usedNames.has(fileName.toLowerCase()); n++) {
+      fileName = definitionFileName(`${wit.name || wit.referenceName} (${n})`);
+    }
+    usedNames.add(fileName.toLowerCase());
+    definitionPaths.push(`${WIT_DIR}\\TypeDefinitions\\${fileName}`);
+    add(`${WIT_DIR}/TypeDefinitions/${fileName}`, writeWorkItemType(wit, notes));
+  }
+
+  const { categories, processConfig } = writeConfiguration(pulled);
+  add(`${WIT_DIR}/Categories.xml`, categories);
+  add(`${WIT_DIR}/Process/ProcessConfiguration.xml`, processConfig);
+
+  const task = (id, name, children) => el('task', { id, name, plugin: 'Microsoft.ProjectCreationWizard.WorkItemTracking', completionMessage: `${name} uploaded` }, [el('taskXml', {}, children)]);
+  add(`${WIT_DIR}/WorkItems.xml`, el('tasks', {}, [
+    task('WITs', 'WorkItemType definitions', [el('WORKITEMTYPES', {}, definitionPaths.map((fileName) => el('WORKITEMTYPE', { fileName })))]),
+    task('Categories', 'Categories definitions', [el('CATEGORIES', { fileName: `${WIT_DIR}\\Categories.xml` })]),
+    task('ProcessConfiguration', 'Project process configuration', [
+      el('PROCESSCONFIGURATION', {}, [el('ProjectConfiguration', { fileName: `${WIT_DIR}\\Process\\ProcessConfiguration.xml` })]),
+    ]),
+  ]));
+
+  add('ProcessTemplate.xml', el('ProcessTemplate', {}, [
+    el('metadata', {}, [
+      el('name', {}, [], process.name || 'Process'),
+      el('description', {}, [], process.description || ''),
+      el('version', { type: process.typeId, major: 1, minor: 0 }),
+      el('plugins', {}, [el('plugin', { name: 'Microsoft.ProjectCreationWizard.WorkItemTracking', wizardPage: 'false' })]),
+    ]),
+    el('groups', {}, [
+      el('group', { id: 'WorkItemTracking', description: 'Work item definitions', completionMessage: 'Work item tracking created' }, [
+        el('dependencies'),
+        el('taskList', { filename: `${WIT_DIR}\\WorkItems.xml` }),
+      ]),
+    ]),
+  ]));
+
+  return { buffer: zip.toBuffer(), notes };
+}
+
+module.exports = {
+  readProcessArchive,
+  writeProcessArchive,
+};
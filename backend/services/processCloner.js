@@ -0,0 +1,409 @@
+'use strict';
+
+/**
+ * Recreates a pulled inherited process in another organization.
+ *
+ * Objects are created in dependency order: process, organization fields,
+ * work item types, fields, states, rules, behaviors, work item type behaviors
+ * and finally the form layout. Every step first looks for an existing object
+ * in the target (by name or reference name) and skips it, so running the
+ * clone again against the same target resumes after a partial failure.
+ */
+
+const PICKLIST_TYPES = ['picklistString', 'picklistInteger', 'picklistDouble'];
+
+/**
+ * Determine whether an error represents a 409 Conflict / "already exists".
+ * VS402803 is returned when an organization field name is already taken.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isConflict(err) {
+  return Boolean(err.message && (err.message.includes('409') || err.message.includes('VS402803')));
+}
+
+/**
+ * Find a layout page by label.
+ * @param {object} layout
+ * @param {string} label
+ * @returns {object|null}
+ */
+function findPage(layout, label) {
+  return ((layout && layout.pages) || []).find((p) => p.label === label) || null;
+}
+
+/**
+ * Find a group by label within a page.
+ * @param {object} page
+ * @param {string} label
+ * @returns {{ section: object, group: object } | null}
+ */
+function findGroup(page, label) {
+  for (const section of (page && page.sections) || []) {
+    const group = (section.groups || []).find((g) => g.label === label);
+    if (group) return { section, group };
+  }
+  return null;
+}
+
+/**
+ * Find a control anywhere in a layout.
+ * @param {object} layout
+ * @param {string} controlId
+ * @returns {{ group: object, control: object } | null}
+ */
+function findControl(layout, controlId) {
+  for (const page of (layout && layout.pages) || []) {
+    for (const section of page.sections || []) {
+      for (const group of section.groups || []) {
+        const control = (group.controls || []).find((c) => c.id === controlId);
+        if (control) return { group, control };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick the properties of a layout element that can be sent back to the API.
+ * @param {object} item
+ * @param {string[]} props
+ * @returns {object}
+ */
+function pick(item, props) {
+  const body = {};
+  for (const prop of props) {
+    if (item[prop] !== undefined) body[prop] = item[prop];
+  }
+  return body;
+}
+
+/**
+ * Layout elements omit `visible` when they are shown.
+ * @param {object} item
+ * @returns {boolean}
+ */
+function isVisible(item) {
+  return item.visible !== false;
+}
+
+const PAGE_PROPS = ['label', 'visible', 'order', 'pageType', 'isContribution', 'contribution'];
+const GROUP_PROPS = ['label', 'visible', 'order', 'isContribution', 'contribution', 'height'];
+const CONTROL_PROPS = [
+  'id', 'label', 'controlType', 'visible', 'order', 'readOnly',
+  'isContribution', 'contribution', 'metadata', 'watermark', 'height',
+];
+
+/**
+ * Clone a pulled process into the organization behind `service`.
+ * @param {object} sourceData - Pulled process data from tempStorage
+ * @param {import('./azureDevOps')} service - Service for the target organization
+ * @param {object} [options]
+ * @param {string} [options.name]            - Name for the new process (defaults to the source name)
+ * @param {string} [options.targetProcessId] - Resume into this existing target process
+ * @returns {Promise<{ targetProcessId: string|null, applied: Array, skipped: Array, errors: Array }>}
+ */
+async function cloneProcess(sourceData, service, options = {}) {
+  const applied = [];
+  const skipped = [];
+  const errors = [];
+  const source = sourceData.process || {};
+  const name = options.name || source.name;
+
+  /**
+   * Run one create step and record its outcome. `exists` short-circuits the
+   * call when the object is already present in the target.
+   */
+  async function step(entry, exists, fn) {
+    if (exists) {
+      skipped.push({ ...entry, reason: 'already exists' });
+      return exists;
+    }
+    try {
+      const result = await fn();
+      applied.push(result ? { ...entry, result } : entry);
+      return result || true;
+    } catch (err) {
+      if (isConflict(err)) {
+        skipped.push({ ...entry, reason: 'already exists' });
+        return true;
+      }
+      errors.push({ ...entry, error: err.message });
+      return null;
+    }
+  }
+
+  // --- 1. Process ---
+  let targetProcessId = options.targetProcessId || null;
+  if (!targetProcessId) {
+    const existing = ((await service.getProcesses()).value || []).find((p) => p.name === name);
+    const created = await step({ type: 'process', action: 'add', item: name }, existing, () =>
+      service.createProcess({
+        name,
+        description: source.description,
+        parentProcessTypeId: source.parentProcessTypeId,
+      })
+    );
+    targetProcessId = created && (created.typeId || created.id);
+  }
+  if (!targetProcessId) {
+    return { targetProcessId: null, applied, skipped, errors };
+  }
+  console.log(`[clone] ${source.name} -> ${name} (${targetProcessId})`);
+
+  const sourceWits = (sourceData.workItemTypes || []).filter((w) => w.customization !== 'system');
+
+  // --- 2. Organization fields ---
+  const orgFields = new Set(
+    ((await service.getOrganizationFields()).value || []).map((f) => f.referenceName)
+  );
+  const customFields = new Map();
+  for (const wit of sourceWits) {
+    for (const f of wit.fields || []) {
+      if (f.customization === 'custom' && !customFields.has(f.referenceName)) {
+        customFields.set(f.referenceName, f);
+      }
+    }
+  }
+  // Picklist fields get a new list in the target with the pulled values
+  const picklists = sourceData.picklists || {};
+  for (const f of customFields.values()) {
+    const entry = { type: 'orgField', action: 'add', item: f.referenceName };
+    const picklist = picklists[f.referenceName];
+    if (PICKLIST_TYPES.includes(f.type) && !picklist && !orgFields.has(f.referenceName)) {
+      errors.push({ ...entry, error: 'The picklist values were not pulled; pull the source process again' });
+      continue;
+    }
+    await step(entry, orgFields.has(f.referenceName), () =>
+      service.createFieldWithPicklist({
+        name: f.name,
+        referenceName: f.referenceName,
+        type: picklist && !PICKLIST_TYPES.includes(f.type) ? `picklist${picklist.type}` : f.type,
+        description: f.description,
+        readOnly: f.readOnly,
+        usage: 'workItem',
+        picklist: picklist ? { items: picklist.items, isSuggested: picklist.isSuggested } : undefined,
+      })
+    );
+  }
+
+  // --- 3. Work item types ---
+  // Custom WIT reference names are derived from the process, so map source
+  // reference names to whatever the target assigns.
+  const witMap = {};
+  let targetWits = (await service.getWorkItemTypes(targetProcessId)).value || [];
+  for (const wit of sourceWits) {
+    const existing = targetWits.find((t) =>
+      wit.customization === 'inherited'
+        ? t.customization === 'inherited' && t.inherits === wit.inherits
+        : t.name === wit.name
+    );
+    const created = await step({ type: 'workItemType', action: 'add', item: wit.name }, existing, () =>
+      service.createWorkItemType(targetProcessId, {
+        name: wit.name,
+        description: wit.description,
+        color: wit.color,
+        icon: wit.icon,
+        isDisabled: wit.isDisabled,
+        inheritsFrom: wit.customization === 'inherited' ? wit.inherits : undefined,
+      })
+    );
+    if (created && created.referenceName) {
+      witMap[wit.referenceName] = created.referenceName;
+    }
+  }
+  // Conflicts do not return the created WIT, so fill any gaps by name.
+  if (sourceWits.some((w) => !witMap[w.referenceName])) {
+    targetWits = (await service.getWorkItemTypes(targetProcessId)).value || [];
+    for (const wit of sourceWits) {
+      if (witMap[wit.referenceName]) continue;
+      const match = targetWits.find((t) => t.name === wit.name && t.customization !== 'system');
+      if (match) witMap[wit.referenceName] = match.referenceName;
+    }
+  }
+
+  const clonedWits = [];
+  for (const wit of sourceWits) {
+    if (witMap[wit.referenceName]) {
+      clonedWits.push({ wit, target: witMap[wit.referenceName] });
+    } else {
+      skipped.push({ type: 'workItemType', action: 'clone', item: wit.name, reason: 'work item type was not created' });
+    }
+  }
+
+  // --- 4. Fields ---
+  // Inherited fields are already on the target WIT; only their overrides
+  // (required, default value, read-only) are carried over.
+  for (const { wit, target } of clonedWits) {
+    const existing = new Map(
+      ((await service.getFields(targetProcessId, target)).value || []).map((f) => [f.referenceName, f])
+    );
+    for (const f of wit.fields || []) {
+      if (f.customization === 'system') continue;
+      const targetField = existing.get(f.referenceName);
+      if (targetField && f.customization === 'inherited') {
+        const overrides = { required: f.required, defaultValue: f.defaultValue, readOnly: f.readOnly };
+        const unchanged = Object.keys(overrides).every((prop) => (targetField[prop] ?? null) === (overrides[prop] ?? null));
+        await step({ type: 'field', action: 'update', witRefName: target, item: f.referenceName }, unchanged ? targetField : null, () =>
+          service.updateField(targetProcessId, target, f.referenceName, overrides)
+        );
+        continue;
+      }
+      await step({ type: 'field', action: 'add', witRefName: target, item: f.referenceName }, targetField, () =>
+        service.addField(targetProcessId, target, {
+          referenceName: f.referenceName,
+          defaultValue: f.defaultValue,
+          required: f.required,
+          readOnly: f.readOnly,
+          allowGroups: f.allowGroups,
+        })
+      );
+    }
+  }
+
+  // --- 5. States ---
+  for (const { wit, target } of clonedWits) {
+    let targetStates = (await service.getStates(targetProcessId, target)).value || [];
+    for (const s of wit.states || []) {
+      if (s.customizationType !== 'custom') continue;
+      await step(
+        { type: 'state', action: 'add', witRefName: target, item: s.name },
+        targetStates.find((t) => t.name === s.name),
+        () => service.createState(targetProcessId, target, { name: s.name, color: s.color, stateCategory: s.stateCategory, order: s.order })
+      );
+    }
+    const hidden = (wit.states || []).filter((s) => s.hidden);
+    if (hidden.length > 0) {
+      targetStates = (await service.getStates(targetProcessId, target)).value || [];
+    }
+    for (const s of hidden) {
+      const match = targetStates.find((t) => t.name === s.name);
+      const entry = { type: 'state', action: 'hide', witRefName: target, item: s.name };
+      if (!match) {
+        skipped.push({ ...entry, reason: 'not found' });
+        continue;
+      }
+      await step(entry, match.hidden ? match : null, () =>
+        service.hideState(targetProcessId, target, match.id, { hidden: true })
+      );
+    }
+  }
+
+  // --- 6. Rules ---
+  for (const { wit, target } of clonedWits) {
+    const targetRules = (await service.getRules(targetProcessId, target)).value || [];
+    for (const r of wit.rules || []) {
+      if (r.customizationType !== 'custom') continue;
+      await step(
+        { type: 'rule', action: 'add', witRefName: target, item: r.name },
+        targetRules.find((t) => t.name === r.name),
+        () => service.createRule(targetProcessId, target, {
+          name: r.name,
+          conditions: r.conditions,
+          actions: r.actions,
+          isDisabled: r.isDisabled,
+        })
+      );
+    }
+  }
+
+  // --- 7. Behaviors ---
+  // Custom behaviors keep their reference name, so WIT behavior links need no mapping.
+  const targetBehaviors = new Set(
+    ((await service.getBehaviors(targetProcessId)).value || []).map((b) => b.referenceName)
+  );
+  for (const b of sourceData.behaviors || []) {
+    if (b.customization !== 'custom') continue;
+    await step({ type: 'behavior', action: 'add', item: b.name }, targetBehaviors.has(b.referenceName), () =>
+      service.createBehavior(targetProcessId, {
+        name: b.name,
+        color: b.color,
+        referenceName: b.referenceName,
+        inherits: b.inherits && b.inherits.behaviorRefName,
+      })
+    );
+  }
+
+  // --- 8. Work item type behaviors ---
+  for (const { wit, target } of clonedWits) {
+    const existing = new Set(
+      ((await service.getWorkItemTypeBehaviors(targetProcessId, target)).value || [])
+        .map((b) => b.behavior && b.behavior.id)
+    );
+    for (const b of wit.behaviors || []) {
+      const behaviorId = b.behavior && b.behavior.id;
+      await step({ type: 'workItemTypeBehavior', action: 'add', witRefName: target, item: behaviorId }, existing.has(behaviorId), () =>
+        service.addWorkItemTypeBehavior(targetProcessId, target, { behavior: { id: behaviorId }, isDefault: b.isDefault })
+      );
+    }
+  }
+
+  // --- 9. Layout ---
+  // Pages and groups are matched by label. Custom elements are created,
+  // inherited ones only have their visibility carried over.
+  for (const { wit, target } of clonedWits) {
+    if (!wit.layout) continue;
+    let layout = await service.getLayout(targetProcessId, target);
+
+    for (const page of wit.layout.pages || []) {
+      let targetPage = findPage(layout, page.label);
+      if (!page.inherited) {
+        const created = await step({ type: 'page', action: 'add', witRefName: target, item: page.label }, targetPage, () =>
+          service.createPage(targetProcessId, target, pick(page, PAGE_PROPS))
+        );
+        if (!targetPage && created) {
+          layout = await service.getLayout(targetProcessId, target);
+          targetPage = findPage(layout, page.label);
+        }
+      } else if (targetPage && isVisible(targetPage) !== isVisible(page)) {
+        await step({ type: 'page', action: 'update', witRefName: target, item: page.label }, null, () =>
+          service.updatePage(targetProcessId, target, { id: targetPage.id, visible: isVisible(page) })
+        );
+      }
+      if (!targetPage) continue;
+
+      for (const section of page.sections || []) {
+        for (const group of section.groups || []) {
+          let found = findGroup(targetPage, group.label);
+          if (!group.inherited) {
+            const created = await step({ type: 'group', action: 'add', witRefName: target, item: `${page.label} / ${group.label}` }, found, () =>
+              service.createGroup(targetProcessId, target, targetPage.id, section.id, pick(group, GROUP_PROPS))
+            );
+            if (!found && created) {
+              layout = await service.getLayout(targetProcessId, target);
+              targetPage = findPage(layout, page.label);
+              found = findGroup(targetPage, group.label);
+            }
+          } else if (found && isVisible(found.group) !== isVisible(group)) {
+            await step({ type: 'group', action: 'update', witRefName: target, item: `${page.label} / ${group.label}` }, null, () =>
+              service.updateGroup(targetProcessId, target, targetPage.id, found.section.id, found.group.id, { id: found.group.id, visible: isVisible(group) })
+            );
+          }
+          if (!found) continue;
+
+          for (const control of group.controls || []) {
+            const entry = { type: 'control', action: 'add', witRefName: target, item: control.id };
+            const existing = findControl(layout, control.id);
+            if (!control.inherited && existing && existing.group.id !== found.group.id) {
+              await step({ ...entry, action: 'move' }, null, () =>
+                service.moveControl(targetProcessId, target, found.group.id, control.id, existing.group.id, pick(control, CONTROL_PROPS))
+              );
+            } else if (!control.inherited) {
+              await step(entry, existing, () =>
+                service.addControl(targetProcessId, target, found.group.id, pick(control, CONTROL_PROPS))
+              );
+            } else if (existing && isVisible(existing.control) !== isVisible(control)) {
+              await step({ ...entry, action: 'update' }, null, () =>
+                service.editControl(targetProcessId, target, existing.group.id, control.id, { visible: isVisible(control) })
+              );
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return { targetProcessId, applied, skipped, errors };
+}
+
+module.exports = { cloneProcess };
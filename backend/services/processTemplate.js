@@ -0,0 +1,335 @@
+'use strict';
+
+/**
+ * Converts pulled process data into a portable template: the definition of
+ * the process without anything the server generates (ids, URLs, `_links`,
+ * pull timestamps). Work item types, fields and behaviors are keyed by
+ * reference name, states and layout elements by name or label, and every
+ * object's keys are sorted, so exporting the same process twice gives the
+ * same file and changes show up as small, readable diffs.
+ */
+
+const YAML = require('yaml');
+
+const TEMPLATE_VERSION = 1;
+
+// Parent processes are the same in every organization, so name them instead of using their ids
+const SYSTEM_PROCESSES = {
+  'adcc42ab-9882-485e-a3ed-7678f01f66bc': 'Agile',
+  '6b724908-ef14-45cf-84f8-768b5384da45': 'Scrum',
+  '27450541-8e31-4150-9947-dc59f998fc01': 'CMMI',
+  'b8a3a935-7e91-48b8-a94c-606d37c3e9f2': 'Basic',
+};
+
+const WIT_PROPS = ['name', 'description', 'color', 'icon', 'isDisabled', 'inherits', 'customization'];
+const FIELD_PROPS = ['name', 'type', 'description', 'customization', 'required', 'readOnly', 'defaultValue', 'allowGroups'];
+const STATE_PROPS = ['color', 'stateCategory', 'order', 'hidden', 'customizationType'];
+const RULE_PROPS = ['isDisabled', 'customizationType'];
+const RULE_CONDITION_PROPS = ['conditionType', 'field', 'value'];
+const RULE_ACTION_PROPS = ['actionType', 'targetField', 'value'];
+const BEHAVIOR_PROPS = ['name', 'description', 'color', 'rank', 'customization'];
+const PAGE_PROPS = ['pageType', 'visible', 'locked', 'isContribution', 'contribution'];
+const GROUP_PROPS = ['visible', 'isContribution', 'contribution', 'height'];
+const CONTROL_PROPS = ['label', 'controlType', 'visible', 'readOnly', 'isContribution', 'contribution', 'metadata', 'watermark', 'height'];
+
+/**
+ * Copy the listed properties, leaving out those that are null or undefined.
+ * @param {object} item
+ * @param {string[]} props
+ * @returns {object}
+ */
+function pick(item, props) {
+  const result = {};
+  for (const prop of props) {
+    if (item[prop] !== undefined && item[prop] !== null) result[prop] = item[prop];
+  }
+  return result;
+}
+
+/**
+ * Return a copy of a value with the keys of every object sorted. Keys whose
+ * value is undefined are left out.
+ * @param {*} value
+ * @returns {*}
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object') {
+    const sorted = {};
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] !== undefined) sorted[key] = sortKeys(value[key]);
+    }
+    return sorted;
+  }
+  return value;
+}
+
+/**
+ * Add an entry to a keyed map, suffixing the key if it is already taken
+ * (labels and rule names are not guaranteed to be unique). A suffixed entry
+ * keeps its real name in `nameProp`.
+ * @param {object} map
+ * @param {string} key
+ * @param {object} value
+ * @param {string} [nameProp]
+ */
+function addKeyed(map, key, value, nameProp) {
+  let unique = key;
+  for (let n = 2; map[unique] !== undefined; n++) unique = `${key} (${n})`;
+  map[unique] = unique !== key && nameProp ? { ...value, [nameProp]: key } : value;
+}
+
+/**
+ * Reference to another behavior, as returned by the API: either a
+ * reference name or an object carrying one.
+ * @param {*} ref
+ * @returns {string|undefined}
+ */
+function behaviorRef(ref) {
+  if (!ref) return undefined;
+  if (typeof ref === 'string') return ref;
+  return ref.behaviorRefName || ref.referenceName || ref.id;
+}
+
+/**
+ * Rule conditions or actions, reduced to the given properties and sorted so
+ * the same rule always serializes the same way.
+ * @param {Array<object>} items
+ * @param {string[]} props
+ * @returns {Array<object>}
+ */
+function ruleParts(items, props) {
+  return (items || [])
+    .map((item) => pick(item, props))
+    .sort((a, b) => JSON.stringify(sortKeys(a)).localeCompare(JSON.stringify(sortKeys(b))));
+}
+
+/**
+ * Key for a rule: its name, or a description of what it does when it has none
+ * (system rules usually don't).
+ * @param {object} rule
+ * @returns {string}
+ */
+function ruleKey(rule) {
+  if (rule.name) return rule.name;
+  const conditions = ruleParts(rule.conditions, RULE_CONDITION_PROPS)
+    .map((c) => [c.conditionType, c.field, c.value].filter((v) => v !== undefined).join(' '))
+    .join(' and ');
+  const actions = ruleParts(rule.actions, RULE_ACTION_PROPS)
+    .map((a) => [a.actionType, a.targetField, a.value].filter((v) => v !== undefined).join(' '))
+    .join(', ');
+  return conditions ? `when ${conditions} then ${actions}` : actions;
+}
+
+/**
+ * Convert a form layout into pages keyed by label, sections by id, groups by
+ * label and controls by id. `position` keeps each element's place among its siblings.
+ * @param {object|null} layout
+ * @returns {object|undefined}
+ */
+function layoutTemplate(layout) {
+  if (!layout || !layout.pages) return undefined;
+  const pages = {};
+  layout.pages.forEach((page, pageIndex) => {
+    const sections = {};
+    for (const section of page.sections || []) {
+      const groups = {};
+      (section.groups || []).forEach((group, groupIndex) => {
+        const controls = {};
+        (group.controls || []).forEach((control, controlIndex) => {
+          addKeyed(controls, control.id, { ...pick(control, CONTROL_PROPS), position: controlIndex }, 'id');
+        });
+        addKeyed(groups, group.label || group.id, { ...pick(group, GROUP_PROPS), position: groupIndex, controls }, 'label');
+      });
+      sections[section.id] = { groups };
+    }
+    addKeyed(pages, page.label || page.id, { ...pick(page, PAGE_PROPS), position: pageIndex, sections }, 'label');
+  });
+  return { pages };
+}
+
+/**
+ * Convert one pulled work item type into its template form.
+ * @param {object} wit
+ * @returns {object}
+ */
+function workItemTypeTemplate(wit) {
+  const fields = {};
+  for (const field of wit.fields || []) {
+    fields[field.referenceName] = pick(field, FIELD_PROPS);
+  }
+
+  const states = {};
+  for (const state of wit.states || []) {
+    addKeyed(states, state.name, pick(state, STATE_PROPS), 'name');
+  }
+
+  const rules = {};
+  for (const rule of wit.rules || []) {
+    addKeyed(rules, ruleKey(rule), {
+      ...pick(rule, RULE_PROPS),
+      ...(rule.name ? { name: rule.name } : {}),
+      conditions: ruleParts(rule.conditions, RULE_CONDITION_PROPS),
+      actions: ruleParts(rule.actions, RULE_ACTION_PROPS),
+    });
+  }
+
+  const behaviors = {};
+  for (const witBehavior of wit.behaviors || []) {
+    const ref = behaviorRef(witBehavior.behavior);
+    if (ref) behaviors[ref] = pick(witBehavior, ['isDefault']);
+  }
+
+  return {
+    ...pick(wit, WIT_PROPS),
+    fields,
+    states,
+    rules,
+    behaviors,
+    layout: layoutTemplate(wit.layout),
+  };
+}
+
+/**
+ * Convert pulled process data (as stored by tempStorage) into a template.
+ * @param {object} pulled
+ * @returns {object}
+ */
+function toTemplate(pulled) {
+  const process = pulled.process || {};
+  const parentId = process.parentProcessTypeId;
+
+  const workItemTypes = {};
+  for (const wit of pulled.workItemTypes || []) {
+    workItemTypes[wit.referenceName] = workItemTypeTemplate(wit);
+  }
+
+  const behaviors = {};
+  for (const behavior of pulled.behaviors || []) {
+    const ref = behavior.referenceName || behavior.id;
+    if (!ref) continue;
+    const inherits = behaviorRef(behavior.inherits);
+    behaviors[ref] = { ...pick(behavior, BEHAVIOR_PROPS), ...(inherits ? { inherits } : {}) };
+  }
+
+  return sortKeys({
+    templateVersion: TEMPLATE_VERSION,
+    process: {
+      ...pick(process, ['name', 'description']),
+      ...(parentId ? { parent: SYSTEM_PROCESSES[parentId] || parentId } : {}),
+    },
+    workItemTypes,
+    behaviors,
+  });
+}
+
+/**
+ * Entries of a keyed map in `position` order.
+ * @param {object} map
+ * @returns {Array<[string, object]>}
+ */
+function byPosition(map) {
+  return Object.entries(map || {}).sort(([, a], [, b]) => (a.position || 0) - (b.position || 0));
+}
+
+/**
+ * Convert a template back into the shape of pulled process data, so it can
+ * be compared with a real process. Nothing in it has a server id.
+ * @param {object} template
+ * @returns {object}
+ */
+function fromTemplate(template) {
+  const workItemTypes = Object.entries(template.workItemTypes || {}).map(([referenceName, wit]) => ({
+    referenceName,
+    ...pick(wit, WIT_PROPS),
+    fields: Object.entries(wit.fields || {}).map(([ref, field]) => ({ referenceName: ref, ...pick(field, FIELD_PROPS) })),
+    states: Object.entries(wit.states || {}).map(([name, state]) => ({ name, ...pick(state, [...STATE_PROPS, 'name']) })),
+    rules: Object.values(wit.rules || {}).map((rule) => ({
+      ...pick(rule, [...RULE_PROPS, 'name']),
+      conditions: rule.conditions || [],
+      actions: rule.actions || [],
+    })),
+    behaviors: Object.entries(wit.behaviors || {}).map(([id, witBehavior]) => ({ behavior: { id }, ...pick(witBehavior, ['isDefault']) })),
+    layout: wit.layout ? {
+      pages: byPosition(wit.layout.pages).map(([label, page]) => ({
+        label,
+        ...pick(page, [...PAGE_PROPS, 'label']),
+        sections: Object.entries(page.sections || {}).map(([id, section]) => ({
+          id,
+          groups: byPosition(section.groups).map(([groupLabel, group]) => ({
+            label: groupLabel,
+            ...pick(group, [...GROUP_PROPS, 'label']),
+            controls: byPosition(group.controls).map(([controlId, control]) => ({ id: controlId, ...pick(control, [...CONTROL_PROPS, 'id']) })),
+          })),
+        })),
+      })),
+    } : null,
+  }));
+
+  const behaviors = Object.entries(template.behaviors || {}).map(([referenceName, behavior]) => ({
+    id: referenceName,
+    referenceName,
+    ...pick(behavior, [...BEHAVIOR_PROPS, 'inherits']),
+  }));
+
+  return {
+    process: pick(template.process || {}, ['name', 'description']),
+    workItemTypes,
+    behaviors,
+  };
+}
+
+/**
+ * Parse a template document. Accepts YAML or JSON text, or an already parsed object.
+ * @param {string|object} input
+ * @returns {object}
+ * @throws {Error} With statusCode 400 if the document is not a usable template
+ */
+function parseTemplate(input) {
+  const invalid = (message) => {
+    const err = new Error(message);
+    err.statusCode = 400;
+    return err;
+  };
+
+  let template = input;
+  if (typeof input === 'string') {
+    try {
+      // JSON is valid YAML, so one parser covers both formats
+      template = YAML.parse(input);
+    } catch (err) {
+      throw invalid(`Template could not be parsed: ${err.message}`);
+    }
+  }
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    throw invalid('Template must be a YAML or JSON object');
+  }
+  if (template.templateVersion !== TEMPLATE_VERSION) {
+    throw invalid(`Unsupported templateVersion: ${template.templateVersion} (expected ${TEMPLATE_VERSION})`);
+  }
+  if (!template.workItemTypes || typeof template.workItemTypes !== 'object') {
+    throw invalid('Template has no workItemTypes');
+  }
+  return template;
+}
+
+/**
+ * Serialize a template as YAML or canonical JSON. Both end with a newline.
+ * @param {object} template
+ * @param {'yaml'|'json'} format
+ * @returns {string}
+ */
+function serializeTemplate(template, format) {
+  if (format === 'json') {
+    return `${JSON.stringify(sortKeys(template), null, 2)}\n`;
+  }
+  return YAML.stringify(sortKeys(template), { sortMapEntries: true, lineWidth: 0 });
+}
+
+module.exports = {
+  TEMPLATE_VERSION,
+  toTemplate,
+  fromTemplate,
+  parseTemplate,
+  serializeTemplate,
+};
@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * Per-connection concurrency limiter and throttling statistics for Azure
+ * DevOps requests.
+ *
+ * Azure DevOps throttles per identity, so every AzureDevOpsService created
+ * for the same connection shares one limiter: at most ADO_MAX_CONCURRENCY
+ * requests run at once, and a 429 (or a Retry-After on a successful
+ * response) pauses the whole connection rather than just the request that
+ * got it.
+ */
+
+const MAX_CONCURRENCY = Math.max(1, parseInt(process.env.ADO_MAX_CONCURRENCY, 10) || 4);
+
+// Limiter state and cumulative stats, keyed by connection id
+const connections = new Map();
+
+/**
+ * Returns zeroed request statistics.
+ * @returns {{ requests: number, retries: number, throttled: number, serverErrors: number,
+ *   networkErrors: number, failed: number, waitedMs: number, lastThrottledAt: string | null,
+ *   rateLimit: object | null }}
+ */
+function emptyStats() {
+  return {
+    requests: 0,
+    retries: 0,
+    throttled: 0,
+    serverErrors: 0,
+    networkErrors: 0,
+    failed: 0,
+    waitedMs: 0,
+    lastThrottledAt: null,
+    rateLimit: null,
+  };
+}
+
+/**
+ * Returns the limiter state for a key, creating it on first use.
+ * @param {string} key
+ * @returns {object}
+ */
+function _state(key) {
+  let state = connections.get(key);
+  if (!state) {
+    state = { active: 0, queue: [], pausedUntil: 0, timer: null, stats: emptyStats() };
+    connections.set(key, state);
+  }
+  return state;
+}
+
+/**
+ * Starts queued requests while there are free slots and the connection is not paused.
+ * @param {object} state
+ */
+function _drain(state) {
+  const wait = state.pausedUntil - Date.now();
+  if (wait > 0) {
+    if (!state.timer) {
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        _drain(state);
+      }, wait);
+      state.timer.unref();
+    }
+    return;
+  }
+  while (state.active < MAX_CONCURRENCY && state.queue.length > 0) {
+    state.active++;
+    state.queue.shift()();
+  }
+}
+
+/**
+ * Waits for a free request slot on a connection.
+ * @param {string} key
+ * @returns {Promise<{ waitedMs: number, release: () => void }>} Call `release` once the response is in
+ */
+async function acquire(key) {
+  const state = _state(key);
+  const queuedAt = Date.now();
+  await new Promise((resolve) => {
+    state.queue.push(resolve);
+    _drain(state);
+  });
+  let released = false;
+  return {
+    waitedMs: Date.now() - queuedAt,
+    release() {
+      if (released) return;
+      released = true;
+      state.active--;
+      _drain(state);
+    },
+  };
+}
+
+/**
+ * Holds back new requests on a connection for a while, e.g. for a Retry-After.
+ * @param {string} key
+ * @param {number} ms
+ */
+function pause(key, ms) {
+  const state = _state(key);
+  state.pausedUntil = Math.max(state.pausedUntil, Date.now() + ms);
+}
+
+/**
+ * Adds to a connection's cumulative stats.
+ * @param {string} key
+ * @param {object} changes - Counters to add to; `lastThrottledAt` and `rateLimit` replace
+ */
+function record(key, changes) {
+  const { stats } = _state(key);
+  for (const [name, value] of Object.entries(changes)) {
+    stats[name] = typeof stats[name] === 'number' ? stats[name] + value : value;
+  }
+}
+
+/**
+ * A connection's cumulative stats since the server started, with its current load.
+ * @param {string} key
+ * @returns {object}
+ */
+function getStats(key) {
+  const state = _state(key);
+  return {
+    ...state.stats,
+    active: state.active,
+    queued: state.queue.length,
+    pausedUntil: state.pausedUntil > Date.now() ? new Date(state.pausedUntil).toISOString() : null,
+    maxConcurrency: MAX_CONCURRENCY,
+  };
+}
+
+module.exports = {
+  MAX_CONCURRENCY,
+  emptyStats,
+  acquire,
+  pause,
+  record,
+  getStats,
+};
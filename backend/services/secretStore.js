@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Local key file, used instead of a passphrase when encryption is set up with `keyFile`
+const KEY_FILE_PATH = process.env.PAT_KEY_FILE || path.join(__dirname, '..', '..', 'config', 'master.key');
+
+const CIPHER = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+// Encrypted with the key when encryption is set up, so a wrong passphrase can be told apart
+const VERIFIER_TEXT = 'azure-devops-process-manager';
+
+// The key of the unlocked store; null while locked. Never written to disk.
+let unlockedKey = null;
+
+/**
+ * Build an error with an HTTP status code.
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+function _error(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Derives the 256-bit encryption key from a passphrase or key file contents.
+ * @param {string} secret
+ * @param {string} salt - base64
+ * @returns {Promise<Buffer>}
+ */
+async function _deriveKey(secret, salt) {
+  return scrypt(secret, Buffer.from(salt, 'base64'), 32);
+}
+
+/**
+ * Reads the key file, or returns null if there is none.
+ * @returns {Promise<string|null>}
+ */
+async function _readKeyFile() {
+  try {
+    return (await fs.readFile(KEY_FILE_PATH, 'utf-8')).trim();
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Whether a stored value is encrypted.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypts a string with the unlocked key.
+ * @param {string} plaintext
+ * @param {Buffer} [key] - defaults to the unlocked key
+ * @returns {string} `enc:v1:<iv>:<tag>:<ciphertext>`, base64 parts
+ * @throws {Error} With statusCode 423 if the store is locked
+ */
+function encrypt(plaintext, key = unlockedKey) {
+  if (!key) {
+    throw _error('Stored credentials are locked. Unlock them with the master passphrase first.', 423);
+  }
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+  return `${PREFIX}${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${data.toString('base64')}`;
+}
+
+/**
+ * Decrypts a value produced by encrypt().
+ * @param {string} value
+ * @param {Buffer} [key] - defaults to the unlocked key
+ * @returns {string}
+ * @throws {Error} With statusCode 423 if the store is locked, 401 if the key is wrong
+ */
+function decrypt(value, key = unlockedKey) {
+  if (!key) {
+    throw _error('Stored credentials are locked. Unlock them with the master passphrase first.', 423);
+  }
+  const [iv, tag, data] = value.slice(PREFIX.length).split(':').map((part) => Buffer.from(part, 'base64'));
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf-8');
+  } catch {
+    throw _error('Could not decrypt a stored credential: the passphrase or key file is wrong', 401);
+  }
+}
+
+/**
+ * Creates the encryption settings for a config file and unlocks the store
+ * with the new key. With `keyFile`, a random key is written to the key file
+ * (readable by the owner only) unless one exists already.
+ * @param {{ passphrase?: string, keyFile?: boolean }} options
+ * @returns {Promise<{ version: number, keySource: 'passphrase' | 'keyFile', salt: string, verifier: string }>}
+ */
+async function createEncryption({ passphrase, keyFile }) {
+  let secret = passphrase;
+  if (keyFile) {
+    secret = await _readKeyFile();
+    if (!secret) {
+      secret = crypto.randomBytes(32).toString('base64');
+      await fs.mkdir(path.dirname(KEY_FILE_PATH), { recursive: true });
+      await fs.writeFile(KEY_FILE_PATH, `${secret}\n`, { encoding: 'utf-8', mode: 0o600 });
+    }
+  } else if (!passphrase || passphrase.length < 8) {
+    throw _error('The master passphrase must be at least 8 characters', 400);
+  }
+
+  const salt = crypto.randomBytes(16).toString('base64');
+  const key = await _deriveKey(secret, salt);
+  unlockedKey = key;
+  return {
+    version: 1,
+    keySource: keyFile ? 'keyFile' : 'passphrase',
+    salt,
+    verifier: encrypt(VERIFIER_TEXT, key),
+  };
+}
+
+/**
+ * Unlocks the store for a config file's encryption settings. Key-file
+ * configs read the key file; passphrase configs need the passphrase.
+ * @param {object} encryption - The config file's `encryption` section
+ * @param {string} [passphrase]
+ * @returns {Promise<void>}
+ * @throws {Error} With statusCode 400 if no secret is available, 401 if it is wrong
+ */
+async function unlock(encryption, passphrase) {
+  const secret = encryption.keySource === 'keyFile' ? await _readKeyFile() : passphrase;
+  if (!secret) {
+    throw encryption.keySource === 'keyFile'
+      ? _error(`Key file not found: ${KEY_FILE_PATH}`, 400)
+      : _error('passphrase is required', 400);
+  }
+  const key = await _deriveKey(secret, encryption.salt);
+  try {
+    if (decrypt(encryption.verifier, key) !== VERIFIER_TEXT) throw new Error();
+  } catch {
+    throw _error(encryption.keySource === 'keyFile' ? 'The key file does not match the stored credentials' : 'Wrong passphrase', 401);
+  }
+  unlockedKey = key;
+}
+
+/**
+ * Forgets the key; stored credentials can't be read until the next unlock.
+ */
+function lock() {
+  unlockedKey = null;
+}
+
+/**
+ * Whether the store is unlocked.
+ * @returns {boolean}
+ */
+function isUnlocked() {
+  return unlockedKey !== null;
+}
+
+module.exports = {
+  KEY_FILE_PATH,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  createEncryption,
+  unlock,
+  lock,
+  isUnlocked,
+};
@@ -2,6 +2,12 @@ const fs = require('fs/promises');
 const path = require('path');
 
 const TEMP_DIR = path.join(__dirname, '..', '..', 'temp');
+// Every pull is also kept here as a timestamped snapshot, one folder per process
+const SNAPSHOT_DIR = path.join(TEMP_DIR, 'snapshots');
+// Snapshots kept per process, besides the baseline; MAX_SNAPSHOTS=0 keeps them all
+const MAX_SNAPSHOTS = Number.isNaN(parseInt(process.env.MAX_SNAPSHOTS, 10)) ? 50 : parseInt(process.env.MAX_SNAPSHOTS, 10);
+// Marks which snapshot in a process folder is the approved baseline
+const BASELINE_FILE = 'baseline.json';
 
 /**
  * Ensures the temp directory exists before any file operation.
@@ -22,16 +28,89 @@ function _buildFilePath(connectionId, processId) {
 }
 
 /**
- * Saves process data to a temp JSON file.
+ * Builds the snapshot folder path for a given connectionId and processId.
+ * @param {string} connectionId
+ * @param {string} processId
+ * @returns {string}
+ */
+function _buildSnapshotDir(connectionId, processId) {
+  return path.join(SNAPSHOT_DIR, `${connectionId}_${processId}`);
+}
+
+/**
+ * Converts a timestamp into a snapshot id that is safe to use as a file name
+ * and sorts chronologically, e.g. 2024-05-01T09-30-00-000Z.
+ * @param {Date} date
+ * @returns {string}
+ */
+function _toSnapshotId(date) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Converts a snapshot id back into the ISO timestamp it was made from.
+ * @param {string} snapshotId
+ * @returns {string}
+ */
+function snapshotTime(snapshotId) {
+  return snapshotId.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+}
+
+/**
+ * Checks that a snapshot id from request input names a snapshot file: it must
+ * stay inside the snapshot folder and must not be the baseline marker.
+ * @param {string} snapshotId
+ * @returns {boolean}
+ */
+function _isSnapshotId(snapshotId) {
+  return /^[\w-]+$/.test(snapshotId) && `${snapshotId}.json` !== BASELINE_FILE;
+}
+
+/**
+ * Saves process data to a temp JSON file, replacing the current data. With
+ * `snapshot`, as for a pull, a copy is also kept as a new snapshot and the
+ * oldest snapshots beyond MAX_SNAPSHOTS are deleted.
  * @param {string} connectionId
  * @param {string} processId
  * @param {*} data
- * @returns {Promise<void>}
+ * @param {{ snapshot?: boolean }} [options]
+ * @returns {Promise<{ snapshotId: string, savedAt: string } | null>} the snapshot that was written, if any
  */
-async function saveProcessData(connectionId, processId, data) {
+async function saveProcessData(connectionId, processId, data, { snapshot = false } = {}) {
   await _ensureTempDir();
+  const content = JSON.stringify(data, null, 2);
   const filePath = _buildFilePath(connectionId, processId);
-  await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf-8');
+  await fs.writeFile(filePath, content, 'utf-8');
+  if (!snapshot) {
+    return null;
+  }
+
+  const savedAt = new Date();
+  const snapshotId = _toSnapshotId(savedAt);
+  const snapshotDir = _buildSnapshotDir(connectionId, processId);
+  await fs.mkdir(snapshotDir, { recursive: true });
+  await fs.writeFile(path.join(snapshotDir, `${snapshotId}.json`), content, 'utf-8');
+  await _pruneSnapshots(connectionId, processId);
+  return { snapshotId, savedAt: savedAt.toISOString() };
+}
+
+/**
+ * Deletes the oldest snapshots of a process beyond MAX_SNAPSHOTS. The
+ * baseline snapshot is kept and doesn't count towards the limit.
+ * @param {string} connectionId
+ * @param {string} processId
+ * @returns {Promise<void>}
+ */
+async function _pruneSnapshots(connectionId, processId) {
+  if (MAX_SNAPSHOTS <= 0) {
+    return;
+  }
+  const baseline = await getBaseline(connectionId, processId);
+  const snapshots = (await listSnapshots(connectionId, processId))
+    .filter((s) => !baseline || s.snapshotId !== baseline.snapshotId);
+  for (const { snapshotId } of snapshots.slice(MAX_SNAPSHOTS)) {
+    await deleteSnapshot(connectionId, processId, snapshotId);
+  }
 }
 
 /**
@@ -53,6 +132,204 @@ async function getProcessData(connectionId, processId) {
   }
 }
 
+/**
+ * Lists the snapshots kept for a process, newest first.
+ * @param {string} connectionId
+ * @param {string} processId
+ * @returns {Promise<Array<{ snapshotId: string, savedAt: string, size: number }>>}
+ */
+async function listSnapshots(connectionId, processId) {
+  const snapshotDir = _buildSnapshotDir(connectionId, processId);
+  let files;
+  try {
+    files = await fs.readdir(snapshotDir);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+  const snapshotIds = files
+    .filter((file) => file.endsWith('.json') && file !== BASELINE_FILE)
+    .map((file) => file.replace('.json', ''))
+    .sort()
+    .reverse();
+  return Promise.all(
+    snapshotIds.map(async (snapshotId) => {
+      const stat = await fs.stat(path.join(snapshotDir, `${snapshotId}.json`));
+      return { snapshotId, savedAt: snapshotTime(snapshotId), size: stat.size };
+    })
+  );
+}
+
+/**
+ * Reads and returns a single snapshot, or null if not found.
+ * @param {string} connectionId
+ * @param {string} processId
+ * @param {string} snapshotId
+ * @returns {Promise<* | null>}
+ */
+async function getSnapshot(connectionId, processId, snapshotId) {
+  if (!_isSnapshotId(snapshotId)) {
+    return null;
+  }
+  const filePath = path.join(_buildSnapshotDir(connectionId, processId), `${snapshotId}.json`);
+  try {
+    const raw = await fs.readFile(filePath, 'utf-8');
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Deletes a single snapshot. A snapshot marked as the baseline is kept.
+ * @param {string} connectionId
+ * @param {string} processId
+ * @param {string} snapshotId
+ * @returns {Promise<boolean>} true if deleted
+ */
+async function deleteSnapshot(connectionId, processId, snapshotId) {
+  if (!_isSnapshotId(snapshotId)) {
+    return false;
+  }
+  const baseline = await getBaseline(connectionId, processId);
+  if (baseline && baseline.snapshotId === snapshotId) {
+    return false;
+  }
+  try {
+    await fs.unlink(path.join(_buildSnapshotDir(connectionId, processId), `${snapshotId}.json`));
+    return true;
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return false;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Reads the baseline marker of a process, or null if none is set.
+ * @param {string} connectionId
+ * @param {string} processId
+ * @returns {Promise<{ connectionId: string, processId: string, snapshotId: string, savedAt: string,
+ *   markedAt: string, lastCheck?: object } | null>}
+ */
+async function getBaseline(connectionId, processId) {
+  const filePath = path.join(_buildSnapshotDir(connectionId, processId), BASELINE_FILE);
+  try {
+    const raw = await fs.readFile(filePath, 'utf-8');
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Writes the baseline marker of a process.
+ * @param {object} baseline
+ * @returns {Promise<object>} the baseline that was written
+ */
+async function _writeBaseline(baseline) {
+  const snapshotDir = _buildSnapshotDir(baseline.connectionId, baseline.processId);
+  await fs.mkdir(snapshotDir, { recursive: true });
+  await fs.writeFile(path.join(snapshotDir, BASELINE_FILE), JSON.stringify(baseline, null, 2), 'utf-8');
+  return baseline;
+}
+
+/**
+ * Marks one of a process's snapshots as its baseline, replacing any previous one.
+ * @param {string} connectionId
+ * @param {string} processId
+ * @param {string} snapshotId
+ * @returns {Promise<object | null>} the baseline, or null if the snapshot does not exist
+ */
+async function setBaseline(connectionId, processId, snapshotId) {
+  if (!_isSnapshotId(snapshotId)) {
+    return null;
+  }
+  const snapshots = await listSnapshots(connectionId, processId);
+  const snapshot = snapshots.find((s) => s.snapshotId === snapshotId);
+  if (!snapshot) {
+    return null;
+  }
+  return _writeBaseline({
+    connectionId,
+    processId,
+    snapshotId,
+    savedAt: snapshot.savedAt,
+    markedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Stores the outcome of the latest drift check on a process's baseline.
+ * @param {string} connectionId
+ * @param {string} processId
+ * @param {{ checkedAt: string, drifted: boolean, totalDifferences: number, explainedDifferences: number,
+ *   snapshotId: string }} check
+ * @returns {Promise<object | null>} the updated baseline, or null if none is set
+ */
+async function saveBaselineCheck(connectionId, processId, check) {
+  const baseline = await getBaseline(connectionId, processId);
+  if (!baseline) {
+    return null;
+  }
+  return _writeBaseline({ ...baseline, lastCheck: check });
+}
+
+/**
+ * Removes the baseline marker of a process. The snapshot itself is kept.
+ * @param {string} connectionId
+ * @param {string} processId
+ * @returns {Promise<boolean>} true if removed, false if none was set
+ */
+async function clearBaseline(connectionId, processId) {
+  const filePath = path.join(_buildSnapshotDir(connectionId, processId), BASELINE_FILE);
+  try {
+    await fs.unlink(filePath);
+    return true;
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return false;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Lists the baselines of every process that has one.
+ * @returns {Promise<Array<object>>}
+ */
+async function listBaselines() {
+  let folders;
+  try {
+    folders = await fs.readdir(SNAPSHOT_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+  const baselines = await Promise.all(
+    folders.map(async (folder) => {
+      try {
+        const raw = await fs.readFile(path.join(SNAPSHOT_DIR, folder, BASELINE_FILE), 'utf-8');
+        return JSON.parse(raw);
+      } catch {
+        return null;
+      }
+    })
+  );
+  return baselines.filter((baseline) => baseline !== null);
+}
+
 /**
  * Lists all process data files for a given connection.
  * Returns an array of { connectionId, processId } objects.
@@ -80,6 +357,7 @@ async function listProcessData(connectionId) {
 
 /**
  * Deletes a specific temp file for the given connectionId and processId.
+ * Its snapshots are kept.
  * @param {string} connectionId
  * @param {string} processId
  * @returns {Promise<boolean>} true if deleted, false if file did not exist
@@ -98,7 +376,7 @@ async function clearProcessData(connectionId, processId) {
 }
 
 /**
- * Deletes all JSON files in the temp directory.
+ * Deletes all JSON files in the temp directory. Snapshots are kept.
  * @returns {Promise<void>}
  */
 async function clearAllProcessData() {
@@ -156,6 +434,15 @@ async function getAllSessionData() {
 module.exports = {
   saveProcessData,
   getProcessData,
+  listSnapshots,
+  getSnapshot,
+  deleteSnapshot,
+  snapshotTime,
+  getBaseline,
+  setBaseline,
+  saveBaselineCheck,
+  clearBaseline,
+  listBaselines,
   listProcessData,
   clearProcessData,
   clearAllProcessData,
@@ -1,14 +1,20 @@
 import { useState, useCallback, useEffect } from 'react';
-import { connections as connectionsApi, processes } from './services/api';
+import { connections as connectionsApi, processes, schedule } from './services/api';
 import ConnectionManager from './components/ConnectionManager/ConnectionManager';
+import { UnlockDialog } from './components/ConnectionManager/CredentialSecurity';
 import ProcessDiscovery from './components/ProcessDiscovery/ProcessDiscovery';
 import ProcessComparison from './components/ProcessComparison/ProcessComparison';
+import ProcessEditor from './components/ProcessEditor/ProcessEditor';
 import LicenseManager from './components/LicenseManager/LicenseManager';
+import AuditHistory from './components/AuditHistory/AuditHistory';
+import DriftSchedule from './components/DriftSchedule/DriftSchedule';
 
 const TABS = [
   { id: 'connections', label: 'Connections' },
   { id: 'discovery', label: 'Discovery' },
   { id: 'comparison', label: 'Comparison' },
+  { id: 'editor', label: 'Editor' },
+  { id: 'history', label: 'History' },
   { id: 'licenses', label: 'Licenses' },
 ];
 
@@ -17,18 +23,41 @@ export default function App() {
   const [connections, setConnections] = useState([]);
   const [pulledProcesses, setPulledProcesses] = useState([]);
   const [comparisonResult, setComparisonResult] = useState(null);
+  // Editor draft lives here so pending changes survive switching tabs
+  const [editorProcessKey, setEditorProcessKey] = useState('');
+  const [editorChanges, setEditorChanges] = useState(null);
   const [notification, setNotification] = useState(null);
+  const [lastDriftEvent, setLastDriftEvent] = useState(null);
+  const [deletedProcess, setDeletedProcess] = useState(null);
+  const [security, setSecurity] = useState(null);
+  const [showUnlock, setShowUnlock] = useState(false);
 
   const notify = useCallback((type, message) => {
     setNotification({ type, message });
     setTimeout(() => setNotification(null), 5000);
   }, []);
 
-  // Restore connections and pulled processes from backend on mount
-  useEffect(() => {
+  const loadConnections = useCallback(() => {
     connectionsApi.list()
       .then((result) => setConnections(result.connections || []))
       .catch(() => {});
+  }, []);
+
+  // Encrypted PATs stay locked after a server restart until the passphrase is entered
+  const handleSecurityChange = useCallback((status) => {
+    setSecurity(status);
+    loadConnections();
+  }, [loadConnections]);
+
+  // Restore connections and pulled processes from backend on mount
+  useEffect(() => {
+    loadConnections();
+    connectionsApi.security()
+      .then((status) => {
+        setSecurity(status);
+        if (status.locked) setShowUnlock(true);
+      })
+      .catch(() => {});
     processes.getSessionData()
       .then((entries) => {
         const restored = (entries || []).map((entry) => {
@@ -44,7 +73,24 @@ export default function App() {
         }
       })
       .catch(() => {});
-  }, []);
+  }, [loadConnections]);
+
+  // Drift events from the scheduled checks, pushed by the server while the app is open
+  useEffect(() => {
+    return schedule.subscribe((event) => {
+      setLastDriftEvent(event);
+      if (event.type === 'error') {
+        notify('error', `Scheduled drift check failed for ${event.processId}: ${event.error}`);
+        return;
+      }
+      notify('warning', `Drift detected in ${event.processName}: ${event.totalDifferences} difference(s) since the previous pull`);
+      // The check re-pulled the process; show the fresh data if it is loaded here
+      processes.getData(event.connectionId, event.processId)
+        .then((data) => setPulledProcesses((prev) => prev.map((p) =>
+          (p.connectionId === event.connectionId && p.process.typeId === event.processId ? data : p))))
+        .catch(() => {});
+    });
+  }, [notify]);
 
   const handleProcessPulled = useCallback((processData) => {
     setPulledProcesses((prev) => {
@@ -67,6 +113,12 @@ export default function App() {
     );
   }, []);
 
+  // A deleted process is also gone from the drift schedule on the server
+  const handleProcessDeleted = useCallback((connectionId, processTypeId) => {
+    handleProcessRemoved(connectionId, processTypeId);
+    setDeletedProcess({ connectionId, processId: processTypeId });
+  }, [handleProcessRemoved]);
+
   const handleComparisonDone = useCallback((result) => {
     setComparisonResult(result);
     setActiveTab('comparison');
@@ -101,18 +153,31 @@ export default function App() {
           <ConnectionManager
             connections={connections}
             setConnections={setConnections}
+            security={security}
+            onSecurityChange={handleSecurityChange}
+            onRequestUnlock={() => setShowUnlock(true)}
             notify={notify}
           />
         )}
         {activeTab === 'discovery' && (
-          <ProcessDiscovery
-            connections={connections}
-            pulledProcesses={pulledProcesses}
-            onProcessPulled={handleProcessPulled}
-            onProcessRemoved={handleProcessRemoved}
-            onCompare={handleComparisonDone}
-            notify={notify}
-          />
+          <>
+            <ProcessDiscovery
+              connections={connections}
+              pulledProcesses={pulledProcesses}
+              onProcessPulled={handleProcessPulled}
+              onProcessRemoved={handleProcessRemoved}
+              onProcessDeleted={handleProcessDeleted}
+              onCompare={handleComparisonDone}
+              notify={notify}
+            />
+            <DriftSchedule
+              connections={connections}
+              pulledProcesses={pulledProcesses}
+              lastEvent={lastDriftEvent}
+              deletedProcess={deletedProcess}
+              notify={notify}
+            />
+          </>
         )}
         {activeTab === 'comparison' && (
           <ProcessComparison
@@ -123,6 +188,26 @@ export default function App() {
             notify={notify}
           />
         )}
+        {activeTab === 'editor' && (
+          <ProcessEditor
+            pulledProcesses={pulledProcesses}
+            connections={connections}
+            selectedKey={editorProcessKey}
+            onSelectProcess={setEditorProcessKey}
+            changes={editorChanges}
+            onChangesChange={setEditorChanges}
+            onProcessPulled={handleProcessPulled}
+            notify={notify}
+          />
+        )}
+        {activeTab === 'history' && (
+          <AuditHistory
+            connections={connections}
+            pulledProcesses={pulledProcesses}
+            onProcessPulled={handleProcessPulled}
+            notify={notify}
+          />
+        )}
         {activeTab === 'licenses' && (
           <LicenseManager
             connections={connections}
@@ -130,6 +215,14 @@ export default function App() {
           />
         )}
       </main>
+
+      {showUnlock && (
+        <UnlockDialog
+          onUnlocked={(status) => { handleSecurityChange(status); setShowUnlock(false); }}
+          onClose={() => setShowUnlock(false)}
+          notify={notify}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,267 @@
+import { Fragment, useState, useEffect, useCallback, useMemo } from 'react';
+import { audit as auditApi, editor as editorApi, processes as processesApi } from '../../services/api';
+import ChangePreview from '../ChangePreview/ChangePreview';
+
+const TYPE_OPTIONS = [
+  { value: 'apply', label: 'Change sets (apply / batch apply / import)' },
+  { value: 'workItemType', label: 'Work item types' },
+  { value: 'field', label: 'Fields' },
+  { value: 'orgField', label: 'Organization fields' },
+  { value: 'picklist', label: 'Picklists' },
+  { value: 'process', label: 'Processes (settings / delete)' },
+  { value: 'project', label: 'Project moves' },
+  { value: 'state', label: 'States' },
+  { value: 'rule', label: 'Rules' },
+  { value: 'workItemTypeBehavior', label: 'WIT behaviors' },
+  { value: 'page', label: 'Layout pages' },
+  { value: 'section', label: 'Layout sections' },
+  { value: 'group', label: 'Layout groups' },
+  { value: 'control', label: 'Layout controls' },
+];
+
+const STATUS_BADGES = {
+  success: 'badge-success',
+  partial: 'badge-warning',
+  error: 'badge-danger',
+};
+
+function JsonBlock({ title, value }) {
+  if (value === undefined || value === null) return null;
+  return (
+    <div className="mb-4">
+      <div className="text-sm text-secondary" style={{ fontWeight: 600, marginBottom: 4 }}>{title}</div>
+      <pre className="text-mono scroll-panel" style={{ background: '#f3f2f1', padding: 8, borderRadius: 'var(--radius)', whiteSpace: 'pre-wrap', wordBreak: 'break-word', margin: 0 }}>
+        {JSON.stringify(value, null, 2)}
+      </pre>
+    </div>
+  );
+}
+
+function EntryDetails({ entryId, onRevert, notify }) {
+  const [entry, setEntry] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    auditApi.get(entryId)
+      .then((result) => { if (!cancelled) setEntry(result); })
+      .catch((err) => notify('error', `Failed to load audit entry: ${err.message}`));
+    return () => { cancelled = true; };
+  }, [entryId, notify]);
+
+  if (!entry) return <div className="text-sm text-secondary"><span className="spinner" /> Loading...</div>;
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-4">
+        <span className="text-sm text-secondary">
+          {entry.method} {entry.operation}
+          {entry.orgUrl && <> on {entry.orgUrl}</>}
+          {entry.statusCode && <> -- HTTP {entry.statusCode}</>}
+          {entry.revertOf && <> -- reverts {entry.revertOf}</>}
+        </span>
+        {entry.status !== 'error' && entry.processId && (
+          <button className="btn btn-sm" style={{ marginLeft: 'auto' }} onClick={() => onRevert(entry)}>Revert...</button>
+        )}
+      </div>
+      {entry.error && <div className="notification notification-error">{entry.error}</div>}
+      <JsonBlock title="Request body" value={entry.body} />
+      <JsonBlock title="Result" value={entry.result} />
+      {entry.before ? (
+        <JsonBlock title={`Before (pulled ${entry.before.pulledAt ? new Date(entry.before.pulledAt).toLocaleString() : 'at an unknown time'})`} value={entry.before} />
+      ) : (
+        <div className="text-sm text-secondary">No before-snapshot: the process was not pulled when this change was made.</div>
+      )}
+    </div>
+  );
+}
+
+export default function AuditHistory({ connections, pulledProcesses, onProcessPulled, notify }) {
+  const [filters, setFilters] = useState({ connectionId: '', processId: '', type: '', from: '', to: '' });
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Revert flow: preview the inverse change set, then apply it
+  const [revertEntry, setRevertEntry] = useState(null);
+  const [revertPreview, setRevertPreview] = useState(null);
+  const [revertResults, setRevertResults] = useState(null);
+  const [revertLoading, setRevertLoading] = useState(false);
+  const [atomic, setAtomic] = useState(true);
+
+  const connectionNames = useMemo(
+    () => Object.fromEntries(connections.map((c) => [c.id, c.name])),
+    [connections]
+  );
+
+  const processOptions = useMemo(() =>
+    pulledProcesses
+      .filter((p) => !filters.connectionId || p.connectionId === filters.connectionId)
+      .map((p) => ({ id: p.process.typeId, name: p.process.name })),
+    [pulledProcesses, filters.connectionId]
+  );
+
+  const load = useCallback(async (current) => {
+    setLoading(true);
+    try {
+      const result = await auditApi.list({
+        connectionId: current.connectionId,
+        processId: current.processId,
+        type: current.type,
+        // Date inputs are local days; widen them to cover the whole day
+        from: current.from ? new Date(`${current.from}T00:00:00`).toISOString() : '',
+        to: current.to ? new Date(`${current.to}T23:59:59.999`).toISOString() : '',
+      });
+      setEntries(result.entries || []);
+      setTotal(result.total || 0);
+    } catch (err) {
+      notify('error', `Failed to load history: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [notify]);
+
+  useEffect(() => {
+    load({ connectionId: '', processId: '', type: '', from: '', to: '' });
+  }, [load]);
+
+  const handleRevertPreview = async (entry) => {
+    try {
+      const { connectionId, processId, changes, notes } = await auditApi.revert(entry.id, { dryRun: true });
+      const result = await editorApi.preview({ connectionId, processId, changes });
+      setRevertEntry(entry);
+      setRevertPreview({ ...result, preview: { ...result.preview, warnings: [...notes, ...result.preview.warnings] } });
+      setRevertResults(null);
+    } catch (err) {
+      notify('error', `Cannot revert: ${err.message}`);
+    }
+  };
+
+  const handleRevertApply = async () => {
+    setRevertLoading(true);
+    try {
+      const result = await auditApi.revert(revertEntry.id, { atomic });
+      setRevertResults(result);
+      notify(result.success ? 'success' : 'warning', result.success
+        ? `Reverted ${revertEntry.operation}: ${result.summary.applied} applied, ${result.summary.skipped} skipped`
+        : `Revert of ${revertEntry.operation} had ${result.summary.errors} errors`);
+      try {
+        onProcessPulled(await processesApi.pull(result.connectionId, result.processId));
+      } catch { /* ignore re-pull failures */ }
+      load(filters);
+    } catch (err) {
+      notify('error', `Revert failed: ${err.message}`);
+    } finally {
+      setRevertLoading(false);
+    }
+  };
+
+  const setFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value, ...(key === 'connectionId' ? { processId: '' } : {}) }));
+  };
+
+  return (
+    <div>
+      <div className="card">
+        <div className="card-header">
+          <h2>Change History</h2>
+          <div className="btn-group">
+            <button className="btn btn-sm btn-primary" onClick={() => load(filters)} disabled={loading}>
+              {loading ? 'Loading...' : 'Search'}
+            </button>
+          </div>
+        </div>
+        <p className="text-sm text-secondary mb-4">
+          Every change made through the editor is recorded here, with the request, its result and the pulled state of the process before the change.
+        </p>
+        <div className="form-row">
+          <div className="form-group">
+            <label>Connection</label>
+            <select value={filters.connectionId} onChange={(e) => setFilter('connectionId', e.target.value)}>
+              <option value="">All</option>
+              {connections.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Process</label>
+            <select value={filters.processId} onChange={(e) => setFilter('processId', e.target.value)}>
+              <option value="">All</option>
+              {processOptions.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Type</label>
+            <select value={filters.type} onChange={(e) => setFilter('type', e.target.value)}>
+              <option value="">All</option>
+              {TYPE_OPTIONS.map((t) => <option key={t.value} value={t.value}>{t.label}</option>)}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>From</label>
+            <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} />
+          </div>
+          <div className="form-group">
+            <label>To</label>
+            <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} />
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Entries <span className="badge badge-primary" style={{ marginLeft: 8 }}>{total}</span></h3>
+          {total > entries.length && <span className="text-sm text-secondary">Showing the latest {entries.length}</span>}
+        </div>
+        {entries.length === 0 ? (
+          <div className="empty-state">
+            <h3>No Changes Recorded</h3>
+            <p>Changes applied from the Editor or Comparison tabs will show up here.</p>
+          </div>
+        ) : (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr><th>Time</th><th>Connection</th><th>Process</th><th>Work Item Type</th><th>Operation</th><th>Status</th></tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => (
+                  <Fragment key={entry.id}>
+                    <tr style={{ cursor: 'pointer' }} onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}>
+                      <td className="text-sm">{new Date(entry.timestamp).toLocaleString()}</td>
+                      <td className="text-sm">{entry.connectionName || connectionNames[entry.connectionId] || entry.connectionId}</td>
+                      <td className="text-sm">{entry.processName || entry.processId || '--'}</td>
+                      <td className="text-sm text-mono">{entry.witRefName || '--'}</td>
+                      <td className="text-sm">{entry.operation}</td>
+                      <td>
+                        <span className={`badge ${STATUS_BADGES[entry.status] || 'badge-neutral'}`}>{entry.status}</span>
+                      </td>
+                    </tr>
+                    {expandedId === entry.id && (
+                      <tr>
+                        <td colSpan={6}>
+                          <EntryDetails entryId={entry.id} onRevert={handleRevertPreview} notify={notify} />
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {revertPreview && (
+        <ChangePreview
+          preview={revertPreview}
+          onConfirm={handleRevertApply}
+          onCancel={() => { setRevertPreview(null); setRevertResults(null); setRevertEntry(null); }}
+          loading={revertLoading}
+          results={revertResults}
+          atomic={atomic}
+          onAtomicChange={setAtomic}
+        />
+      )}
+    </div>
+  );
+}
@@ -23,7 +23,7 @@ function ChangeList({ items, type }) {
       {items.map((item, i) => (
         <div key={i} className={cls} style={{ padding: '4px 8px', borderRadius: 'var(--radius)', marginBottom: 2, fontSize: 13 }}>
           <span className="badge badge-neutral" style={{ marginRight: 6 }}>{label}</span>
-          {typeof item === 'string' ? item : item.name || item.referenceName || item.fieldRefName || item.stateId || item.behaviorId || JSON.stringify(item)}
+          {typeof item === 'string' ? item : item.name || item.referenceName || item.fieldRefName || item.stateId || item.ruleId || item.behaviorId || JSON.stringify(item)}
           {item.type && <span className="text-secondary" style={{ marginLeft: 8 }}>({item.type})</span>}
           {item.stateCategory && <span className="text-secondary" style={{ marginLeft: 8 }}>Category: {item.stateCategory}</span>}
         </div>
@@ -32,7 +32,7 @@ function ChangeList({ items, type }) {
   );
 }
 
-export default function ChangePreview({ preview, onConfirm, onCancel, loading, results }) {
+export default function ChangePreview({ preview, onConfirm, onCancel, loading, results, atomic, onAtomicChange }) {
   const p = preview?.preview;
 
   const totalAdds = countItems(p, 'toAdd');
@@ -60,13 +60,14 @@ export default function ChangePreview({ preview, onConfirm, onCancel, loading, r
           {results && !loading && (
             <div>
               <div className={`notification ${results.success ? 'notification-success' : 'notification-error'}`}>
-                {results.success ? 'Changes applied successfully' : 'Some changes failed'}
+                {results.success ? 'Changes applied successfully' : rollbackMessage(results.summary)}
               </div>
               {results.summary && (
                 <div className="flex gap-2 flex-wrap mb-4">
                   <span className="badge badge-success">{results.summary.applied} applied</span>
                   <span className="badge badge-neutral">{results.summary.skipped} skipped</span>
                   {results.summary.errors > 0 && <span className="badge badge-danger">{results.summary.errors} errors</span>}
+                  {results.summary.rolledBack > 0 && <span className="badge badge-warning">{results.summary.rolledBack} rolled back</span>}
                 </div>
               )}
               {results.results?.applied?.length > 0 && (
@@ -96,6 +97,24 @@ export default function ChangePreview({ preview, onConfirm, onCancel, loading, r
                   ))}
                 </CollapsibleSection>
               )}
+              {results.results?.rolledBack?.length > 0 && (
+                <CollapsibleSection title="Rolled Back" badge={<span className="badge badge-warning" style={{ marginLeft: 8 }}>{results.results.rolledBack.length}</span>} defaultOpen>
+                  {results.results.rolledBack.map((item, i) => (
+                    <div key={i} className="diff-changed" style={{ padding: '4px 8px', borderRadius: 'var(--radius)', marginBottom: 2, fontSize: 13 }}>
+                      {item.type} {item.action}: {item.item} - {item.inverse}
+                    </div>
+                  ))}
+                </CollapsibleSection>
+              )}
+              {results.results?.rollbackErrors?.length > 0 && (
+                <CollapsibleSection title="Rollback Errors" badge={<span className="badge badge-danger" style={{ marginLeft: 8 }}>{results.results.rollbackErrors.length}</span>} defaultOpen>
+                  {results.results.rollbackErrors.map((item, i) => (
+                    <div key={i} className="diff-removed" style={{ padding: '4px 8px', borderRadius: 'var(--radius)', marginBottom: 2, fontSize: 13 }}>
+                      {item.inverse} - {item.error}
+                    </div>
+                  ))}
+                </CollapsibleSection>
+              )}
             </div>
           )}
 
@@ -170,6 +189,44 @@ export default function ChangePreview({ preview, onConfirm, onCancel, loading, r
                 </CollapsibleSection>
               )}
 
+              {/* Rules by WIT */}
+              {p.rules && Object.keys(p.rules).length > 0 && (
+                <CollapsibleSection title="Rules" defaultOpen>
+                  {Object.entries(p.rules).map(([wit, changes]) => (
+                    hasItems(changes) && (
+                      <CollapsibleSection key={wit} title={wit} defaultOpen badge={
+                        <span className="badge badge-primary" style={{ marginLeft: 8 }}>
+                          {(changes.toAdd?.length || 0) + (changes.toUpdate?.length || 0) + (changes.toRemove?.length || 0)}
+                        </span>
+                      }>
+                        <ChangeList items={changes.toAdd} type="add" />
+                        <ChangeList items={changes.toUpdate} type="update" />
+                        <ChangeList items={changes.toRemove} type="remove" />
+                      </CollapsibleSection>
+                    )
+                  ))}
+                </CollapsibleSection>
+              )}
+
+              {/* Layout by WIT */}
+              {p.layout && Object.keys(p.layout).length > 0 && (
+                <CollapsibleSection title="Layout" defaultOpen>
+                  {Object.entries(p.layout).map(([wit, changes]) => (
+                    hasItems(changes) && (
+                      <CollapsibleSection key={wit} title={wit} defaultOpen badge={
+                        <span className="badge badge-primary" style={{ marginLeft: 8 }}>
+                          {(changes.toAdd?.length || 0) + (changes.toUpdate?.length || 0) + (changes.toRemove?.length || 0)}
+                        </span>
+                      }>
+                        <ChangeList items={changes.toAdd} type="add" />
+                        <ChangeList items={changes.toUpdate} type="update" />
+                        <ChangeList items={changes.toRemove} type="remove" />
+                      </CollapsibleSection>
+                    )
+                  ))}
+                </CollapsibleSection>
+              )}
+
               {/* Behaviors */}
               {hasItems(p.behaviors) && (
                 <CollapsibleSection title="Behaviors" badge={
@@ -208,6 +265,12 @@ export default function ChangePreview({ preview, onConfirm, onCancel, loading, r
         <div className="modal-footer">
           {!results ? (
             <>
+              {onAtomicChange && (
+                <label className="flex items-center gap-2 text-sm" style={{ marginRight: 'auto' }} title="Undo every completed operation if one fails">
+                  <input type="checkbox" checked={!!atomic} onChange={(e) => onAtomicChange(e.target.checked)} disabled={loading} />
+                  Roll back on first error
+                </label>
+              )}
               <button className="btn" onClick={onCancel} disabled={loading}>Cancel</button>
               <button className="btn btn-primary" onClick={onConfirm} disabled={loading || (p?.totalOperations || 0) === 0}>
                 {loading ? <><span className="spinner" /> Applying...</> : 'Apply Changes'}
@@ -222,6 +285,12 @@ export default function ChangePreview({ preview, onConfirm, onCancel, loading, r
   );
 }
 
+function rollbackMessage(summary) {
+  if (summary?.rolledBack === undefined) return 'Some changes failed';
+  if (summary.rollbackErrors > 0) return 'Apply failed and the rollback was incomplete. Check the rollback errors below.';
+  return 'Apply failed. Every completed operation was rolled back.';
+}
+
 function hasItems(obj) {
   if (!obj) return false;
   return (obj.toAdd?.length || 0) + (obj.toUpdate?.length || 0) + (obj.toRemove?.length || 0) > 0;
@@ -235,7 +304,7 @@ function countItems(preview, key) {
     if (preview[section]?.[key]) count += preview[section][key].length;
   });
   // Per-WIT sections
-  ['fields', 'states', 'workItemTypeBehaviors'].forEach((section) => {
+  ['fields', 'states', 'rules', 'layout', 'workItemTypeBehaviors'].forEach((section) => {
     if (preview[section]) {
       Object.values(preview[section]).forEach((wit) => {
         if (wit?.[key]) count += wit[key].length;
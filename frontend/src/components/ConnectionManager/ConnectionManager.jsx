@@ -1,7 +1,25 @@
 import { useState, useEffect, useCallback } from 'react';
 import { connections as connectionsApi } from '../../services/api';
+import CredentialSecurity from './CredentialSecurity';
 
-const EMPTY_FORM = { name: '', orgUrl: '', pat: '' };
+const EMPTY_AUTH = {
+  type: 'pat',
+  source: '',
+  tenantId: '',
+  clientId: '',
+  clientSecret: '',
+  tokenEndpoint: '',
+  scope: '',
+};
+
+const EMPTY_FORM = { name: '', orgUrl: '', pat: '', auth: EMPTY_AUTH };
+
+const AUTH_TYPES = [
+  { value: 'pat', label: 'Personal Access Token' },
+  { value: 'envPat', label: 'PAT from an environment variable' },
+  { value: 'bearerToken', label: 'Bearer token from a file or command' },
+  { value: 'servicePrincipal', label: 'Service principal (client credentials)' },
+];
 
 function maskPat(pat) {
   if (!pat) return '';
@@ -9,19 +27,96 @@ function maskPat(pat) {
   return '****' + pat.slice(-4);
 }
 
+/**
+ * Form state for an existing connection; the backend ignores masked secrets
+ * sent back unchanged.
+ */
+function toFormState(conn) {
+  // Inline settings of older connections are dropped; a source has to be picked instead
+  const { envVar, tokenFile, tokenCommand, ...auth } = { ...EMPTY_AUTH, ...(conn.auth || {}) };
+  return { name: conn.name, orgUrl: conn.orgUrl, pat: conn.pat || '', auth };
+}
+
+/**
+ * Request body for the form: the PAT for static PATs, otherwise only the
+ * fields of the chosen credential provider.
+ */
+function toPayload(form) {
+  const { name, orgUrl, pat, auth } = form;
+  switch (auth.type) {
+    case 'envPat':
+    case 'bearerToken':
+      return { name, orgUrl, auth: { type: auth.type, source: auth.source } };
+    case 'servicePrincipal': {
+      const sp = { type: 'servicePrincipal', clientId: auth.clientId.trim() };
+      for (const key of ['clientSecret', 'tenantId', 'tokenEndpoint', 'scope']) {
+        if (auth[key].trim()) sp[key] = auth[key].trim();
+      }
+      return { name, orgUrl, auth: sp };
+    }
+    default:
+      return { name, orgUrl, pat, auth: { type: 'pat' } };
+  }
+}
+
+/** Whether the chosen credential provider has what it needs. */
+function isAuthValid(form, editing) {
+  const { auth } = form;
+  switch (auth.type) {
+    case 'envPat':
+    case 'bearerToken':
+      return !!auth.source;
+    case 'servicePrincipal':
+      return !!(auth.clientId.trim() && (auth.clientSecret.trim() || editing)
+        && (auth.tenantId.trim() || auth.tokenEndpoint.trim()));
+    default:
+      return !!form.pat.trim();
+  }
+}
+
+/** One-line description of how a connection authenticates. */
+function describeAuth(connection) {
+  const auth = connection.auth || { type: 'pat' };
+  switch (auth.type) {
+    case 'envPat':
+    case 'bearerToken':
+      return auth.source
+        ? <>{auth.type === 'envPat' ? 'PAT' : 'Bearer token'} from source <span className="text-mono">{auth.source}</span></>
+        : <>Inline credential settings, no longer supported: edit the connection to pick a credential source</>;
+    case 'servicePrincipal':
+      return <>Service principal <span className="text-mono">{auth.clientId}</span> ({auth.tokenEndpoint || `tenant ${auth.tenantId}`})</>;
+    default:
+      return <>PAT <span className="text-mono">{maskPat(connection.pat)}</span></>;
+  }
+}
+
 function ConnectionForm({ initial, onSave, onCancel, saving }) {
   const [form, setForm] = useState(initial || EMPTY_FORM);
+  const [sources, setSources] = useState([]);
+  const editing = !!initial;
+
+  useEffect(() => {
+    connectionsApi.credentialSources()
+      .then((data) => setSources(data.sources || []))
+      .catch(() => setSources([]));
+  }, []);
 
   const handleChange = (field) => (e) => {
     setForm((prev) => ({ ...prev, [field]: e.target.value }));
   };
 
+  const handleAuthChange = (field) => (e) => {
+    setForm((prev) => ({ ...prev, auth: { ...prev.auth, [field]: e.target.value } }));
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSave(form);
+    onSave(toPayload(form));
   };
 
-  const isValid = form.name.trim() && form.orgUrl.trim() && form.pat.trim();
+  const { auth } = form;
+  const isValid = form.name.trim() && form.orgUrl.trim() && isAuthValid(form, editing);
+  const typeSources = sources.filter((source) => source.type === auth.type);
 
   return (
     <form onSubmit={handleSubmit}>
@@ -45,14 +140,83 @@ function ConnectionForm({ initial, onSave, onCancel, saving }) {
         />
       </div>
       <div className="form-group">
-        <label>Personal Access Token</label>
-        <input
-          type="password"
-          value={form.pat}
-          onChange={handleChange('pat')}
-          placeholder="Enter PAT"
-        />
+        <label>Authentication</label>
+        <select value={auth.type} onChange={handleAuthChange('type')}>
+          {AUTH_TYPES.map((t) => <option key={t.value} value={t.value}>{t.label}</option>)}
+        </select>
       </div>
+      {auth.type === 'pat' && (
+        <div className="form-group">
+          <label>Personal Access Token</label>
+          <input
+            type="password"
+            value={form.pat}
+            onChange={handleChange('pat')}
+            placeholder="Enter PAT"
+          />
+        </div>
+      )}
+      {(auth.type === 'envPat' || auth.type === 'bearerToken') && (
+        <div className="form-group">
+          <label>Credential source</label>
+          <select value={auth.source} onChange={handleAuthChange('source')}>
+            <option value="">Select a source...</option>
+            {typeSources.map((source) => (
+              <option key={source.name} value={source.name}>
+                {source.name} ({source.kind === 'envVar' ? 'environment variable' : source.kind})
+              </option>
+            ))}
+          </select>
+          {typeSources.length === 0 && (
+            <div className="text-sm text-secondary mt-2">
+              No sources of this kind are configured. Add one to <span className="text-mono">config/credential-sources.json</span> on the server.
+            </div>
+          )}
+        </div>
+      )}
+      {auth.type === 'servicePrincipal' && (
+        <>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Tenant ID</label>
+              <input type="text" value={auth.tenantId} onChange={handleAuthChange('tenantId')} />
+            </div>
+            <div className="form-group">
+              <label>Client ID</label>
+              <input type="text" value={auth.clientId} onChange={handleAuthChange('clientId')} />
+            </div>
+            <div className="form-group">
+              <label>Client secret</label>
+              <input
+                type="password"
+                value={auth.clientSecret}
+                onChange={handleAuthChange('clientSecret')}
+                placeholder={editing ? 'Leave unchanged to keep the stored secret' : ''}
+              />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Token endpoint (optional)</label>
+              <input
+                type="url"
+                value={auth.tokenEndpoint}
+                onChange={handleAuthChange('tokenEndpoint')}
+                placeholder="https://login.microsoftonline.com/<tenant>/oauth2/v2.0/token"
+              />
+            </div>
+            <div className="form-group">
+              <label>Scope (optional)</label>
+              <input
+                type="text"
+                value={auth.scope}
+                onChange={handleAuthChange('scope')}
+                placeholder="499b84ac-1321-427f-aa17-267ca6975798/.default"
+              />
+            </div>
+          </div>
+        </>
+      )}
       <div className="btn-group mt-2">
         <button type="submit" className="btn btn-primary" disabled={!isValid || saving}>
           {saving ? <><span className="spinner" /> Saving...</> : 'Save'}
@@ -65,8 +229,64 @@ function ConnectionForm({ initial, onSave, onCancel, saving }) {
   );
 }
 
-function ConnectionCard({ connection, onEdit, onDelete, onTest, testStatus, testing }) {
+/** Pass/fail matrix of a diagnostics run, one row per probed capability. */
+function DiagnosticsMatrix({ report, onClose }) {
+  return (
+    <div className="mt-4">
+      <div className="flex items-center justify-between mb-2">
+        <strong className="text-sm">
+          Access diagnostics ({new Date(report.checkedAt).toLocaleString()})
+        </strong>
+        <button className="btn btn-sm" onClick={onClose}>Hide</button>
+      </div>
+      {!report.credentials.success ? (
+        <div className="notification notification-error">
+          Could not get credentials: {report.credentials.message}
+        </div>
+      ) : (
+        <div className="table-wrap">
+          <table>
+            <thead>
+              <tr>
+                <th>Capability</th>
+                <th>Scope</th>
+                <th>Result</th>
+                <th>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.results.map((r) => (
+                <tr key={r.id}>
+                  <td><strong>{r.label}</strong></td>
+                  <td className="text-mono">{r.scope}</td>
+                  <td>
+                    {r.success
+                      ? <span className="badge badge-success">Pass</span>
+                      : <span className="badge badge-danger">Fail{r.status ? ` (${r.status})` : ''}</span>}
+                  </td>
+                  <td className="text-sm">
+                    {r.success ? (
+                      <span className="text-secondary">{r.message !== 'OK' && <>{r.message} -- </>}{r.durationMs} ms</span>
+                    ) : (
+                      <>
+                        {r.hint && <div>{r.hint}</div>}
+                        <div className="text-mono text-secondary" style={{ wordBreak: 'break-word' }}>{r.message}</div>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ConnectionCard({ connection, onEdit, onDelete, onTest, testStatus, testing, diagnostics, diagnosing, onDiagnose, onHideDiagnostics }) {
   const status = testStatus[connection.id];
+  const report = diagnostics[connection.id];
 
   return (
     <div className="card">
@@ -84,6 +304,13 @@ function ConnectionCard({ connection, onEdit, onDelete, onTest, testStatus, test
           >
             {testing === connection.id ? <><span className="spinner" /> Testing...</> : 'Test'}
           </button>
+          <button
+            className="btn btn-sm"
+            onClick={() => onDiagnose(connection.id)}
+            disabled={diagnosing === connection.id}
+          >
+            {diagnosing === connection.id ? <><span className="spinner" /> Diagnosing...</> : 'Diagnose'}
+          </button>
           <button className="btn btn-sm" onClick={() => onEdit(connection.id)}>
             Edit
           </button>
@@ -96,19 +323,22 @@ function ConnectionCard({ connection, onEdit, onDelete, onTest, testStatus, test
         <strong>URL:</strong> {connection.orgUrl}
       </div>
       <div className="text-sm text-secondary">
-        <strong>PAT:</strong> <span className="text-mono">{maskPat(connection.pat)}</span>
+        <strong>Auth:</strong> {describeAuth(connection)}
       </div>
+      {report && <DiagnosticsMatrix report={report} onClose={() => onHideDiagnostics(connection.id)} />}
     </div>
   );
 }
 
-export default function ConnectionManager({ connections, setConnections, notify }) {
+export default function ConnectionManager({ connections, setConnections, security, onSecurityChange, onRequestUnlock, notify }) {
   const [showAddForm, setShowAddForm] = useState(false);
   const [editingId, setEditingId] = useState(null);
   const [saving, setSaving] = useState(false);
   const [loading, setLoading] = useState(true);
   const [testing, setTesting] = useState(null);
   const [testStatus, setTestStatus] = useState({});
+  const [diagnostics, setDiagnostics] = useState({});
+  const [diagnosing, setDiagnosing] = useState(null);
 
   const fetchConnections = useCallback(async () => {
     try {
@@ -197,6 +427,32 @@ export default function ConnectionManager({ connections, setConnections, notify
     }
   }, [notify]);
 
+  const handleDiagnose = useCallback(async (id) => {
+    setDiagnosing(id);
+    try {
+      const report = await connectionsApi.diagnostics(id);
+      setDiagnostics((prev) => ({ ...prev, [id]: report }));
+      if (report.success) {
+        notify('success', 'All access checks passed.');
+      } else {
+        const failed = report.credentials.success ? report.results.filter((r) => !r.success).length : 'all';
+        notify('warning', `Access diagnostics: ${failed} check(s) failed.`);
+      }
+    } catch (err) {
+      notify('error', `Diagnostics failed: ${err.message}`);
+    } finally {
+      setDiagnosing(null);
+    }
+  }, [notify]);
+
+  const handleHideDiagnostics = useCallback((id) => {
+    setDiagnostics((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  }, []);
+
   const handleStartEdit = useCallback((id) => {
     setEditingId(id);
     setShowAddForm(false);
@@ -235,6 +491,13 @@ export default function ConnectionManager({ connections, setConnections, notify
         )}
       </div>
 
+      <CredentialSecurity
+        security={security}
+        onChange={onSecurityChange}
+        onRequestUnlock={onRequestUnlock}
+        notify={notify}
+      />
+
       {showAddForm && (
         <div className="card mb-4">
           <div className="card-header">
@@ -260,7 +523,7 @@ export default function ConnectionManager({ connections, setConnections, notify
                 <h3>Edit Connection</h3>
               </div>
               <ConnectionForm
-                initial={{ name: conn.name, orgUrl: conn.orgUrl, pat: conn.pat }}
+                initial={toFormState(conn)}
                 onSave={handleUpdate}
                 onCancel={handleCancelEdit}
                 saving={saving}
@@ -275,6 +538,10 @@ export default function ConnectionManager({ connections, setConnections, notify
               onTest={handleTest}
               testStatus={testStatus}
               testing={testing}
+              diagnostics={diagnostics}
+              diagnosing={diagnosing}
+              onDiagnose={handleDiagnose}
+              onHideDiagnostics={handleHideDiagnostics}
             />
           )
         )
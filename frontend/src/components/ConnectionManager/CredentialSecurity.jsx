@@ -0,0 +1,156 @@
+import { useState } from 'react';
+import { connections as connectionsApi } from '../../services/api';
+
+/**
+ * Asks for the master passphrase when the stored PATs are locked, e.g. after
+ * a server restart. Closing it leaves them locked; nothing that needs a PAT works until then.
+ */
+export function UnlockDialog({ onUnlocked, onClose, notify }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setUnlocking(true);
+    setError(null);
+    try {
+      const status = await connectionsApi.unlock(passphrase);
+      notify('success', 'Stored PATs unlocked');
+      onUnlocked(status);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal">
+        <form onSubmit={handleUnlock}>
+          <div className="modal-header">
+            <h2>Unlock Connections</h2>
+            <button type="button" className="modal-close" onClick={onClose}>&times;</button>
+          </div>
+          <div className="modal-body">
+            <p className="text-sm text-secondary mb-4">
+              The stored PATs are encrypted. Enter the master passphrase to use the connections until the server restarts.
+            </p>
+            {error && <div className="notification notification-error mb-4">{error}</div>}
+            <div className="form-group">
+              <label>Master passphrase</label>
+              <input type="password" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} autoFocus />
+            </div>
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn" onClick={onClose}>Not now</button>
+            <button type="submit" className="btn btn-primary" disabled={unlocking || !passphrase}>
+              {unlocking ? <><span className="spinner" /> Unlocking...</> : 'Unlock'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Shows how PATs are stored and lets the user encrypt them (with a master
+ * passphrase or a local key file), or lock and unlock them.
+ */
+export default function CredentialSecurity({ security, onChange, onRequestUnlock, notify }) {
+  const [showSetup, setShowSetup] = useState(false);
+  const [form, setForm] = useState({ method: 'passphrase', passphrase: '', confirm: '' });
+  const [saving, setSaving] = useState(false);
+
+  if (!security) return null;
+
+  const handleEncrypt = async (e) => {
+    e.preventDefault();
+    if (form.method === 'passphrase' && form.passphrase !== form.confirm) {
+      notify('warning', 'The passphrases do not match');
+      return;
+    }
+    setSaving(true);
+    try {
+      const status = await connectionsApi.encrypt(form.method === 'keyFile' ? { keyFile: true } : { passphrase: form.passphrase });
+      onChange(status);
+      setShowSetup(false);
+      setForm({ method: 'passphrase', passphrase: '', confirm: '' });
+      notify('success', `PAT encryption set up: ${status.migrated} credential(s) encrypted`);
+    } catch (err) {
+      notify('error', `Failed to set up encryption: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleLock = async () => {
+    try {
+      onChange(await connectionsApi.lock());
+      notify('info', 'Stored PATs locked');
+    } catch (err) {
+      notify('error', `Failed to lock: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="card mb-4">
+      <div className="card-header">
+        <div className="flex items-center gap-2">
+          <h3>Stored Credentials</h3>
+          {!security.encrypted && <span className="badge badge-warning">Plaintext</span>}
+          {security.encrypted && security.locked && <span className="badge badge-danger">Locked</span>}
+          {security.encrypted && !security.locked && <span className="badge badge-success">Encrypted</span>}
+        </div>
+        <div className="btn-group">
+          {!security.encrypted && !showSetup && (
+            <button className="btn btn-sm btn-primary" onClick={() => setShowSetup(true)}>Encrypt PATs...</button>
+          )}
+          {security.encrypted && security.locked && security.keySource === 'passphrase' && (
+            <button className="btn btn-sm btn-primary" onClick={onRequestUnlock}>Unlock</button>
+          )}
+          {security.encrypted && !security.locked && security.keySource === 'passphrase' && (
+            <button className="btn btn-sm" onClick={handleLock}>Lock</button>
+          )}
+        </div>
+      </div>
+      <div className="text-sm text-secondary">
+        {!security.encrypted && `PATs are stored in plaintext in config/connections.json${security.plaintextCount > 0 ? ` (${security.plaintextCount} stored)` : ''}. Anyone who can read the file can use them.`}
+        {security.encrypted && security.keySource === 'passphrase' && 'PATs are encrypted with a key derived from the master passphrase. The server needs the passphrase again after every restart, unless PAT_PASSPHRASE is set.'}
+        {security.encrypted && security.keySource === 'keyFile' && <>PATs are encrypted with the key in <span className="text-mono">{security.keyFile}</span>. Keep that file out of shared folders and backups of the config.</>}
+      </div>
+
+      {showSetup && (
+        <form onSubmit={handleEncrypt} className="mt-4">
+          <div className="form-group">
+            <label>Key</label>
+            <select value={form.method} onChange={(e) => setForm({ ...form, method: e.target.value })}>
+              <option value="passphrase">Master passphrase (asked for after every server restart)</option>
+              <option value="keyFile">Local key file (unlocks automatically)</option>
+            </select>
+          </div>
+          {form.method === 'passphrase' && (
+            <div className="form-row">
+              <div className="form-group">
+                <label>Passphrase (at least 8 characters)</label>
+                <input type="password" value={form.passphrase} onChange={(e) => setForm({ ...form, passphrase: e.target.value })} autoFocus />
+              </div>
+              <div className="form-group">
+                <label>Confirm passphrase</label>
+                <input type="password" value={form.confirm} onChange={(e) => setForm({ ...form, confirm: e.target.value })} />
+              </div>
+            </div>
+          )}
+          <div className="btn-group mt-2">
+            <button type="submit" className="btn btn-primary" disabled={saving || (form.method === 'passphrase' && form.passphrase.length < 8)}>
+              {saving ? <><span className="spinner" /> Encrypting...</> : 'Encrypt'}
+            </button>
+            <button type="button" className="btn" onClick={() => setShowSetup(false)} disabled={saving}>Cancel</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,227 @@
+import { useState, useEffect, useCallback } from 'react';
+import { schedule as scheduleApi } from '../../services/api';
+
+const CRON_PRESETS = [
+  { value: '*/15 * * * *', label: 'Every 15 minutes' },
+  { value: '0 * * * *', label: 'Every hour' },
+  { value: '0 9-17 * * 1-5', label: 'Hourly, 9-17 on weekdays' },
+  { value: '0 6 * * *', label: 'Daily at 06:00' },
+];
+
+const STATUS_LABELS = {
+  first: 'first snapshot',
+  unchanged: 'no change',
+  drift: 'drift',
+  error: 'error',
+};
+
+export default function DriftSchedule({ connections, pulledProcesses, lastEvent, deletedProcess, notify }) {
+  const [form, setForm] = useState(null);
+  const [lastRun, setLastRun] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [running, setRunning] = useState(false);
+
+  const connectionName = (id) => {
+    const conn = connections.find((c) => c.id === id);
+    return conn ? conn.name : id;
+  };
+
+  const processName = (connectionId, processId) => {
+    const pulled = pulledProcesses.find((p) => p.connectionId === connectionId && p.process.typeId === processId);
+    return pulled ? pulled.process.name : processId;
+  };
+
+  const loadEvents = useCallback(async () => {
+    try {
+      setEvents(await scheduleApi.events({ limit: 20 }));
+    } catch (err) {
+      notify('error', `Failed to load drift events: ${err.message}`);
+    }
+  }, [notify]);
+
+  useEffect(() => {
+    scheduleApi.get()
+      .then(({ enabled, cron, processes, lastRun: run }) => {
+        setForm({ enabled, cron, processes });
+        setLastRun(run);
+      })
+      .catch((err) => notify('error', `Failed to load schedule: ${err.message}`));
+  }, [notify]);
+
+  // The server drops deleted processes from the schedule; keep the form from saving them back
+  useEffect(() => {
+    if (!deletedProcess) return;
+    setForm((prev) => prev && {
+      ...prev,
+      processes: prev.processes.filter(
+        (w) => !(w.connectionId === deletedProcess.connectionId && w.processId === deletedProcess.processId),
+      ),
+    });
+  }, [deletedProcess]);
+
+  // Reload the list whenever the server reports a new event
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents, lastEvent]);
+
+  if (!form) return null;
+
+  const isWatched = (p) =>
+    form.processes.some((w) => w.connectionId === p.connectionId && w.processId === p.process.typeId);
+
+  const handleToggleWatched = (p) => {
+    const watched = isWatched(p);
+    setForm({
+      ...form,
+      processes: watched
+        ? form.processes.filter((w) => !(w.connectionId === p.connectionId && w.processId === p.process.typeId))
+        : [...form.processes, { connectionId: p.connectionId, processId: p.process.typeId }],
+    });
+  };
+
+  // Watched processes that are no longer pulled in this session stay in the schedule
+  const notPulled = form.processes.filter(
+    (w) => !pulledProcesses.some((p) => p.connectionId === w.connectionId && p.process.typeId === w.processId),
+  );
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const saved = await scheduleApi.update(form);
+      setForm({ enabled: saved.enabled, cron: saved.cron, processes: saved.processes });
+      notify('success', saved.enabled
+        ? `Drift checks scheduled for ${saved.processes.length} process(es)`
+        : 'Scheduled drift checks are off');
+    } catch (err) {
+      notify('error', `Failed to save schedule: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRunNow = async () => {
+    setRunning(true);
+    try {
+      const { results } = await scheduleApi.run();
+      setLastRun({ finishedAt: new Date().toISOString(), results });
+      const drifted = results.filter((r) => r.status === 'drift').length;
+      notify(drifted > 0 ? 'warning' : 'success', `Checked ${results.length} process(es): ${drifted} drifted`);
+      loadEvents();
+    } catch (err) {
+      notify('error', `Drift checks failed: ${err.message}`);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="card mt-4">
+      <div className="card-header">
+        <h2>Scheduled Drift Checks</h2>
+        <div className="btn-group">
+          <button className="btn btn-sm" onClick={handleRunNow} disabled={running || form.processes.length === 0}>
+            {running ? <><span className="spinner" /> Checking...</> : 'Run Now'}
+          </button>
+          <button className="btn btn-sm btn-primary" onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save Schedule'}
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-secondary mb-4">
+        The server re-pulls the watched processes on this schedule and compares each with its previous snapshot.
+        Any change shows up as a notification while the app is open, and is listed below.
+      </p>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label>
+            <input
+              type="checkbox"
+              checked={form.enabled}
+              onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+            />{' '}
+            Enabled
+          </label>
+        </div>
+        <div className="form-group">
+          <label>Cron expression (minute hour day month weekday)</label>
+          <input
+            type="text"
+            className="text-mono"
+            value={form.cron}
+            onChange={(e) => setForm({ ...form, cron: e.target.value })}
+          />
+        </div>
+        <div className="form-group">
+          <label>Preset</label>
+          <select value="" onChange={(e) => e.target.value && setForm({ ...form, cron: e.target.value })}>
+            <option value="">Choose...</option>
+            {CRON_PRESETS.map((p) => <option key={p.value} value={p.value}>{p.label}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>Watched processes</label>
+        {pulledProcesses.length === 0 && notPulled.length === 0 && (
+          <div className="text-sm text-secondary">Pull a process to watch it.</div>
+        )}
+        {pulledProcesses.map((p) => (
+          <label key={`${p.connectionId}::${p.process.typeId}`} className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={isWatched(p)} onChange={() => handleToggleWatched(p)} />
+            {p.process.name}
+            <span className="badge badge-neutral">{connectionName(p.connectionId)}</span>
+          </label>
+        ))}
+        {notPulled.map((w) => (
+          <label key={`${w.connectionId}::${w.processId}`} className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked
+              onChange={() => setForm({ ...form, processes: form.processes.filter((x) => x !== w) })}
+            />
+            <span className="text-mono">{w.processId}</span>
+            <span className="badge badge-neutral">{connectionName(w.connectionId)}</span>
+          </label>
+        ))}
+      </div>
+
+      {lastRun && (
+        <div className="text-sm text-secondary mb-4">
+          Last run {new Date(lastRun.finishedAt).toLocaleString()}:{' '}
+          {lastRun.results.map((r) => `${processName(r.connectionId, r.processId)} (${STATUS_LABELS[r.status]})`).join(', ') || 'nothing to check'}
+        </div>
+      )}
+
+      {events.length > 0 && (
+        <div className="table-wrap scroll-panel">
+          <table>
+            <thead>
+              <tr><th>Time</th><th>Connection</th><th>Process</th><th>Result</th></tr>
+            </thead>
+            <tbody>
+              {events.map((event) => (
+                <tr key={event.id}>
+                  <td className="text-sm">{new Date(event.timestamp).toLocaleString()}</td>
+                  <td className="text-sm">{connectionName(event.connectionId)}</td>
+                  <td className="text-sm">{event.processName || processName(event.connectionId, event.processId)}</td>
+                  <td className="text-sm">
+                    {event.type === 'drift' ? (
+                      <>
+                        <span className="badge badge-warning">{event.totalDifferences} difference(s)</span>
+                        {event.toolChanges > 0 && <> -- {event.toolChanges} change(s) made through this tool</>}
+                      </>
+                    ) : (
+                      <span className="badge badge-danger" title={event.error}>check failed</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
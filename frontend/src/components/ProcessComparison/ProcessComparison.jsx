@@ -1,7 +1,8 @@
 import { useState, useMemo } from 'react';
 import { comparison as comparisonApi, editor, processes as processesApi } from '../../services/api';
+import ChangePreview from '../ChangePreview/ChangePreview';
 
-const TABS = ['Summary', 'Work Item Types', 'Fields', 'States', 'Behaviors'];
+const TABS = ['Summary', 'Work Item Types', 'Fields', 'States', 'Rules', 'Layout', 'Picklists', 'Behaviors'];
 
 function getOrgName(orgUrl) {
   if (!orgUrl) return '';
@@ -48,6 +49,13 @@ export default function ProcessComparison({ comparisonResult, pulledProcesses, o
   const [activeTab, setActiveTab] = useState('Summary');
   const [filterDiffsOnly, setFilterDiffsOnly] = useState(true);
   const [recomparing, setRecomparing] = useState(false);
+  // Sync to target: generate a change set from the comparison and preview it
+  const [showSync, setShowSync] = useState(false);
+  const [syncForm, setSyncForm] = useState({ sourceId: '', targetId: '', mode: 'additive' });
+  const [syncTarget, setSyncTarget] = useState(null); // { connectionId, processId, changes }
+  const [syncPreview, setSyncPreview] = useState(null);
+  const [syncResults, setSyncResults] = useState(null);
+  const [syncLoading, setSyncLoading] = useState(false);
 
   if (!comparisonResult) {
     return (
@@ -64,16 +72,21 @@ export default function ProcessComparison({ comparisonResult, pulledProcesses, o
   const processNames = {};
   procs.forEach((p) => {
     const org = getOrgName(p.orgUrl);
-    processNames[p.processId] = org ? `${p.processName} (${org})` : p.processName;
+    const name = org ? `${p.processName} (${org})` : p.processName;
+    processNames[p.processId] = p.snapshotId ? `${name} @ ${new Date(p.snapshotAt).toLocaleString()}` : name;
   });
+  // Snapshots are read-only: they can be a sync source but never a target
+  const liveProcs = procs.filter((p) => !p.snapshotId);
 
   const handleRecompare = async () => {
     setRecomparing(true);
     try {
-      // Re-pull all processes from Azure DevOps before comparing
-      const pairs = procs.map((p) => ({ connectionId: p.connectionId, processId: p.processId }));
+      // Re-pull the live processes from Azure DevOps before comparing; snapshots stay as they are
+      const pairs = procs.map((p) => (p.snapshotId
+        ? { connectionId: p.connectionId, processId: p.processId.split('@')[0], snapshotId: p.snapshotId }
+        : { connectionId: p.connectionId, processId: p.processId }));
       await Promise.all(
-        pairs.map(async ({ connectionId, processId }) => {
+        pairs.filter((p) => !p.snapshotId).map(async ({ connectionId, processId }) => {
           const data = await processesApi.pull(connectionId, processId);
           onProcessPulled(data);
         })
@@ -88,6 +101,49 @@ export default function ProcessComparison({ comparisonResult, pulledProcesses, o
     }
   };
 
+  const handleSyncPreview = async () => {
+    const source = procs.find((p) => p.processId === syncForm.sourceId);
+    const target = procs.find((p) => p.processId === syncForm.targetId);
+    if (!source || !target || source === target) {
+      notify('warning', 'Select a different source and target process');
+      return;
+    }
+    setSyncLoading(true);
+    try {
+      const pick = (p) => ({ connectionId: p.connectionId, processId: p.processId });
+      const { changes, notes } = await comparisonApi.sync({
+        comparison: comparisonResult,
+        source: pick(source),
+        target: pick(target),
+        mode: syncForm.mode,
+      });
+      const result = await editor.preview({ ...pick(target), changes });
+      setSyncTarget({ ...pick(target), changes });
+      setSyncPreview({ ...result, preview: { ...result.preview, warnings: [...notes, ...result.preview.warnings] } });
+      setSyncResults(null);
+      setShowSync(false);
+    } catch (err) {
+      notify('error', `Sync preview failed: ${err.message}`);
+    } finally {
+      setSyncLoading(false);
+    }
+  };
+
+  const handleSyncApply = async () => {
+    setSyncLoading(true);
+    try {
+      const result = await editor.apply(syncTarget);
+      setSyncResults(result);
+      notify(result.success ? 'success' : 'warning',
+        `Sync applied: ${result.summary.applied} applied, ${result.summary.skipped} skipped, ${result.summary.errors} errors`);
+      await handleRecompare();
+    } catch (err) {
+      notify('error', `Sync failed: ${err.message}`);
+    } finally {
+      setSyncLoading(false);
+    }
+  };
+
   const { summary } = comp;
 
   return (
@@ -102,6 +158,9 @@ export default function ProcessComparison({ comparisonResult, pulledProcesses, o
             </div>
           </div>
           <div className="btn-group">
+            <button className="btn btn-sm" onClick={() => setShowSync(true)} disabled={summary.totalDifferences === 0}>
+              Sync to target
+            </button>
             <button className="btn btn-sm" onClick={handleRecompare} disabled={recomparing}>
               {recomparing ? <><span className="spinner" /> Refreshing...</> : 'Re-compare'}
             </button>
@@ -114,6 +173,9 @@ export default function ProcessComparison({ comparisonResult, pulledProcesses, o
           {summary.witDifferences > 0 && <span className="badge badge-warning">{summary.witDifferences} WIT diffs</span>}
           {summary.fieldDifferences > 0 && <span className="badge badge-warning">{summary.fieldDifferences} Field diffs</span>}
           {summary.stateDifferences > 0 && <span className="badge badge-warning">{summary.stateDifferences} State diffs</span>}
+          {summary.ruleDifferences > 0 && <span className="badge badge-warning">{summary.ruleDifferences} Rule diffs</span>}
+          {summary.layoutDifferences > 0 && <span className="badge badge-warning">{summary.layoutDifferences} Layout diffs</span>}
+          {summary.picklistDifferences > 0 && <span className="badge badge-warning">{summary.picklistDifferences} Picklist diffs</span>}
           {summary.behaviorDifferences > 0 && <span className="badge badge-warning">{summary.behaviorDifferences} Behavior diffs</span>}
           {summary.witBehaviorDifferences > 0 && <span className="badge badge-warning">{summary.witBehaviorDifferences} WIT Behavior diffs</span>}
           {summary.totalDifferences === 0 && <span className="badge badge-success">All processes match!</span>}
@@ -130,7 +192,7 @@ export default function ProcessComparison({ comparisonResult, pulledProcesses, o
       </div>
 
       {/* Filter toggle */}
-      {['Fields', 'States'].includes(activeTab) && (
+      {['Fields', 'States', 'Layout', 'Picklists'].includes(activeTab) && (
         <div className="flex items-center gap-2 mb-4">
           <label className="text-sm">
             <input type="checkbox" checked={filterDiffsOnly} onChange={(e) => setFilterDiffsOnly(e.target.checked)} style={{ marginRight: 6 }} />
@@ -144,7 +206,64 @@ export default function ProcessComparison({ comparisonResult, pulledProcesses, o
       {activeTab === 'Work Item Types' && <WitTab comp={comp} procs={procs} processNames={processNames} notify={notify} onRecompare={handleRecompare} />}
       {activeTab === 'Fields' && <FieldsTab comp={comp} procs={procs} processNames={processNames} filterDiffsOnly={filterDiffsOnly} notify={notify} onRecompare={handleRecompare} />}
       {activeTab === 'States' && <StatesTab comp={comp} procs={procs} processNames={processNames} filterDiffsOnly={filterDiffsOnly} notify={notify} onRecompare={handleRecompare} />}
+      {activeTab === 'Rules' && <RulesTab comp={comp} procs={procs} processNames={processNames} />}
+      {activeTab === 'Layout' && <LayoutTab comp={comp} procs={procs} processNames={processNames} filterDiffsOnly={filterDiffsOnly} notify={notify} onRecompare={handleRecompare} />}
+      {activeTab === 'Picklists' && <PicklistsTab comp={comp} procs={procs} processNames={processNames} filterDiffsOnly={filterDiffsOnly} notify={notify} onRecompare={handleRecompare} />}
       {activeTab === 'Behaviors' && <BehaviorsTab comp={comp} procs={procs} processNames={processNames} />}
+
+      {/* Sync to target options */}
+      {showSync && (
+        <div className="modal-overlay" onClick={() => setShowSync(false)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Sync to Target</h2>
+              <button className="modal-close" onClick={() => setShowSync(false)}>&times;</button>
+            </div>
+            <div className="modal-body">
+              <p className="text-sm text-secondary mb-4">Generate the changes that make the target process look like the source.</p>
+              <div className="form-group">
+                <label>Source (copy from)</label>
+                <select value={syncForm.sourceId} onChange={(e) => setSyncForm({ ...syncForm, sourceId: e.target.value })}>
+                  <option value="">Select process...</option>
+                  {procs.map((p) => <option key={p.processId} value={p.processId}>{processNames[p.processId]}</option>)}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Target (changed)</label>
+                <select value={syncForm.targetId} onChange={(e) => setSyncForm({ ...syncForm, targetId: e.target.value })}>
+                  <option value="">Select process...</option>
+                  {liveProcs.filter((p) => p.processId !== syncForm.sourceId).map((p) => (
+                    <option key={p.processId} value={p.processId}>{processNames[p.processId]}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Mode</label>
+                <select value={syncForm.mode} onChange={(e) => setSyncForm({ ...syncForm, mode: e.target.value })}>
+                  <option value="additive">Additive only (add and update)</option>
+                  <option value="mirror">Full mirror (also remove what the source doesn't have)</option>
+                </select>
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button className="btn" onClick={() => setShowSync(false)}>Cancel</button>
+              <button className="btn btn-primary" onClick={handleSyncPreview} disabled={syncLoading || !syncForm.sourceId || !syncForm.targetId}>
+                {syncLoading ? <><span className="spinner" /> Generating...</> : 'Preview Changes'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {syncPreview && (
+        <ChangePreview
+          preview={syncPreview}
+          onConfirm={handleSyncApply}
+          onCancel={() => { setSyncPreview(null); setSyncResults(null); }}
+          loading={syncLoading}
+          results={syncResults}
+        />
+      )}
     </div>
   );
 }
@@ -183,6 +302,24 @@ function SummaryTab({ comp, procs, processNames }) {
               <td>{summary.stateDifferences}</td>
               <td>{summary.stateDifferences === 0 ? <span className="badge badge-success">Match</span> : <span className="badge badge-danger">{summary.stateDifferences} diffs</span>}</td>
             </tr>
+            <tr>
+              <td><strong>Rules</strong></td>
+              <td>--</td>
+              <td>{summary.ruleDifferences || 0}</td>
+              <td>{!summary.ruleDifferences ? <span className="badge badge-success">Match</span> : <span className="badge badge-danger">{summary.ruleDifferences} diffs</span>}</td>
+            </tr>
+            <tr>
+              <td><strong>Layout</strong></td>
+              <td>--</td>
+              <td>{summary.layoutDifferences || 0}</td>
+              <td>{!summary.layoutDifferences ? <span className="badge badge-success">Match</span> : <span className="badge badge-danger">{summary.layoutDifferences} diffs</span>}</td>
+            </tr>
+            <tr>
+              <td><strong>Picklists</strong></td>
+              <td>{comp.picklists ? comp.picklists.all.length : '--'}</td>
+              <td>{summary.picklistDifferences || 0}</td>
+              <td>{!summary.picklistDifferences ? <span className="badge badge-success">Match</span> : <span className="badge badge-danger">{summary.picklistDifferences} diffs</span>}</td>
+            </tr>
             <tr>
               <td><strong>Behaviors</strong></td>
               <td>{behaviors.all.length}</td>
@@ -294,7 +431,7 @@ function WitTab({ comp, procs, processNames, notify, onRecompare }) {
             <label>Target Process</label>
             <select value={createTargetKey} onChange={(e) => setCreateTargetKey(e.target.value)}>
               <option value="">-- Select process --</option>
-              {procs.map((p) => <option key={p.processId} value={`${p.connectionId}::${p.processId}`}>{processNames[p.processId]}</option>)}
+              {procs.filter((p) => !p.snapshotId).map((p) => <option key={p.processId} value={`${p.connectionId}::${p.processId}`}>{processNames[p.processId]}</option>)}
             </select>
           </div>
           <div className="form-row">
@@ -342,7 +479,7 @@ function WitTab({ comp, procs, processNames, notify, onRecompare }) {
                               ? <span className="badge badge-neutral">Disabled</span>
                               : <span className="badge badge-success">Enabled</span>}
                             {!witInfo.isDefault && (
-                              <button className="btn btn-sm" disabled={actionLoading} onClick={() => handleToggleDisabled(p, witName, witInfo)}>
+                              <button className="btn btn-sm" disabled={actionLoading || !!p.snapshotId} onClick={() => handleToggleDisabled(p, witName, witInfo)}>
                                 {witInfo.isDisabled ? 'Enable' : 'Disable'}
                               </button>
                             )}
@@ -350,7 +487,7 @@ function WitTab({ comp, procs, processNames, notify, onRecompare }) {
                         ) : (
                           <div className="flex items-center gap-2 flex-wrap">
                             <span className="badge badge-danger">Missing</span>
-                            <button className="btn btn-sm btn-primary" disabled={actionLoading} onClick={() => handleAddWit(p, witName)}>Add</button>
+                            <button className="btn btn-sm btn-primary" disabled={actionLoading || !!p.snapshotId} onClick={() => handleAddWit(p, witName)}>Add</button>
                           </div>
                         )}
                       </td>
@@ -422,18 +559,43 @@ const FIELD_TYPES = [
   { value: 'html', label: 'HTML' },
   { value: 'boolean', label: 'Boolean' },
   { value: 'identity', label: 'Identity' },
+  { value: 'picklistString', label: 'Picklist (String)' },
+  { value: 'picklistInteger', label: 'Picklist (Integer)' },
+  { value: 'picklistDouble', label: 'Picklist (Double)' },
 ];
 
+/** Picklist field type for a field that has a pulled picklist, e.g. string -> picklistString. */
+function picklistFieldType(fieldInfo) {
+  const type = fieldInfo.type || 'string';
+  if (!fieldInfo.picklist || type.startsWith('picklist')) return type;
+  return `picklist${type.charAt(0).toUpperCase()}${type.slice(1)}`;
+}
+
+/** Parse the picklist textarea (one value per line); null if a numeric list has a non-number. */
+function parsePicklistItems(text, type) {
+  const lines = text.split('\n').map((l) => l.trim()).filter(Boolean);
+  if (type === 'picklistString') return lines;
+  const numbers = lines.map(Number);
+  if (numbers.some((n) => Number.isNaN(n) || (type === 'picklistInteger' && !Number.isInteger(n)))) return null;
+  return numbers;
+}
+
 function AddFieldModal({ fieldInfo, targetProc, witName, witRefName, processNames, onClose, onConfirm, actionLoading }) {
   const [form, setForm] = useState({
     name: fieldInfo.name || '',
     referenceName: fieldInfo.referenceName || '',
-    type: fieldInfo.type || 'string',
+    type: picklistFieldType(fieldInfo),
     description: fieldInfo.description || '',
     required: fieldInfo.required || false,
     readOnly: fieldInfo.readOnly || false,
+    picklistItems: ((fieldInfo.picklist && fieldInfo.picklist.items) || []).join('\n'),
+    isSuggested: !!(fieldInfo.picklist && fieldInfo.picklist.isSuggested),
   });
 
+  const isPicklist = form.type.startsWith('picklist');
+  const picklistItems = isPicklist ? parsePicklistItems(form.picklistItems, form.type) : null;
+  const picklistValid = !isPicklist || (picklistItems && picklistItems.length > 0);
+
   const handleSubmit = () => {
     onConfirm({
       orgField: {
@@ -443,6 +605,7 @@ function AddFieldModal({ fieldInfo, targetProc, witName, witRefName, processName
         description: form.description,
         usage: 'workItem',
         readOnly: form.readOnly,
+        ...(isPicklist ? { picklist: { items: picklistItems, isSuggested: form.isSuggested } } : {}),
       },
       witField: {
         referenceName: form.referenceName,
@@ -482,6 +645,30 @@ function AddFieldModal({ fieldInfo, targetProc, witName, witRefName, processName
               </select>
             </div>
           </div>
+          {isPicklist && (
+            <>
+              <div className="form-group">
+                <label>Allowed values (one per line)</label>
+                <textarea
+                  rows={6}
+                  value={form.picklistItems}
+                  onChange={(e) => setForm({ ...form, picklistItems: e.target.value })}
+                  placeholder={'Low\nMedium\nHigh'}
+                />
+                {!picklistValid && (
+                  <div className="text-sm" style={{ color: 'var(--color-danger)', marginTop: 4 }}>
+                    {picklistItems === null ? 'Every value must be a number of the picklist type.' : 'Enter at least one value.'}
+                  </div>
+                )}
+              </div>
+              <div className="form-group">
+                <label style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                  <input type="checkbox" checked={form.isSuggested} onChange={(e) => setForm({ ...form, isSuggested: e.target.checked })} style={{ width: 'auto' }} />
+                  Allow values that are not in the list (suggested values)
+                </label>
+              </div>
+            </>
+          )}
           <div className="form-group">
             <label>Description</label>
             <input value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} placeholder="Optional description" />
@@ -503,7 +690,7 @@ function AddFieldModal({ fieldInfo, targetProc, witName, witRefName, processName
         </div>
         <div className="modal-footer">
           <button className="btn" onClick={onClose}>Cancel</button>
-          <button className="btn btn-primary" onClick={handleSubmit} disabled={actionLoading}>
+          <button className="btn btn-primary" onClick={handleSubmit} disabled={actionLoading || !picklistValid}>
             {actionLoading ? <><span className="spinner" /> Adding...</> : 'Confirm & Add'}
           </button>
         </div>
@@ -808,7 +995,7 @@ function FieldsTab({ comp, procs, processNames, filterDiffsOnly, notify, onRecom
                       <label>Target Process</label>
                       <select value={addFieldTarget} onChange={(e) => { setAddFieldTarget(e.target.value); setAddFieldRef(''); }}>
                         <option value="">-- Select process --</option>
-                        {procs.map((p) => <option key={p.processId} value={`${p.connectionId}::${p.processId}`}>{processNames[p.processId]}</option>)}
+                        {procs.filter((p) => !p.snapshotId).map((p) => <option key={p.processId} value={`${p.connectionId}::${p.processId}`}>{processNames[p.processId]}</option>)}
                       </select>
                     </div>
                     <div className="form-group">
@@ -903,7 +1090,7 @@ function FieldsTab({ comp, procs, processNames, filterDiffsOnly, notify, onRecom
                                   <div className="field-cell">
                                     <div className="field-cell-status"><span className="badge badge-danger">Missing</span></div>
                                     <div className="field-cell-actions">
-                                      <button className="btn btn-sm btn-primary" disabled={actionLoading} onClick={() => handleAddMissingField(p, witName, fieldName)}>Add</button>
+                                      <button className="btn btn-sm btn-primary" disabled={actionLoading || !!p.snapshotId} onClick={() => handleAddMissingField(p, witName, fieldName)}>Add</button>
                                     </div>
                                   </div>
                                 ) : (
@@ -924,23 +1111,23 @@ function FieldsTab({ comp, procs, processNames, filterDiffsOnly, notify, onRecom
                                     </div>
                                     <div className="field-cell-actions">
                                       {info.onLayout && info.layoutVisible
-                                        ? <button className="btn btn-sm" disabled={actionLoading} onClick={() => handleToggleVisibility(p, witName, fieldName, info)}>Hide</button>
+                                        ? <button className="btn btn-sm" disabled={actionLoading || !!p.snapshotId} onClick={() => handleToggleVisibility(p, witName, fieldName, info)}>Hide</button>
                                         : info.onLayout && !info.layoutVisible
-                                        ? <button className="btn btn-sm btn-primary" disabled={actionLoading} onClick={() => handleToggleVisibility(p, witName, fieldName, info)}>Show</button>
+                                        ? <button className="btn btn-sm btn-primary" disabled={actionLoading || !!p.snapshotId} onClick={() => handleToggleVisibility(p, witName, fieldName, info)}>Show</button>
                                         : isPickerOpen ? (
                                             <>
                                               <select value={selectedGroup} onChange={(e) => setSelectedGroup(e.target.value)} style={{ fontSize: '0.85em', maxWidth: 140 }}>
                                                 <option value="">-- Group --</option>
                                                 {groups.map((g) => <option key={g.groupId} value={g.groupId}>{g.label}</option>)}
                                               </select>
-                                              <button className="btn btn-sm btn-primary" disabled={actionLoading || !selectedGroup} onClick={() => handleShowOnLayout(p, witName, fieldName, info, selectedGroup)}>Place</button>
+                                              <button className="btn btn-sm btn-primary" disabled={actionLoading || !!p.snapshotId || !selectedGroup} onClick={() => handleShowOnLayout(p, witName, fieldName, info, selectedGroup)}>Place</button>
                                               <button className="btn btn-sm" onClick={() => { setShowGroupPicker(null); setSelectedGroup(''); }}>X</button>
                                             </>
                                           ) : (
                                             <button className="btn btn-sm btn-primary" disabled={actionLoading} onClick={() => { setShowGroupPicker(pickerKey); setSelectedGroup(''); }}>Show</button>
                                           )
                                       }
-                                      <button className="btn btn-sm btn-danger" disabled={actionLoading} onClick={() => handleRemoveField(p, witName, fieldName, info)} title="Remove field from work item type">Remove</button>
+                                      <button className="btn btn-sm btn-danger" disabled={actionLoading || !!p.snapshotId} onClick={() => handleRemoveField(p, witName, fieldName, info)} title="Remove field from work item type">Remove</button>
                                     </div>
                                   </div>
                                 )}
@@ -1087,6 +1274,22 @@ function StatesTab({ comp, procs, processNames, filterDiffsOnly, notify, onRecom
     }
   };
 
+  const handleToggleHidden = async (proc, witName, stateName, info) => {
+    const witRefName = states.byWorkItemType[witName]?.witRefNames?.[proc.processId];
+    if (!witRefName) { notify('error', `Cannot find WIT reference name for ${witName}`); return; }
+    const hidden = !info.hidden;
+    setActionLoading(true);
+    try {
+      await editor.hideState(proc.connectionId, proc.processId, witRefName, info.id, hidden);
+      notify('success', `${hidden ? 'Hid' : 'Unhid'} state "${stateName}" in ${processNames[proc.processId]}`);
+      await onRecompare();
+    } catch (err) {
+      notify('error', `Failed to ${hidden ? 'hide' : 'unhide'} state: ${err.message}`);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   const handleCreateState = async (witName) => {
     if (!createTargetKey || !stateForm.name) return;
     const [connectionId, processId] = createTargetKey.split('::');
@@ -1157,7 +1360,7 @@ function StatesTab({ comp, procs, processNames, filterDiffsOnly, notify, onRecom
                     <label>Target Process</label>
                     <select value={createTargetKey} onChange={(e) => setCreateTargetKey(e.target.value)}>
                       <option value="">-- Select process --</option>
-                      {procs.map((p) => <option key={p.processId} value={`${p.connectionId}::${p.processId}`}>{processNames[p.processId]}</option>)}
+                      {procs.filter((p) => !p.snapshotId).map((p) => <option key={p.processId} value={`${p.connectionId}::${p.processId}`}>{processNames[p.processId]}</option>)}
                     </select>
                   </div>
                   <div className="form-row">
@@ -1207,7 +1410,7 @@ function StatesTab({ comp, procs, processNames, filterDiffsOnly, notify, onRecom
                                 {isMissing ? (
                                   <div className="flex items-center gap-2 flex-wrap">
                                     <span className="badge badge-danger">Missing</span>
-                                    <button className="btn btn-sm btn-primary" disabled={actionLoading} onClick={() => handleAddMissingState(p, witName, stateName)}>Add</button>
+                                    <button className="btn btn-sm btn-primary" disabled={actionLoading || !!p.snapshotId} onClick={() => handleAddMissingState(p, witName, stateName)}>Add</button>
                                   </div>
                                 ) : (() => {
                                   const sorted = sortedPerProc[p.processId] || [];
@@ -1221,10 +1424,21 @@ function StatesTab({ comp, procs, processNames, filterDiffsOnly, notify, onRecom
                                       {info.color && <span style={{ backgroundColor: `#${info.color}`, display: 'inline-block', width: 14, height: 14, borderRadius: '50%', border: '1px solid #ccc' }} />}
                                       <span className="text-sm text-secondary">#{info.order ?? '-'}</span>
                                       {isSystem && <span className="badge badge-neutral" title="System state — read-only in inherited processes">System</span>}
+                                      {info.hidden && <span className="badge badge-warning">Hidden</span>}
                                       <div className="btn-group">
-                                        <button className="btn btn-sm" disabled={actionLoading || isFirst} onClick={() => handleMoveState(p, witName, stateName, 'up')} title="Move up">&#9650;</button>
-                                        <button className="btn btn-sm" disabled={actionLoading || isLast} onClick={() => handleMoveState(p, witName, stateName, 'down')} title="Move down">&#9660;</button>
+                                        <button className="btn btn-sm" disabled={actionLoading || !!p.snapshotId || isFirst} onClick={() => handleMoveState(p, witName, stateName, 'up')} title="Move up">&#9650;</button>
+                                        <button className="btn btn-sm" disabled={actionLoading || !!p.snapshotId || isLast} onClick={() => handleMoveState(p, witName, stateName, 'down')} title="Move down">&#9660;</button>
                                       </div>
+                                      {info.customizationType !== 'custom' && (
+                                        <button
+                                          className="btn btn-sm"
+                                          disabled={actionLoading || !!p.snapshotId}
+                                          onClick={() => handleToggleHidden(p, witName, stateName, info)}
+                                          title="Inherited states can't be removed, only hidden"
+                                        >
+                                          {info.hidden ? 'Unhide' : 'Hide'}
+                                        </button>
+                                      )}
                                     </div>
                                   );
                                 })()}
@@ -1267,6 +1481,345 @@ function StatesTab({ comp, procs, processNames, filterDiffsOnly, notify, onRecom
   );
 }
 
+const RULE_DIFF_LABELS = {
+  missing: { label: 'Missing', cls: 'badge-danger' },
+  extra: { label: 'Extra', cls: 'badge-primary' },
+  divergent: { label: 'Divergent', cls: 'badge-warning' },
+};
+
+function formatRuleActions(actions) {
+  return (actions || []).map((a) => `${a.actionType} ${a.targetField || ''}${a.value ? ` = ${a.value}` : ''}`.trim()).join(', ') || '--';
+}
+
+function RulesTab({ comp, procs, processNames }) {
+  const { rules } = comp;
+  if (!rules?.byWorkItemType) return <div className="card"><p className="text-secondary">No rule data available.</p></div>;
+
+  const witNames = Object.keys(rules.byWorkItemType).filter((w) => (rules.byWorkItemType[w].differences || []).length > 0);
+  const referenceName = procs.length > 0 ? processNames[procs[0].processId] : '';
+
+  return (
+    <div>
+      <div className="card" style={{ marginBottom: 16 }}>
+        <p className="text-sm text-secondary">
+          Rules are matched by their conditions and actions, not by id. <strong>Missing</strong> rules exist in {referenceName} but not in another process,
+          <strong> Extra</strong> rules exist elsewhere but not in {referenceName}, and <strong>Divergent</strong> rules share the same conditions but act differently, are enabled differently or are defined a different number of times.
+        </p>
+      </div>
+      {witNames.length === 0 && <div className="card"><p className="text-secondary">All rules match.</p></div>}
+      {witNames.map((witName) => {
+        const diffs = rules.byWorkItemType[witName].differences;
+        return (
+          <CollapsibleSection key={witName} title={witName} badge={<span className="badge badge-danger" style={{ marginLeft: 8 }}>{diffs.length} diffs</span>} defaultOpen>
+            <div className="card" style={{ marginBottom: 12 }}>
+              <div className="table-wrap">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Rule</th>
+                      {procs.map((p) => <th key={p.processId}>{processNames[p.processId]}</th>)}
+                      <th>Difference</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {diffs.map((d) => {
+                      const kind = RULE_DIFF_LABELS[d.kind] || RULE_DIFF_LABELS.divergent;
+                      const actionsDiff = d.propertyDifferences?.find((pd) => pd.property === 'actions');
+                      const disabledDiff = d.propertyDifferences?.find((pd) => pd.property === 'isDisabled');
+                      const countDiff = d.propertyDifferences?.find((pd) => pd.property === 'count');
+                      return (
+                        <tr key={d.ruleKey} className="diff-changed">
+                          <td className="text-sm"><strong>{d.ruleName}</strong></td>
+                          {procs.map((p) => {
+                            const present = d.presentIn?.includes(p.processId);
+                            const excluded = !present && !d.missingFrom?.includes(p.processId);
+                            return (
+                              <td key={p.processId} className={!present && !excluded ? 'diff-removed' : ''}>
+                                {excluded ? <span className="text-sm text-secondary">No WIT</span>
+                                  : !present ? <span className="badge badge-danger">Missing</span>
+                                  : actionsDiff ? <span className="text-sm">{formatRuleActions(actionsDiff.values[p.processId])}</span>
+                                  : disabledDiff ? (disabledDiff.values[p.processId] ? <span className="badge badge-neutral">Disabled</span> : <span className="badge badge-success">Enabled</span>)
+                                  : countDiff ? <span className="text-sm">Defined {countDiff.values[p.processId]}×</span>
+                                  : <span className="text-sm">{formatRuleActions(d.actions)}</span>}
+                              </td>
+                            );
+                          })}
+                          <td><span className={`badge ${kind.cls}`}>{kind.label}</span></td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </CollapsibleSection>
+        );
+      })}
+    </div>
+  );
+}
+
+const LAYOUT_INDENT = { page: 0, group: 16, control: 32 };
+
+function LayoutTab({ comp, procs, processNames, filterDiffsOnly, notify, onRecompare }) {
+  const { layouts } = comp;
+  const [actionLoading, setActionLoading] = useState(false);
+  if (!layouts?.byWorkItemType) return <div className="card"><p className="text-secondary">No layout data available.</p></div>;
+
+  const witNames = Object.keys(layouts.byWorkItemType);
+  if (witNames.length === 0) return <div className="card"><p className="text-secondary">No layout data available.</p></div>;
+
+  // Groups and controls are hidden rather than removed, since inherited ones can't be removed
+  const handleToggleVisible = async (proc, witName, row, info) => {
+    const witRefName = layouts.byWorkItemType[witName]?.witRefNames?.[proc.processId];
+    if (!witRefName) { notify('error', `Cannot find WIT reference name for ${witName}`); return; }
+    const visible = !info.visible;
+    setActionLoading(true);
+    try {
+      if (row.level === 'group') {
+        await editor.updateGroup(proc.connectionId, proc.processId, witRefName, info.pageId, info.section, info.id, { visible });
+      } else {
+        await editor.editControl(proc.connectionId, proc.processId, witRefName, info.groupId, info.id, { visible });
+      }
+      notify('success', `${visible ? 'Showing' : 'Hiding'} ${row.level} "${row.label}" in ${processNames[proc.processId]}`);
+      await onRecompare();
+    } catch (err) {
+      notify('error', `Failed to ${visible ? 'show' : 'hide'} ${row.level}: ${err.message}`);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      {witNames.map((witName) => {
+        const witData = layouts.byWorkItemType[witName];
+        const diffs = witData.differences || [];
+        if (filterDiffsOnly && diffs.length === 0) return null;
+        const diffByKey = Object.fromEntries(diffs.map((d) => [d.key, d]));
+        const rows = filterDiffsOnly ? witData.rows.filter((r) => diffByKey[r.key]) : witData.rows;
+
+        return (
+          <CollapsibleSection
+            key={witName}
+            title={witName}
+            badge={diffs.length > 0 ? <span className="badge badge-danger" style={{ marginLeft: 8 }}>{diffs.length} diffs</span> : <span className="badge badge-success" style={{ marginLeft: 8 }}>Match</span>}
+            defaultOpen={diffs.length > 0}
+          >
+            <div className="card" style={{ marginBottom: 12 }}>
+              <div className="table-wrap">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Page / Group / Control</th>
+                      {procs.map((p) => <th key={p.processId}>{processNames[p.processId]}</th>)}
+                      <th>Differences</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((row) => {
+                      const diff = diffByKey[row.key];
+                      const perProc = witData.byKey[row.key] || {};
+                      return (
+                        <tr key={row.key} className={diff ? 'diff-changed' : ''}>
+                          <td style={{ paddingLeft: 8 + LAYOUT_INDENT[row.level] }}>
+                            {row.level === 'page' ? <strong>{row.label}</strong> : row.level === 'group' ? <em>{row.label}</em> : <span className="text-sm">{row.label}</span>}
+                            <span className="badge badge-neutral" style={{ marginLeft: 6 }}>{row.level}</span>
+                            {filterDiffsOnly && <div className="text-sm text-secondary">{row.path}</div>}
+                          </td>
+                          {procs.map((p) => {
+                            const info = perProc[p.processId];
+                            const notCompared = !info && !diff?.missingFrom?.includes(p.processId);
+                            return (
+                              <td key={p.processId} className={!info && !notCompared ? 'diff-removed' : ''}>
+                                {notCompared ? <span className="text-sm text-secondary">--</span>
+                                  : !info ? <span className="badge badge-danger">Missing</span>
+                                  : (
+                                    <div className="flex items-center gap-2 flex-wrap">
+                                      {info.visible ? <span className="badge badge-success">Visible</span> : <span className="badge badge-warning">Hidden</span>}
+                                      {row.level !== 'page' && (
+                                        <button className="btn btn-sm" disabled={actionLoading || !!p.snapshotId} onClick={() => handleToggleVisible(p, witName, row, info)}>
+                                          {info.visible ? 'Hide' : 'Show'}
+                                        </button>
+                                      )}
+                                      {row.level === 'control' && info.label && info.label !== row.label && <span className="text-sm">"{info.label}"</span>}
+                                      {row.level === 'control' && diff?.propertyDifferences?.some((pd) => pd.property === 'location') && <span className="text-sm text-secondary">{info.location}</span>}
+                                    </div>
+                                  )}
+                              </td>
+                            );
+                          })}
+                          <td>
+                            {diff?.propertyDifferences?.length > 0 ? (
+                              <div>
+                                {diff.propertyDifferences.map((pd, i) => (
+                                  <div key={i} className="text-sm" style={{ marginBottom: 2 }}>
+                                    <strong>{pd.property}:</strong>{' '}
+                                    {Object.entries(pd.values || {}).map(([pid, val]) => (
+                                      <span key={pid} className="badge badge-neutral" style={{ margin: '0 2px' }}>
+                                        {processNames[pid]}: {String(val ?? 'null')}
+                                      </span>
+                                    ))}
+                                  </div>
+                                ))}
+                              </div>
+                            ) : diff ? (
+                              <span className="badge badge-warning">Presence differs</span>
+                            ) : (
+                              <span className="text-sm text-secondary">--</span>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </CollapsibleSection>
+        );
+      })}
+    </div>
+  );
+}
+
+/** Summarize a process's item changes against the reference list, e.g. "+1 added, -2 removed, reordered". */
+function describePicklistChange(change) {
+  if (!change) return '';
+  return [
+    change.added.length > 0 && `+${change.added.length} added`,
+    change.removed.length > 0 && `-${change.removed.length} removed`,
+    change.reordered && 'reordered',
+  ].filter(Boolean).join(', ');
+}
+
+function PicklistsTab({ comp, procs, processNames, filterDiffsOnly, notify, onRecompare }) {
+  const { picklists } = comp;
+  const [actionLoading, setActionLoading] = useState(false);
+
+  if (!picklists?.byField || picklists.all.length === 0) {
+    return <div className="card"><p className="text-secondary">No picklist fields to compare. Pull the processes again to include their picklists.</p></div>;
+  }
+
+  const diffByField = Object.fromEntries(picklists.differences.map((d) => [d.fieldRefName, d]));
+  const fieldRefs = filterDiffsOnly ? picklists.all.filter((ref) => diffByField[ref]) : picklists.all;
+
+  const handleSyncValues = async (fieldRefName, sourceId, targetProc) => {
+    const source = picklists.byField[fieldRefName][sourceId];
+    setActionLoading(true);
+    try {
+      const result = await editor.syncPicklistValues(targetProc.connectionId, targetProc.processId, {
+        fieldRefName,
+        items: source.items,
+        isSuggested: source.isSuggested,
+      });
+      notify('success', `Synced ${result.items.length} value(s) of ${fieldRefName} to ${processNames[targetProc.processId]}`);
+      await onRecompare();
+    } catch (err) {
+      notify('error', `Failed to sync values: ${err.message}`);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="card" style={{ marginBottom: 16 }}>
+        <p className="text-sm text-secondary">
+          Picklists belong to the organization, so they are compared per field. Each list is compared with the first process that has one:
+          numbers show an item's position, and <strong>Sync values</strong> replaces a process's list with that one. The change applies to every process in the organization that uses the field.
+        </p>
+      </div>
+      {fieldRefs.length === 0 && <div className="card"><p className="text-secondary">All picklists match.</p></div>}
+      {fieldRefs.map((fieldRefName) => {
+        const perProc = picklists.byField[fieldRefName];
+        const diff = diffByField[fieldRefName];
+        const referenceId = diff ? diff.referenceId : procs.map((p) => p.processId).find((pid) => perProc[pid]);
+        // Reference items first, then the items other processes add, in the order they appear
+        const rows = [];
+        for (const pid of [referenceId, ...procs.map((p) => p.processId)]) {
+          for (const item of perProc[pid]?.items || []) {
+            if (!rows.includes(item)) rows.push(item);
+          }
+        }
+        const propertyDiffs = diff?.propertyDifferences || [];
+
+        return (
+          <CollapsibleSection
+            key={fieldRefName}
+            title={`${picklists.fieldNames?.[fieldRefName] || fieldRefName} (${fieldRefName})`}
+            badge={diff ? <span className="badge badge-danger" style={{ marginLeft: 8 }}>Differs</span> : <span className="badge badge-success" style={{ marginLeft: 8 }}>Match</span>}
+            defaultOpen={!!diff}
+          >
+            <div className="card" style={{ marginBottom: 12 }}>
+              <div className="table-wrap">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Value</th>
+                      {procs.map((p) => (
+                        <th key={p.processId}>
+                          {processNames[p.processId]}
+                          {p.processId === referenceId && <span className="badge badge-neutral" style={{ marginLeft: 6 }}>Reference</span>}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((item) => (
+                      <tr key={String(item)}>
+                        <td className="text-sm"><strong>{String(item)}</strong></td>
+                        {procs.map((p) => {
+                          const list = perProc[p.processId];
+                          const index = list ? list.items.indexOf(item) : -1;
+                          const change = diff?.itemChanges?.[p.processId];
+                          return (
+                            <td key={p.processId} className={list && index === -1 ? 'diff-removed' : change?.added.includes(item) ? 'diff-added' : ''}>
+                              {!list ? <span className="text-sm text-secondary">--</span>
+                                : index === -1 ? <span className="badge badge-danger">Missing</span>
+                                : <span className={`badge ${change?.added.includes(item) ? 'badge-success' : 'badge-neutral'}`}>#{index + 1}</span>}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                    <tr>
+                      <td className="text-sm"><strong>Differences</strong></td>
+                      {procs.map((p) => {
+                        const list = perProc[p.processId];
+                        const change = diff?.itemChanges?.[p.processId];
+                        const missing = diff?.missingFrom?.includes(p.processId);
+                        const differs = !!change || propertyDiffs.some((pd) => pd.values[p.processId] !== undefined && pd.values[p.processId] !== pd.values[referenceId]);
+                        return (
+                          <td key={p.processId}>
+                            {missing && <span className="badge badge-danger">Not a picklist</span>}
+                            {list && (
+                              <div className="flex items-center gap-2 flex-wrap">
+                                {list.isSuggested && <span className="badge badge-neutral">Suggested</span>}
+                                {propertyDiffs.some((pd) => pd.property === 'type') && <span className="badge badge-neutral">{list.type}</span>}
+                                {change && <span className="text-sm">{describePicklistChange(change)}</span>}
+                                {differs && p.processId !== referenceId && (
+                                  <button className="btn btn-sm btn-primary" disabled={actionLoading || !!p.snapshotId} onClick={() => handleSyncValues(fieldRefName, referenceId, p)}>
+                                    Sync values
+                                  </button>
+                                )}
+                              </div>
+                            )}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </CollapsibleSection>
+        );
+      })}
+    </div>
+  );
+}
+
 function BehaviorsTab({ comp, procs, processNames }) {
   const { behaviors, workItemTypeBehaviors } = comp;
   return (
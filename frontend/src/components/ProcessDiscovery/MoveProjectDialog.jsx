@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { processes as processesApi } from '../../services/api';
+
+/**
+ * Moves a project to another process. The move is checked first: the target
+ * must be based on the same system process and have every work item type and
+ * state the project's work items use.
+ */
+export default function MoveProjectDialog({ connectionId, project, sourceProcess, processList, onMoved, onClose, notify }) {
+  const [targetProcessId, setTargetProcessId] = useState('');
+  const [validation, setValidation] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [moving, setMoving] = useState(false);
+
+  const targets = processList.filter((p) => p.typeId !== sourceProcess.typeId);
+
+  const handleTargetChange = (e) => {
+    setTargetProcessId(e.target.value);
+    setValidation(null);
+  };
+
+  const handleCheck = async () => {
+    setChecking(true);
+    try {
+      const result = await processesApi.moveProject(connectionId, project.id, { targetProcessId, validateOnly: true });
+      setValidation(result.validation);
+    } catch (err) {
+      notify('error', `Could not check the move: ${err.message}`);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleMove = async () => {
+    setMoving(true);
+    try {
+      const result = await processesApi.moveProject(connectionId, project.id, { targetProcessId });
+      notify('success', `Moved ${project.name} to ${result.validation.targetProcess.name}`);
+      onMoved();
+    } catch (err) {
+      notify('error', `Failed to move project: ${err.message}`);
+    } finally {
+      setMoving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={() => !moving && onClose()}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Move Project</h2>
+          <button className="modal-close" onClick={onClose} disabled={moving}>&times;</button>
+        </div>
+        <div className="modal-body">
+          <p className="text-sm text-secondary mb-4">
+            Move <strong>{project.name}</strong> from <strong>{sourceProcess.name}</strong> to another process.
+            Azure DevOps only moves projects between processes based on the same system process, and the work items keep their type and state,
+            so the target must have every type and state they use.
+          </p>
+          <div className="form-group">
+            <label>Target process</label>
+            <select value={targetProcessId} onChange={handleTargetChange}>
+              <option value="">Select process...</option>
+              {targets.map((p) => <option key={p.typeId} value={p.typeId}>{p.name}</option>)}
+            </select>
+          </div>
+
+          {validation && (
+            <div className="mt-2">
+              {validation.canMove
+                ? <div className="notification notification-success mb-2">The project can be moved.</div>
+                : <div className="notification notification-error mb-2">The project can't be moved:</div>}
+              {validation.issues.length > 0 && (
+                <ul className="text-sm mb-2">
+                  {validation.issues.map((issue, i) => <li key={i}>{issue.message}</li>)}
+                </ul>
+              )}
+              {validation.warnings.length > 0 && (
+                <div className="notification notification-warning">
+                  {validation.warnings.map((warning, i) => <div key={i} className="text-sm">{warning.message}</div>)}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+        <div className="modal-footer">
+          <button className="btn" onClick={onClose} disabled={moving}>Cancel</button>
+          <button className="btn" onClick={handleCheck} disabled={!targetProcessId || checking || moving}>
+            {checking ? <><span className="spinner" /> Checking...</> : 'Check'}
+          </button>
+          <button className="btn btn-primary" onClick={handleMove} disabled={!validation || !validation.canMove || moving}>
+            {moving ? <><span className="spinner" /> Moving...</> : 'Move Project'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,11 +1,14 @@
-import { useState, useEffect, useCallback, useMemo } from 'react';
+import { Fragment, useState, useEffect, useCallback, useMemo } from 'react';
 import { processes, comparison } from '../../services/api';
+import MoveProjectDialog from './MoveProjectDialog';
+import ProcessSettingsDialog from './ProcessSettingsDialog';
 
 export default function ProcessDiscovery({
   connections,
   pulledProcesses,
   onProcessPulled,
   onProcessRemoved,
+  onProcessDeleted,
   onCompare,
   notify,
 }) {
@@ -13,6 +16,16 @@ export default function ProcessDiscovery({
   const [selectedConnectionId, setSelectedConnectionId] = useState('');
   const [processList, setProcessList] = useState([]);
   const [loadingList, setLoadingList] = useState(false);
+  // Bumped to reload the process list, e.g. after a project moved
+  const [listVersion, setListVersion] = useState(0);
+
+  // --- Processes whose project list is expanded, and the project being moved ---
+  const [expandedProjectIds, setExpandedProjectIds] = useState(new Set());
+  const [movingProject, setMovingProject] = useState(null); // { project, process }
+
+  // --- Process being renamed, and processes with a settings change or delete in flight ---
+  const [editingProcess, setEditingProcess] = useState(null);
+  const [updatingIds, setUpdatingIds] = useState(new Set());
 
   // --- Per-process pull loading: Set of processId strings currently being pulled ---
   const [pullingIds, setPullingIds] = useState(new Set());
@@ -24,6 +37,14 @@ export default function ProcessDiscovery({
   // --- Expanded pulled processes (quick overview) ---
   const [expandedPulledIds, setExpandedPulledIds] = useState(new Set());
 
+  // --- Kept snapshots per pulled process, loaded when a row is expanded ---
+  const [snapshotLists, setSnapshotLists] = useState({});
+
+  // --- Baselines and drift checks, keyed like pulled processes ---
+  const [baselines, setBaselines] = useState({});
+  const [driftReports, setDriftReports] = useState({});
+  const [checkingDrift, setCheckingDrift] = useState(new Set());
+
   // =========================================================================
   // Fetch process list when a connection is selected
   // =========================================================================
@@ -58,7 +79,29 @@ export default function ProcessDiscovery({
     return () => {
       cancelled = true;
     };
-  }, [selectedConnectionId, notify]);
+  }, [selectedConnectionId, listVersion, notify]);
+
+  // =========================================================================
+  // Load baselines (and their last drift check) for the pulled processes
+  // =========================================================================
+  useEffect(() => {
+    let cancelled = false;
+    processes
+      .baselines()
+      .then((list) => {
+        if (!cancelled) {
+          setBaselines(Object.fromEntries(list.map((b) => [`${b.connectionId}::${b.processId}`, b])));
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          notify('error', `Failed to load baselines: ${err.message}`);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [pulledProcesses.length, notify]);
 
   // =========================================================================
   // Helpers
@@ -82,6 +125,9 @@ export default function ProcessDiscovery({
   /** Build a unique key for a pulled process entry. */
   const pulledKey = (p) => `${p.connectionId}::${p.process.typeId}`;
 
+  /** Build the compare selection key for a snapshot of a pulled process. */
+  const snapshotKey = (key, snapshotId) => `${key}@${snapshotId}`;
+
   // =========================================================================
   // Handlers
   // =========================================================================
@@ -93,8 +139,15 @@ export default function ProcessDiscovery({
   const handlePull = async (processId) => {
     setPullingIds((prev) => new Set(prev).add(processId));
     try {
-      const data = await processes.pull(selectedConnectionId, processId);
+      const { throttle, ...data } = await processes.pull(selectedConnectionId, processId);
       onProcessPulled(data);
+      if (throttle && throttle.throttled > 0) {
+        notify('warning', `Azure DevOps throttled ${throttle.throttled} request(s) during the pull; they were retried after the requested delay.`);
+      }
+      // The pull added a snapshot; refresh the list if it is on screen
+      if (expandedPulledIds.has(`${selectedConnectionId}::${processId}`)) {
+        loadSnapshots(selectedConnectionId, processId);
+      }
     } catch (err) {
       notify('error', `Failed to pull process: ${err.message}`);
     } finally {
@@ -106,6 +159,83 @@ export default function ProcessDiscovery({
     }
   };
 
+  const handleToggleProjects = (processId) => {
+    setExpandedProjectIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(processId)) {
+        next.delete(processId);
+      } else {
+        next.add(processId);
+      }
+      return next;
+    });
+  };
+
+  const handleProjectMoved = () => {
+    setMovingProject(null);
+    setListVersion((v) => v + 1);
+  };
+
+  const handleProcessSaved = () => {
+    setEditingProcess(null);
+    setListVersion((v) => v + 1);
+  };
+
+  /** Run a settings change or delete for a process, marking it busy meanwhile. */
+  const withProcessUpdating = async (processId, action) => {
+    setUpdatingIds((prev) => new Set(prev).add(processId));
+    try {
+      await action();
+      setListVersion((v) => v + 1);
+    } finally {
+      setUpdatingIds((prev) => {
+        const next = new Set(prev);
+        next.delete(processId);
+        return next;
+      });
+    }
+  };
+
+  const handleToggleEnabled = (proc) =>
+    withProcessUpdating(proc.typeId, async () => {
+      const isEnabled = proc.isEnabled === false;
+      try {
+        await processes.update(selectedConnectionId, proc.typeId, { isEnabled });
+        notify('success', `${isEnabled ? 'Enabled' : 'Disabled'} ${proc.name}`);
+      } catch (err) {
+        notify('error', `Failed to ${isEnabled ? 'enable' : 'disable'} process: ${err.message}`);
+      }
+    });
+
+  const handleSetDefault = (proc) =>
+    withProcessUpdating(proc.typeId, async () => {
+      try {
+        await processes.update(selectedConnectionId, proc.typeId, { isDefault: true });
+        notify('success', `${proc.name} is now the default process`);
+      } catch (err) {
+        notify('error', `Failed to set the default process: ${err.message}`);
+      }
+    });
+
+  const handleDeleteProcess = (proc) => {
+    if (!window.confirm(`Delete process "${proc.name}"? This can't be undone.`)) return;
+    return withProcessUpdating(proc.typeId, async () => {
+      try {
+        await processes.delete(selectedConnectionId, proc.typeId);
+        const key = `${selectedConnectionId}::${proc.typeId}`;
+        setSelectedForCompare((prev) =>
+          new Set([...prev].filter((selection) => selection.split('@')[0] !== key)),
+        );
+        // The server also cleared its baseline and took it off the drift schedule
+        forgetBaseline(key);
+        onProcessDeleted(selectedConnectionId, proc.typeId);
+        notify('success', `Deleted ${proc.name}`);
+      } catch (err) {
+        notify('error', `Failed to delete process: ${err.message}`);
+      }
+    });
+  };
+
   const handleToggleCompare = (key) => {
     setSelectedForCompare((prev) => {
       const next = new Set(prev);
@@ -119,21 +249,20 @@ export default function ProcessDiscovery({
   };
 
   const handleCompareSelected = async () => {
-    const selected = pulledProcesses.filter((p) =>
-      selectedForCompare.has(pulledKey(p)),
-    );
+    // Selections are either a pulled process or one of its snapshots
+    const processPairs = [...selectedForCompare].map((selection) => {
+      const [key, snapshotId] = selection.split('@');
+      const [connectionId, processId] = key.split('::');
+      return snapshotId ? { connectionId, processId, snapshotId } : { connectionId, processId };
+    });
 
-    if (selected.length < 2) {
+    if (processPairs.length < 2) {
       notify('warning', 'Select at least two processes to compare.');
       return;
     }
 
     setComparing(true);
     try {
-      const processPairs = selected.map((p) => ({
-        connectionId: p.connectionId,
-        processId: p.process.typeId,
-      }));
       const result = await comparison.compare(processPairs);
       onCompare(result);
     } catch (err) {
@@ -144,12 +273,10 @@ export default function ProcessDiscovery({
   };
 
   const handleClearPulled = async (key) => {
-    // Deselect if it was selected for comparison
-    setSelectedForCompare((prev) => {
-      const next = new Set(prev);
-      next.delete(key);
-      return next;
-    });
+    // Deselect it and its snapshots if they were selected for comparison
+    setSelectedForCompare((prev) =>
+      new Set([...prev].filter((selection) => selection.split('@')[0] !== key)),
+    );
 
     // Find the pulled process and clean up temp storage on the backend
     const entry = pulledProcesses.find((p) => pulledKey(p) === key);
@@ -164,7 +291,88 @@ export default function ProcessDiscovery({
     }
   };
 
+  const handleSetBaseline = async (entry, snapshotId) => {
+    const key = pulledKey(entry);
+    try {
+      const baseline = await processes.setBaseline(entry.connectionId, entry.process.typeId, snapshotId);
+      setBaselines((prev) => ({ ...prev, [key]: baseline }));
+      setDriftReports((prev) => {
+        const next = { ...prev };
+        delete next[key];
+        return next;
+      });
+      notify('success', `Baseline for ${entry.process.name} set to ${new Date(baseline.savedAt).toLocaleString()}`);
+    } catch (err) {
+      notify('error', `Failed to set baseline: ${err.message}`);
+    }
+  };
+
+  const forgetBaseline = (key) => {
+    setBaselines((prev) => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+    setDriftReports((prev) => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  };
+
+  const handleClearBaseline = async (entry) => {
+    try {
+      await processes.clearBaseline(entry.connectionId, entry.process.typeId);
+      forgetBaseline(pulledKey(entry));
+    } catch (err) {
+      notify('error', `Failed to clear baseline: ${err.message}`);
+    }
+  };
+
+  const handleCheckDrift = async (entry) => {
+    const key = pulledKey(entry);
+    setCheckingDrift((prev) => new Set(prev).add(key));
+    try {
+      const report = await processes.drift(entry.connectionId, entry.process.typeId);
+      onProcessPulled(report.pulled);
+      const { pulled, ...rest } = report;
+      setDriftReports((prev) => ({ ...prev, [key]: rest }));
+      setBaselines((prev) => ({
+        ...prev,
+        [key]: {
+          ...report.baseline,
+          lastCheck: { checkedAt: report.checkedAt, drifted: report.drifted, totalDifferences: report.totalDifferences, explainedDifferences: report.explainedDifferences },
+        },
+      }));
+      const byTool = report.explainedDifferences > 0
+        ? ` (${report.explainedDifferences} difference(s) come from ${report.toolChanges.length} change(s) made through this tool)`
+        : '';
+      if (!report.drifted) {
+        notify('success', `${entry.process.name} matches its baseline${byTool}`);
+      } else {
+        notify('warning', `${entry.process.name} has drifted: ${report.totalDifferences - report.explainedDifferences} difference(s) from its baseline${byTool}`);
+      }
+      if (expandedPulledIds.has(key)) {
+        loadSnapshots(entry.connectionId, entry.process.typeId);
+      }
+    } catch (err) {
+      notify('error', `Drift check failed: ${err.message}`);
+    } finally {
+      setCheckingDrift((prev) => {
+        const next = new Set(prev);
+        next.delete(key);
+        return next;
+      });
+    }
+  };
+
+  const handleViewDrift = (key) => {
+    const { processes: procs, comparison: comp } = driftReports[key];
+    onCompare({ processes: procs, comparison: comp });
+  };
+
   const handleToggleExpand = (key) => {
+    const expanding = !expandedPulledIds.has(key);
     setExpandedPulledIds((prev) => {
       const next = new Set(prev);
       if (next.has(key)) {
@@ -174,6 +382,19 @@ export default function ProcessDiscovery({
       }
       return next;
     });
+    const entry = pulledProcesses.find((p) => pulledKey(p) === key);
+    if (expanding && entry) {
+      loadSnapshots(entry.connectionId, entry.process.typeId);
+    }
+  };
+
+  const loadSnapshots = async (connectionId, processId) => {
+    try {
+      const data = await processes.snapshots(connectionId, processId);
+      setSnapshotLists((prev) => ({ ...prev, [`${connectionId}::${processId}`]: data.snapshots || [] }));
+    } catch (err) {
+      notify('error', `Failed to load snapshots: ${err.message}`);
+    }
   };
 
   // =========================================================================
@@ -201,15 +422,15 @@ export default function ProcessDiscovery({
 
   /** Determine the process type label. */
   const processTypeLabel = (proc) => {
-    if (proc.isDefault) return 'System';
-    if (proc.parentProcessTypeId) return 'Inherited';
+    if (proc.customizationType === 'system') return 'System';
+    if (proc.customizationType === 'inherited' || proc.parentProcessTypeId) return 'Inherited';
     return 'Custom';
   };
 
   /** Badge class for process type. */
   const processTypeBadge = (proc) => {
-    if (proc.isDefault) return 'badge-neutral';
-    if (proc.parentProcessTypeId) return 'badge-primary';
+    if (proc.customizationType === 'system') return 'badge-neutral';
+    if (proc.customizationType === 'inherited' || proc.parentProcessTypeId) return 'badge-primary';
     return 'badge-warning';
   };
 
@@ -272,6 +493,7 @@ export default function ProcessDiscovery({
                   <th>Name</th>
                   <th>Description</th>
                   <th>Type</th>
+                  <th>Projects</th>
                   <th>Status</th>
                   <th>Actions</th>
                 </tr>
@@ -280,52 +502,128 @@ export default function ProcessDiscovery({
                 {processList.map((proc) => {
                   const pulled = findPulled(selectedConnectionId, proc.typeId);
                   const isPulling = pullingIds.has(proc.typeId);
+                  const projects = proc.projects || [];
+                  const showProjects = expandedProjectIds.has(proc.typeId);
+                  const isSystem = proc.customizationType === 'system';
+                  const isDisabled = proc.isEnabled === false;
+                  const isUpdating = updatingIds.has(proc.typeId);
 
                   return (
-                    <tr key={proc.typeId}>
-                      <td style={{ fontWeight: 600 }}>{proc.name}</td>
-                      <td className="text-secondary text-sm truncate" style={{ maxWidth: 260 }}>
-                        {proc.description || '--'}
-                      </td>
-                      <td>
-                        <span className={`badge ${processTypeBadge(proc)}`}>
-                          {processTypeLabel(proc)}
-                        </span>
-                      </td>
-                      <td>
-                        {pulled ? (
-                          <span className="badge badge-success">Pulled</span>
-                        ) : (
-                          <span className="badge badge-neutral">Not pulled</span>
-                        )}
-                      </td>
-                      <td>
-                        <div className="btn-group">
-                          {/* Pull / Re-pull button */}
-                          <button
-                            className="btn btn-primary btn-sm"
-                            disabled={isPulling}
-                            onClick={() => handlePull(proc.typeId)}
-                            title={
-                              pulled
-                                ? `Last pulled: ${new Date(pulled.pulledAt).toLocaleString()}`
-                                : 'Pull full process data'
-                            }
-                          >
-                            {isPulling ? (
+                    <Fragment key={proc.typeId}>
+                      <tr>
+                        <td>
+                          <span style={{ fontWeight: 600 }}>{proc.name}</span>
+                          {proc.isDefault && <span className="badge badge-success" style={{ marginLeft: 6 }}>Default</span>}
+                          {isDisabled && <span className="badge badge-warning" style={{ marginLeft: 6 }}>Disabled</span>}
+                        </td>
+                        <td className="text-secondary text-sm truncate" style={{ maxWidth: 260 }}>
+                          {proc.description || '--'}
+                        </td>
+                        <td>
+                          <span className={`badge ${processTypeBadge(proc)}`}>
+                            {processTypeLabel(proc)}
+                          </span>
+                        </td>
+                        <td>
+                          {projects.length === 0 ? (
+                            <span className="text-secondary text-sm">0</span>
+                          ) : (
+                            <button className="btn btn-sm" onClick={() => handleToggleProjects(proc.typeId)} title="Show the projects that use this process">
+                              {projects.length} {showProjects ? '\u25B4' : '\u25BE'}
+                            </button>
+                          )}
+                        </td>
+                        <td>
+                          {pulled ? (
+                            <span className="badge badge-success">Pulled</span>
+                          ) : (
+                            <span className="badge badge-neutral">Not pulled</span>
+                          )}
+                        </td>
+                        <td>
+                          <div className="btn-group">
+                            {/* Pull / Re-pull button */}
+                            <button
+                              className="btn btn-primary btn-sm"
+                              disabled={isPulling}
+                              onClick={() => handlePull(proc.typeId)}
+                              title={
+                                pulled
+                                  ? `Last pulled: ${new Date(pulled.pulledAt).toLocaleString()}`
+                                  : 'Pull full process data'
+                              }
+                            >
+                              {isPulling ? (
+                                <>
+                                  <span className="spinner" /> Pulling...
+                                </>
+                              ) : pulled ? (
+                                'Re-pull'
+                              ) : (
+                                'Pull'
+                              )}
+                            </button>
+
+                            {!isSystem && (
                               <>
-                                <span className="spinner" /> Pulling...
+                                <button className="btn btn-sm" disabled={isUpdating} onClick={() => setEditingProcess(proc)}>
+                                  Edit...
+                                </button>
+                                <button
+                                  className="btn btn-sm"
+                                  disabled={isUpdating || (proc.isDefault && !isDisabled)}
+                                  onClick={() => handleToggleEnabled(proc)}
+                                  title={proc.isDefault && !isDisabled ? 'The default process can\'t be disabled' : 'New projects can only use enabled processes'}
+                                >
+                                  {isDisabled ? 'Enable' : 'Disable'}
+                                </button>
                               </>
-                            ) : pulled ? (
-                              'Re-pull'
-                            ) : (
-                              'Pull'
                             )}
-                          </button>
-
-                        </div>
-                      </td>
-                    </tr>
+                            {!proc.isDefault && (
+                              <button
+                                className="btn btn-sm"
+                                disabled={isUpdating || isDisabled}
+                                onClick={() => handleSetDefault(proc)}
+                                title={isDisabled ? 'Enable the process before making it the default' : 'Use this process for new projects by default'}
+                              >
+                                Set Default
+                              </button>
+                            )}
+                            {!isSystem && (
+                              <button
+                                className="btn btn-danger btn-sm"
+                                disabled={isUpdating || proc.isDefault || projects.length > 0}
+                                onClick={() => handleDeleteProcess(proc)}
+                                title={
+                                  proc.isDefault
+                                    ? 'Make another process the default before deleting this one'
+                                    : projects.length > 0
+                                      ? `Move its ${projects.length} project(s) to another process first`
+                                      : 'Delete this process'
+                                }
+                              >
+                                Delete
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                      {showProjects && (
+                        <tr>
+                          <td colSpan={6} style={{ paddingLeft: 24 }}>
+                            {projects.map((project) => (
+                              <div key={project.id} className="flex items-center gap-2" style={{ marginBottom: 4 }}>
+                                <span className="text-sm" style={{ fontWeight: 600 }}>{project.name}</span>
+                                {project.description && <span className="text-secondary text-sm truncate" style={{ maxWidth: 320 }}>{project.description}</span>}
+                                <button className="btn btn-sm" style={{ marginLeft: 'auto' }} onClick={() => setMovingProject({ project, process: proc })}>
+                                  Move...
+                                </button>
+                              </div>
+                            ))}
+                          </td>
+                        </tr>
+                      )}
+                    </Fragment>
                   );
                 })}
               </tbody>
@@ -334,6 +632,28 @@ export default function ProcessDiscovery({
         )}
       </div>
 
+      {movingProject && (
+        <MoveProjectDialog
+          connectionId={selectedConnectionId}
+          project={movingProject.project}
+          sourceProcess={movingProject.process}
+          processList={processList}
+          onMoved={handleProjectMoved}
+          onClose={() => setMovingProject(null)}
+          notify={notify}
+        />
+      )}
+
+      {editingProcess && (
+        <ProcessSettingsDialog
+          connectionId={selectedConnectionId}
+          process={editingProcess}
+          onSaved={handleProcessSaved}
+          onClose={() => setEditingProcess(null)}
+          notify={notify}
+        />
+      )}
+
       {/* ----------------------------------------------------------------- */}
       {/* Section 3: Pulled Processes (across all connections)               */}
       {/* ----------------------------------------------------------------- */}
@@ -371,6 +691,8 @@ export default function ProcessDiscovery({
               const isExpanded = expandedPulledIds.has(key);
               const summary = isExpanded ? summarize(entry) : null;
               const witCount = (entry.workItemTypes || []).length;
+              const baseline = baselines[key];
+              const lastCheck = baseline && baseline.lastCheck;
 
               return (
                 <div
@@ -406,10 +728,56 @@ export default function ProcessDiscovery({
                       <span className="text-secondary text-sm">
                         Pulled {new Date(entry.pulledAt).toLocaleString()}
                       </span>
+                      {baseline && (
+                        <span
+                          className={`badge ${!lastCheck ? 'badge-neutral' : lastCheck.drifted ? 'badge-warning' : 'badge-success'}`}
+                          title={`Baseline from ${new Date(baseline.savedAt).toLocaleString()}${lastCheck ? `, checked ${new Date(lastCheck.checkedAt).toLocaleString()}` : ''}${lastCheck?.explainedDifferences ? `, ${lastCheck.explainedDifferences} difference(s) made through this tool` : ''}`}
+                        >
+                          {!lastCheck
+                            ? 'Baseline set'
+                            : lastCheck.drifted
+                              ? `Drift: ${lastCheck.totalDifferences - (lastCheck.explainedDifferences || 0)}`
+                              : 'No drift'}
+                        </span>
+                      )}
                     </div>
 
                     {/* Right side: actions */}
                     <div className="btn-group" style={{ flexShrink: 0 }}>
+                      {baseline ? (
+                        <>
+                          <button
+                            className="btn btn-sm"
+                            disabled={checkingDrift.has(key)}
+                            onClick={() => handleCheckDrift(entry)}
+                            title="Re-pull and compare against the baseline"
+                          >
+                            {checkingDrift.has(key) ? (
+                              <>
+                                <span className="spinner" /> Checking...
+                              </>
+                            ) : (
+                              'Check Drift'
+                            )}
+                          </button>
+                          {driftReports[key] && driftReports[key].totalDifferences > 0 && (
+                            <button className="btn btn-sm" onClick={() => handleViewDrift(key)}>
+                              View Drift
+                            </button>
+                          )}
+                          <button className="btn btn-sm" onClick={() => handleClearBaseline(entry)}>
+                            Clear Baseline
+                          </button>
+                        </>
+                      ) : (
+                        <button
+                          className="btn btn-sm"
+                          onClick={() => handleSetBaseline(entry)}
+                          title="Approve the latest pull as the baseline"
+                        >
+                          Set Baseline
+                        </button>
+                      )}
                       <button
                         className="btn btn-danger btn-sm"
                         onClick={() => handleClearPulled(key)}
@@ -441,6 +809,56 @@ export default function ProcessDiscovery({
                             .join(' | ')}
                         </div>
                       )}
+                      <div className="text-sm mt-2">
+                        <strong>Export template:</strong>{' '}
+                        <a href={processes.exportUrl(entry.connectionId, entry.process.typeId, 'yaml')} download>YAML</a>
+                        {' | '}
+                        <a href={processes.exportUrl(entry.connectionId, entry.process.typeId, 'json')} download>JSON</a>
+                        <span className="text-secondary"> -- without ids, for committing to source control</span>
+                      </div>
+                      <div className="text-sm mt-2">
+                        <strong>Export process archive:</strong>{' '}
+                        <a href={processes.exportUrl(entry.connectionId, entry.process.typeId, 'zip')} download>ZIP</a>
+                        <span className="text-secondary"> -- XML definitions in the Azure DevOps process import format</span>
+                      </div>
+                      <div className="text-sm mt-2">
+                        <strong>Snapshots</strong>{' '}
+                        <span className="text-secondary">
+                          -- select one to compare against the current data or another process
+                        </span>
+                      </div>
+                      {!snapshotLists[key] ? (
+                        <div className="text-sm text-secondary"><span className="spinner" /> Loading...</div>
+                      ) : snapshotLists[key].length === 0 ? (
+                        <div className="text-sm text-secondary">No snapshots kept yet.</div>
+                      ) : (
+                        <div className="scroll-panel" style={{ maxHeight: 160 }}>
+                          {snapshotLists[key].map((snap, index) => (
+                            <label key={snap.snapshotId} className="flex items-center gap-2 text-sm">
+                              <input
+                                type="checkbox"
+                                checked={selectedForCompare.has(snapshotKey(key, snap.snapshotId))}
+                                onChange={() => handleToggleCompare(snapshotKey(key, snap.snapshotId))}
+                              />
+                              {new Date(snap.savedAt).toLocaleString()}
+                              {index === 0 && <span className="badge badge-neutral">latest</span>}
+                              {baseline && baseline.snapshotId === snap.snapshotId ? (
+                                <span className="badge badge-primary">baseline</span>
+                              ) : (
+                                <button
+                                  className="btn btn-sm"
+                                  onClick={(e) => {
+                                    e.preventDefault();
+                                    handleSetBaseline(entry, snap.snapshotId);
+                                  }}
+                                >
+                                  Make Baseline
+                                </button>
+                              )}
+                            </label>
+                          ))}
+                        </div>
+                      )}
                     </div>
                   )}
                 </div>
@@ -0,0 +1,57 @@
+import { useState } from 'react';
+import { processes as processesApi } from '../../services/api';
+
+/**
+ * Renames an inherited process or changes its description. Only the values
+ * that changed are sent.
+ */
+export default function ProcessSettingsDialog({ connectionId, process, onSaved, onClose, notify }) {
+  const [name, setName] = useState(process.name);
+  const [description, setDescription] = useState(process.description || '');
+  const [saving, setSaving] = useState(false);
+
+  const updates = {};
+  if (name.trim() !== process.name) updates.name = name.trim();
+  if (description !== (process.description || '')) updates.description = description;
+  const changed = Object.keys(updates).length > 0;
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const updated = await processesApi.update(connectionId, process.typeId, updates);
+      notify('success', `Saved ${updated.name || name.trim()}`);
+      onSaved();
+    } catch (err) {
+      notify('error', `Failed to update process: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={() => !saving && onClose()}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Edit Process</h2>
+          <button className="modal-close" onClick={onClose} disabled={saving}>&times;</button>
+        </div>
+        <div className="modal-body">
+          <div className="form-group">
+            <label>Name</label>
+            <input type="text" value={name} onChange={(e) => setName(e.target.value)} />
+          </div>
+          <div className="form-group">
+            <label>Description</label>
+            <textarea rows={3} value={description} onChange={(e) => setDescription(e.target.value)} />
+          </div>
+        </div>
+        <div className="modal-footer">
+          <button className="btn" onClick={onClose} disabled={saving}>Cancel</button>
+          <button className="btn btn-primary" onClick={handleSave} disabled={!changed || !name.trim() || saving}>
+            {saving ? <><span className="spinner" /> Saving...</> : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+const ACTION_BADGES = {
+  add: { cls: 'badge-success', label: 'Add' },
+  update: { cls: 'badge-warning', label: 'Update' },
+  move: { cls: 'badge-warning', label: 'Move' },
+  remove: { cls: 'badge-danger', label: 'Remove' },
+  hide: { cls: 'badge-warning', label: 'Hide' },
+  unhide: { cls: 'badge-warning', label: 'Unhide' },
+};
+
+const SECTION_LABELS = {
+  workItemTypes: 'Work Item Type',
+  behaviors: 'Behavior',
+  fields: 'Field',
+  states: 'State',
+  rules: 'Rule',
+  workItemTypeBehaviors: 'WIT Behavior',
+  layout: 'Layout',
+};
+
+function describeItem(item) {
+  if (typeof item === 'string') return item;
+  if (item.ruleId && item.isDisabled !== undefined) return `${item.isDisabled ? 'Disable' : 'Enable'} ${item.name || item.ruleId}`;
+  return item.name || item.label || item.referenceName || item.fieldRefName || item.stateId || item.ruleId ||
+    item.behaviorId || item.witRefName || item.group || item.control || item.page || item.behavior?.id || JSON.stringify(item);
+}
+
+const RESULT_TYPES = {
+  workItemTypes: 'workItemType',
+  behaviors: 'behavior',
+  fields: 'field',
+  states: 'state',
+  rules: 'rule',
+  workItemTypeBehaviors: 'workItemTypeBehavior',
+  pages: 'page',
+  sections: 'section',
+  groups: 'group',
+  controls: 'control',
+};
+
+/**
+ * The `item` the apply endpoint reports for an operation; mirrors the entries
+ * pushed by runOperations in backend/routes/editor.js.
+ */
+function resultItem(section, kind, action, item) {
+  if (typeof item === 'string') return item;
+  if (section === 'layout') {
+    if (kind === 'pages') return action === 'add' ? item.label : item.page;
+    if (kind === 'sections') return `${item.page} / ${item.id || item.section}`;
+    if (kind === 'groups') return action === 'add' ? `${item.page} / ${item.label}` : item.group;
+    return item.control;
+  }
+  if (action === 'add') {
+    if (section === 'fields') return item.referenceName || item.name;
+    if (section === 'workItemTypeBehaviors') return item.behavior?.id;
+    return item.name;
+  }
+  return item.witRefName || item.behaviorId || item.fieldRefName || item.stateId || item.ruleId;
+}
+
+function resultKey({ type, action, witRefName, item }) {
+  return JSON.stringify([type, action, witRefName || null, item]);
+}
+
+/**
+ * Flatten a change set into a list of individual operations. Each entry
+ * carries the `path` of its array inside `changes` and its `index`, so it can
+ * be discarded on its own.
+ * @param {object} changes - Editor change set
+ * @returns {Array<{ path: string[], index: number, section: string, wit: string|null, action: string, label: string }>}
+ */
+export function listOperations(changes) {
+  const ops = [];
+  const push = (path, section, wit, list) => {
+    const action = path[path.length - 1];
+    (list || []).forEach((item, index) => {
+      ops.push({ path, index, section, wit, action, label: describeItem(item) });
+    });
+  };
+  if (!changes) return ops;
+
+  for (const section of ['workItemTypes', 'behaviors']) {
+    for (const action of ['add', 'update', 'remove']) {
+      push([section, action], section, null, changes[section]?.[action]);
+    }
+  }
+  for (const section of ['fields', 'states', 'rules', 'workItemTypeBehaviors']) {
+    for (const [wit, witOps] of Object.entries(changes[section] || {})) {
+      for (const action of ['add', 'update', 'remove', 'hide', 'unhide']) {
+        push([section, wit, action], section, wit, witOps?.[action]);
+      }
+    }
+  }
+  for (const [wit, layoutOps] of Object.entries(changes.layout || {})) {
+    for (const [kind, kindOps] of Object.entries(layoutOps || {})) {
+      for (const action of ['add', 'update', 'move', 'hide', 'unhide', 'remove']) {
+        push(['layout', wit, kind, action], 'layout', wit, kindOps?.[action]);
+      }
+    }
+  }
+  return ops;
+}
+
+/**
+ * Return a copy of `changes` with the operation at `path[index]` removed.
+ * @param {object} changes
+ * @param {string[]} path
+ * @param {number} index
+ * @returns {object}
+ */
+export function discardOperation(changes, path, index) {
+  const next = { ...changes };
+  let node = next;
+  for (const key of path.slice(0, -1)) {
+    node[key] = { ...node[key] };
+    node = node[key];
+  }
+  const last = path[path.length - 1];
+  node[last] = node[last].filter((_, i) => i !== index);
+  return next;
+}
+
+/**
+ * Return a copy of `changes` without the operations reported as applied by
+ * the apply endpoint, so that after a partial failure only the failed and
+ * skipped operations stay pending.
+ * @param {object} changes
+ * @param {Array<{ type: string, action: string, witRefName?: string, item: string }>} applied - `results.applied`
+ * @returns {object}
+ */
+export function withoutApplied(changes, applied) {
+  const done = new Map();
+  for (const entry of applied || []) done.set(resultKey(entry), (done.get(resultKey(entry)) || 0) + 1);
+  let next = changes;
+  // Discard from the end so earlier indexes stay valid
+  for (const op of listOperations(changes).reverse()) {
+    const list = op.path.reduce((node, key) => node[key], changes);
+    const kind = op.section === 'layout' ? op.path[2] : op.section;
+    const key = resultKey({
+      type: RESULT_TYPES[kind],
+      action: op.action,
+      witRefName: op.wit,
+      item: resultItem(op.section, kind, op.action, list[op.index]),
+    });
+    if (done.get(key) > 0) {
+      done.set(key, done.get(key) - 1);
+      next = discardOperation(next, op.path, op.index);
+    }
+  }
+  return next;
+}
+
+export default function PendingChangesTray({ changes, witNames, atomic, onAtomicChange, onDiscard, onPreview, onApply, onApplyBatch, onReset }) {
+  const ops = listOperations(changes);
+  if (ops.length === 0) return null;
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3>Pending Changes <span className="badge badge-warning" style={{ marginLeft: 8 }}>{ops.length}</span></h3>
+        <div className="btn-group">
+          <label className="flex items-center gap-2 text-sm" title="Undo every completed operation if one fails">
+            <input type="checkbox" checked={!!atomic} onChange={(e) => onAtomicChange(e.target.checked)} />
+            Roll back on first error
+          </label>
+          <button className="btn btn-sm" onClick={onPreview}>Preview Changes</button>
+          <button className="btn btn-sm btn-primary" onClick={onApply}>Apply</button>
+          <button className="btn btn-sm" onClick={onApplyBatch}>Apply to Multiple</button>
+          <button className="btn btn-sm btn-danger" onClick={onReset}>Reset</button>
+        </div>
+      </div>
+      <div className="table-wrap scroll-panel">
+        <table>
+          <thead><tr><th>Action</th><th>Type</th><th>Work Item Type</th><th>Item</th><th></th></tr></thead>
+          <tbody>
+            {ops.map((op) => {
+              const badge = ACTION_BADGES[op.action] || ACTION_BADGES.update;
+              return (
+                <tr key={`${op.path.join('/')}#${op.index}`}>
+                  <td><span className={`badge ${badge.cls}`}>{badge.label}</span></td>
+                  <td className="text-sm">{SECTION_LABELS[op.section]}{op.section === 'layout' ? ` (${op.path[2]})` : ''}</td>
+                  <td className="text-sm">{op.wit ? (witNames[op.wit] || op.wit) : '--'}</td>
+                  <td className="text-sm">{op.label}</td>
+                  <td>
+                    <button className="btn btn-sm" title="Discard this change" onClick={() => onDiscard(op)}>Discard</button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
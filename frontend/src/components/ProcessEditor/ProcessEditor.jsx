@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback, useMemo } from 'react';
 import { editor, processes } from '../../services/api';
 import ChangePreview from '../ChangePreview/ChangePreview';
+import PendingChangesTray, { listOperations, discardOperation, withoutApplied } from './PendingChangesTray';
 
 const STATE_CATEGORIES = ['Proposed', 'InProgress', 'Resolved', 'Completed', 'Removed'];
 const FIELD_TYPES = [
@@ -9,15 +10,26 @@ const FIELD_TYPES = [
   'plainText', 'string', 'treePath',
 ];
 
-export default function ProcessEditor({ pendingChanges, pulledProcesses, connections, onApply, onProcessPulled, notify }) {
-  const [selectedKey, setSelectedKey] = useState('');
+/**
+ * The selected process and the draft change set are owned by the parent
+ * (`selectedKey` / `changes`) so pending operations survive tab switches.
+ */
+export default function ProcessEditor({
+  pendingChanges, pulledProcesses, connections, selectedKey, onSelectProcess,
+  changes: draftChanges, onChangesChange, onApply, onProcessPulled, notify,
+}) {
   const [selectedWit, setSelectedWit] = useState(null);
   const [orgFields, setOrgFields] = useState([]);
-  const [changes, setChanges] = useState(emptyChanges());
+  const changes = draftChanges || emptyChanges();
+  const setChanges = (update) => onChangesChange((prev) => {
+    const current = prev || emptyChanges();
+    return typeof update === 'function' ? update(current) : update;
+  });
   const [showPreview, setShowPreview] = useState(false);
   const [previewData, setPreviewData] = useState(null);
   const [applyResults, setApplyResults] = useState(null);
   const [applyLoading, setApplyLoading] = useState(false);
+  const [atomic, setAtomic] = useState(false);
 
   // Inline add forms
   const [showAddWit, setShowAddWit] = useState(false);
@@ -31,8 +43,15 @@ export default function ProcessEditor({ pendingChanges, pulledProcesses, connect
   const [showBatch, setShowBatch] = useState(false);
   const [batchTargets, setBatchTargets] = useState([]);
 
+  // Template import: the template is turned into a change set for the selected process and previewed first
+  const [showImport, setShowImport] = useState(false);
+  const [importForm, setImportForm] = useState({ template: '', fileName: '', mode: 'additive' });
+  const [importPreview, setImportPreview] = useState(null);
+  const [importResults, setImportResults] = useState(null);
+  const [importLoading, setImportLoading] = useState(false);
+
   function emptyChanges() {
-    return { workItemTypes: { add: [], update: [], remove: [] }, fields: {}, states: {}, behaviors: {}, workItemTypeBehaviors: {} };
+    return { workItemTypes: { add: [], update: [], remove: [] }, fields: {}, states: {}, rules: {}, layout: {}, behaviors: {}, workItemTypeBehaviors: {} };
   }
 
   const processOptions = useMemo(() =>
@@ -50,7 +69,7 @@ export default function ProcessEditor({ pendingChanges, pulledProcesses, connect
   useEffect(() => {
     if (pendingChanges?.processData) {
       const key = `${pendingChanges.connectionId}::${pendingChanges.processId}`;
-      setSelectedKey(key);
+      onSelectProcess(key);
     }
   }, [pendingChanges]);
 
@@ -65,14 +84,8 @@ export default function ProcessEditor({ pendingChanges, pulledProcesses, connect
   const witList = selectedProcess?.workItemTypes || [];
   const selectedWitData = useMemo(() => witList.find((w) => w.referenceName === selectedWit), [witList, selectedWit]);
 
-  const pendingCount = useMemo(() => {
-    let count = 0;
-    const c = changes;
-    count += c.workItemTypes.add.length + c.workItemTypes.update.length + c.workItemTypes.remove.length;
-    Object.values(c.fields).forEach((f) => { count += (f.add?.length || 0) + (f.update?.length || 0) + (f.remove?.length || 0); });
-    Object.values(c.states).forEach((s) => { count += (s.add?.length || 0) + (s.update?.length || 0) + (s.remove?.length || 0); });
-    return count;
-  }, [changes]);
+  const pendingCount = useMemo(() => listOperations(changes).length, [changes]);
+  const witNames = useMemo(() => Object.fromEntries(witList.map((w) => [w.referenceName, w.name])), [witList]);
 
   // === Handlers ===
 
@@ -141,6 +154,49 @@ export default function ProcessEditor({ pendingChanges, pulledProcesses, connect
     notify('info', `State "${stateName}" queued for removal`);
   };
 
+  const handleToggleRule = (rule) => {
+    if (!selectedWit) return;
+    const { id, url, customizationType, ...body } = rule;
+    const update = { ...body, ruleId: id, isDisabled: !rule.isDisabled };
+    setChanges((prev) => {
+      const witRules = prev.rules[selectedWit] || { add: [], update: [], remove: [] };
+      const others = witRules.update.filter((r) => r.ruleId !== id);
+      return { ...prev, rules: { ...prev.rules, [selectedWit]: { ...witRules, update: [...others, update] } } };
+    });
+    notify('info', `Rule "${rule.name || id}" queued to be ${rule.isDisabled ? 'enabled' : 'disabled'}`);
+  };
+
+  const handleRemoveRule = (ruleId, ruleName) => {
+    if (!selectedWit) return;
+    if (!window.confirm(`Queue removal of rule "${ruleName || ruleId}"?`)) return;
+    setChanges((prev) => {
+      const witRules = prev.rules[selectedWit] || { add: [], update: [], remove: [] };
+      return { ...prev, rules: { ...prev.rules, [selectedWit]: { ...witRules, remove: [...witRules.remove, ruleId] } } };
+    });
+    notify('info', `Rule "${ruleName || ruleId}" queued for removal`);
+  };
+
+  const handleDiscard = (op) => {
+    setChanges((prev) => discardOperation(prev, op.path, op.index));
+    notify('info', `Discarded: ${op.label}`);
+  };
+
+  const handleSelectProcess = (key) => {
+    if (key === selectedKey) return;
+    if (pendingCount > 0 && !window.confirm(`Switching process discards ${pendingCount} pending changes. Continue?`)) return;
+    setChanges(emptyChanges());
+    onSelectProcess(key);
+    setSelectedWit(null);
+  };
+
+  // Re-pull a process so App (and every tab) sees the state after an apply
+  const refreshProcess = async (connectionId, processId) => {
+    try {
+      const refreshed = await processes.pull(connectionId, processId);
+      onProcessPulled(refreshed);
+    } catch (e) { /* ignore re-pull failures */ }
+  };
+
   const handlePreview = async () => {
     if (!selectedProcess) return;
     try {
@@ -165,17 +221,24 @@ export default function ProcessEditor({ pendingChanges, pulledProcesses, connect
         connectionId: selectedProcess.connectionId,
         processId: selectedProcess.process.typeId,
         changes,
+        atomic,
       });
       setApplyResults(result);
       if (result.success) {
         notify('success', `Changes applied: ${result.summary.applied} applied, ${result.summary.skipped} skipped, ${result.summary.errors} errors`);
         setChanges(emptyChanges());
-        // Re-pull to refresh data
-        try {
-          const refreshed = await processes.pull(selectedProcess.connectionId, selectedProcess.process.typeId);
-          onProcessPulled(refreshed);
-        } catch (e) { /* ignore re-pull failures */ }
+      } else if (result.summary.rolledBack !== undefined) {
+        // Operations that could not be undone are in effect, so they leave the draft
+        setChanges((prev) => withoutApplied(prev, result.results.rollbackErrors));
+        notify('warning', result.summary.rollbackErrors > 0
+          ? `Apply failed and ${result.summary.rolledBack} operation(s) were rolled back, ${result.summary.rollbackErrors} could not be undone. The rest stay pending.`
+          : `Apply failed and ${result.summary.rolledBack} operation(s) were rolled back. All changes stay pending.`);
+      } else {
+        setChanges((prev) => withoutApplied(prev, result.results.applied));
+        notify('warning', `Some changes failed: ${result.summary.applied} applied, ${result.summary.errors} errors. Failed and skipped operations stay pending.`);
       }
+      // Re-pull even after a partial failure, since some operations went through
+      await refreshProcess(selectedProcess.connectionId, selectedProcess.process.typeId);
     } catch (err) {
       notify('error', `Apply failed: ${err.message}`);
     } finally {
@@ -191,11 +254,14 @@ export default function ProcessEditor({ pendingChanges, pulledProcesses, connect
         const [connectionId, processId] = key.split('::');
         return { connectionId, processId };
       });
-      const result = await editor.applyBatch({ targets, changes });
+      const result = await editor.applyBatch({ targets, changes, atomic });
       setApplyResults(result);
       notify('success', 'Batch apply completed');
       setChanges(emptyChanges());
       setShowBatch(false);
+      for (const { connectionId, processId } of targets) {
+        await refreshProcess(connectionId, processId);
+      }
     } catch (err) {
       notify('error', `Batch apply failed: ${err.message}`);
     } finally {
@@ -203,6 +269,56 @@ export default function ProcessEditor({ pendingChanges, pulledProcesses, connect
     }
   };
 
+  const handleImportFile = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setImportForm((prev) => ({ ...prev, template: reader.result, fileName: file.name }));
+    reader.onerror = () => notify('error', `Could not read ${file.name}`);
+    reader.readAsText(file);
+  };
+
+  const handleImportPreview = async () => {
+    if (!selectedProcess) return;
+    const target = { connectionId: selectedProcess.connectionId, processId: selectedProcess.process.typeId };
+    setImportLoading(true);
+    try {
+      const { changes, notes } = await editor.importTemplate({ ...target, template: importForm.template, mode: importForm.mode });
+      const result = await editor.preview({ ...target, changes });
+      setImportPreview({ ...result, changes, preview: { ...result.preview, warnings: [...notes, ...result.preview.warnings] } });
+      setImportResults(null);
+      setShowImport(false);
+    } catch (err) {
+      notify('error', `Import preview failed: ${err.message}`);
+    } finally {
+      setImportLoading(false);
+    }
+  };
+
+  const handleImportApply = async () => {
+    if (!selectedProcess || !importPreview) return;
+    setImportLoading(true);
+    try {
+      // Send the previewed change set back so exactly what was shown gets applied
+      const result = await editor.importTemplate({
+        connectionId: selectedProcess.connectionId,
+        processId: selectedProcess.process.typeId,
+        template: importForm.template,
+        mode: importForm.mode,
+        changes: importPreview.changes,
+        apply: true,
+        atomic,
+      });
+      setImportResults(result);
+      notify(result.success ? 'success' : 'warning',
+        `Template imported: ${result.summary.applied} applied, ${result.summary.skipped} skipped, ${result.summary.errors} errors`);
+      await refreshProcess(selectedProcess.connectionId, selectedProcess.process.typeId);
+    } catch (err) {
+      notify('error', `Import failed: ${err.message}`);
+    } finally {
+      setImportLoading(false);
+    }
+  };
+
   const handleResetChanges = () => {
     if (pendingCount > 0 && !window.confirm('Discard all pending changes?')) return;
     setChanges(emptyChanges());
@@ -226,25 +342,35 @@ export default function ProcessEditor({ pendingChanges, pulledProcesses, connect
       <div className="card">
         <div className="card-header">
           <h2>Process Editor</h2>
-          {pendingCount > 0 && (
-            <div className="btn-group">
-              <span className="badge badge-warning">{pendingCount} pending changes</span>
-              <button className="btn btn-sm" onClick={handlePreview}>Preview Changes</button>
-              <button className="btn btn-sm btn-primary" onClick={handleApply}>Apply</button>
-              <button className="btn btn-sm" onClick={() => setShowBatch(true)}>Apply to Multiple</button>
-              <button className="btn btn-sm btn-danger" onClick={handleResetChanges}>Reset</button>
-            </div>
-          )}
+          <div className="btn-group">
+            {pendingCount > 0 && <span className="badge badge-warning">{pendingCount} pending changes</span>}
+            {selectedProcess && (
+              <button className="btn btn-sm" onClick={() => setShowImport(true)}>Import Template...</button>
+            )}
+          </div>
         </div>
         <div className="form-group">
           <label>Select Process</label>
-          <select value={selectedKey} onChange={(e) => { setSelectedKey(e.target.value); setSelectedWit(null); }}>
+          <select value={selectedKey} onChange={(e) => handleSelectProcess(e.target.value)}>
             <option value="">-- Select a process --</option>
             {processOptions.map((o) => <option key={o.key} value={o.key}>{o.label}</option>)}
           </select>
         </div>
       </div>
 
+      {/* Pending changes tray */}
+      <PendingChangesTray
+        changes={changes}
+        witNames={witNames}
+        atomic={atomic}
+        onAtomicChange={setAtomic}
+        onDiscard={handleDiscard}
+        onPreview={handlePreview}
+        onApply={handleApply}
+        onApplyBatch={() => setShowBatch(true)}
+        onReset={handleResetChanges}
+      />
+
       {selectedProcess && (
         <>
           {/* Work Item Types */}
@@ -440,6 +566,56 @@ export default function ProcessEditor({ pendingChanges, pulledProcesses, connect
               </div>
             </div>
           )}
+
+          {/* Rules for selected WIT */}
+          {selectedWitData && (
+            <div className="card">
+              <div className="card-header">
+                <h3>Rules - {selectedWitData.name}</h3>
+              </div>
+
+              {(changes.rules[selectedWit]?.update?.length > 0 || changes.rules[selectedWit]?.remove?.length > 0) && (
+                <div className="mb-2 text-sm">
+                  {changes.rules[selectedWit]?.update?.map((r, i) => <span key={i} className="badge badge-warning" style={{ marginRight: 4 }}>{r.isDisabled ? 'Disable' : 'Enable'} {r.name || r.ruleId}</span>)}
+                  {changes.rules[selectedWit]?.remove?.map((r, i) => <span key={i} className="badge badge-danger" style={{ marginRight: 4 }}>- {r}</span>)}
+                </div>
+              )}
+
+              <div className="table-wrap scroll-panel">
+                <table>
+                  <thead><tr><th>Name</th><th>Conditions</th><th>Actions</th><th>Status</th><th></th></tr></thead>
+                  <tbody>
+                    {(selectedWitData.rules || []).map((rule) => (
+                      <tr key={rule.id}>
+                        <td>{rule.name || <span className="text-secondary">(unnamed)</span>}</td>
+                        <td className="text-sm">
+                          {(rule.conditions || []).map((c, i) => <div key={i}>{c.conditionType} <span className="text-mono">{c.field}</span>{c.value ? ` = ${c.value}` : ''}</div>)}
+                        </td>
+                        <td className="text-sm">
+                          {(rule.actions || []).map((a, i) => <div key={i}>{a.actionType} <span className="text-mono">{a.targetField}</span>{a.value ? ` = ${a.value}` : ''}</div>)}
+                        </td>
+                        <td>
+                          {rule.isDisabled ? <span className="badge badge-neutral">Disabled</span> : <span className="badge badge-success">Active</span>}
+                          {rule.customizationType === 'system' && <span className="badge badge-neutral" style={{ marginLeft: 4 }}>System</span>}
+                        </td>
+                        <td>
+                          <div className="btn-group">
+                            <button className="btn btn-sm" onClick={() => handleToggleRule(rule)}>{rule.isDisabled ? 'Enable' : 'Disable'}</button>
+                            {rule.customizationType !== 'system' && (
+                              <button className="btn btn-sm btn-danger" onClick={() => handleRemoveRule(rule.id, rule.name)}>Remove</button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                    {(selectedWitData.rules || []).length === 0 && (
+                      <tr><td colSpan={5} className="text-secondary text-sm">No rules defined.</td></tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
         </>
       )}
 
@@ -471,6 +647,60 @@ export default function ProcessEditor({ pendingChanges, pulledProcesses, connect
         </div>
       )}
 
+      {/* Template import options */}
+      {showImport && selectedProcess && (
+        <div className="modal-overlay" onClick={() => setShowImport(false)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header"><h2>Import Template</h2><button className="modal-close" onClick={() => setShowImport(false)}>&times;</button></div>
+            <div className="modal-body">
+              <p className="text-sm text-secondary mb-4">
+                Make {selectedProcess.process.name} match an exported process template (YAML or JSON).
+                Work item types are matched by name, so the template can come from another organization.
+              </p>
+              <div className="form-group">
+                <label>Template file</label>
+                <input type="file" accept=".yaml,.yml,.json" onChange={(e) => handleImportFile(e.target.files[0])} />
+              </div>
+              <div className="form-group">
+                <label>Template{importForm.fileName && ` (${importForm.fileName})`}</label>
+                <textarea
+                  className="text-mono"
+                  rows={10}
+                  value={importForm.template}
+                  onChange={(e) => setImportForm({ ...importForm, template: e.target.value, fileName: '' })}
+                  placeholder="Paste a template, or choose a file above"
+                />
+              </div>
+              <div className="form-group">
+                <label>Mode</label>
+                <select value={importForm.mode} onChange={(e) => setImportForm({ ...importForm, mode: e.target.value })}>
+                  <option value="additive">Additive only (add and update)</option>
+                  <option value="mirror">Full mirror (also remove what the template doesn't have)</option>
+                </select>
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button className="btn" onClick={() => setShowImport(false)}>Cancel</button>
+              <button className="btn btn-primary" onClick={handleImportPreview} disabled={importLoading || !importForm.template.trim()}>
+                {importLoading ? <><span className="spinner" /> Generating...</> : 'Preview Changes'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {importPreview && (
+        <ChangePreview
+          preview={importPreview}
+          onConfirm={handleImportApply}
+          onCancel={() => { setImportPreview(null); setImportResults(null); }}
+          loading={importLoading}
+          results={importResults}
+          atomic={atomic}
+          onAtomicChange={setAtomic}
+        />
+      )}
+
       {/* Change Preview modal */}
       {showPreview && (
         <ChangePreview
@@ -479,6 +709,8 @@ export default function ProcessEditor({ pendingChanges, pulledProcesses, connect
           onCancel={() => { setShowPreview(false); setApplyResults(null); }}
           loading={applyLoading}
           results={applyResults}
+          atomic={atomic}
+          onAtomicChange={setAtomic}
         />
       )}
     </div>
@@ -23,15 +23,37 @@ export const connections = {
   update: (id, data) => request(`/connections/${id}`, { method: 'PUT', body: JSON.stringify(data) }),
   delete: (id) => request(`/connections/${id}`, { method: 'DELETE' }),
   test: (id) => request(`/connections/${id}/test`, { method: 'POST' }),
+  diagnostics: (id) => request(`/connections/${id}/diagnostics`, { method: 'POST' }),
+  credentialSources: () => request('/connections/credential-sources'),
+
+  // PAT encryption at rest
+  security: () => request('/connections/security'),
+  encrypt: (data) => request('/connections/security/encrypt', { method: 'POST', body: JSON.stringify(data) }),
+  unlock: (passphrase) => request('/connections/security/unlock', { method: 'POST', body: JSON.stringify({ passphrase }) }),
+  lock: () => request('/connections/security/lock', { method: 'POST' }),
 };
 
 // === Processes ===
 export const processes = {
   list: (connectionId) => request(`/processes/${connectionId}`),
   get: (connectionId, processId) => request(`/processes/${connectionId}/${processId}`),
+  update: (connectionId, processId, body) => request(`/processes/${connectionId}/${processId}`, { method: 'PATCH', body: JSON.stringify(body) }),
+  delete: (connectionId, processId) => request(`/processes/${connectionId}/${processId}`, { method: 'DELETE' }),
   pull: (connectionId, processId) => request(`/processes/${connectionId}/${processId}/pull`, { method: 'POST' }),
+  clone: (connectionId, processId, body) => request(`/processes/${connectionId}/${processId}/clone`, { method: 'POST', body: JSON.stringify(body) }),
   getData: (connectionId, processId) => request(`/processes/${connectionId}/${processId}/data`),
+  // Plain URL so the browser downloads the file
+  exportUrl: (connectionId, processId, format = 'yaml') => `${API_BASE}/processes/${connectionId}/${processId}/export?format=${format}`,
+  snapshots: (connectionId, processId) => request(`/processes/${connectionId}/${processId}/snapshots`),
+  getSnapshot: (connectionId, processId, snapshotId) => request(`/processes/${connectionId}/${processId}/snapshots/${snapshotId}`),
+  baselines: () => request('/processes/baselines'),
+  setBaseline: (connectionId, processId, snapshotId) => request(`/processes/${connectionId}/${processId}/baseline`, { method: 'PUT', body: JSON.stringify({ snapshotId }) }),
+  clearBaseline: (connectionId, processId) => request(`/processes/${connectionId}/${processId}/baseline`, { method: 'DELETE' }),
+  drift: (connectionId, processId) => request(`/processes/${connectionId}/${processId}/drift`, { method: 'POST' }),
   getOrgFields: (connectionId) => request(`/processes/${connectionId}/fields/all`),
+  projects: (connectionId) => request(`/processes/${connectionId}/projects`),
+  moveProject: (connectionId, projectId, body) =>
+    request(`/processes/${connectionId}/projects/${projectId}/move`, { method: 'POST', body: JSON.stringify(body) }),
   getSessionData: () => request('/processes/session/data'),
   clearAllTemp: () => request('/processes/temp/all', { method: 'DELETE' }),
   clearTemp: (connectionId, processId) => request(`/processes/temp/${connectionId}/${processId}`, { method: 'DELETE' }),
@@ -41,6 +63,7 @@ export const processes = {
 export const comparison = {
   compare: (processList) => request('/comparison/compare', { method: 'POST', body: JSON.stringify({ processes: processList }) }),
   summary: (processList) => request('/comparison/compare/summary', { method: 'POST', body: JSON.stringify({ processes: processList }) }),
+  sync: (data) => request('/comparison/sync', { method: 'POST', body: JSON.stringify(data) }),
 };
 
 // === Editor ===
@@ -48,6 +71,7 @@ export const editor = {
   preview: (data) => request('/editor/preview', { method: 'POST', body: JSON.stringify(data) }),
   apply: (data) => request('/editor/apply', { method: 'POST', body: JSON.stringify(data) }),
   applyBatch: (data) => request('/editor/apply-batch', { method: 'POST', body: JSON.stringify(data) }),
+  importTemplate: (data) => request('/editor/import', { method: 'POST', body: JSON.stringify(data) }),
 
   // Direct edit endpoints
   createWorkItemType: (connId, procId, body) =>
@@ -59,6 +83,17 @@ export const editor = {
 
   createOrgField: (connId, body) =>
     request(`/editor/${connId}/org-field`, { method: 'POST', body: JSON.stringify(body) }),
+
+  listPicklists: (connId) => request(`/editor/${connId}/picklists`),
+  getPicklist: (connId, listId) => request(`/editor/${connId}/picklists/${listId}`),
+  createPicklist: (connId, body) =>
+    request(`/editor/${connId}/picklists`, { method: 'POST', body: JSON.stringify(body) }),
+  updatePicklist: (connId, listId, body) =>
+    request(`/editor/${connId}/picklists/${listId}`, { method: 'PUT', body: JSON.stringify(body) }),
+  deletePicklist: (connId, listId) =>
+    request(`/editor/${connId}/picklists/${listId}`, { method: 'DELETE' }),
+  syncPicklistValues: (connId, procId, body) =>
+    request(`/editor/${connId}/${procId}/picklists/sync`, { method: 'POST', body: JSON.stringify(body) }),
   addField: (connId, procId, witRefName, body) =>
     request(`/editor/${connId}/${procId}/${witRefName}/field`, { method: 'POST', body: JSON.stringify(body) }),
   updateField: (connId, procId, witRefName, fieldRefName, body) =>
@@ -70,9 +105,18 @@ export const editor = {
     request(`/editor/${connId}/${procId}/${witRefName}/state`, { method: 'POST', body: JSON.stringify(body) }),
   updateState: (connId, procId, witRefName, stateId, body) =>
     request(`/editor/${connId}/${procId}/${witRefName}/state/${stateId}`, { method: 'PATCH', body: JSON.stringify(body) }),
+  hideState: (connId, procId, witRefName, stateId, hidden) =>
+    request(`/editor/${connId}/${procId}/${witRefName}/state/${stateId}/hidden`, { method: 'PUT', body: JSON.stringify({ hidden }) }),
   deleteState: (connId, procId, witRefName, stateId) =>
     request(`/editor/${connId}/${procId}/${witRefName}/state/${stateId}`, { method: 'DELETE' }),
 
+  createRule: (connId, procId, witRefName, body) =>
+    request(`/editor/${connId}/${procId}/${witRefName}/rule`, { method: 'POST', body: JSON.stringify(body) }),
+  updateRule: (connId, procId, witRefName, ruleId, body) =>
+    request(`/editor/${connId}/${procId}/${witRefName}/rule/${ruleId}`, { method: 'PUT', body: JSON.stringify(body) }),
+  deleteRule: (connId, procId, witRefName, ruleId) =>
+    request(`/editor/${connId}/${procId}/${witRefName}/rule/${ruleId}`, { method: 'DELETE' }),
+
   addBehavior: (connId, procId, witRefName, body) =>
     request(`/editor/${connId}/${procId}/${witRefName}/behavior`, { method: 'POST', body: JSON.stringify(body) }),
   updateBehavior: (connId, procId, witRefName, behaviorId, body) =>
@@ -80,6 +124,25 @@ export const editor = {
   removeBehavior: (connId, procId, witRefName, behaviorId) =>
     request(`/editor/${connId}/${procId}/${witRefName}/behavior/${behaviorId}`, { method: 'DELETE' }),
 
+  createPage: (connId, procId, witRefName, body) =>
+    request(`/editor/${connId}/${procId}/${witRefName}/page`, { method: 'POST', body: JSON.stringify(body) }),
+  updatePage: (connId, procId, witRefName, pageId, body) =>
+    request(`/editor/${connId}/${procId}/${witRefName}/page/${encodeURIComponent(pageId)}`, { method: 'PATCH', body: JSON.stringify(body) }),
+  deletePage: (connId, procId, witRefName, pageId) =>
+    request(`/editor/${connId}/${procId}/${witRefName}/page/${encodeURIComponent(pageId)}`, { method: 'DELETE' }),
+  createSection: (connId, procId, witRefName, pageId, body) =>
+    request(`/editor/${connId}/${procId}/${witRefName}/page/${encodeURIComponent(pageId)}/section`, { method: 'POST', body: JSON.stringify(body) }),
+  deleteSection: (connId, procId, witRefName, pageId, sectionId) =>
+    request(`/editor/${connId}/${procId}/${witRefName}/page/${encodeURIComponent(pageId)}/section/${encodeURIComponent(sectionId)}`, { method: 'DELETE' }),
+  createGroup: (connId, procId, witRefName, pageId, sectionId, body) =>
+    request(`/editor/${connId}/${procId}/${witRefName}/page/${encodeURIComponent(pageId)}/section/${encodeURIComponent(sectionId)}/group`, { method: 'POST', body: JSON.stringify(body) }),
+  updateGroup: (connId, procId, witRefName, pageId, sectionId, groupId, body) =>
+    request(`/editor/${connId}/${procId}/${witRefName}/page/${encodeURIComponent(pageId)}/section/${encodeURIComponent(sectionId)}/group/${encodeURIComponent(groupId)}`, { method: 'PATCH', body: JSON.stringify(body) }),
+  deleteGroup: (connId, procId, witRefName, pageId, sectionId, groupId) =>
+    request(`/editor/${connId}/${procId}/${witRefName}/page/${encodeURIComponent(pageId)}/section/${encodeURIComponent(sectionId)}/group/${encodeURIComponent(groupId)}`, { method: 'DELETE' }),
+  moveGroup: (connId, procId, witRefName, pageId, sectionId, groupId, body) =>
+    request(`/editor/${connId}/${procId}/${witRefName}/page/${encodeURIComponent(pageId)}/section/${encodeURIComponent(sectionId)}/group/${encodeURIComponent(groupId)}/move`, { method: 'PUT', body: JSON.stringify(body) }),
+
   addControl: (connId, procId, witRefName, groupId, body) =>
     request(`/editor/${connId}/${procId}/${witRefName}/control/${encodeURIComponent(groupId)}`, { method: 'PUT', body: JSON.stringify(body) }),
   editControl: (connId, procId, witRefName, groupId, controlId, body) =>
@@ -88,6 +151,35 @@ export const editor = {
     request(`/editor/${connId}/${procId}/${witRefName}/control/${encodeURIComponent(groupId)}/${encodeURIComponent(controlId)}`, { method: 'DELETE' }),
 };
 
+// === Audit ===
+export const audit = {
+  list: (filters = {}) => {
+    const params = new URLSearchParams(Object.entries(filters).filter(([, v]) => v));
+    const query = params.toString();
+    return request(`/audit${query ? `?${query}` : ''}`);
+  },
+  get: (entryId) => request(`/audit/${entryId}`),
+  revert: (entryId, body = {}) => request(`/audit/${entryId}/revert`, { method: 'POST', body: JSON.stringify(body) }),
+};
+
+// === Scheduled drift checks ===
+export const schedule = {
+  get: () => request('/schedule'),
+  update: (data) => request('/schedule', { method: 'PUT', body: JSON.stringify(data) }),
+  run: () => request('/schedule/run', { method: 'POST' }),
+  events: (filters = {}) => {
+    const params = new URLSearchParams(Object.entries(filters).filter(([, v]) => v));
+    const query = params.toString();
+    return request(`/schedule/events${query ? `?${query}` : ''}`);
+  },
+  // Calls onEvent for every new drift event; returns a function that closes the stream
+  subscribe: (onEvent) => {
+    const source = new EventSource(`${API_BASE}/schedule/events/stream`);
+    source.addEventListener('drift', (e) => onEvent(JSON.parse(e.data)));
+    return () => source.close();
+  },
+};
+
 // === Licenses ===
 export const licenses = {
   getEntitlements: (connectionId) => request(`/licenses/${connectionId}`),